@@ -0,0 +1,16 @@
+/**
+ * Module hook for the relay: loads the app modules it shares (src/*.js) as ES modules.
+ *
+ * They are written as ES modules, but the app's package.json has no "type": "module"
+ * (react-scripts and Jest need it that way), so Node would otherwise have to guess their
+ * format, with a warning at best. Registered by relay.mjs with `module.register`.
+ */
+
+const SRC_URL = new URL("../src/", import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,337 @@
+/**
+ * Local WebSocket relay for online two-player games.
+ *
+ * Run with `npm run relay` (or `node server/relay.mjs`; Node.js 18.19 or later); it listens
+ * on RELAY_PORT (default 8787) on every interface so other machines on the LAN can join. No
+ * outside service is involved. The relay owns the authoritative game: it checks whose turn it is
+ * and validates every move with the shared engine before broadcasting the new state.
+ * In timed rooms it also runs the chess clocks (src/clock.js): they start with the first
+ * move, only the side to move loses time, and the game ends when a clock runs out.
+ *
+ * Protocol (JSON messages):
+ *   client -> relay
+ *     { type: "create", rules, timeControl? }   open a room; the creator plays X
+ *     { type: "join", room }                    take the free seat in a room (O's seat is
+ *                                               free again once its player has been gone
+ *                                               for the idle time)
+ *     { type: "resume", room, token }           reclaim a seat after a dropped connection
+ *     { type: "move", index, mark? }            play a square (mark: what to place in
+ *                                               Wild and Numerical games)
+ *     { type: "rematch" }                       start the next game once this one is over
+ *   relay -> client
+ *     { type: "joined", room, mark, token }
+ *     { type: "state", room, game, rules, startingPlayer, moves, marks, toMove, result,
+ *       players, clock, timeout }   marks: what each move placed   clock { control, remaining, running } or null (untimed); timeout
+ *                          is the side that ran out of time, or null
+ *     { type: "error", message, key, params, code? }   message in English; key and params name
+ *                          it in the app's catalogs (src/locales) for the client's language;
+ *                          code "unknown-seat" when a resume fails
+ */
+
+import { WebSocketServer } from "ws";
+import { randomBytes } from "node:crypto";
+import { register } from "node:module";
+import { pathToFileURL } from "node:url";
+
+// The engine and clocks are the app's own (src/), loaded as ES modules by load-src.mjs.
+// The hook only applies to imports made after it is registered, hence the dynamic imports.
+register("./load-src.mjs", import.meta.url);
+const { CLASSIC_RULES, GameState, MAX_SIZE, MIN_SIZE, createRules, otherPlayer, variantOf } =
+  await import("../src/engine.js");
+const { TIME_CONTROLS, completeMove, createClock, runClock, timeLeft } = await import(
+  "../src/clock.js"
+);
+
+const ROOM_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I look-alikes
+const ROOM_CODE_LENGTH = 5;
+// Rooms nobody is connected to are dropped after this long, and a seat left empty this long
+// goes to the next player to join.
+const ROOM_IDLE_MS = 10 * 60 * 1000;
+
+function newRoomCode(rooms) {
+  let code;
+  do {
+    code = Array.from(randomBytes(ROOM_CODE_LENGTH), (b) => ROOM_ALPHABET[b % ROOM_ALPHABET.length]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function sendError(socket, message, key, params = {}, code) {
+  send(socket, { type: "error", message, key, params, ...(code ? { code } : {}) });
+}
+
+function roomState(code, room) {
+  const { state, clock } = room;
+  const now = Date.now();
+  return {
+    type: "state",
+    room: code,
+    game: room.game,
+    rules: state.rules,
+    startingPlayer: room.startingPlayer,
+    moves: state.moves,
+    marks: state.marks,
+    toMove: state.toMove,
+    result: state.result(),
+    players: {
+      X: Boolean(room.seats.X.socket),
+      O: Boolean(room.seats.O && room.seats.O.socket),
+    },
+    // Time left as of now; clients count down from it for the running side.
+    clock: clock && {
+      control: clock.control,
+      remaining: { X: timeLeft(clock, "X", now), O: timeLeft(clock, "O", now) },
+      running: clock.running,
+    },
+    timeout: room.timeout,
+  };
+}
+
+// Rules for a new room from the client's `rules`. Standard boards are limited to the sizes
+// the app offers (variants have their own fixed boards), so one client cannot make the relay
+// build a board too big to hold. Throws if they are not acceptable.
+function roomRules(rules) {
+  const created = createRules(rules.rows, rules.cols, rules.k, rules.variant);
+  const inRange = (n) => n >= MIN_SIZE && n <= MAX_SIZE;
+  if (variantOf(created) === "standard" && !(inRange(created.rows) && inRange(created.cols))) {
+    const message = `Boards must be ${MIN_SIZE}x${MIN_SIZE} to ${MAX_SIZE}x${MAX_SIZE}`;
+    throw Object.assign(new Error(message), {
+      key: "online.error.boardSize",
+      params: { min: MIN_SIZE, max: MAX_SIZE },
+    });
+  }
+  return created;
+}
+
+// Game over on the board or on the clock.
+function finished(room) {
+  return Boolean(room.state.result() || room.timeout);
+}
+
+// PUBLIC_INTERFACE
+export function createRelayServer({ port = 8787, host, idleMs = ROOM_IDLE_MS } = {}) {
+  /**
+   * Starts the relay and returns the underlying WebSocketServer (call .close() to stop).
+   * `idleMs` is how long empty rooms and seats are kept.
+   */
+  const rooms = new Map();
+  const wss = new WebSocketServer({ port, host });
+
+  function broadcast(code) {
+    const room = rooms.get(code);
+    const message = roomState(code, room);
+    for (const mark of ["X", "O"]) {
+      if (room.seats[mark]) send(room.seats[mark].socket, message);
+    }
+  }
+
+  function scheduleCleanup(code) {
+    const room = rooms.get(code);
+    if (!room) return;
+    clearTimeout(room.idleTimer);
+    const connected = ["X", "O"].some((m) => room.seats[m] && room.seats[m].socket);
+    if (!connected) {
+      room.idleTimer = setTimeout(() => {
+        clearTimeout(room.flagTimer);
+        clearTimeout(room.seatTimer);
+        rooms.delete(code);
+      }, idleMs);
+      room.idleTimer.unref();
+    }
+  }
+
+  // Gives O's seat to the next player to join if whoever held it does not come back in time.
+  function holdSeat(code) {
+    const room = rooms.get(code);
+    clearTimeout(room.seatTimer);
+    room.seatTimer = setTimeout(() => {
+      if (room.seats.O && !room.seats.O.socket) {
+        room.seats.O = null;
+        broadcast(code);
+      }
+    }, idleMs);
+    room.seatTimer.unref();
+  }
+
+  // Ends the game in `code`: `side` ran out of time.
+  function flag(code, side) {
+    const room = rooms.get(code);
+    clearTimeout(room.flagTimer);
+    room.clock = runClock(room.clock, null);
+    room.timeout = side;
+    broadcast(code);
+  }
+
+  // Starts the clock of the side to move, ending the game if it runs out before they move.
+  function startClock(code) {
+    const room = rooms.get(code);
+    clearTimeout(room.flagTimer);
+    if (!room.clock || finished(room)) return;
+    const side = room.state.toMove;
+    room.clock = runClock(room.clock, side);
+    room.flagTimer = setTimeout(() => flag(code, side), timeLeft(room.clock, side));
+    room.flagTimer.unref();
+  }
+
+  // Frees the seat `socket` holds (on disconnect or when it moves to another room).
+  function release(socket) {
+    const room = rooms.get(socket.room);
+    if (!room || room.seats[socket.mark].socket !== socket) return;
+    room.seats[socket.mark].socket = null;
+    if (socket.mark === "O") holdSeat(socket.room);
+    broadcast(socket.room);
+    scheduleCleanup(socket.room);
+  }
+
+  function seat(socket, code, mark) {
+    if (socket.room !== code) release(socket);
+    const room = rooms.get(code);
+    const current = room.seats[mark];
+    // A newer connection for the same seat replaces the old one.
+    if (current.socket && current.socket !== socket) current.socket.close(4000, "Replaced by a new connection");
+    current.socket = socket;
+    socket.room = code;
+    socket.mark = mark;
+    clearTimeout(room.idleTimer);
+    if (mark === "O") clearTimeout(room.seatTimer);
+    send(socket, { type: "joined", room: code, mark, token: current.token });
+    broadcast(code);
+  }
+
+  function handle(socket, msg) {
+    switch (msg.type) {
+      case "create": {
+        let rules = CLASSIC_RULES;
+        if (msg.timeControl != null && !TIME_CONTROLS[msg.timeControl]) {
+          const control = msg.timeControl;
+          const message = `Unknown time control "${control}"`;
+          return sendError(socket, message, "online.error.timeControl", { control });
+        }
+        if (msg.rules) {
+          try {
+            rules = roomRules(msg.rules);
+          } catch (e) {
+            return sendError(socket, e.message, e.key, e.params);
+          }
+        }
+        const code = newRoomCode(rooms);
+        rooms.set(code, {
+          game: 1,
+          startingPlayer: "X",
+          state: GameState.initial("X", rules),
+          timeControl: msg.timeControl || null,
+          clock: msg.timeControl ? createClock(msg.timeControl) : null,
+          timeout: null,
+          flagTimer: null,
+          seatTimer: null,
+          seats: { X: { token: randomBytes(12).toString("hex"), socket: null }, O: null },
+        });
+        return seat(socket, code, "X");
+      }
+      case "join": {
+        const code = String(msg.room || "").trim().toUpperCase();
+        const room = rooms.get(code);
+        if (!room) {
+          return sendError(socket, `No room with code ${code}`, "online.error.noRoom", { code });
+        }
+        // One client cannot take both seats.
+        const own = room.seats[socket.mark];
+        if (socket.room === code && own && own.socket === socket) {
+          const message = `You already have a seat in room ${code}`;
+          return sendError(socket, message, "online.error.seated", { code });
+        }
+        if (room.seats.O) {
+          return sendError(socket, `Room ${code} is full`, "online.error.full", { code });
+        }
+        room.seats.O = { token: randomBytes(12).toString("hex"), socket: null };
+        return seat(socket, code, "O");
+      }
+      case "resume": {
+        const code = String(msg.room || "").trim().toUpperCase();
+        const room = rooms.get(code);
+        const mark = room && ["X", "O"].find((m) => room.seats[m] && room.seats[m].token === msg.token);
+        if (!mark) {
+          const message = "That game is no longer available";
+          return sendError(socket, message, "online.error.unknownSeat", {}, "unknown-seat");
+        }
+        return seat(socket, code, mark);
+      }
+      case "move": {
+        const room = rooms.get(socket.room);
+        if (!room) return sendError(socket, "Join a room first", "online.error.joinFirst");
+        if (!room.seats.O) {
+          return sendError(socket, "Wait for your opponent to join", "online.error.noOpponent");
+        }
+        if (room.timeout) return sendError(socket, "The game is over", "online.error.over");
+        if (room.state.toMove !== socket.mark) {
+          return sendError(socket, "It's not your turn", "online.error.notYourTurn");
+        }
+        const mark = msg.mark === undefined ? room.state.legalMarks()[0] : msg.mark;
+        if (!room.state.legalMoves().includes(msg.index) || !room.state.legalMarks().includes(mark)) {
+          return sendError(socket, "Illegal move", "online.error.illegal");
+        }
+        // A move that arrives after the time is up, before the timer fired, is too late.
+        if (room.clock && room.clock.running === socket.mark && timeLeft(room.clock, socket.mark) === 0) {
+          return flag(socket.room, socket.mark);
+        }
+        room.state = room.state.applyMove(msg.index, mark);
+        if (room.clock) {
+          room.clock = completeMove(room.clock, socket.mark);
+          startClock(socket.room);
+        }
+        return broadcast(socket.room);
+      }
+      case "rematch": {
+        const room = rooms.get(socket.room);
+        if (!room) return sendError(socket, "Join a room first", "online.error.joinFirst");
+        if (!finished(room)) {
+          return sendError(socket, "The game is still in progress", "online.error.inProgress");
+        }
+        room.game += 1;
+        room.startingPlayer = otherPlayer(room.startingPlayer);
+        room.state = GameState.initial(room.startingPlayer, room.state.rules);
+        room.clock = room.timeControl ? createClock(room.timeControl) : null;
+        room.timeout = null;
+        return broadcast(socket.room);
+      }
+      default: {
+        const message = `Unknown message type "${msg.type}"`;
+        return sendError(socket, message, "online.error.type", { type: msg.type });
+      }
+    }
+  }
+
+  wss.on("connection", (socket) => {
+    socket.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        return sendError(socket, "Messages must be JSON", "online.error.json");
+      }
+      if (!msg || typeof msg !== "object") {
+        return sendError(socket, "Messages must be JSON objects", "online.error.object");
+      }
+      try {
+        handle(socket, msg);
+      } catch (e) {
+        // A bad message must never take down the relay, and every room with it.
+        sendError(socket, "The relay could not handle that message", "online.error.failed");
+      }
+    });
+    socket.on("close", () => release(socket));
+  });
+
+  return wss;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.RELAY_PORT) || 8787;
+  createRelayServer({ port }).on("listening", () => {
+    console.log(`Tic Tac Toe relay listening on ws://localhost:${port}`);
+  });
+}
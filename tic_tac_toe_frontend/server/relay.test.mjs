@@ -0,0 +1,204 @@
+// Relay tests: run with `npm run test:relay` (node:test, a relay on a free port per test).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import WebSocket from "ws";
+import { createRelayServer } from "./relay.mjs";
+
+async function startRelay(t, options = {}) {
+  const wss = createRelayServer({ port: 0, host: "127.0.0.1", ...options });
+  await once(wss, "listening");
+  t.after(() => {
+    wss.clients.forEach((socket) => socket.terminate());
+    wss.close();
+  });
+  return `ws://127.0.0.1:${wss.address().port}`;
+}
+
+// A client that keeps every relay message; next(type) waits for the next one of that type.
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const inbox = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    inbox.push(JSON.parse(data));
+    for (const waiter of waiting.slice()) waiter();
+  });
+  await once(socket, "open");
+  return {
+    socket,
+    send: (msg) => socket.send(typeof msg === "string" ? msg : JSON.stringify(msg)),
+    next(type) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No "${type}" message`)), 2000);
+        const check = () => {
+          const i = inbox.findIndex((msg) => msg.type === type);
+          if (i === -1) return;
+          clearTimeout(timer);
+          waiting.splice(waiting.indexOf(check), 1);
+          resolve(inbox.splice(0, i + 1)[i]);
+        };
+        waiting.push(check);
+        check();
+      });
+    },
+  };
+}
+
+// Two players seated in a new room: x created it, o joined with its code.
+async function room(url, create = {}) {
+  const x = await connect(url);
+  x.send({ type: "create", ...create });
+  const joined = await x.next("joined");
+  await x.next("state");
+  const o = await connect(url);
+  o.send({ type: "join", room: joined.room.toLowerCase() });
+  const seat = await o.next("joined");
+  await x.next("state");
+  await o.next("state");
+  return { x, o, code: joined.room, tokens: { X: joined.token, O: seat.token } };
+}
+
+test("creates a room, seats the joining player as O and relays moves", async (t) => {
+  const url = await startRelay(t);
+  const { x, o, code } = await room(url);
+  assert.match(code, /^[A-Z2-9]{5}$/);
+  x.send({ type: "move", index: 4 });
+  const state = await o.next("state");
+  assert.deepEqual(state.moves, [4]);
+  assert.equal(state.toMove, "O");
+  assert.deepEqual(state.players, { X: true, O: true });
+
+  const third = await connect(url);
+  third.send({ type: "join", room: code });
+  const full = await third.next("error");
+  assert.equal(full.message, `Room ${code} is full`);
+  // key and params let the app show the error in its own language.
+  assert.equal(full.key, "online.error.full");
+  assert.deepEqual(full.params, { code });
+  third.send({ type: "join", room: "ZZZZZ" });
+  assert.equal((await third.next("error")).message, "No room with code ZZZZZ");
+});
+
+test("refuses moves out of turn and illegal squares", async (t) => {
+  const url = await startRelay(t);
+  const { x, o } = await room(url);
+  o.send({ type: "move", index: 0 });
+  assert.equal((await o.next("error")).message, "It's not your turn");
+  x.send({ type: "move", index: 4 });
+  await o.next("state");
+  for (const index of [4, 9, -1, "0"]) {
+    o.send({ type: "move", index });
+    assert.equal((await o.next("error")).message, "Illegal move");
+  }
+});
+
+test("starts a rematch only once the game is over, with the other player first", async (t) => {
+  const url = await startRelay(t);
+  const { x, o } = await room(url);
+  x.send({ type: "rematch" });
+  assert.equal((await x.next("error")).message, "The game is still in progress");
+  let state;
+  for (const [player, index] of [[x, 0], [o, 3], [x, 1], [o, 4], [x, 2]]) {
+    player.send({ type: "move", index });
+    state = await x.next("state");
+    await o.next("state");
+  }
+  assert.equal(state.result, "X");
+  o.send({ type: "move", index: 5 });
+  assert.equal((await o.next("error")).message, "Illegal move");
+  o.send({ type: "rematch" });
+  state = await x.next("state");
+  assert.equal(state.game, 2);
+  assert.equal(state.startingPlayer, "O");
+  assert.deepEqual(state.moves, []);
+  assert.equal(state.result, null);
+});
+
+test("gives a dropped player their seat back with the game so far", async (t) => {
+  const url = await startRelay(t);
+  const { x, o, code, tokens } = await room(url);
+  x.send({ type: "move", index: 4 });
+  await x.next("state");
+  await o.next("state");
+  o.socket.close();
+  assert.deepEqual((await x.next("state")).players, { X: true, O: false });
+
+  const back = await connect(url);
+  back.send({ type: "resume", room: code, token: tokens.O });
+  assert.equal((await back.next("joined")).mark, "O");
+  const state = await back.next("state");
+  assert.deepEqual(state.moves, [4]);
+  assert.deepEqual(state.players, { X: true, O: true });
+
+  const stranger = await connect(url);
+  stranger.send({ type: "resume", room: code, token: "nope" });
+  assert.equal((await stranger.next("error")).code, "unknown-seat");
+});
+
+test("keeps one client from taking both seats", async (t) => {
+  const url = await startRelay(t);
+  const x = await connect(url);
+  x.send({ type: "create" });
+  const { room: code } = await x.next("joined");
+  await x.next("state");
+  x.send({ type: "join", room: code });
+  const seated = await x.next("error");
+  assert.equal(seated.message, `You already have a seat in room ${code}`);
+  assert.equal(seated.key, "online.error.seated");
+
+  const o = await connect(url);
+  o.send({ type: "join", room: code });
+  assert.equal((await o.next("joined")).mark, "O");
+});
+
+test("frees O's seat for a new player once the old one has been gone too long", async (t) => {
+  const url = await startRelay(t, { idleMs: 50 });
+  const { x, o, code, tokens } = await room(url);
+  o.socket.close();
+  assert.deepEqual((await x.next("state")).players, { X: true, O: false });
+  // The seat is given up with a second broadcast, once the idle time has passed.
+  await x.next("state");
+  x.send({ type: "move", index: 4 });
+  assert.equal((await x.next("error")).message, "Wait for your opponent to join");
+
+  const late = await connect(url);
+  late.send({ type: "resume", room: code, token: tokens.O });
+  assert.equal((await late.next("error")).code, "unknown-seat");
+  const next = await connect(url);
+  next.send({ type: "join", room: code });
+  assert.equal((await next.next("joined")).mark, "O");
+  assert.deepEqual((await x.next("state")).players, { X: true, O: true });
+});
+
+test("answers malformed messages and rules with an error and keeps running", async (t) => {
+  const url = await startRelay(t);
+  const client = await connect(url);
+  client.send("{not json");
+  assert.equal((await client.next("error")).message, "Messages must be JSON");
+  client.send("42");
+  assert.equal((await client.next("error")).message, "Messages must be JSON objects");
+  client.send({ type: "dance" });
+  assert.equal((await client.next("error")).message, 'Unknown message type "dance"');
+  client.send({ type: "create", rules: { rows: "three", cols: 3, k: 3 } });
+  const size = await client.next("error");
+  assert.match(size.message, /Invalid board size/);
+  assert.equal(size.key, "rules.error.size");
+  client.send({ type: "create", rules: { rows: 3, cols: 3, k: 3, variant: "ultimate" } });
+  assert.match((await client.next("error")).message, /9x9/);
+  client.send({ type: "create", timeControl: "forever" });
+  assert.equal((await client.next("error")).message, 'Unknown time control "forever"');
+  client.send({ type: "move", index: 0 });
+  assert.equal((await client.next("error")).message, "Join a room first");
+});
+
+test("refuses boards too big to build instead of crashing", async (t) => {
+  const url = await startRelay(t);
+  const client = await connect(url);
+  client.send({ type: "create", rules: { rows: 100000, cols: 100000, k: 5 } });
+  assert.equal((await client.next("error")).message, "Boards must be 3x3 to 15x15");
+  // Still serving: the same client can open a room.
+  client.send({ type: "create", rules: { rows: 15, cols: 15, k: 5 } });
+  assert.equal((await client.next("joined")).mark, "X");
+  assert.deepEqual((await client.next("state")).rules, { rows: 15, cols: 15, k: 5 });
+});
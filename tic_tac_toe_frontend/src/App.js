@@ -1,9 +1,66 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import "./App.css";
 import Assistant from "./Assistant";
+import MoveHistory, { addBranch, sameBoard } from "./MoveHistory";
+import { clearSession, loadSession, saveSession } from "./storage";
+import GameRecord from "./GameRecord";
+import { exportGame } from "./notation";
+import OnlinePanel from "./OnlinePanel";
+import { createOnlineClient } from "./online";
+import { createSyncChannel } from "./sync";
+import ProfilesPanel from "./ProfilesPanel";
+import MatchPanel from "./MatchPanel";
+import { matchResult, recordMatchGame } from "./match";
+import TournamentPanel from "./TournamentPanel";
+import GameAnalysis from "./GameAnalysis";
+import { analyzeGame, evaluatePosition, outcomeLabel } from "./analysis";
+import { movesReply, scoreReply } from "./commands";
+import { pairingNames, recordTournamentGame, tournamentWinner } from "./tournament";
+import { THEME_CHOICES, useTheme } from "./theme";
+import { LANGUAGES, useI18n } from "./i18n";
+import {
+  LOW_TIME_MS,
+  TIME_CONTROLS,
+  completeMove,
+  createClock,
+  formatClock,
+  runClock,
+  timeLeft,
+} from "./clock";
+import {
+  COMPUTER,
+  loadProfiles,
+  newRecordId,
+  playerName,
+  recordGame,
+  saveProfiles,
+} from "./profiles";
+import {
+  CLASSIC_RULES,
+  GameState,
+  MAX_SIZE,
+  MIN_SIZE,
+  PLAYERS,
+  QUBIC_SIZE,
+  SMALL_BOARDS,
+  VARIANTS,
+  allowedBoards,
+  computerPlay,
+  createRules,
+  emptyBoard as createEmptyBoard,
+  getLines,
+  getWinningLine,
+  legalMarks,
+  otherPlayer,
+  smallBoardOf,
+  smallBoardResults,
+  squareName,
+  variantOf,
+} from "./engine";
 
 /**
- * Color Theme Constants (provided in requirements)
+ * Color Theme Constants (provided in requirements), used by the light theme; every
+ * theme's palette is in TTTStyles.
  * Accent:    #ffcf33
  * Primary:   #1976d2
  * Secondary: #424242
@@ -11,165 +68,575 @@ import Assistant from "./Assistant";
 
 // PUBLIC_INTERFACE
 function App() {
+  const { t } = useI18n();
   // --- Game State ---
-  const emptyBoard = Array(9).fill(null);
-
-  // Modes: 'PVP' (human vs human), 'PVC' (human vs computer)
-  const [mode, setMode] = useState("PVC");
-  const [board, setBoard] = useState(emptyBoard);
-  const [isXNext, setIsXNext] = useState(true);
-  const [history, setHistory] = useState([emptyBoard]);
-  const [stepNumber, setStepNumber] = useState(0);
-  const [status, setStatus] = useState("Next: X");
+  // Session saved by a previous visit (see storage.js); read once on mount.
+  const [saved] = useState(() => loadSession() || {});
+  const savedGame = saved.game || freshGame(CLASSIC_RULES);
+
+  // Board size, win length and variant ({ rows, cols, k, variant? }); changing them starts
+  // a new game.
+  const [rules, setRules] = useState(savedGame.rules);
+  const variant = variantOf(rules);
+
+  // Modes: 'PVP' (human vs human), 'PVC' (human vs computer), 'ONLINE' (via the relay)
+  const [mode, setMode] = useState(saved.mode || "PVC");
+  const [board, setBoard] = useState(savedGame.history[savedGame.stepNumber]);
+  const [isXNext, setIsXNext] = useState(
+    (savedGame.stepNumber % 2 === 0) === (savedGame.startingPlayer === "X")
+  );
+  const [history, setHistory] = useState(savedGame.history);
+  const [stepNumber, setStepNumber] = useState(savedGame.stepNumber);
+  // Square of the move leading to the position shown; in Ultimate it decides where the
+  // next move may go.
+  const lastMove = lastMoveOf(history, stepNumber);
+  // Earlier lines of this game replaced by playing from an older position (kept viewable).
+  const [branches, setBranches] = useState(savedGame.branches);
+  // Result of the position shown: 'X' | 'O' (winner), 'draw', or null while it's in play.
+  const [result, setResult] = useState(null);
   const [winner, setWinner] = useState(null);
-  const [scores, setScores] = useState({ X: 0, O: 0, Draws: 0 });
+  const [scores, setScores] = useState(saved.scores || { X: 0, O: 0, Draws: 0 });
   const [gameOver, setGameOver] = useState(false);
-  const [startingPlayer, setStartingPlayer] = useState("X"); // Alternate who starts for new games
+  const [startingPlayer, setStartingPlayer] = useState(savedGame.startingPlayer); // Alternate who starts for new games
+  // What the next move places in Wild and Numerical games; null for the default (see
+  // GameState.legalMarks).
+  const [chosenMark, setChosenMark] = useState(null);
+  // Computer strength in PVC mode: 'easy', 'medium' or 'hard'. Kept across games.
+  const [difficulty, setDifficulty] = useState(saved.difficulty || "medium");
+  // Time control for new games (a TIME_CONTROLS id, or null for untimed games), this
+  // game's chess clocks (see clock.js) and the side that lost it on time, if any.
+  const [timeControl, setTimeControl] = useState(saved.timeControl || null);
+  const [clock, setClock] = useState(
+    () => savedGame.clock || (saved.timeControl ? createClock(saved.timeControl) : null)
+  );
+  const [timedOut, setTimedOut] = useState(savedGame.timeout || null);
+  // Local clocks stop while the page is hidden (another tab, minimized window).
+  const [pageVisible, setPageVisible] = useState(!document.hidden);
+  // Named profiles, who is seated as X / O, and the log their statistics come from.
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  // Match series in progress or just decided ({ format, target, games }, see match.js), or null.
+  const [match, setMatch] = useState(saved.match || null);
+  // Tournament being played on this board (see tournament.js), or null.
+  const [tournament, setTournament] = useState(saved.tournament || null);
+  // Post-game analysis ({ history, result }); only shown while that exact line is on screen.
+  const [analysis, setAnalysis] = useState(null);
+  // Assistant's move hint ({ board, index, lines }); highlighted until the position changes.
+  const [hint, setHint] = useState(null);
+  // Evaluation overlay toggle, and the last position it was worked out for ({ board, result }).
+  const [showEval, setShowEval] = useState(false);
+  const [evaluation, setEvaluation] = useState(null);
+  // Last computer move, read out by screen readers ("Computer played O on b2, square 5.").
+  const [announcement, setAnnouncement] = useState("");
+  // Result this game currently contributes to `scores`, and the finished positions
+  // already counted, so revisiting or replaying a finish never counts it twice.
+  const countedRef = useRef(null);
+  if (countedRef.current === null) countedRef.current = restoreCounted(savedGame);
+  // Online play: connection/room info for the UI, the relay client, and the last game
+  // received from the relay ({ key, line }) so a resync reuses the same board snapshots.
+  const [online, setOnline] = useState(OFFLINE);
+  const onlineClientRef = useRef(null);
+  const onlineGameRef = useRef(null);
+  // Publishes the live position to spectator tabs (see Spectator.js).
+  const syncRef = useRef(null);
 
-  // --- Utility Functions ---
+  // --- Game Logic ---
 
   // PUBLIC_INTERFACE
-  function calculateWinner(squares) {
+  function handleClick(i, mark = chosenMark) {
     /**
-     * Determines the winner of the game or if there's a draw.
-     * Returns 'X', 'O', or null (for no winner yet). Draw detection is handled separately.
+     * Handles a user clicking on a board square: places `mark` there, or the default mark
+     * when it isn't one the side to move may place.
      */
-    const lines = [
-      [0, 1, 2],
-      [3, 4, 5],
-      [6, 7, 8], // rows
-      [0, 3, 6],
-      [1, 4, 7],
-      [2, 5, 8], // columns
-      [0, 4, 8],
-      [2, 4, 6], // diagonals
-    ];
-    for (let i = 0; i < lines.length; i++) {
-      const [a, b, c] = lines[i];
-      if (
-        squares[a] &&
-        squares[a] === squares[b] &&
-        squares[a] === squares[c]
-      ) {
-        return squares[a];
-      }
+    const state = GameState.fromBoard(board, isXNext ? "X" : "O", rules, lastMove);
+    if (winner || gameOver || !state.legalMoves().includes(i)) return;
+    if (mode === "PVC" && !isXNext) return; // Wait for the computer's reply
+    if (timedLineOnly && stepNumber !== history.length - 1) return; // See timedLineOnly
+    const placed = markToPlace(state, mark);
+    if (mode === "ONLINE") {
+      // The relay validates the move and sends back the new state for both players.
+      const myTurn = online.mark === state.toMove && stepNumber === history.length - 1;
+      if (myTurn && onlineClientRef.current) onlineClientRef.current.move(i, placed);
+      return;
+    }
+
+    commitMove(state.applyMove(i, placed).squares);
+  }
+
+  // Adds a move played from the current position. Replaying the move that already follows
+  // just steps forward; a different move starts a new line and keeps the old one as a branch.
+  function commitMove(squares) {
+    const next = history[stepNumber + 1];
+    let newHistory = history;
+    if (!next || !sameBoard(next, squares)) {
+      if (next) setBranches((b) => addBranch(b, history));
+      newHistory = [...history.slice(0, stepNumber + 1), squares];
     }
-    return null;
+    const mover = playerToMove(stepNumber);
+    setClock((c) => c && completeMove(c, mover));
+    setHistory(newHistory);
+    setStepNumber(stepNumber + 1);
+    setBoard(newHistory[stepNumber + 1]);
+    setIsXNext(playerToMove(stepNumber + 1) === "X");
+    setChosenMark(null);
+  }
+
+  // Side to move after `step` moves of the current game.
+  function playerToMove(step) {
+    return step % 2 === 0 ? startingPlayer : otherPlayer(startingPlayer);
   }
 
   // PUBLIC_INTERFACE
-  function isDraw(squares) {
+  function jumpTo(step, line = history) {
     /**
-     * Returns true if the board is full and there is no winner.
+     * Time travel: shows the position after `step` moves of `line`. Winner, game over and
+     * result are recomputed from that board by the result effect below.
      */
-    return squares.every((sq) => sq !== null) && !calculateWinner(squares);
+    setStepNumber(step);
+    setBoard(line[step]);
+    setIsXNext(playerToMove(step) === "X");
   }
 
-  // --- Game Logic ---
+  // Shows a position the Assistant was asked about, if it is on a line of the current game.
+  // Returns false when it isn't (another game, or a line that has since been replaced).
+  function showAskedPosition(gameId, step, squares) {
+    if (gameId !== countedRef.current.recordId) return false;
+    if (history[step] && sameBoard(history[step], squares)) {
+      jumpTo(step);
+      return true;
+    }
+    const branch = branches.findIndex((line) => line[step] && sameBoard(line[step], squares));
+    if (branch === -1) return false;
+    return jumpToBranch(branch, step);
+  }
 
   // PUBLIC_INTERFACE
-  function handleClick(i) {
+  function jumpToBranch(branchIndex, step) {
     /**
-     * Handles a user clicking on a board square.
+     * Makes a stored variation the current line (the current one becomes a variation)
+     * and shows its position after `step` moves. Returns false, changing nothing, while a
+     * timed game is being played (see timedLineOnly).
      */
-    const squares = board.slice();
-    if (winner || squares[i] || gameOver) return;
-
-    squares[i] = isXNext ? "X" : "O";
-    const newHistory = [...history.slice(0, stepNumber + 1), squares];
-    setBoard(squares);
-    setIsXNext(!isXNext);
-    setStepNumber(newHistory.length - 1);
-    setHistory(newHistory);
+    if (timedLineOnly) return false;
+    const line = branches[branchIndex];
+    setBranches(
+      addBranch(branches.filter((_, b) => b !== branchIndex), history)
+    );
+    setHistory(line);
+    jumpTo(step, line);
+    return true;
+  }
+
+  // Step that undo / redo would go to, or null. In PVC mode they skip over positions where
+  // the computer is to move, so one undo takes back the computer's reply and your move.
+  function undoTarget() {
+    if (mode === "ONLINE") return null; // Moves are final once the relay accepted them
+    if (timedLineOnly) return null;
+    let target = stepNumber - 1;
+    while (mode === "PVC" && target >= 0 && playerToMove(target) !== "X") target--;
+    return target >= 0 ? target : null;
+  }
+
+  function redoTarget() {
+    if (mode === "ONLINE" || timedLineOnly) return null;
+    const last = history.length - 1;
+    let target = stepNumber + 1;
+    while (mode === "PVC" && target < last && playerToMove(target) !== "X") target++;
+    return target <= last ? target : null;
   }
 
   // PUBLIC_INTERFACE
-  function jumpTo(step) {
+  function handleUndo() {
     /**
-     * Allows time travel within game history (not exposed in UI for now).
+     * Takes back the last move (in PVC: back to your previous turn). The undone moves stay
+     * in history for redo until a different move is played.
      */
-    setStepNumber(step);
-    setBoard(history[step]);
-    setIsXNext(step % 2 === 0);
-    setWinner(null);
-    setGameOver(false);
+    const target = undoTarget();
+    if (target !== null) jumpTo(target);
   }
 
-  // Simple computer move: pick winning move, then block, then center, then corner, then random.
   // PUBLIC_INTERFACE
-  function computerMove(squares) {
+  function handleRedo() {
     /**
-     * Implements a very basic AI for the computer's move:
-     * - Win if possible
-     * - Block opponent's win
-     * - Otherwise, follow a priority list (center > corners > random)
-     * Returns the index to move.
+     * Replays the next move of the current line (in PVC: your move and the computer's reply).
      */
-    const ai = "O";
-    const user = "X";
-
-    // Win?
-    for (let i = 0; i < 9; i++) {
-      if (!squares[i]) {
-        const clone = squares.slice();
-        clone[i] = ai;
-        if (calculateWinner(clone) === ai) return i;
+    const target = redoTarget();
+    if (target !== null) jumpTo(target);
+  }
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) to redo.
+  // Text fields keep their own undo.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target && e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
       }
     }
-    // Block?
-    for (let i = 0; i < 9; i++) {
-      if (!squares[i]) {
-        const clone = squares.slice();
-        clone[i] = user;
-        if (calculateWinner(clone) === user) return i;
-      }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+    // eslint-disable-next-line
+  }, [history, stepNumber, mode, startingPlayer]);
+
+  // Number keys 1-9 play that square of a 3x3 board (numbered row by row, as read out for
+  // the squares), unless a text field or the Assistant has the keyboard.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey || !/^[1-9]$/.test(e.key)) return;
+      if (rules.rows * rules.cols > 9) return;
+      const tag = e.target && e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (e.target.closest && e.target.closest(".ttt-assistant-panel")) return;
+      e.preventDefault();
+      handleClick(Number(e.key) - 1);
     }
-    // Center?
-    if (!squares[4]) return 4;
-    // Corners?
-    const corners = [0, 2, 6, 8];
-    const openCorners = corners.filter((i) => !squares[i]);
-    if (openCorners.length > 0) return openCorners[Math.floor(Math.random() * openCorners.length)];
-    // Sides?
-    const sides = [1, 3, 5, 7];
-    const openSides = sides.filter((i) => !squares[i]);
-    if (openSides.length > 0) return openSides[Math.floor(Math.random() * openSides.length)];
-    // Shouldn't reach here
-    return null;
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+    // eslint-disable-next-line
+  }, [board, isXNext, winner, gameOver, mode, online, rules, stepNumber, history]);
+
+  // PUBLIC_INTERFACE
+  function handleDifficultyChange(e) {
+    /**
+     * Changes the computer's strength. Applies from its next reply; the board is kept.
+     */
+    setDifficulty(e.target.value);
   }
 
   // PUBLIC_INTERFACE
   function handleModeChange(e) {
     /**
-     * Handles switching between PVP and PVC mode and resets the game.
+     * Handles switching between PVP, PVC and online mode and resets the game.
+     */
+    changeMode(e.target.value);
+  }
+
+  // Switches mode and starts a fresh game. Returns false if the player chose to stay in
+  // an unfinished tournament.
+  function changeMode(newMode) {
+    if (
+      tournament &&
+      tournamentWinner(tournament) === null &&
+      !window.confirm(t("app.leaveTournament"))
+    ) {
+      return false;
+    }
+    setMode(newMode);
+    setMatch(null);
+    setTournament(null);
+    handleNewGame(newMode, true);
+    return true;
+  }
+
+  // Connect to the relay while in online mode; leaving the mode disconnects.
+  useEffect(() => {
+    if (mode !== "ONLINE") return;
+    const client = createOnlineClient({
+      onStatus: (status) => setOnline((o) => ({ ...o, status })),
+      onMessage: handleRelayMessage,
+    });
+    onlineClientRef.current = client;
+    return () => {
+      client.close();
+      onlineClientRef.current = null;
+      onlineGameRef.current = null;
+      setOnline(OFFLINE);
+    };
+    // eslint-disable-next-line
+  }, [mode]);
+
+  function handleRelayMessage(msg) {
+    if (msg.type === "joined") {
+      setOnline((o) => ({ ...o, room: msg.room, mark: msg.mark, error: null }));
+    } else if (msg.type === "state") {
+      setOnline((o) => ({ ...o, players: msg.players, error: null }));
+      applyRelayState(msg);
+    } else if (msg.type === "error") {
+      setOnline((o) => ({
+        ...o,
+        error: msg,
+        ...(msg.code === "unknown-seat" ? { room: null, mark: null } : {}),
+      }));
+    }
+  }
+
+  // Shows the relay's authoritative game. Snapshots of a game already on screen are reused,
+  // so a resync after reconnecting does not count a finished game again.
+  function applyRelayState(msg) {
+    const relayRules = createRules(msg.rules.rows, msg.rules.cols, msg.rules.k, msg.rules.variant);
+    const key = `${msg.room}/${msg.game}`;
+    const known = onlineGameRef.current && onlineGameRef.current.key === key
+      ? onlineGameRef.current.line
+      : null;
+    let state = GameState.initial(msg.startingPlayer, relayRules);
+    const line = [known ? known[0] : state.squares];
+    for (const [n, index] of msg.moves.entries()) {
+      state = state.applyMove(index, msg.marks[n]);
+      const step = line.length;
+      line.push(known && known[step] && sameBoard(known[step], state.squares) ? known[step] : state.squares);
+    }
+    if (!known) {
+      countedRef.current = restoreCounted(freshGame(relayRules));
+    }
+    onlineGameRef.current = { key, line };
+    // The relay runs the clocks; they count down here from the time it reported.
+    setClock(msg.clock && { ...msg.clock, since: Date.now() });
+    setTimedOut(msg.timeout || null);
+    const last = line.length - 1;
+    setRules(relayRules);
+    setStartingPlayer(msg.startingPlayer);
+    setHistory(line);
+    setBranches([]);
+    setStepNumber(last);
+    setBoard(line[last]);
+    setIsXNext(msg.toMove === "X");
+  }
+
+  // PUBLIC_INTERFACE
+  function handleCreateRoom() {
+    /** Opens a new online room using the current board settings; you play X. */
+    onlineClientRef.current.leave();
+    onlineClientRef.current.createRoom(rules, timeControl);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleJoinRoom(code) {
+    /** Takes the free seat (O) in the room with the given code. */
+    onlineClientRef.current.leave();
+    onlineClientRef.current.joinRoom(code);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleLeaveRoom() {
+    /** Gives up the online seat and clears the board. */
+    onlineClientRef.current.leave();
+    onlineGameRef.current = null;
+    setOnline((o) => ({ ...OFFLINE, status: o.status }));
+    handleNewGame("ONLINE", true);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleRulesChange(newRules) {
+    /**
+     * Switches board size / win length and starts a fresh game on the new board.
+     */
+    setRules(newRules);
+    setMatch(null);
+    handleNewGame(mode, true, newRules);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleTimeControlChange(control) {
+    /**
+     * Picks the time control for new games (null: untimed). A game that hasn't started yet
+     * gets the new clocks at once.
      */
-    setMode(e.target.value);
-    handleNewGame(e.target.value, true);
+    setTimeControl(control);
+    if (history.length === 1 && mode !== "ONLINE") {
+      setClock(control ? createClock(control) : null);
+    }
   }
 
   // PUBLIC_INTERFACE
-  function handleNewGame(newMode = mode, fromModeChange = false) {
+  function handleNewGame(
+    newMode = mode,
+    fromModeChange = false,
+    newRules = rules,
+    newTimeControl = timeControl
+  ) {
     /**
-     * Starts a new game, optionally alternating the first player.
+     * Starts a new game, optionally alternating the first player, with fresh clocks.
      */
     let nextStart =
       fromModeChange || startingPlayer === "O" ? "X" : "O";
+    const freshBoard = createEmptyBoard(newRules);
+    countedRef.current = restoreCounted(freshGame(newRules));
     setStartingPlayer(nextStart);
-    setBoard(emptyBoard);
-    setHistory([emptyBoard]);
+    setBoard(freshBoard);
+    setHistory([freshBoard]);
+    setBranches([]);
     setStepNumber(0);
     setIsXNext(nextStart === "X");
     setWinner(null);
-    setStatus("Next: " + nextStart);
+    setResult(null);
     setGameOver(false);
+    setAnnouncement("");
+    setChosenMark(null);
+    setClock(newTimeControl ? createClock(newTimeControl) : null);
+    setTimedOut(null);
     if (newMode === "PVC" && nextStart === "O") {
       // Computer goes first
       setTimeout(() => {
-        computerMoveHandler(emptyBoard, false);
+        computerMoveHandler(freshBoard, false);
       }, 500);
     }
   }
 
+  // PUBLIC_INTERFACE
+  function getGameRecord() {
+    /**
+     * Current line of the game (all of it, not just up to the viewed move) as a text record.
+     */
+    return exportGame({
+      rules,
+      mode: mode === "ONLINE" ? "PVP" : mode,
+      startingPlayer,
+      history,
+      players:
+        (tournament && pairingNames(tournament, countedRef.current.recordId)) ||
+        playerNames(mode, profiles, t),
+      timeout: timedOut,
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleImport(game) {
+    /**
+     * Loads an imported record (see notation.importGame) as the current game, showing its
+     * final position. Its result is not added to the scores.
+     */
+    const last = game.history.length - 1;
+    countedRef.current = restoreCounted({ ...game, branches: [], countedResult: null });
+    // A loss on time leaves no result on the board for restoreCounted to find.
+    if (game.timeout) countedRef.current.boards.add(game.history[last]);
+    setMatch(null);
+    setTournament(null);
+    setRules(game.rules);
+    setMode(game.mode);
+    setStartingPlayer(game.startingPlayer);
+    setHistory(game.history);
+    setBranches([]);
+    setStepNumber(last);
+    setBoard(game.history[last]);
+    setIsXNext((last % 2 === 0) === (game.startingPlayer === "X"));
+    setClock(timeControl ? createClock(timeControl) : null);
+    setTimedOut(game.timeout);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleClearSaved() {
+    /**
+     * Forgets this game's saved session and goes back to the defaults: scores, settings
+     * and the game in progress. Profiles, conversations, language and theme are kept.
+     */
+    clearSession();
+    setScores({ X: 0, O: 0, Draws: 0 });
+    setMatch(null);
+    setTournament(null);
+    setDifficulty("medium");
+    setTimeControl(null);
+    setMode("PVC");
+    setRules(CLASSIC_RULES);
+    handleNewGame("PVC", true, CLASSIC_RULES, null);
+  }
+
+  // Save the session whenever something worth restoring changes. Online games live on the
+  // relay, so only scores and settings are kept while playing online.
+  useEffect(() => {
+    if (mode === "ONLINE") {
+      saveSession({ difficulty, timeControl, scores });
+      return;
+    }
+    saveSession({
+      mode,
+      difficulty,
+      timeControl,
+      scores,
+      match,
+      tournament,
+      game: {
+        rules,
+        startingPlayer,
+        history,
+        stepNumber,
+        branches,
+        countedResult: countedRef.current.result,
+        recordId: countedRef.current.recordId,
+        clock,
+        timeout: timedOut,
+      },
+    });
+  }, [
+    mode,
+    difficulty,
+    timeControl,
+    scores,
+    rules,
+    startingPlayer,
+    history,
+    stepNumber,
+    branches,
+    match,
+    tournament,
+    clock,
+    timedOut,
+  ]);
+
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  // PUBLIC_INTERFACE
+  function handleProfilesChange(next) {
+    /**
+     * Applies changes from the profiles panel. New players at the board start a fresh
+     * scoreboard and, after a finished game, a new game, so the previous players'
+     * counts and game don't carry over to them.
+     */
+    if (next.seats.X !== profiles.seats.X || next.seats.O !== profiles.seats.O) {
+      setScores({ X: 0, O: 0, Draws: 0 });
+      if (history.length > 1) handleNewGame();
+    }
+    setProfiles(next);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleStartMatch(newMatch) {
+    /**
+     * Starts a match series with a fresh game, X moving first. Its tally is kept apart
+     * from the all-time scores.
+     */
+    setMatch(newMatch);
+    handleNewGame(mode, true);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleStartTournament(newTournament) {
+    /**
+     * Starts a tournament: its pairings are played one after another as two-player games
+     * on this board, each with X moving first.
+     */
+    setMatch(null);
+    setTournament(newTournament);
+    setMode("PVP");
+    handleNewGame("PVP", true);
+  }
+
+  // Within a match or tournament, start the next game automatically once one is finished
+  // (cancelled if the position changes first, e.g. by undo).
+  useEffect(() => {
+    const series = tournament || match;
+    if (
+      series &&
+      !(tournament ? tournamentWinner(tournament) !== null : matchResult(match)) &&
+      mode !== "ONLINE" &&
+      gameOver &&
+      stepNumber === history.length - 1 &&
+      series.games.some((g) => g.id === countedRef.current.recordId)
+    ) {
+      // Tournament games always start with X; match games alternate.
+      const timer = setTimeout(() => handleNewGame(mode, !!tournament), NEXT_GAME_DELAY_MS);
+      return () => clearTimeout(timer);
+    }
+    // eslint-disable-next-line
+  }, [match, tournament, gameOver, stepNumber, history, mode]);
+
   // PUBLIC_INTERFACE
   function handleResetScores() {
     /**
@@ -178,132 +645,449 @@ function App() {
     setScores({ X: 0, O: 0, Draws: 0 });
   }
 
-  // Computer AI: play after player's move
+  // Computer AI: play after player's move (not while reviewing an earlier position)
   useEffect(() => {
     if (
       mode === "PVC" &&
       !winner &&
       !gameOver &&
-      !isXNext // Computer plays as "O"
+      !isXNext && // Computer plays as "O"
+      stepNumber === history.length - 1
     ) {
-      setTimeout(() => {
+      // Cancelled if the position changes first (new game, time travel).
+      const timer = setTimeout(() => {
         computerMoveHandler(board, true);
       }, 500);
+      return () => clearTimeout(timer);
     }
     // eslint-disable-next-line
-  }, [board, isXNext, winner, mode, gameOver]);
+  }, [board, isXNext, winner, mode, gameOver, stepNumber, history]);
 
   // PUBLIC_INTERFACE
   function computerMoveHandler(currBoard, updateBoard = true) {
-    const moveIndex = computerMove(currBoard);
-    if (moveIndex !== null && !currBoard[moveIndex]) {
-      const newBoard = currBoard.slice();
-      newBoard[moveIndex] = "O";
-      const newHistory = [...history.slice(0, stepNumber + 1), newBoard];
+    const move = computerPlay(currBoard, difficulty, "O", rules, lastMove);
+    const state = GameState.fromBoard(currBoard, "O", rules, lastMove);
+    if (move && state.legalMoves().includes(move.index)) {
       if (updateBoard) {
-        setBoard(newBoard);
-        setIsXNext(true);
-        setStepNumber(newHistory.length - 1);
-        setHistory(newHistory);
+        commitMove(state.applyMove(move.index, move.mark).squares);
+        setAnnouncement(computerMoveText(move, rules, t));
       }
     }
   }
 
-  // Update winner, game over, status, and scores after every move
+  // Update winner, game over, result, and scores after every move. A game lost on time
+  // is over whatever position is shown.
   useEffect(() => {
-    const win = calculateWinner(board);
-    const draw = isDraw(board);
-
-    if (win) {
-      setWinner(win);
-      setStatus(`Winner: ${win}`);
-      setScores((s) => ({ ...s, [win]: s[win] + 1 }));
-      setGameOver(true);
-    } else if (draw) {
-      setWinner(null);
-      setStatus("Draw!");
-      setScores((s) => ({ ...s, Draws: s.Draws + 1 }));
-      setGameOver(true);
-    } else {
-      setWinner(null);
-      setGameOver(false);
-      setStatus(`Next: ${isXNext ? "X" : "O"}`);
+    const outcome = timedOut
+      ? otherPlayer(timedOut)
+      : GameState.fromBoard(board, isXNext ? "X" : "O", rules).result();
+    const win = outcome === "draw" ? null : outcome;
+
+    if (outcome) countResult(outcome);
+    setResult(outcome);
+    setWinner(win);
+    setGameOver(Boolean(outcome));
+    // eslint-disable-next-line
+  }, [board, timedOut]);
+
+  // Counts a finished position once. A game only ever holds one result in `scores`:
+  // finishing it differently on another line replaces the result counted before.
+  function countResult(result) {
+    const counted = countedRef.current;
+    if (counted.boards.has(board)) return;
+    counted.boards.add(board);
+    const previous = counted.result;
+    counted.result = result;
+    setScores((s) => {
+      const next = { ...s };
+      if (previous) next[scoreKey(previous)] -= 1;
+      next[scoreKey(result)] += 1;
+      return next;
+    });
+    // Online games only count towards `scores`.
+    if (mode === "ONLINE") return;
+    if (tournament) {
+      // Tournament players are entered by name, not as profiles.
+      const game = { id: counted.recordId, result };
+      setTournament((t) => t && recordTournamentGame(t, game));
+      return;
+    }
+    if (match) {
+      const game = { id: counted.recordId, first: startingPlayer, result };
+      setMatch((m) => m && recordMatchGame(m, game));
+    }
+    // Profile statistics and ratings (replayed from this log, see ratings.js), with the same
+    // one-entry-per-game rule.
+    const entry = {
+      id: counted.recordId,
+      X: profiles.seats.X,
+      O: mode === "PVC" ? COMPUTER : profiles.seats.O,
+      first: startingPlayer,
+      result,
+      ...(mode === "PVC" && { level: difficulty }),
+    };
+    setProfiles((p) => recordGame(p, entry));
+  }
+
+  // PUBLIC_INTERFACE
+  function handleCommand(command) {
+    /**
+     * Carries out a command typed into the Assistant chat (see commands.js) through the
+     * same handlers as the buttons and the board. Returns the Assistant's reply, which
+     * explains why when the command can't be done right now.
+     */
+    const toMove = isXNext ? "X" : "O";
+    switch (command.action) {
+      case "play": {
+        const { index, mark } = command;
+        // In Wild games the named letter is the one to place, whoever plays it.
+        const wild = variant === "wild";
+        if (gameOver) return t("command.gameOver");
+        if (mark && mark !== toMove && !wild) return t("command.wrongTurn", { toMove, mark });
+        if (mode === "PVC" && toMove === "O") return t("command.waitComputer");
+        if (timedLineOnly && stepNumber !== history.length - 1) return t("command.timedLatest");
+        if (mode === "ONLINE" && online.mark !== toMove) {
+          return t(online.mark ? "command.opponentTurn" : "command.joinFirst");
+        }
+        if (board[index]) return t("command.taken", { number: index + 1, mark: board[index] });
+        const state = GameState.fromBoard(board, toMove, rules, lastMove);
+        if (!state.legalMoves().includes(index)) {
+          const boards = allowedBoards(board, lastMove).map((b) => b + 1);
+          return t("command.wrongBoard", { number: index + 1, boards: boards.join(t("list.or")) });
+        }
+        const placed = markToPlace(state, wild && mark ? mark : chosenMark);
+        handleClick(index, placed);
+        return t("command.played", {
+          mark: placed,
+          number: index + 1,
+          square: squareName(index, rules),
+        });
+      }
+      case "undo":
+        if (mode === "ONLINE") return t("command.noUndoOnline");
+        if (timedLineOnly) return t("command.noUndoTimed");
+        if (undoTarget() === null) return t("command.nothingToUndo");
+        handleUndo();
+        return t(mode === "PVC" ? "command.undoneYours" : "command.undone");
+      case "redo":
+        if (redoTarget() === null) return t("command.nothingToRedo");
+        handleRedo();
+        return t("command.redone");
+      case "newGame":
+        if (mode === "ONLINE") {
+          if (!gameOver || !onlineClientRef.current) return t("command.rematchLater");
+          onlineClientRef.current.rematch();
+          return t("command.rematchAsked");
+        }
+        handleNewGame();
+        return t("command.newGame");
+      case "mode": {
+        const label = t(`mode.${command.mode}`);
+        if (mode === command.mode) return t("command.sameMode", { mode: label });
+        if (!changeMode(command.mode)) return t("command.stayInTournament");
+        return t("command.modeSwitched", { mode: label });
+      }
+      case "difficulty": {
+        setDifficulty(command.level);
+        const level = t(`difficulty.${command.level}`);
+        return t(mode === "PVC" ? "command.difficulty" : "command.difficultyLater", { level });
+      }
+      case "resetScores":
+        handleResetScores();
+        return t("command.scoresReset");
+      case "score":
+        return scoreReply(scores, scoreNames || playerNames(mode, profiles, t), t);
+      case "moves":
+        return movesReply(history.slice(0, stepNumber + 1), command.count, rules, t, startingPlayer);
+      default:
+        return command.reply;
     }
+  }
+
+  // PUBLIC_INTERFACE
+  function handleAnalyze() {
+    /**
+     * Grades every move of the current (finished) line; see analysis.js.
+     */
+    setAnalysis({ history, result: analyzeGame(history, rules, startingPlayer) });
+  }
+
+  const lineFinished = !!GameState.fromBoard(history[history.length - 1], "X", rules).result();
+  const currentAnalysis = analysis && analysis.history === history ? analysis.result : null;
+  const activeHint = hint && hint.board === board && !gameOver ? hint : null;
+
+  // The position is searched just after it has been painted, so moves (and the computer's
+  // reply) show up at once and the overlay follows a moment later. Like the post-game
+  // analysis, it is only offered for the standard game.
+  useEffect(() => {
+    if (!showEval || variant !== "standard") return undefined;
+    const timer = setTimeout(() => {
+      setEvaluation({ board, result: evaluatePosition(board, isXNext ? "X" : "O", rules) });
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [showEval, board, isXNext, rules, variant]);
+  const currentEvaluation =
+    showEval && variant === "standard" && evaluation && evaluation.board === board
+      ? evaluation.result
+      : null;
+
+  // Players can only be changed before the first move or once the game is over.
+  const gameInProgress = history.length > 1 && !gameOver;
+
+  useEffect(() => {
+    const onVisibilityChange = () => setPageVisible(!document.hidden);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", onVisibilityChange);
+  }, []);
+
+  // A timed game is played on its latest position, like an online one: earlier positions
+  // can be looked at, but not played from, undone to or swapped for a variation until the
+  // game is over, so the clocks always belong to the line being played.
+  const timedLineOnly =
+    mode !== "ONLINE" && !!clock && history.length > 1 && !lineFinished && !timedOut;
+
+  // Local clocks run for the side to move in the latest position while a game is in progress
+  // and the page is visible, and the side whose time runs out loses. Online, the relay does
+  // both.
+  const clockSide = timedLineOnly && pageVisible ? playerToMove(history.length - 1) : null;
+  useEffect(() => {
+    if (mode !== "ONLINE") setClock((c) => c && runClock(c, clockSide));
+  }, [clockSide, mode]);
+
+  useEffect(() => {
+    if (mode === "ONLINE" || !clock || !clock.running) return undefined;
+    const side = clock.running;
+    const timer = setTimeout(() => {
+      setClock((c) => c && runClock(c, null));
+      setTimedOut(side);
+    }, timeLeft(clock, side));
+    return () => clearTimeout(timer);
+  }, [clock, mode]);
+  // Names for the scoreboard: the tournament pairing, or profiles once someone picked one.
+  const scoreNames = tournament
+    ? pairingNames(tournament, countedRef.current.recordId)
+    : mode !== "ONLINE" && (profiles.seats.X || (mode === "PVP" && profiles.seats.O))
+      ? playerNames(mode, profiles, t)
+      : null;
+
+  // Mirror the live game to spectator tabs/windows in this browser
+  useEffect(() => {
+    syncRef.current = createSyncChannel();
+    return () => syncRef.current.close();
+  }, []);
+
+  useEffect(() => {
+    syncRef.current.publish({
+      board,
+      rules,
+      scores,
+      result,
+      winner,
+      mode,
+      isXNext,
+      startingPlayer,
+      onlineMark: online.mark,
+      winningLine: winner ? getWinningLine(board, rules) : [],
+      lastMove,
+      names: scoreNames,
+      clock,
+      timeout: timedOut,
+    });
     // eslint-disable-next-line
-  }, [board]);
+  }, [
+    board,
+    rules,
+    scores,
+    result,
+    winner,
+    mode,
+    isXNext,
+    startingPlayer,
+    online.mark,
+    profiles,
+    clock,
+    timedOut,
+    lastMove,
+  ]);
 
   // --- Component UI ---
 
   return (
     <div className="App" style={{ minHeight: "100vh" }}>
       <div className="ttt-outer-container">
-        <h1 className="ttt-title">Tic Tac Toe Arena</h1>
+        <h1 className="ttt-title">{t("app.title")}</h1>
+        <DisplaySettings />
         <ModeSelector mode={mode} onChange={handleModeChange} />
+        {mode === "PVC" && (
+          <DifficultySelector
+            difficulty={difficulty}
+            onChange={handleDifficultyChange}
+          />
+        )}
+        {mode !== "ONLINE" && !tournament && (
+          <ProfilesPanel
+            data={profiles}
+            mode={mode}
+            locked={gameInProgress || (!!match && !matchResult(match))}
+            onChange={handleProfilesChange}
+          />
+        )}
+        {mode !== "ONLINE" && !tournament && (
+          <MatchPanel
+            match={match}
+            names={playerNames(mode, profiles, t)}
+            onStart={handleStartMatch}
+            onEnd={() => setMatch(null)}
+          />
+        )}
+        {mode !== "ONLINE" && (
+          <TournamentPanel
+            tournament={tournament}
+            onStart={handleStartTournament}
+            onEnd={() => setTournament(null)}
+          />
+        )}
+        <VariantSelector
+          rules={rules}
+          onChange={handleRulesChange}
+          disabled={(mode === "ONLINE" && !!online.room) || !!tournament}
+        />
+        <BoardSizeSelector
+          rules={rules}
+          onChange={handleRulesChange}
+          disabled={(mode === "ONLINE" && !!online.room) || !!tournament || variant !== "standard"}
+        />
+        <TimeControlSelector
+          value={timeControl}
+          onChange={handleTimeControlChange}
+          disabled={mode === "ONLINE" ? !!online.room : gameInProgress}
+        />
+        {mode === "ONLINE" && (
+          <OnlinePanel
+            online={online}
+            onCreate={handleCreateRoom}
+            onJoin={handleJoinRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
         <div className="ttt-main-panel">
-          <ScorePanel scores={scores} />
-          <div className="ttt-board-panel">
-            <GameStatus
-              status={status}
-              winner={winner}
-              mode={mode}
-              isXNext={isXNext}
+          <ScorePanel scores={scores} names={scoreNames} />
+          <div className="ttt-play-area">
+            <div className={"ttt-board-panel" + (variant === "qubic" ? " wide" : "")}>
+              <GameStatus
+                result={result}
+                winner={winner}
+                mode={mode}
+                isXNext={isXNext}
+                startingPlayer={startingPlayer}
+                onlineMark={online.mark}
+                evaluation={currentEvaluation}
+                clock={clock}
+                timeout={timedOut}
+                rules={rules}
+              />
+              {(variant === "wild" || variant === "numerical") && !gameOver && (
+                <MarkPicker
+                  marks={legalMarks(board, isXNext ? "X" : "O", rules)}
+                  value={markToPlace(GameState.fromBoard(board, isXNext ? "X" : "O", rules), chosenMark)}
+                  onChange={setChosenMark}
+                  disabled={
+                    (mode === "PVC" && !isXNext) ||
+                    (mode === "ONLINE" && online.mark !== (isXNext ? "X" : "O"))
+                  }
+                />
+              )}
+              {variant === "ultimate" ? (
+                <UltimateBoard
+                  squares={board}
+                  onClick={handleClick}
+                  disabled={!!winner || gameOver}
+                  winningLine={winner ? getWinningLine(board, rules) : []}
+                  allowed={winner || gameOver ? [] : allowedBoards(board, lastMove)}
+                  hint={activeHint}
+                />
+              ) : variant === "qubic" ? (
+                <QubicBoard
+                  squares={board}
+                  rules={rules}
+                  onClick={handleClick}
+                  disabled={!!winner || gameOver}
+                  winningLine={winner ? getWinningLine(board, rules) : []}
+                  hint={activeHint}
+                />
+              ) : (
+                <Board
+                  squares={board}
+                  rules={rules}
+                  onClick={handleClick}
+                  disabled={!!winner || gameOver}
+                  winningLine={winner ? getWinningLine(board, rules) : []}
+                  hint={activeHint}
+                  evaluation={currentEvaluation && currentEvaluation.moves}
+                />
+              )}
+              <div className="ttt-sr-only" aria-live="polite">
+                {announcement}
+              </div>
+              <ControlPanel
+                onReset={
+                  mode === "ONLINE"
+                    ? () => gameOver && onlineClientRef.current && onlineClientRef.current.rematch()
+                    : handleNewGame
+                }
+                onResetScores={handleResetScores}
+                onClearSaved={handleClearSaved}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+                canUndo={undoTarget() !== null}
+                canRedo={redoTarget() !== null}
+                mode={mode}
+                showEval={showEval}
+                onToggleEval={() => setShowEval(!showEval)}
+                canEvaluate={variant === "standard"}
+              />
+            </div>
+            <MoveHistory
+              history={history}
+              stepNumber={stepNumber}
+              branches={branches}
+              rules={rules}
               startingPlayer={startingPlayer}
-            />
-            <Board
-              squares={board}
-              onClick={handleClick}
-              disabled={!!winner || gameOver}
-              winningLine={winner ? getWinningLine(board) : []}
-            />
-            <ControlPanel
-              onReset={handleNewGame}
-              onResetScores={handleResetScores}
-              mode={mode}
+              onJump={(step) => jumpTo(step)}
+              onJumpBranch={jumpToBranch}
             />
           </div>
+          {variant === "standard" && (
+            <GameAnalysis
+              finished={lineFinished}
+              analysis={currentAnalysis}
+              stepNumber={stepNumber}
+              onAnalyze={handleAnalyze}
+              onJump={(step) => jumpTo(step)}
+            />
+          )}
+          <GameRecord getRecord={getGameRecord} onImport={handleImport} />
+          <a className="ttt-link-btn" href="#/spectator" target="_blank" rel="noopener noreferrer">
+            {t("app.spectatorLink")}
+          </a>
         </div>
       </div>
       <TTTStyles />
       <Assistant
         board={board}
+        history={history.slice(0, stepNumber + 1)}
+        gameId={countedRef.current.recordId}
+        stepNumber={stepNumber}
+        onShowPosition={showAskedPosition}
         isXNext={isXNext}
         winner={winner}
         gameOver={gameOver}
         mode={mode}
-        // Assistant suggestion logic (uses core AI, but picks for the "current user")
-        suggestMove={(b, player) => {
-          // We must reuse the same logic used in game AI, but allow for X or O (user may ask at any point)
-          // Helper: try to find winning, block, center, corners, or side
-          const opp = player === "X" ? "O" : "X";
-          // Try winning move for player
-          for (let i = 0; i < 9; i++) {
-            if (!b[i]) {
-              const clone = b.slice();
-              clone[i] = player;
-              if (calculateWinner(clone) === player) return i;
-            }
-          }
-          // Block opponent's win
-          for (let i = 0; i < 9; i++) {
-            if (!b[i]) {
-              const clone = b.slice();
-              clone[i] = opp;
-              if (calculateWinner(clone) === opp) return i;
-            }
-          }
-          // Center
-          if (!b[4]) return 4;
-          // Corners
-          const corners = [0, 2, 6, 8],
-            openCorners = corners.filter((i) => !b[i]);
-          if (openCorners.length) return openCorners[0];
-          // Sides
-          const sides = [1, 3, 5, 7],
-            openSides = sides.filter((i) => !b[i]);
-          if (openSides.length) return openSides[0];
-          // Board full
-          return null;
-        }}
+        rules={rules}
+        startingPlayer={startingPlayer}
+        analysis={currentAnalysis}
+        onHint={setHint}
+        onCommand={handleCommand}
       />
     </div>
   );
@@ -312,54 +1096,280 @@ function App() {
 // ----- UI Components -----
 
 // PUBLIC_INTERFACE
-function Board({ squares, onClick, disabled, winningLine }) {
+function Board({
+  squares,
+  rules = CLASSIC_RULES,
+  onClick,
+  disabled,
+  winningLine,
+  hint = null,
+  evaluation = null,
+  label = null,
+  highlighted = [],
+  onHover = null,
+}) {
   /**
-   * Renders the 3x3 board UI.
+   * Renders the board as rules.rows x rules.cols squares; the CSS grid sizes itself from
+   * the --ttt-rows / --ttt-cols custom properties. `hint` ({ index, lines }) highlights
+   * the Assistant's suggested square and the lines it wins, blocks or threatens.
+   * `evaluation` (index -> { outcome, plies }, see analysis.evaluatePosition) marks open
+   * squares with the result of playing there. `label` replaces the grid's accessible name.
+   * `highlighted` squares are shaded, and `onHover` hears which square the pointer or focus
+   * is on (null when it leaves).
+   * Exposed as an ARIA grid with a single tab stop: arrow keys move between squares,
+   * Home / End go to the ends of the row (with Ctrl, of the board), Enter or Space plays.
    */
+  const { t } = useI18n();
+  // Square holding the board's tab stop; back to the first one if the board shrinks.
+  const [focused, setFocused] = useState(0);
+  const squareRefs = useRef([]);
+  const size = rules.rows * rules.cols;
+  const active = focused < size ? focused : 0;
+
+  function handleKeyDown(e) {
+    const row = Math.floor(active / rules.cols);
+    const col = active % rules.cols;
+    let next;
+    if (e.key === "ArrowLeft") next = col > 0 ? active - 1 : active;
+    else if (e.key === "ArrowRight") next = col < rules.cols - 1 ? active + 1 : active;
+    else if (e.key === "ArrowUp") next = row > 0 ? active - rules.cols : active;
+    else if (e.key === "ArrowDown") next = row < rules.rows - 1 ? active + rules.cols : active;
+    else if (e.key === "Home") next = e.ctrlKey ? 0 : row * rules.cols;
+    else if (e.key === "End") next = e.ctrlKey ? size - 1 : row * rules.cols + rules.cols - 1;
+    else return;
+    e.preventDefault();
+    setFocused(next);
+    if (squareRefs.current[next]) squareRefs.current[next].focus();
+  }
+
   function renderSquare(i) {
     const isWinnerSq = winningLine && winningLine.includes(i);
+    const isHintSq = hint && hint.index === i;
+    const isThreatSq = hint && !isHintSq && hint.lines.some((line) => line.includes(i));
+    const evaluated = !squares[i] && evaluation && evaluation[i];
+    const evalText = evaluated && evaluated.outcome && evaluationText(evaluated, t);
     return (
-      <button
-        key={i}
-        className={
-          "ttt-square" +
-          (isWinnerSq ? " winner" : "") +
-          (squares[i] ? " filled" : "")
-        }
-        style={{
-          color: squares[i] === "X" ? "#1976d2" : squares[i] === "O" ? "#424242" : undefined,
-          cursor: squares[i] || disabled ? "default" : "pointer",
-        }}
-        onClick={() => {
-          if (!squares[i] && !disabled) onClick(i);
-        }}
-        tabIndex={0}
-        aria-label={`Square ${i + 1} ${squares[i] ? "occupied by " + squares[i] : ""}`}
-      >
-        {squares[i]}
-      </button>
+      <div className="ttt-cell" role="gridcell" key={i}>
+        <button
+          ref={(el) => (squareRefs.current[i] = el)}
+          className={
+            "ttt-square" +
+            (isWinnerSq ? " winner" : "") +
+            (isHintSq ? " hint" : "") +
+            (isThreatSq ? " threat" : "") +
+            (highlighted.includes(i) ? " related" : "") +
+            (squares[i] ? " filled " + markClass(squares[i]) : "")
+          }
+          style={{ cursor: squares[i] || disabled ? "default" : "pointer" }}
+          onClick={() => {
+            if (!squares[i] && !disabled) onClick(i);
+          }}
+          onFocus={() => {
+            setFocused(i);
+            if (onHover) onHover(i);
+          }}
+          onBlur={() => onHover && onHover(null)}
+          onMouseEnter={() => onHover && onHover(i)}
+          onMouseLeave={() => onHover && onHover(null)}
+          tabIndex={i === active ? 0 : -1}
+          aria-label={
+            squares[i]
+              ? t("board.occupied", { number: i + 1, mark: squares[i] })
+              : evalText
+                ? t("board.evaluated", { number: i + 1, evaluation: evalText })
+                : t("board.square", { number: i + 1 })
+          }
+        >
+          {squares[i]}
+          {evalText && (
+            <span className={"ttt-eval " + evaluated.outcome} title={evalText} aria-hidden="true">
+              {t(`eval.mark.${evaluated.outcome}`)}
+              {evaluated.plies}
+            </span>
+          )}
+        </button>
+      </div>
     );
   }
+  const rows = Array.from({ length: rules.rows }, (_, r) => r);
+  const cols = Array.from({ length: rules.cols }, (_, c) => c);
   return (
-    <div className="ttt-board">
-      {[0, 1, 2].map((row) => (
-        <div className="ttt-row" key={row}>
-          {[
-            renderSquare(row * 3 + 0),
-            renderSquare(row * 3 + 1),
-            renderSquare(row * 3 + 2),
-          ]}
+    <div
+      className="ttt-board"
+      role="grid"
+      aria-label={label || t("board.label", { rows: rules.rows, cols: rules.cols })}
+      aria-readonly={disabled || undefined}
+      style={{ "--ttt-rows": rules.rows, "--ttt-cols": rules.cols }}
+      onKeyDown={handleKeyDown}
+    >
+      {rows.map((row) => (
+        <div className="ttt-row" role="row" key={row}>
+          {cols.map((col) => renderSquare(row * rules.cols + col))}
         </div>
       ))}
     </div>
   );
 }
 
+// PUBLIC_INTERFACE
+function UltimateBoard({ squares, onClick, disabled, winningLine, allowed = [], hint = null }) {
+  /**
+   * Renders an Ultimate game as a 3x3 grid of small Boards. The small boards in `allowed`,
+   * where the next move may go, are highlighted and the others ignore clicks; a claimed
+   * board is covered by its owner's mark. `winningLine` and `hint` use 9x9 square indices.
+   */
+  const { t } = useI18n();
+  const results = smallBoardResults(squares);
+  return (
+    <div className="ttt-ultimate" role="group" aria-label={t("ultimate.label")}>
+      {SMALL_BOARDS.map((cells, b) => {
+        const { winner } = results[b];
+        const open = allowed.includes(b);
+        // Squares of this small board among `indices`, numbered within it.
+        const local = (indices) =>
+          indices.filter((i) => cells.includes(i)).map((i) => cells.indexOf(i));
+        const state = open ? "open" : !winner ? "waiting" : winner === "draw" ? "drawn" : "claimed";
+        return (
+          <div
+            key={b}
+            className={"ttt-small-board" + (open ? " allowed" : "") + (winner ? " decided" : "")}
+          >
+            <Board
+              squares={cells.map((i) => squares[i])}
+              onClick={(s) => onClick(cells[s])}
+              disabled={disabled || !open}
+              winningLine={local(winningLine)}
+              hint={
+                hint && cells.includes(hint.index)
+                  ? { index: cells.indexOf(hint.index), lines: hint.lines.map(local) }
+                  : null
+              }
+              label={t(`ultimate.board.${state}`, { number: b + 1, mark: winner })}
+            />
+            {winner && winner !== "draw" && (
+              <span className={"ttt-small-winner " + markClass(winner)} aria-hidden="true">
+                {winner}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// One layer of the Qubic cube, for the Board showing it.
+const QUBIC_LAYER = createRules(QUBIC_SIZE, QUBIC_SIZE, QUBIC_SIZE);
+const QUBIC_LAYER_SQUARES = QUBIC_SIZE * QUBIC_SIZE;
+
+// PUBLIC_INTERFACE
+function QubicBoard({ squares, rules, onClick, disabled, winningLine, hint = null }) {
+  /**
+   * Renders a Qubic game as its four 4x4 layers, top layer first: side by side, or with
+   * "3D view" stacked into a cube that the slider turns. Hovering or focusing a square
+   * highlights every line through it. `winningLine` and `hint` use squares of the whole cube.
+   */
+  const { t } = useI18n();
+  const [hovered, setHovered] = useState(null);
+  const [cube, setCube] = useState(false);
+  const [angle, setAngle] = useState(30);
+  const related =
+    hovered === null ? [] : getLines(rules).filter((line) => line.includes(hovered)).flat();
+  return (
+    <div className="ttt-qubic-panel">
+      <div className="ttt-qubic-view">
+        <label>
+          <input type="checkbox" checked={cube} onChange={(e) => setCube(e.target.checked)} />{" "}
+          {t("qubic.cube")}
+        </label>
+        {cube && (
+          <label>
+            {t("qubic.turn")}{" "}
+            <input
+              type="range"
+              min="0"
+              max="359"
+              value={angle}
+              onChange={(e) => setAngle(Number(e.target.value))}
+            />
+          </label>
+        )}
+      </div>
+      <div
+        className={"ttt-qubic" + (cube ? " cube" : "")}
+        style={{ "--ttt-qubic-angle": `${angle}deg` }}
+        role="group"
+        aria-label={t("qubic.label")}
+      >
+        {Array.from({ length: QUBIC_SIZE }, (_, layer) => {
+          const offset = layer * QUBIC_LAYER_SQUARES;
+          // Squares of this layer among `indices`, numbered within it.
+          const local = (indices) =>
+            indices
+              .filter((i) => i >= offset && i < offset + QUBIC_LAYER_SQUARES)
+              .map((i) => i - offset);
+          return (
+            <div className="ttt-qubic-layer" key={layer} style={{ "--ttt-layer": layer }}>
+              <span className="ttt-qubic-caption" aria-hidden="true">
+                {t("qubic.layer", { number: layer + 1 })}
+              </span>
+              <Board
+                squares={squares.slice(offset, offset + QUBIC_LAYER_SQUARES)}
+                rules={QUBIC_LAYER}
+                onClick={(s) => onClick(offset + s)}
+                disabled={disabled}
+                winningLine={local(winningLine)}
+                hint={hint && { index: hint.index - offset, lines: hint.lines.map(local) }}
+                highlighted={local(related)}
+                onHover={(s) => setHovered(s === null ? null : offset + s)}
+                label={t("qubic.layer", { number: layer + 1 })}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function DisplaySettings() {
+  /**
+   * Renders the theme choice (follow the system setting, or light / dark / high contrast)
+   * and the language picker, each language named in itself.
+   */
+  const { choice, setChoice } = useTheme();
+  const { t, language, setLanguage } = useI18n();
+  return (
+    <div className="ttt-mode-selector ttt-size-selector ttt-theme-selector">
+      <label>
+        {t("settings.theme")}{" "}
+        <select value={choice} onChange={(e) => setChoice(e.target.value)}>
+          {THEME_CHOICES.map((c) => (
+            <option key={c} value={c}>{t(`theme.${c}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("settings.language")}{" "}
+        <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+          {Object.entries(LANGUAGES).map(([code, catalog]) => (
+            <option key={code} value={code} lang={code}>
+              {catalog.name}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
 // PUBLIC_INTERFACE
 function ModeSelector({ mode, onChange }) {
   /**
    * Renders the human-vs-computer and human-vs-human mode selection controls.
    */
+  const { t } = useI18n();
   return (
     <div className="ttt-mode-selector">
       <label>
@@ -370,7 +1380,7 @@ function ModeSelector({ mode, onChange }) {
           checked={mode === "PVC"}
           onChange={onChange}
         />
-        Human vs Computer
+        {t("mode.PVC")}
       </label>
       <label>
         <input
@@ -380,118 +1390,599 @@ function ModeSelector({ mode, onChange }) {
           checked={mode === "PVP"}
           onChange={onChange}
         />
-        Two Players
+        {t("mode.PVP")}
+      </label>
+      <label>
+        <input
+          type="radio"
+          name="ttt-mode"
+          value="ONLINE"
+          checked={mode === "ONLINE"}
+          onChange={onChange}
+        />
+        {t("mode.ONLINE")}
       </label>
     </div>
   );
 }
 
 // PUBLIC_INTERFACE
-function ScorePanel({ scores }) {
+function DifficultySelector({ difficulty, onChange }) {
   /**
-   * Displays the running score for X, O, and draws.
+   * Renders the computer difficulty choice (Easy / Medium / Hard) for PVC mode.
    */
+  const { t } = useI18n();
+  const levels = ["easy", "medium", "hard"];
   return (
-    <div className="ttt-score-panel">
-      <span className="score-x">
-        X: <strong>{scores.X}</strong>
-      </span>
-      <span className="score-o">
-        O: <strong>{scores.O}</strong>
-      </span>
-      <span className="score-draw">
-        Draws: <strong>{scores.Draws}</strong>
-      </span>
+    <div className="ttt-mode-selector ttt-difficulty-selector">
+      {levels.map((level) => (
+        <label key={level}>
+          <input
+            type="radio"
+            name="ttt-difficulty"
+            value={level}
+            checked={difficulty === level}
+            onChange={onChange}
+          />
+          {t(`difficulty.${level}`)}
+        </label>
+      ))}
     </div>
   );
 }
 
 // PUBLIC_INTERFACE
-function GameStatus({ status, winner, mode, isXNext, startingPlayer }) {
+function BoardSizeSelector({ rules, onChange, disabled = false }) {
   /**
-   * Shows current game status, winner, and player to move.
+   * Renders the rows / columns / "in a row to win" pickers for m,n,k games
+   * (3x3 classic up to 15x15 Gomoku). Calls onChange with a new rules object.
    */
-  // Add description text depending on mode
-  let desc = "";
-  if (winner) {
-    desc = winner === "X"
-      ? "X wins!"
-      : winner === "O"
-        ? "O wins!"
-        : "";
-  } else if (status === "Draw!") {
-    desc = "It's a draw!";
-  } else {
-    desc =
-      mode === "PVC"
-        ? isXNext
-          ? "Your turn (X)"
-          : "Computer's turn (O)"
-        : `Player ${isXNext ? "X" : "O"}'s turn`;
+  const { t } = useI18n();
+  const sizes = [];
+  for (let n = MIN_SIZE; n <= MAX_SIZE; n++) sizes.push(n);
+  const winLengths = sizes.filter((n) => n <= Math.max(rules.rows, rules.cols));
+
+  function update(rows, cols, k) {
+    // Keep k playable when the board shrinks.
+    onChange(createRules(rows, cols, Math.min(k, Math.max(rows, cols))));
   }
 
   return (
-    <div className="ttt-status-panel">
-      <span className="ttt-status">{desc}</span>
+    <div className="ttt-mode-selector ttt-size-selector">
+      <label>
+        {t("size.rows")}{" "}
+        <select
+          disabled={disabled}
+          value={rules.rows}
+          onChange={(e) => update(Number(e.target.value), rules.cols, rules.k)}
+        >
+          {sizes.map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("size.cols")}{" "}
+        <select
+          disabled={disabled}
+          value={rules.cols}
+          onChange={(e) => update(rules.rows, Number(e.target.value), rules.k)}
+        >
+          {sizes.map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("size.k")}{" "}
+        <select
+          disabled={disabled}
+          value={rules.k}
+          onChange={(e) => update(rules.rows, rules.cols, Number(e.target.value))}
+        >
+          {winLengths.map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+      </label>
     </div>
   );
 }
 
 // PUBLIC_INTERFACE
-function ControlPanel({ onReset, onResetScores }) {
+function VariantSelector({ rules, onChange, disabled = false }) {
   /**
-   * Control buttons for new game (reset board) and reset scores.
+   * Renders the variant picker: standard, Misère, Wild, Numerical, Ultimate or Qubic (3D)
+   * tic-tac-toe. Each variant has its own board (9x9 for Ultimate, the 4x4x4 cube for Qubic,
+   * 3x3 for the others), so picking one calls onChange with rules for that board; back to
+   * standard is the classic 3x3 game.
    */
+  const { t } = useI18n();
   return (
-    <div className="ttt-controls">
-      <button className="ttt-btn ttt-btn-accent" onClick={() => onReset()}>
-        New Game
-      </button>
-      <button className="ttt-btn ttt-btn-outline" onClick={onResetScores}>
-        Reset Scores
-      </button>
+    <div className="ttt-mode-selector ttt-variant-selector">
+      <label>
+        {t("variant.label")}{" "}
+        <select
+          disabled={disabled}
+          value={variantOf(rules)}
+          onChange={(e) =>
+            onChange(
+              e.target.value === "standard"
+                ? CLASSIC_RULES
+                : e.target.value === "ultimate"
+                  ? createRules(9, 9, 3, "ultimate")
+                  : e.target.value === "qubic"
+                    ? createRules(QUBIC_SIZE * QUBIC_SIZE, QUBIC_SIZE, QUBIC_SIZE, "qubic")
+                    : createRules(3, 3, 3, e.target.value)
+            )
+          }
+        >
+          {VARIANTS.map((id) => (
+            <option key={id} value={id}>
+              {t(`variant.${id}`)}
+            </option>
+          ))}
+        </select>
+      </label>
     </div>
   );
 }
 
 // PUBLIC_INTERFACE
-function getWinningLine(squares) {
+function MarkPicker({ marks, value, onChange, disabled = false }) {
   /**
-   * Returns the array of the winning line indices if any, or [].
+   * What the next move places in Wild (X or O) and Numerical (the unused odd or even
+   * numbers) games, as a row of toggle buttons; `value` is the one selected.
    */
-  const lines = [
-    [0, 1, 2],
-    [3, 4, 5],
-    [6, 7, 8], // rows
-    [0, 3, 6],
-    [1, 4, 7],
-    [2, 5, 8], // columns
-    [0, 4, 8],
-    [2, 4, 6], // diagonals
-  ];
-  for (let i = 0; i < lines.length; i++) {
-    const [a, b, c] = lines[i];
-    if (
-      squares[a] &&
-      squares[a] === squares[b] &&
-      squares[a] === squares[c]
-    ) {
-      return [a, b, c];
-    }
-  }
-  return [];
+  const { t } = useI18n();
+  return (
+    <div className="ttt-mark-picker" role="group" aria-label={t("variant.place")}>
+      {marks.map((mark) => (
+        <button
+          key={mark}
+          className={"ttt-mark-choice " + markClass(mark) + (mark === value ? " selected" : "")}
+          aria-pressed={mark === value}
+          disabled={disabled}
+          onClick={() => onChange(mark)}
+        >
+          {mark}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function TimeControlSelector({ value, onChange, disabled = false }) {
+  /**
+   * Renders the time control picker: untimed, a fixed time per move, or a time per game
+   * with an increment (see clock.js). Calls onChange with the TIME_CONTROLS id or null.
+   */
+  const { t } = useI18n();
+  return (
+    <div className="ttt-mode-selector ttt-clock-selector">
+      <label title={disabled ? t("clock.locked") : undefined}>
+        {t("clock.control")}{" "}
+        <select
+          disabled={disabled}
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value || null)}
+        >
+          <option value="">{t("clock.untimed")}</option>
+          {Object.entries(TIME_CONTROLS).map(([id, control]) => (
+            <option key={id} value={id}>
+              {control.kind === "move"
+                ? t("clock.perMove", { seconds: control.seconds })
+                : t("clock.perGame", {
+                    time: formatClock(control.seconds * 1000),
+                    increment: control.increment,
+                  })}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function ScorePanel({ scores, names }) {
+  /**
+   * Displays the running score for X, O, and draws, labelled with the players' names
+   * when `names` ({ X, O }) is given.
+   */
+  const { t } = useI18n();
+  return (
+    <div className="ttt-score-panel">
+      <span className="score-x">
+        {names ? `${names.X} (X)` : "X"}: <strong>{scores.X}</strong>
+      </span>
+      <span className="score-o">
+        {names ? `${names.O} (O)` : "O"}: <strong>{scores.O}</strong>
+      </span>
+      <span className="score-draw">
+        {t("score.draws")}: <strong>{scores.Draws}</strong>
+      </span>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function GameStatus({
+  result = null,
+  winner,
+  mode,
+  isXNext,
+  startingPlayer,
+  onlineMark,
+  evaluation = null,
+  clock = null,
+  timeout = null,
+  rules = CLASSIC_RULES,
+}) {
+  /**
+   * Shows current game status, winner, and player to move, plus an evaluation bar when
+   * `evaluation` ({ outcome, bar }, see analysis.evaluatePosition) is given and both
+   * chess clocks in timed games (`clock`, see clock.js; `timeout` is the side that lost
+   * on time). Variant games get a reminder of their rule under the status. `result` is
+   * 'X' | 'O' | 'draw' once the game is over, else null; only the text shown is localized.
+   * The status text is a live region, so screen readers announce it as it changes.
+   */
+  const { t } = useI18n();
+  const variant = variantOf(rules);
+  // Add description text depending on mode
+  const next = isXNext ? "X" : "O";
+  let desc = "";
+  if (timeout) {
+    desc = t("status.timeout", { loser: timeout, winner: otherPlayer(timeout) });
+  } else if (winner && variant === "misere") {
+    desc = t("status.misereWin", { loser: otherPlayer(winner), winner });
+  } else if (winner) {
+    desc = winner === "X" || winner === "O" ? t("status.wins", { mark: winner }) : "";
+  } else if (result === "draw") {
+    desc = t("status.draw");
+  } else if (mode === "ONLINE") {
+    desc = !onlineMark
+      ? t("status.onlineIdle")
+      : next === onlineMark
+        ? t("status.yourTurn", { mark: next })
+        : t("status.opponentTurn", { mark: next });
+  } else {
+    desc =
+      mode === "PVC"
+        ? isXNext
+          ? t("status.yourTurn", { mark: "X" })
+          : t("status.computerTurn", { mark: "O" })
+        : t("status.playerTurn", { mark: next });
+  }
+
+  return (
+    <div className="ttt-status-panel">
+      <span className="ttt-status" role="status">
+        {desc}
+      </span>
+      {variant !== "standard" && (
+        <span className="ttt-variant-note">
+          {t(`variant.note.${variant}`, { odd: startingPlayer, even: otherPlayer(startingPlayer) })}
+        </span>
+      )}
+      {clock && <ChessClocks clock={clock} />}
+      {evaluation && (
+        <div
+          className="ttt-eval-bar"
+          role="meter"
+          aria-label={t("eval.label")}
+          aria-valuemin={-1}
+          aria-valuemax={1}
+          aria-valuenow={evaluation.bar}
+          aria-valuetext={outcomeLabel(evaluation.outcome, t)}
+          title={t("eval.bestPlay", { outcome: outcomeLabel(evaluation.outcome, t) })}
+        >
+          <div className="ttt-eval-bar-x" style={{ width: `${(evaluation.bar + 1) * 50}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function ControlPanel({
+  onReset,
+  onResetScores,
+  onClearSaved,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  showEval,
+  onToggleEval,
+  canEvaluate = true,
+}) {
+  /**
+   * Control buttons for undo / redo, new game (reset board), reset scores, the
+   * evaluation overlay (unless `canEvaluate` is off) and clearing the data saved in this
+   * browser.
+   */
+  const { t } = useI18n();
+  return (
+    <div className="ttt-controls">
+      <button
+        className="ttt-btn ttt-btn-outline ttt-btn-compact"
+        onClick={onUndo}
+        disabled={!canUndo}
+        title={t("controls.undoTitle")}
+      >
+        {t("controls.undo")}
+      </button>
+      <button
+        className="ttt-btn ttt-btn-outline ttt-btn-compact"
+        onClick={onRedo}
+        disabled={!canRedo}
+        title={t("controls.redoTitle")}
+      >
+        {t("controls.redo")}
+      </button>
+      <button className="ttt-btn ttt-btn-accent" onClick={() => onReset()}>
+        {t("controls.newGame")}
+      </button>
+      <button className="ttt-btn ttt-btn-outline" onClick={onResetScores}>
+        {t("controls.resetScores")}
+      </button>
+      {canEvaluate && (
+        <button
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          aria-pressed={showEval}
+          onClick={onToggleEval}
+          title={t("controls.evaluationTitle")}
+        >
+          {t("controls.evaluation")}
+        </button>
+      )}
+      <button className="ttt-link-btn" onClick={onClearSaved}>
+        {t("controls.clearSaved")}
+      </button>
+    </div>
+  );
+}
+
+// Both sides' remaining time; redrawn every tenth of a second while one is running.
+function ChessClocks({ clock }) {
+  const { t } = useI18n();
+  const [, setNow] = useState(0);
+  useEffect(() => {
+    if (!clock.running) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [clock]);
+
+  const now = Date.now();
+  return (
+    <div className="ttt-clocks">
+      {PLAYERS.map((mark) => {
+        const left = timeLeft(clock, mark, now);
+        return (
+          <span
+            key={mark}
+            role="timer"
+            aria-label={t("clock.mark", { mark })}
+            className={
+              "ttt-clock" +
+              (clock.running === mark ? " running" : "") +
+              (left < LOW_TIME_MS ? " low" : "")
+            }
+          >
+            {mark} {formatClock(left)}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+// Class for a filled square: x, o, or num for the numbers of Numerical games.
+function markClass(mark) {
+  return typeof mark === "number" ? "num" : mark.toLowerCase();
+}
+
+// "win in 3 moves", counting the moves of both sides until the game ends. The overlay
+// marks the square with eval.mark.* (W / D / L) and the same count.
+function evaluationText({ outcome, plies }, t) {
+  return t(`eval.${outcome}`, { count: plies });
+}
+
+// `mark` if the side to move in `state` may place it, else their default mark.
+function markToPlace(state, mark) {
+  const marks = state.legalMarks();
+  return marks.includes(mark) ? mark : marks[0];
+}
+
+// Screen-reader announcement of the computer's move. Ultimate and Qubic squares are
+// numbered within their small board or layer, like their labels.
+function computerMoveText({ index, mark }, rules, t) {
+  switch (variantOf(rules)) {
+    case "ultimate": {
+      const board = smallBoardOf(index);
+      return t("announce.computerMoveUltimate", {
+        mark,
+        board: board + 1,
+        number: SMALL_BOARDS[board].indexOf(index) + 1,
+      });
+    }
+    case "qubic":
+      return t("announce.computerMoveQubic", {
+        mark,
+        layer: Math.floor(index / QUBIC_LAYER_SQUARES) + 1,
+        number: (index % QUBIC_LAYER_SQUARES) + 1,
+      });
+    default:
+      return t("announce.computerMove", {
+        mark,
+        square: squareName(index, rules),
+        number: index + 1,
+      });
+  }
+}
+
+// Square played by move `step` of `line` (a list of boards), or null for the first position.
+function lastMoveOf(line, step) {
+  if (step === 0) return null;
+  return line[step].findIndex((sq, i) => sq !== line[step - 1][i]);
+}
+
+// Key in `scores` for a result: 'X', 'O' or 'draw'.
+function scoreKey(result) {
+  return result === "draw" ? "Draws" : result;
+}
+
+// Pause between games of a match before the next one starts on its own.
+const NEXT_GAME_DELAY_MS = 1500;
+
+// Online state while not seated in a room.
+const OFFLINE = { status: "closed", room: null, mark: null, players: {}, error: null };
+
+// Display names used in game records and on the scoreboard: seated profiles by name.
+function playerNames(mode, profiles, t) {
+  const names =
+    mode === "PVC"
+      ? { X: t("names.you"), O: t("names.computer") }
+      : { X: t("names.player", { mark: "X" }), O: t("names.player", { mark: "O" }) };
+  if (mode === "ONLINE") return names;
+  if (profiles.seats.X) names.X = playerName(profiles, profiles.seats.X, t);
+  if (mode === "PVP" && profiles.seats.O) names.O = playerName(profiles, profiles.seats.O, t);
+  return names;
+}
+
+// Game state for an empty board of the given rules, X to start.
+function freshGame(rules) {
+  return {
+    rules,
+    startingPlayer: "X",
+    history: [createEmptyBoard(rules)],
+    stepNumber: 0,
+    branches: [],
+    countedResult: null,
+    recordId: null,
+  };
+}
+
+// Scoring bookkeeping for a (possibly restored) game: every finished position already in
+// its lines counts as recorded, so reloading the page never scores a game again.
+function restoreCounted(game) {
+  const boards = new WeakSet();
+  for (const line of [game.history, ...game.branches]) {
+    for (const squares of line) {
+      if (GameState.fromBoard(squares, "X", game.rules).result()) boards.add(squares);
+    }
+  }
+  // recordId: this game's id, for its entry in the profiles log and its Assistant chat.
+  return { result: game.countedResult, boards, recordId: game.recordId || newRecordId() };
 }
 
 // PUBLIC_INTERFACE
 function TTTStyles() {
   /**
    * Adds modern, minimalistic styles scoped for the Tic Tac Toe Arena.
-   * Uses the requested palette: accent (#ffcf33), primary (#1976d2), secondary (#424242)
+   * Colors come from the --ttt-* custom properties of the active theme (see theme.js); the
+   * light palette is the requested one: accent (#ffcf33), primary (#1976d2), secondary (#424242).
    */
   return (
     <style>{`
+    :root, [data-theme="light"] {
+      color-scheme: light;
+      --ttt-page: #fff;
+      --ttt-surface: #f8f9fa;
+      --ttt-field: #fff;
+      --ttt-border: #e9ecef;
+      --ttt-text: #424242;
+      --ttt-text-strong: #282c34;
+      --ttt-muted: #6c757d;
+      --ttt-primary: #1976d2;
+      --ttt-on-primary: #fff;
+      --ttt-accent: #ffcf33;
+      --ttt-on-accent: #282c34;
+      --ttt-x: #1976d2;
+      --ttt-o: #424242;
+      --ttt-on-o: #fff;
+      --ttt-hint: #e3f2fd;
+      --ttt-danger: #d33;
+      --ttt-warning: #e69500;
+      --ttt-success: #2e7d32;
+      --ttt-focus: #0d47a1;
+    }
+    [data-theme="dark"] {
+      color-scheme: dark;
+      --ttt-page: #1a1a1a;
+      --ttt-surface: #24272e;
+      --ttt-field: #2c3038;
+      --ttt-border: #3c414b;
+      --ttt-text: #d7dae0;
+      --ttt-text-strong: #f1f3f5;
+      --ttt-muted: #9aa0a6;
+      --ttt-primary: #64b5f6;
+      --ttt-on-primary: #0d1b2a;
+      --ttt-accent: #ffcf33;
+      --ttt-on-accent: #282c34;
+      --ttt-x: #64b5f6;
+      --ttt-o: #e0e0e0;
+      --ttt-on-o: #1a1a1a;
+      --ttt-hint: #1e3a5f;
+      --ttt-danger: #ff6b6b;
+      --ttt-warning: #ffb74d;
+      --ttt-success: #81c784;
+      --ttt-focus: #ffcf33;
+    }
+    /* Black and white with saturated marks: no text below 7:1 contrast */
+    [data-theme="high-contrast"] {
+      color-scheme: dark;
+      --ttt-page: #000;
+      --ttt-surface: #000;
+      --ttt-field: #000;
+      --ttt-border: #fff;
+      --ttt-text: #fff;
+      --ttt-text-strong: #fff;
+      --ttt-muted: #fff;
+      --ttt-primary: #ffff00;
+      --ttt-on-primary: #000;
+      --ttt-accent: #00ffff;
+      --ttt-on-accent: #000;
+      --ttt-x: #ffff00;
+      --ttt-o: #fff;
+      --ttt-on-o: #000;
+      --ttt-hint: #1a1a66;
+      --ttt-danger: #ff8080;
+      --ttt-warning: #ffb000;
+      --ttt-success: #00ff00;
+      --ttt-focus: #00ffff;
+    }
+    body, .App {
+      background: var(--ttt-page);
+      color: var(--ttt-text);
+    }
+    .App select, .App textarea, .App input:not([type="radio"]) {
+      background: var(--ttt-field);
+      color: var(--ttt-text);
+    }
+    .ttt-btn:focus-visible, .ttt-link-btn:focus-visible, .ttt-history-move:focus-visible {
+      outline: 3px solid var(--ttt-focus);
+      outline-offset: 2px;
+    }
+    /* Announcements for screen readers only */
+    .ttt-sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
+    }
+    .ttt-theme-selector {
+      margin-top: -12px;
+    }
     .ttt-outer-container {
-      max-width: 480px;
+      max-width: 760px;
       margin: 0 auto;
       padding: 24px 16px 40px 16px;
       display: flex;
@@ -499,14 +1990,14 @@ function TTTStyles() {
       align-items: center;
       justify-content: flex-start;
       min-height: 100vh;
-      background: var(--bg-primary, #fff);
+      background: var(--ttt-page);
     }
     .ttt-title {
       font-size: 2.2rem;
       font-weight: 700;
       letter-spacing: -0.6px;
       margin: 0 0 20px 0;
-      color: #1976d2;
+      color: var(--ttt-primary);
       text-align: center;
     }
     .ttt-main-panel {
@@ -517,7 +2008,7 @@ function TTTStyles() {
       align-items: center;
     }
     .ttt-board-panel {
-      background: #f8f9fa;
+      background: var(--ttt-surface);
       padding: 20px 16px;
       border-radius: 16px;
       box-shadow: 0 2px 16px 0 rgba(0,0,0,0.07);
@@ -527,6 +2018,378 @@ function TTTStyles() {
       width: 100%;
       max-width: 350px;
     }
+    .ttt-play-area {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 18px;
+      justify-content: center;
+      align-items: flex-start;
+      width: 100%;
+    }
+    .ttt-play-area .ttt-board-panel {
+      flex: 1 1 300px;
+    }
+    .ttt-history-panel {
+      flex: 0 1 200px;
+      background: var(--ttt-surface);
+      padding: 14px 12px;
+      border-radius: 16px;
+      box-shadow: 0 2px 16px 0 rgba(0,0,0,0.07);
+      width: 100%;
+      max-width: 200px;
+      max-height: 460px;
+      overflow-y: auto;
+      text-align: start;
+    }
+    .ttt-history-title {
+      font-weight: 700;
+      color: var(--ttt-primary);
+      margin: 4px 0 6px 0;
+    }
+    .ttt-history-list {
+      list-style: none;
+      margin: 0 0 10px 0;
+      padding: 0;
+      display: flex;
+      flex-direction: column;
+      gap: 3px;
+    }
+    .ttt-history-branch {
+      padding-inline-start: 10px;
+      border-inline-start: 2px solid var(--ttt-border);
+    }
+    .ttt-history-move {
+      font: inherit;
+      font-size: 0.95rem;
+      width: 100%;
+      text-align: start;
+      background: transparent;
+      border: none;
+      border-radius: 6px;
+      padding: 3px 8px;
+      color: var(--ttt-text);
+      cursor: pointer;
+    }
+    .ttt-history-move:hover {
+      background: var(--ttt-border);
+    }
+    .ttt-history-move.active {
+      background: var(--ttt-primary);
+      color: var(--ttt-on-primary);
+      font-weight: 600;
+    }
+    .ttt-record-panel {
+      width: 100%;
+      max-width: 560px;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+    }
+    .ttt-record-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      justify-content: center;
+    }
+    .ttt-record-import {
+      width: 100%;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+    .ttt-record-text {
+      width: 100%;
+      box-sizing: border-box;
+      font-family: source-code-pro, Menlo, Monaco, Consolas, "Courier New", monospace;
+      font-size: 0.9rem;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      padding: 8px;
+      resize: vertical;
+    }
+    .ttt-file-btn input[type="file"] {
+      display: none;
+    }
+    .ttt-record-message {
+      font-size: 0.95rem;
+    }
+    .ttt-record-message.info {
+      color: var(--ttt-primary);
+    }
+    .ttt-record-message.error {
+      color: var(--ttt-danger);
+    }
+    .ttt-profiles-panel {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      margin: 0 auto 16px auto;
+      color: var(--ttt-text);
+    }
+    .ttt-seats, .ttt-profile-add, .ttt-stats-header {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px 14px;
+      align-items: center;
+      justify-content: center;
+    }
+    .ttt-seat select, .ttt-profile-add input, .ttt-stats-header select {
+      font: inherit;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      padding: 6px 9px;
+    }
+    .ttt-profile-add input {
+      width: 140px;
+    }
+    .ttt-stats {
+      background: var(--ttt-surface);
+      border-radius: 12px;
+      padding: 12px 14px;
+      width: 100%;
+      max-width: 420px;
+    }
+    .ttt-stats-header .ttt-link-btn {
+      flex-basis: auto;
+    }
+    .ttt-leaderboard .ttt-history-move {
+      padding: 2px 6px;
+    }
+    .ttt-leaderboard-name {
+      text-align: start !important;
+    }
+    .ttt-rating-chart {
+      display: block;
+      width: 100%;
+      height: auto;
+      margin: 12px 0 4px 0;
+    }
+    .ttt-leaderboard-note {
+      font-size: 0.8rem;
+      opacity: 0.75;
+      margin: 4px 0 0 0;
+    }
+    .ttt-match-panel {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px 10px;
+      align-items: center;
+      justify-content: center;
+      margin: 0 auto 16px auto;
+      color: var(--ttt-text);
+    }
+    .ttt-match-panel select {
+      font: inherit;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      padding: 6px 9px;
+    }
+    .ttt-match-active {
+      flex-direction: column;
+    }
+    .ttt-match-progress {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px 12px;
+      align-items: center;
+      justify-content: center;
+    }
+    .ttt-match-progress .ttt-link-btn {
+      flex-basis: auto;
+    }
+    .ttt-match-dots {
+      display: inline-flex;
+      gap: 4px;
+    }
+    .ttt-match-dot {
+      width: 22px;
+      height: 22px;
+      border-radius: 50%;
+      font-size: 0.8rem;
+      font-weight: 700;
+      line-height: 22px;
+      text-align: center;
+      background: var(--ttt-border);
+    }
+    .ttt-match-dot.X {
+      background: var(--ttt-x);
+      color: var(--ttt-on-primary);
+    }
+    .ttt-match-dot.O {
+      background: var(--ttt-o);
+      color: var(--ttt-on-o);
+    }
+    .ttt-match-summary {
+      max-width: 360px;
+    }
+    .ttt-match-summary caption {
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+    .ttt-tournament-panel {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 10px;
+      margin: 0 auto 16px auto;
+      width: 100%;
+      color: var(--ttt-text);
+    }
+    .ttt-tournament-setup {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      width: 100%;
+      max-width: 320px;
+    }
+    .ttt-tournament-setup select {
+      font: inherit;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      padding: 6px 9px;
+    }
+    .ttt-bracket {
+      display: flex;
+      gap: 12px;
+      overflow-x: auto;
+      max-width: 100%;
+      padding-bottom: 4px;
+    }
+    .ttt-bracket-round {
+      display: flex;
+      flex-direction: column;
+      justify-content: space-around;
+      gap: 8px;
+      min-width: 120px;
+    }
+    .ttt-bracket-match {
+      background: var(--ttt-surface);
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      font-size: 0.9rem;
+      text-align: start;
+    }
+    .ttt-bracket-match.current {
+      border-color: var(--ttt-accent);
+      box-shadow: 0 0 6px var(--ttt-accent);
+    }
+    .ttt-bracket-player {
+      padding: 3px 8px;
+    }
+    .ttt-bracket-player + .ttt-bracket-player {
+      border-top: 1px solid var(--ttt-border);
+    }
+    .ttt-bracket-player.winner {
+      font-weight: 700;
+      color: var(--ttt-primary);
+    }
+    .ttt-bracket-player.bye, .ttt-bracket-note {
+      opacity: 0.6;
+      font-style: italic;
+    }
+    .ttt-bracket-note {
+      font-size: 0.75rem;
+      padding: 0 8px 3px 8px;
+    }
+    .ttt-round-robin {
+      width: 100%;
+      max-width: 420px;
+    }
+    .ttt-schedule {
+      margin-top: 10px;
+      font-size: 0.9rem;
+      text-align: start;
+    }
+    .ttt-schedule li.current {
+      font-weight: 600;
+    }
+    .ttt-analysis-panel {
+      width: 100%;
+      max-width: 560px;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+    }
+    .ttt-analysis-summary {
+      margin: 0 0 8px 0;
+      color: var(--ttt-text);
+    }
+    .ttt-analysis-list {
+      width: 100%;
+    }
+    .ttt-analysis-grade {
+      display: inline-block;
+      min-width: 24px;
+      font-weight: 700;
+    }
+    .ttt-analysis-move.inaccuracy .ttt-analysis-grade {
+      color: var(--ttt-warning);
+    }
+    .ttt-analysis-move.blunder .ttt-analysis-grade {
+      color: var(--ttt-danger);
+    }
+    .ttt-analysis-turn {
+      font-weight: 600;
+    }
+    .ttt-analysis-better {
+      opacity: 0.75;
+    }
+    .ttt-stats-summary {
+      margin: 10px 0;
+    }
+    .ttt-stats-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9rem;
+    }
+    .ttt-stats-table th, .ttt-stats-table td {
+      padding: 4px 6px;
+      text-align: right;
+      border-bottom: 1px solid var(--ttt-border);
+    }
+    .ttt-stats-table th[scope="row"] {
+      text-align: start;
+      font-weight: 500;
+    }
+    .ttt-online-panel {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px 14px;
+      align-items: center;
+      justify-content: center;
+      margin: 0 auto 16px auto;
+      color: var(--ttt-text);
+    }
+    .ttt-online-join {
+      display: flex;
+      gap: 6px;
+    }
+    .ttt-online-code-input {
+      font: inherit;
+      width: 110px;
+      text-transform: uppercase;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 8px;
+      padding: 6px 9px;
+    }
+    .ttt-online-code {
+      letter-spacing: 2px;
+      color: var(--ttt-primary);
+    }
+    .ttt-online-status {
+      font-size: 0.85rem;
+      opacity: 0.8;
+    }
+    .ttt-online-status.reconnecting {
+      color: var(--ttt-danger);
+      opacity: 1;
+    }
+    .ttt-online-panel .ttt-link-btn {
+      flex-basis: auto;
+    }
     .ttt-mode-selector {
       display: flex;
       gap: 18px;
@@ -537,11 +2400,26 @@ function TTTStyles() {
       font-weight: 500;
       font-size: 1rem;
       cursor: pointer;
-      color: #424242;
+      color: var(--ttt-text);
+    }
+    .ttt-difficulty-selector {
+      margin-top: -6px;
+    }
+    .ttt-difficulty-selector label {
+      font-size: 0.92rem;
+    }
+    .ttt-size-selector select,
+    .ttt-variant-selector select,
+    .ttt-clock-selector select {
+      font: inherit;
+      padding: 2px 4px;
+      border-radius: 6px;
+      border: 1.5px solid var(--ttt-border);
+      color: var(--ttt-text);
     }
     .ttt-mode-selector input[type="radio"] {
-      accent-color: #1976d2;
-      margin-right: 4px;
+      accent-color: var(--ttt-primary);
+      margin-inline-end: 4px;
       vertical-align: middle;
     }
     .ttt-score-panel {
@@ -552,21 +2430,24 @@ function TTTStyles() {
       margin-bottom: 10px;
       text-align: center;
     }
-    .score-x { color: #1976d2; font-weight: 600; }
-    .score-o { color: #424242; font-weight: 600; }
-    .score-draw { color: #ffcf33; font-weight: 600; }
+    .score-x { color: var(--ttt-x); font-weight: 600; }
+    .score-o { color: var(--ttt-o); font-weight: 600; }
+    .score-draw { color: var(--ttt-accent); font-weight: 600; }
     .ttt-status-panel {
       min-height: 32px;
       display: flex;
+      flex-direction: column;
+      gap: 6px;
       align-items: center;
       justify-content: center;
       font-size: 1.2rem;
       margin: 14px 0 10px 0;
-      color: #1976d2;
+      color: var(--ttt-primary);
       font-weight: 500;
     }
     .ttt-controls {
       display: flex;
+      flex-wrap: wrap;
       gap: 10px;
       margin-top: 10px;
       justify-content: center;
@@ -581,68 +2462,88 @@ function TTTStyles() {
       border: none;
       cursor: pointer;
       transition: all 0.14s;
-      background: #1976d2;
-      color: #fff;
-      border: 2px solid #1976d2;
+      background: var(--ttt-primary);
+      color: var(--ttt-on-primary);
+      border: 2px solid var(--ttt-primary);
       min-width: 110px;
     }
     .ttt-btn-accent {
-      background: #ffcf33;
-      color: #282c34;
-      border: 2px solid #ffcf33;
+      background: var(--ttt-accent);
+      color: var(--ttt-on-accent);
+      border: 2px solid var(--ttt-accent);
     }
     .ttt-btn-outline {
-      background: #fff;
-      color: #1976d2;
-      border: 2px solid #1976d2;
+      background: var(--ttt-field);
+      color: var(--ttt-primary);
+      border: 2px solid var(--ttt-primary);
+    }
+    .ttt-link-btn {
+      flex-basis: 100%;
+      background: none;
+      border: none;
+      color: var(--ttt-text);
+      font-size: 0.85rem;
+      text-decoration: underline;
+      cursor: pointer;
+      opacity: 0.75;
+    }
+    .ttt-btn-compact {
+      min-width: 0;
+      padding: 8px 14px;
     }
     .ttt-btn:hover, .ttt-btn-accent:hover, .ttt-btn-outline:hover {
       opacity: 0.93;
       filter: brightness(0.96);
       box-shadow: 0 6px 16px 0 rgba(31, 38, 135, 0.10);
     }
+    .ttt-btn:disabled {
+      opacity: 0.45;
+      cursor: default;
+      filter: none;
+      box-shadow: none;
+    }
     .ttt-board {
+      /* 90px squares on 3x3, shrinking so bigger boards stay about 300px wide */
+      --ttt-cell: min(90px, calc(300px / var(--ttt-cols, 3)));
       display: flex;
       flex-direction: column;
-      background: #fff;
-      border: 2px solid #e9ecef;
+      /* Squares keep their a1-top-left order in right-to-left languages too */
+      direction: ltr;
+      background: var(--ttt-field);
+      border: 2px solid var(--ttt-border);
       border-radius: 10px;
       box-shadow: 0 1.5px 7px 0 rgba(31, 38, 135, 0.04);
       overflow: hidden;
-      width: 270px;
       max-width: 96vw;
       margin: 0 auto;
-      aspect-ratio: 1/1;
       align-items: center;
       user-select: none;
     }
     .ttt-row {
       display: flex;
       flex-direction: row;
-      width: 100%;
-      height: 33.3333%;
     }
     .ttt-square {
       outline: none;
       border: none;
-      border-right: 2px solid #e9ecef;
-      border-bottom: 2px solid #e9ecef;
+      border-right: 2px solid var(--ttt-border);
+      border-bottom: 2px solid var(--ttt-border);
       background: transparent;
-      font-size: 2.8rem;
+      font-size: calc(var(--ttt-cell) * 0.5);
       font-weight: 700;
-      width: 90px;
-      height: 90px;
-      max-width: 32vw;
-      max-height: 32vw;
-      text-align: center;
-      vertical-align: middle;
-      line-height: 90px;
+      width: var(--ttt-cell);
+      height: var(--ttt-cell);
+      padding: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
       transition: background 0.1s, box-shadow 0.18s;
-      color: #1976d2;
+      color: var(--ttt-primary);
+      position: relative;
       z-index: 2;
       cursor: pointer;
     }
-    .ttt-square:nth-child(3n) {
+    .ttt-cell:last-child .ttt-square {
       border-right: none;
     }
     .ttt-row:last-child .ttt-square {
@@ -653,11 +2554,224 @@ function TTTStyles() {
       opacity: 0.98;
     }
     .ttt-square.winner {
-      background: #ffcf33;
-      color: #424242;
-      box-shadow: 0 0 8px #ffcf33bb;
+      background: var(--ttt-accent);
+      color: var(--ttt-on-accent);
+      box-shadow: 0 0 8px var(--ttt-accent);
       z-index: 4;
     }
+    .ttt-square.x { color: var(--ttt-x); }
+    .ttt-square.o { color: var(--ttt-o); }
+    .ttt-square.num { color: var(--ttt-text-strong); }
+    .ttt-square:focus-visible {
+      box-shadow: inset 0 0 0 4px var(--ttt-focus);
+      z-index: 5;
+    }
+    /* Assistant hint: the suggested square and the lines behind it */
+    .ttt-square.threat {
+      background: var(--ttt-hint);
+    }
+    .ttt-square.hint {
+      background: var(--ttt-hint);
+      box-shadow: inset 0 0 0 3px var(--ttt-primary);
+      z-index: 3;
+    }
+    /* Evaluation overlay */
+    .ttt-eval {
+      position: absolute;
+      right: 4px;
+      bottom: 3px;
+      font-size: max(10px, calc(var(--ttt-cell) * 0.18));
+      font-weight: 600;
+      line-height: 1;
+      pointer-events: none;
+    }
+    .ttt-eval.win { color: var(--ttt-success); }
+    .ttt-eval.draw { color: var(--ttt-muted); }
+    .ttt-eval.loss { color: var(--ttt-danger); }
+    .ttt-eval-bar {
+      width: 160px;
+      height: 8px;
+      border-radius: 4px;
+      background: var(--ttt-o);
+      overflow: hidden;
+    }
+    .ttt-eval-bar-x {
+      height: 100%;
+      background: var(--ttt-x);
+      transition: width 0.3s;
+    }
+    /* Chess clocks: the running side is highlighted, and turns red below ten seconds */
+    .ttt-clocks {
+      display: flex;
+      gap: 12px;
+      font-size: 1.05rem;
+      font-variant-numeric: tabular-nums;
+    }
+    .ttt-clock {
+      min-width: 84px;
+      padding: 2px 10px;
+      border: 1.5px solid var(--ttt-border);
+      border-radius: 6px;
+      color: var(--ttt-muted);
+      background: var(--ttt-field);
+    }
+    .ttt-clock.running {
+      border-color: var(--ttt-primary);
+      color: var(--ttt-text-strong);
+      font-weight: 700;
+    }
+    .ttt-clock.low {
+      color: var(--ttt-danger);
+    }
+    .ttt-clock-selector {
+      margin-top: -12px;
+    }
+    /* Variants: the rule reminder and what the next move places */
+    .ttt-variant-selector {
+      margin-top: -12px;
+    }
+    .ttt-variant-note {
+      font-size: 0.9rem;
+      color: var(--ttt-muted);
+    }
+    .ttt-mark-picker {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 6px;
+      margin-bottom: 10px;
+    }
+    .ttt-mark-choice {
+      min-width: 40px;
+      padding: 4px 10px;
+      font: inherit;
+      font-size: 1.2rem;
+      font-weight: 700;
+      border: 2px solid var(--ttt-border);
+      border-radius: 6px;
+      background: var(--ttt-field);
+      cursor: pointer;
+    }
+    .ttt-mark-choice.x { color: var(--ttt-x); }
+    .ttt-mark-choice.o { color: var(--ttt-o); }
+    .ttt-mark-choice.num { color: var(--ttt-text-strong); }
+    .ttt-mark-choice.selected {
+      border-color: var(--ttt-primary);
+      box-shadow: 0 0 0 2px var(--ttt-primary);
+    }
+    .ttt-mark-choice:disabled {
+      cursor: default;
+      opacity: 0.6;
+    }
+    /* Ultimate: nine small boards; where the next move may go is highlighted */
+    .ttt-ultimate {
+      --ttt-small-cell: 28px;
+      display: grid;
+      grid-template-columns: repeat(3, auto);
+      gap: 6px;
+      justify-content: center;
+      direction: ltr;
+    }
+    .ttt-small-board {
+      position: relative;
+      padding: 3px;
+      border: 2px solid transparent;
+      border-radius: 12px;
+    }
+    .ttt-small-board.allowed {
+      border-color: var(--ttt-accent);
+      background: var(--ttt-hint);
+    }
+    .ttt-ultimate .ttt-small-board .ttt-board {
+      --ttt-cell: var(--ttt-small-cell);
+    }
+    .ttt-small-board.decided .ttt-board {
+      opacity: 0.35;
+    }
+    .ttt-small-winner {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: calc(var(--ttt-small-cell) * 2.6);
+      font-weight: 700;
+      line-height: 1;
+      pointer-events: none;
+    }
+    .ttt-small-winner.x { color: var(--ttt-x); }
+    .ttt-small-winner.o { color: var(--ttt-o); }
+    /* Qubic: the four layers side by side, or stacked into a cube that can be turned */
+    .ttt-board-panel.wide {
+      max-width: 640px;
+    }
+    .ttt-qubic-view {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 14px;
+      justify-content: center;
+      align-items: center;
+      margin-bottom: 10px;
+      font-size: 0.9rem;
+    }
+    .ttt-qubic {
+      --ttt-layer-cell: 30px;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+      justify-content: center;
+      direction: ltr;
+    }
+    .ttt-qubic .ttt-qubic-layer .ttt-board {
+      --ttt-cell: var(--ttt-layer-cell);
+    }
+    .ttt-qubic-caption {
+      display: block;
+      margin-bottom: 3px;
+      font-size: 0.85rem;
+      color: var(--ttt-muted);
+      text-align: center;
+    }
+    .ttt-square.related {
+      background: var(--ttt-hint);
+    }
+    .ttt-qubic.cube {
+      display: block;
+      position: relative;
+      width: 100%;
+      height: calc(var(--ttt-layer-cell) * 4 + 170px);
+      perspective: 900px;
+    }
+    .ttt-qubic.cube .ttt-qubic-layer {
+      position: absolute;
+      left: 50%;
+      top: calc(var(--ttt-layer) * 50px);
+      transform: translateX(-50%) rotateX(58deg) rotateZ(var(--ttt-qubic-angle));
+    }
+    .ttt-qubic.cube .ttt-qubic-caption {
+      display: none;
+    }
+    .ttt-qubic.cube .ttt-board {
+      opacity: 0.9;
+    }
+
+    /* Spectator view (#/spectator): sized for a big shared screen */
+    .ttt-spectator .ttt-outer-container {
+      max-width: 100vw;
+    }
+    .ttt-spectator .ttt-board-panel {
+      max-width: none;
+      width: auto;
+    }
+    .ttt-spectator .ttt-board {
+      --ttt-cell: min(180px, calc(70vmin / var(--ttt-cols, 3)));
+    }
+    .ttt-spectator .ttt-ultimate {
+      --ttt-small-cell: min(64px, 7vmin);
+    }
+    .ttt-spectator .ttt-qubic {
+      --ttt-layer-cell: min(56px, 5vw);
+    }
     @media (max-width: 900px) {
       .ttt-outer-container {
         max-width: 100vw;
@@ -670,14 +2784,15 @@ function TTTStyles() {
         max-width: 99vw;
         padding: 8vw 2vw;
       }
+      .ttt-history-panel {
+        max-width: 99vw;
+      }
       .ttt-board {
-        width: 97vw;
+        --ttt-cell: min(29vw, calc(87vw / var(--ttt-cols, 3)));
         max-width: 99vw;
       }
-      .ttt-square {
-        width: 29vw;
-        height: 29vw;
-        font-size: 9vw;
+      .ttt-ultimate {
+        --ttt-small-cell: min(28px, 8.5vw);
       }
     }
     @media (max-width: 520px) {
@@ -695,4 +2810,5 @@ function TTTStyles() {
   );
 }
 
+export { Board, GameStatus, QubicBoard, ScorePanel, TTTStyles, UltimateBoard };
 export default App;
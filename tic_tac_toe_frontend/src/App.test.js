@@ -1,8 +1,108 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// The board's squares are labelled "Square 5" or "Square 5 occupied by O".
+const square = (n) => screen.getByLabelText(new RegExp(`^Square ${n}(?!\\d)`));
+const occupant = (n) => (square(n).getAttribute('aria-label').match(/occupied by (\w)/) || [])[1] || null;
+
+function play(n) {
+  fireEvent.click(square(n));
+  act(() => {
+    jest.advanceTimersByTime(1000); // the computer's reply
+  });
+}
+
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('hard answers a corner opening with the center', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Hard'));
+  play(1);
+  expect(occupant(5)).toBe('O');
+});
+
+test('easy plays any open square', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Easy'));
+  play(1);
+  expect(occupant(2)).toBe('O'); // the first open square, with Math.random at 0
+});
+
+test('keeps the chosen difficulty for the next game', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Hard'));
+  fireEvent.click(screen.getByText('New Game'));
+  expect(screen.getByLabelText('Hard')).toBeChecked();
+});
+
+test('Ctrl+Z against the computer takes back its reply too, and Ctrl+Shift+Z replays both', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Hard'));
+  play(1);
+  expect(occupant(5)).toBe('O');
+
+  fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+  expect(occupant(1)).toBeNull();
+  expect(occupant(5)).toBeNull();
+  act(() => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(occupant(5)).toBeNull(); // your turn again, so the computer waits
+
+  fireEvent.keyDown(document.body, { key: 'Z', ctrlKey: true, shiftKey: true });
+  expect(occupant(1)).toBe('X');
+  expect(occupant(5)).toBe('O');
+});
+
+test('takes back one move at a time in two-player games', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Two Players'));
+  fireEvent.click(square(1));
+  fireEvent.click(square(2));
+  const redo = screen.getByRole('button', { name: /^Redo/ });
+  expect(redo).toBeDisabled();
+
+  fireEvent.click(screen.getByRole('button', { name: /^Undo/ }));
+  expect(occupant(1)).toBe('X');
+  expect(occupant(2)).toBeNull();
+  expect(redo).toBeEnabled();
+  fireEvent.keyDown(document.body, { key: 'y', ctrlKey: true });
+  expect(occupant(2)).toBe('O');
+});
+
+test('keeps the clock of the side to move running while an earlier move is shown', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Two Players'));
+  fireEvent.change(screen.getByLabelText(/^Time control/), { target: { value: 'move30' } });
+  fireEvent.click(square(1));
+  fireEvent.click(square(2));
+  fireEvent.click(square(3));
+  const clockOf = (mark) => screen.getByRole('timer', { name: `${mark}'s clock` });
+  expect(clockOf('O')).toHaveClass('running');
+
+  fireEvent.click(screen.getByRole('button', { name: /^2\. O/ }));
+  expect(occupant(3)).toBeNull();
+  expect(clockOf('O')).toHaveClass('running');
+  expect(clockOf('X')).not.toHaveClass('running');
+
+  fireEvent.click(square(5)); // X's move there, but not played: the game goes on from its latest move
+  expect(occupant(5)).toBeNull();
+  expect(screen.getByRole('button', { name: /^Undo/ })).toBeDisabled();
+  expect(screen.getAllByRole('button', { name: /^\d+\. / })).toHaveLength(3);
+});
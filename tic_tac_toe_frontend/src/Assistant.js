@@ -1,91 +1,180 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { CLASSIC_RULES } from "./engine";
+import { parseCommand } from "./commands";
+import {
+  addMessage,
+  findSession,
+  loadConversations,
+  removeSession,
+  saveConversations,
+  searchConversations,
+  transcriptMarkdown,
+} from "./conversations";
+import { useI18n } from "./i18n";
+import {
+  createProvider,
+  loadAssistantSettings,
+  replyWithFallback,
+  saveAssistantSettings,
+} from "./assistantProviders";
+
+const ICON_BUTTON = {
+  background: "none",
+  border: "none",
+  fontSize: 18,
+  color: "var(--ttt-text)",
+  cursor: "pointer",
+  padding: 0,
+  marginTop: -4,
+};
 
 // PUBLIC_INTERFACE
 /**
  * Assistant component for the Tic Tac Toe app.
  * Appears as a floating help/chat bubble that expands to show help, suggestions, and rules.
  * Style matches the modern minimalistic UI.
+ * `onHint(hint)` receives the suggested move ({ board, index, lines }) so the board can
+ * highlight it, and null when the assistant is closed. Commands typed into the chat
+ * ("play center", "undo", ...) go to `onCommand(command)`, which returns the reply.
+ * Questions go to the provider chosen under ⚙ (see assistantProviders.js); `history` is
+ * the game line up to the current position (`startingPlayer` moved first), sent along as
+ * context.
+ * The conversation is saved per game (`gameId`) with the position of every message (see
+ * conversations.js). Clicking an earlier question calls `onShowPosition(gameId, step, board)`,
+ * which returns true if the board could go back there; otherwise a small preview is shown.
+ * While open, the panel keeps Tab inside it and Escape closes it, back to the bubble.
+ * Labels, quick questions and built-in answers follow the UI language (see i18n.js).
  */
-function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
+function Assistant({
+  board,
+  history = [],
+  gameId = "current",
+  stepNumber = 0,
+  onShowPosition = () => false,
+  isXNext,
+  winner,
+  gameOver,
+  mode,
+  rules = CLASSIC_RULES,
+  startingPlayer = "X",
+  analysis = null,
+  onHint = () => {},
+  onCommand = null,
+}) {
+  const { language, t } = useI18n();
   const [open, setOpen] = useState(false);
-  const [chat, setChat] = useState([
-    {
-      from: "assistant",
-      text: "Hi! I'm your Tic Tac Toe assistant. Need game instructions, move suggestions, or have questions? Ask me or click a quick button!",
-    },
-  ]);
+  const [conversations, setConversations] = useState(loadConversations);
+  // "chat" (this game) or "history" (every saved conversation, searchable)
+  const [view, setView] = useState("chat");
+  const [query, setQuery] = useState("");
+  // Session shown in the history view, and the board of a question clicked there
+  const [openSession, setOpenSession] = useState(null);
+  const [preview, setPreview] = useState(null);
   const [input, setInput] = useState("");
+  const [settings, setSettings] = useState(loadAssistantSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  // Answers still on their way from the provider
+  const [pending, setPending] = useState(0);
+  const provider = useMemo(() => createProvider(settings), [settings]);
+  const bubbleRef = useRef(null);
+  const wasOpen = useRef(false);
 
-  // "AI" answers for sample queries
-  function getResponse(userMsg) {
-    const msg = userMsg.trim().toLowerCase();
-    // How to play
-    if (
-      msg.includes("how") &&
-      (msg.includes("play") || msg.includes("start"))
-    ) {
-      return (
-        "Click an empty square to place your mark. Get three in a row—horizontally, vertically, or diagonally—to win!"
-      );
-    }
-    // Winning conditions
-    if (
-      msg.includes("win") ||
-      msg.includes("winner") ||
-      msg.includes("condition")
-    ) {
-      return (
-        "To win, get three of your marks (X or O) in a straight line: horizontally, vertically, or diagonally."
-      );
-    }
-    // Draw
-    if (msg.includes("draw")) {
-      return (
-        "A draw happens if all squares are filled and there's no winner—nobody gets three in a row."
-      );
-    }
-    // Suggest move
-    if (
-      msg.includes("move") &&
-      (msg.includes("suggest") ||
-        msg.includes("hint") ||
-        msg.includes("best") ||
-        msg.includes("play"))
-    ) {
-      if (winner || gameOver) {
-        return "The game is over. Start a new game for suggestions!";
-      }
-      // Ask parent for suggestion based on current board
-      let moveIdx = suggestMove(board, isXNext ? "X" : "O");
-      if (moveIdx === null || typeof moveIdx === "undefined") {
-        return "No possible moves! The board is full.";
-      }
-      return `I recommend you play in square ${moveIdx + 1}.`;
-    }
-    // Explanation about modes
-    if (msg.includes("computer") || msg.includes("mode")) {
-      if (mode === "PVC")
-        return "You're playing Human vs Computer. X is you, O is the computer AI.";
-      if (mode === "PVP")
-        return "You're playing Two Player mode. Take turns between X and O!";
-    }
-    // Rules
-    if (msg.includes("rule") || msg.includes("about")) {
-      return "Tic Tac Toe: Players (X and O) take turns. The first to place three of their marks in a horizontal, vertical, or diagonal line wins. If no one succeeds and all squares are filled, it's a draw.";
+  // Keyboard focus returns to the bubble when the panel closes
+  useEffect(() => {
+    if (!open && wasOpen.current && bubbleRef.current) bubbleRef.current.focus();
+    wasOpen.current = open;
+  }, [open]);
+
+  useEffect(() => {
+    saveConversations(conversations);
+  }, [conversations]);
+
+  const session = findSession(conversations, gameId);
+  const chat = session ? session.messages : [];
+
+  // Stores a message with the position it belongs to.
+  function record(message, position) {
+    setConversations((c) =>
+      addMessage(c, position.gameId, position.rules, { ...message, ...position.at, time: Date.now() })
+    );
+  }
+
+  // Shows the board an old message was sent in: on the main board when it is still part of
+  // the current game, else as a preview in the panel.
+  function showPosition(owner, message) {
+    const shown = onShowPosition(owner.id, message.step, message.board);
+    setPreview(shown ? null : { board: message.board, rules: owner.rules, step: message.step });
+  }
+
+  function exportTranscript(owner) {
+    const blob = new Blob([transcriptMarkdown(owner)], { type: "text/markdown" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tic-tac-toe-assistant-${owner.id}.md`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function close() {
+    setOpen(false);
+    onHint(null);
+  }
+
+  function handlePanelKeyDown(e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "Tab") {
+      trapFocus(e, e.currentTarget);
     }
-    // Fallback/generic
-    return "I'm here to help! Ask me about the rules, how to play, or for a move suggestion.";
+  }
+
+  function updateSettings(changes) {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveAssistantSettings(next);
   }
 
   // Handler for user sending a message
   function sendMsg(msg) {
     if (!msg.trim()) return;
-    setChat((c) => [...c, { from: "user", text: msg }]);
+    // The reply belongs with the question, even if the game moves on before it arrives
+    const position = { gameId, rules, at: { step: stepNumber, board } };
+    record({ from: "user", text: msg }, position);
     setInput("");
-    setTimeout(() => {
-      const reply = getResponse(msg);
-      setChat((c) => [...c, { from: "assistant", text: reply }]);
-    }, 400);
+    // Commands run right away so they act on the position the message was sent in
+    const command = onCommand && parseCommand(msg, rules, language);
+    const context = {
+      board,
+      history,
+      startingPlayer,
+      isXNext,
+      winner,
+      gameOver,
+      mode,
+      rules,
+      analysis,
+      chat,
+      language,
+    };
+    const answer = command
+      ? new Promise((resolve) => resolve({ text: onCommand(command), fallback: false }))
+      : replyWithFallback(provider, msg, context);
+    setPending((n) => n + 1);
+    const started = Date.now();
+    // A command or provider that fails still gets an answer, so the typing indicator goes away
+    answer.catch(() => ({ text: t("assistant.error") })).then((reply) => {
+      // Instant answers still take a moment, like someone typing
+      setTimeout(() => {
+        setPending((n) => n - 1);
+        if (reply.hint) onHint(reply.hint);
+        const answer = { from: "assistant", text: reply.text };
+        record(reply.fallback ? { ...answer, fallback: true } : answer, position);
+      }, Math.max(0, 400 - (Date.now() - started)));
+    });
   }
 
   function quickAsk(question) {
@@ -93,39 +182,26 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
     setOpen(true);
   }
 
-  // Suggestions for quick action buttons
-  const quickButtons = [
-    {
-      label: "How to play?",
-      q: "How do I play?",
-    },
-    {
-      label: "Show game rules",
-      q: "What are the rules?",
-    },
-    {
-      label: "Suggest a move",
-      q: "Suggest a move",
-    },
-    {
-      label: "How can I win?",
-      q: "How do I win?",
-    },
-  ];
+  // Suggestions for quick action buttons; "review" is offered once the game is analyzed
+  const quickButtons = ["howToPlay", "rules", "suggest", "win", ...(analysis ? ["review"] : [])].map(
+    (key) => ({ label: t(`quick.${key}`), q: t(`quick.${key}.q`) })
+  );
 
   return (
     <>
-      <div
+      <button
+        ref={bubbleRef}
         className="ttt-assistant-bubble"
-        tabIndex={0}
-        title="Game Assistant"
-        aria-label="Open game assistant"
+        title={t("assistant.title")}
+        aria-label={t("assistant.open")}
+        aria-expanded={open}
         style={{
           position: "fixed",
           bottom: 32,
-          right: 26,
-          background: "#ffcf33",
-          color: "#282c34",
+          insetInlineEnd: 26,
+          background: "var(--ttt-accent)",
+          color: "var(--ttt-on-accent)",
+          border: "none",
           borderRadius: "50%",
           width: 58,
           height: 58,
@@ -140,20 +216,25 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
         }}
         onClick={() => setOpen(true)}
       >
-        <span role="img" aria-label="Assistant" style={{ marginTop: -4 }}>
+        <span role="img" aria-label={t("assistant.icon")} style={{ marginTop: -4 }}>
           💡
         </span>
-      </div>
+      </button>
       {open && (
         <div
           className="ttt-assistant-panel"
+          role="dialog"
+          aria-label={t("assistant.dialog")}
+          onKeyDown={handlePanelKeyDown}
           style={{
             position: "fixed",
             bottom: 40,
-            right: 24,
+            insetInlineEnd: 24,
             width: "328px",
             maxWidth: "calc(100vw - 24px)",
-            background: "#fff",
+            background: "var(--ttt-field)",
+            color: "var(--ttt-text)",
+            border: "1px solid var(--ttt-border)",
             borderRadius: 13,
             boxShadow: "0 10px 38px 0 rgba(0,0,0,0.18)",
             zIndex: 1003,
@@ -174,69 +255,179 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
               marginBottom: 13,
             }}
           >
-            <div style={{ fontWeight: 700, color: "#1976d2", fontSize: 17 }}>
-              <span role="img" aria-label="Assistant">
+            <div style={{ fontWeight: 700, color: "var(--ttt-primary)", fontSize: 17 }}>
+              <span role="img" aria-label={t("assistant.icon")}>
                 💡
               </span>{" "}
-              Game Assistant
+              {t("assistant.title")}
+            </div>
+            <div style={{ display: "flex", gap: 12, marginInlineStart: "auto", marginInlineEnd: 16 }}>
+              {view === "chat" && session && (
+                <button
+                  aria-label={t("assistant.export")}
+                  title={t("assistant.exportTitle")}
+                  style={ICON_BUTTON}
+                  onClick={() => exportTranscript(session)}
+                >
+                  ⤓
+                </button>
+              )}
+              <button
+                aria-label={t("assistant.history")}
+                aria-pressed={view === "history"}
+                title={t("assistant.historyTitle")}
+                style={ICON_BUTTON}
+                onClick={() => {
+                  setView(view === "chat" ? "history" : "chat");
+                  setOpenSession(null);
+                  setPreview(null);
+                }}
+              >
+                🕘
+              </button>
+              <button
+                aria-label={t("assistant.settings")}
+                aria-expanded={showSettings}
+                title={t("assistant.answersFromTitle", {
+                  provider: t(`assistant.provider.${provider.id}`),
+                })}
+                style={ICON_BUTTON}
+                onClick={() => setShowSettings(!showSettings)}
+              >
+                ⚙
+              </button>
             </div>
             <button
-              aria-label="Close assistant"
+              aria-label={t("assistant.close")}
               tabIndex={0}
               style={{
                 background: "none",
                 border: "none",
                 fontSize: 23,
-                color: "#d33",
+                color: "var(--ttt-danger)",
                 cursor: "pointer",
                 fontWeight: 700,
                 borderRadius: 14,
                 padding: 1,
                 margin: -8,
               }}
-              onClick={() => setOpen(false)}
+              onClick={close}
             >
               &times;
             </button>
           </div>
+          {showSettings && (
+            <div
+              className="assistant-settings"
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: 6,
+                padding: "8px 10px",
+                marginTop: -6,
+                background: "var(--ttt-surface)",
+                border: "1px solid var(--ttt-border)",
+                borderRadius: 8,
+                fontSize: ".9rem",
+              }}
+            >
+              <label style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+                {t("assistant.answersFrom")}
+                <select
+                  value={settings.provider}
+                  onChange={(e) => updateSettings({ provider: e.target.value })}
+                >
+                  <option value="rules">{t("assistant.builtInAnswers")}</option>
+                  <option value="http">{t("assistant.httpEndpoint")}</option>
+                </select>
+              </label>
+              {settings.provider === "http" && (
+                <>
+                  <label style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+                    {t("assistant.endpointUrl")}
+                    <input
+                      type="url"
+                      value={settings.url}
+                      onChange={(e) => updateSettings({ url: e.target.value })}
+                      placeholder="http://localhost:11434/v1"
+                    />
+                  </label>
+                  <label style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+                    {t("assistant.model")}
+                    <input
+                      type="text"
+                      value={settings.model}
+                      onChange={(e) => updateSettings({ model: e.target.value })}
+                      placeholder={t("assistant.serverDefault")}
+                    />
+                  </label>
+                  <span style={{ color: "var(--ttt-muted)", fontSize: ".82rem" }}>
+                    {t("assistant.endpointNote")}
+                  </span>
+                </>
+              )}
+            </div>
+          )}
           <div
             className="assistant-chat"
             style={{
               overflowY: "auto",
               maxHeight: 195,
               marginBottom: 5,
-              paddingRight: 4,
+              paddingInlineEnd: 4,
               wordBreak: "break-word",
               display: "flex",
               flexDirection: "column",
               gap: 10,
             }}
           >
-            {chat.map((msg, idx) => (
+            {view === "chat" ? (
+              <>
+                <MessageBubble msg={{ from: "assistant", text: t("assistant.greeting") }} />
+                {chat.map((msg, idx) => (
+                  <MessageBubble
+                    key={idx}
+                    msg={msg}
+                    onShow={msg.from === "user" ? () => showPosition(session, msg) : null}
+                  />
+                ))}
+              </>
+            ) : (
+              <ConversationHistory
+                conversations={conversations}
+                query={query}
+                onQuery={setQuery}
+                openSession={openSession}
+                onOpen={(id) => {
+                  setOpenSession(id);
+                  setPreview(null);
+                }}
+                onShow={showPosition}
+                onExport={exportTranscript}
+                onDelete={(id) => {
+                  setConversations((c) => removeSession(c, id));
+                  setOpenSession(null);
+                }}
+              />
+            )}
+            {view === "chat" && pending > 0 && (
               <div
-                key={idx}
+                aria-label={t("assistant.typing")}
                 style={{
-                  alignSelf: msg.from === "assistant" ? "flex-start" : "flex-end",
-                  background:
-                    msg.from === "assistant"
-                      ? "#e9ecef"
-                      : "#1976d2",
-                  color: msg.from === "assistant" ? "#282c34" : "#fff",
+                  alignSelf: "flex-start",
+                  background: "var(--ttt-border)",
+                  color: "var(--ttt-muted)",
                   padding: "6px 13px",
                   borderRadius: 10,
-                  maxWidth: "82%",
-                  fontSize: "1.01rem",
-                  boxShadow:
-                    msg.from === "assistant"
-                      ? "0px 1.2px 5px 0 rgba(31,38,135,0.07)"
-                      : "0px 1.6px 7px 0 rgba(25,118,210,0.10)",
-                  marginBottom: 2,
                 }}
               >
-                <span>{msg.text}</span>
+                …
               </div>
-            ))}
+            )}
           </div>
+          {preview && (
+            <BoardPreview preview={preview} onClose={() => setPreview(null)} />
+          )}
           <div
             style={{
               display: "flex",
@@ -254,9 +445,9 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
                 style={{
                   padding: "4.5px 12px",
                   borderRadius: 8,
-                  border: "1.5px solid #1976d2",
-                  background: "#fff",
-                  color: "#1976d2",
+                  border: "1.5px solid var(--ttt-primary)",
+                  background: "var(--ttt-field)",
+                  color: "var(--ttt-primary)",
                   fontWeight: 500,
                   fontSize: ".92rem",
                   cursor: "pointer",
@@ -275,7 +466,7 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
               display: "flex",
               gap: 7,
               marginTop: 7,
-              borderTop: "1px solid #e9ecef",
+              borderTop: "1px solid var(--ttt-border)",
               paddingTop: 7,
             }}
             onSubmit={(e) => {
@@ -284,11 +475,11 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
             }}
           >
             <input
-              aria-label="Ask assistant"
+              aria-label={t("assistant.ask")}
               className="assistant-input"
               style={{
                 flex: 1,
-                border: "1.5px solid #e9ecef",
+                border: "1.5px solid var(--ttt-border)",
                 borderRadius: 8,
                 padding: "6.5px 9px",
                 fontSize: "1rem",
@@ -298,7 +489,7 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
               type="text"
               value={input}
               onChange={(e) => setInput(e.target.value)}
-              placeholder="Ask for help or type '?''"
+              placeholder={t("assistant.placeholder")}
               autoFocus
               maxLength={100}
               onKeyDown={(e) => {
@@ -310,11 +501,11 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
             />
             <button
               type="submit"
-              aria-label="Send"
+              aria-label={t("assistant.send")}
               className="assistant-send-btn"
               style={{
-                background: "#1976d2",
-                color: "#fff",
+                background: "var(--ttt-primary)",
+                color: "var(--ttt-on-primary)",
                 border: "none",
                 borderRadius: 8,
                 padding: "7px 15px",
@@ -323,7 +514,7 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
                 cursor: "pointer",
               }}
             >
-              Send
+              {t("assistant.send")}
             </button>
           </form>
         </div>
@@ -332,4 +523,194 @@ function Assistant({ board, isXNext, winner, gameOver, suggestMove, mode }) {
   );
 }
 
+const FOCUSABLE = "button:not([disabled]), input:not([disabled]), select:not([disabled]), [href]";
+
+// Keeps Tab and Shift+Tab inside `container`, wrapping around at either end.
+function trapFocus(e, container) {
+  const focusable = container.querySelectorAll(FOCUSABLE);
+  if (!focusable.length) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+// One chat bubble. Questions with `onShow` are buttons that bring back their position.
+function MessageBubble({ msg, onShow = null }) {
+  const { t } = useI18n();
+  const mine = msg.from === "user";
+  const Tag = onShow ? "button" : "div";
+  return (
+    <Tag
+      onClick={onShow || undefined}
+      title={onShow ? t("assistant.showBoard") : undefined}
+      style={{
+        alignSelf: mine ? "flex-end" : "flex-start",
+        background: mine ? "var(--ttt-primary)" : "var(--ttt-border)",
+        color: mine ? "var(--ttt-on-primary)" : "var(--ttt-text-strong)",
+        padding: "6px 13px",
+        borderRadius: 10,
+        maxWidth: "82%",
+        fontSize: "1.01rem",
+        boxShadow: mine
+          ? "0px 1.6px 7px 0 rgba(25,118,210,0.10)"
+          : "0px 1.2px 5px 0 rgba(31,38,135,0.07)",
+        marginBottom: 2,
+        border: "none",
+        font: "inherit",
+        textAlign: "start",
+        cursor: onShow ? "pointer" : undefined,
+      }}
+    >
+      <span>{msg.text}</span>
+      {msg.fallback && (
+        <span
+          style={{ display: "block", fontSize: ".78rem", color: "var(--ttt-muted)", marginTop: 3 }}
+        >
+          {t("assistant.fallback")}
+        </span>
+      )}
+    </Tag>
+  );
+}
+
+// Small read-only board for a question from an earlier game.
+function BoardPreview({ preview, onClose }) {
+  const { t } = useI18n();
+  const { board, rules, step } = preview;
+  return (
+    <div
+      aria-label={t("assistant.preview")}
+      style={{ display: "flex", alignItems: "center", gap: 10, fontSize: ".88rem" }}
+    >
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: `repeat(${rules.cols}, ${rules.cols > 5 ? 12 : 20}px)`,
+          gap: 2,
+          background: "var(--ttt-border)",
+          padding: 2,
+          borderRadius: 4,
+          direction: "ltr",
+        }}
+      >
+        {board.map((sq, i) => (
+          <span
+            key={i}
+            style={{
+              background: "var(--ttt-field)",
+              textAlign: "center",
+              fontWeight: 700,
+              fontSize: rules.cols > 5 ? 9 : 13,
+              lineHeight: rules.cols > 5 ? "12px" : "20px",
+              color: sq === "X" ? "var(--ttt-x)" : "var(--ttt-o)",
+            }}
+          >
+            {sq || ""}
+          </span>
+        ))}
+      </div>
+      <span>{step === 0 ? t("assistant.beforeFirstMove") : t("assistant.afterMove", { step })}</span>
+      <button aria-label={t("assistant.closePreview")} style={ICON_BUTTON} onClick={onClose}>
+        &times;
+      </button>
+    </div>
+  );
+}
+
+// Saved conversations, newest first, or the messages matching a search.
+function ConversationHistory({
+  conversations,
+  query,
+  onQuery,
+  openSession,
+  onOpen,
+  onShow,
+  onExport,
+  onDelete,
+}) {
+  const { language, t } = useI18n();
+  const date = (time) => new Date(time).toLocaleString(language);
+  const opened = conversations.sessions.find((s) => s.id === openSession);
+  const link = { ...ICON_BUTTON, fontSize: ".88rem", color: "var(--ttt-primary)", marginTop: 0 };
+  let body;
+  if (query.trim()) {
+    const results = searchConversations(conversations, query);
+    body = results.length ? (
+      results.map(({ session, message, index }) => (
+        <React.Fragment key={`${session.id}-${index}`}>
+          <span style={{ fontSize: ".78rem", color: "var(--ttt-muted)" }}>{date(message.time)}</span>
+          <MessageBubble msg={message} onShow={() => onShow(session, message)} />
+        </React.Fragment>
+      ))
+    ) : (
+      <span style={{ color: "var(--ttt-muted)" }}>
+        {t("assistant.noMatches", { query: query.trim() })}
+      </span>
+    );
+  } else if (opened) {
+    body = (
+      <>
+        <div style={{ display: "flex", gap: 12 }}>
+          <button style={link} onClick={() => onOpen(null)}>
+            {t("assistant.allConversations")}
+          </button>
+          <button style={link} onClick={() => onExport(opened)}>
+            {t("assistant.exportMarkdown")}
+          </button>
+          <button style={{ ...link, color: "var(--ttt-danger)" }} onClick={() => onDelete(opened.id)}>
+            {t("assistant.delete")}
+          </button>
+        </div>
+        {opened.messages.map((msg, idx) => (
+          <MessageBubble
+            key={idx}
+            msg={msg}
+            onShow={msg.from === "user" ? () => onShow(opened, msg) : null}
+          />
+        ))}
+      </>
+    );
+  } else if (conversations.sessions.length) {
+    body = [...conversations.sessions].reverse().map((s) => (
+      <button
+        key={s.id}
+        style={{ ...link, textAlign: "start" }}
+        onClick={() => onOpen(s.id)}
+      >
+        {t("assistant.session", {
+          date: date(s.started),
+          size: `${s.rules.rows}x${s.rules.cols}`,
+          count: s.messages.length,
+        })}
+      </button>
+    ));
+  } else {
+    body = <span style={{ color: "var(--ttt-muted)" }}>{t("assistant.noConversations")}</span>;
+  }
+  return (
+    <>
+      <input
+        type="search"
+        aria-label={t("assistant.search")}
+        placeholder={t("assistant.search")}
+        value={query}
+        onChange={(e) => onQuery(e.target.value)}
+        style={{
+          border: "1.5px solid var(--ttt-border)",
+          borderRadius: 8,
+          padding: "5px 9px",
+          fontSize: ".95rem",
+        }}
+      />
+      {body}
+    </>
+  );
+}
+
 export default Assistant;
@@ -0,0 +1,22 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import Assistant from './Assistant';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('answers with an error instead of typing forever when a command fails', async () => {
+  const onCommand = jest.fn(() => {
+    throw new Error('boom');
+  });
+  render(<Assistant board={Array(9).fill(null)} onCommand={onCommand} />);
+  fireEvent.click(screen.getByLabelText('Open game assistant'));
+  fireEvent.change(screen.getByLabelText('Ask assistant'), { target: { value: 'undo' } });
+  fireEvent.click(screen.getByLabelText('Send'));
+  expect(onCommand).toHaveBeenCalledWith({ action: 'undo' });
+  expect(screen.getByLabelText('Assistant is typing')).toBeInTheDocument();
+  expect(
+    await screen.findByText('Sorry, something went wrong with that. Please try again.')
+  ).toBeInTheDocument();
+  expect(screen.queryByLabelText('Assistant is typing')).toBeNull();
+});
@@ -0,0 +1,73 @@
+import React from "react";
+import { outcomeLabel, summarizeAnalysis } from "./analysis";
+import { useI18n } from "./i18n";
+
+const GRADE_MARKS = { best: "✓", inaccuracy: "?!", blunder: "??" };
+
+// PUBLIC_INTERFACE
+function GameAnalysis({ finished, analysis, stepNumber, onAnalyze, onJump }) {
+  /**
+   * "Analyze" button and the graded move list from analysis.js. Offered once the game line
+   * is finished (`finished`); `onAnalyze()` runs the analysis, `analysis` is its result (or
+   * null) and `onJump(step)` shows the position after a move.
+   */
+  const { t } = useI18n();
+  if (!analysis) {
+    return (
+      <div className="ttt-analysis-panel">
+        <button
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          onClick={onAnalyze}
+          disabled={!finished}
+          title={finished ? t("analysis.analyzeTitle") : t("analysis.unavailable")}
+        >
+          {t("analysis.analyze")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="ttt-analysis-panel" aria-label={t("analysis.label")}>
+      <p className="ttt-analysis-summary">{summarizeAnalysis(analysis, t)}</p>
+      <ol className="ttt-history-list ttt-analysis-list">
+        {analysis.moves.map((m) => (
+          <li key={m.step}>
+            <button
+              className={
+                "ttt-history-move ttt-analysis-move " +
+                m.grade +
+                (m.step === stepNumber ? " active" : "")
+              }
+              onClick={() => onJump(m.step)}
+            >
+              <span className="ttt-analysis-grade" aria-hidden="true">
+                {GRADE_MARKS[m.grade]}
+              </span>
+              {m.number}. {m.player} {m.square} — {t(`analysis.grade.${m.grade}`)}
+              {m.cause && `: ${t(`analysis.reason.${m.cause}`)}`}
+              {m.changed && (
+                <span className="ttt-analysis-turn">
+                  {" "}
+                  ·{" "}
+                  {t("analysis.turningPoint", {
+                    before: outcomeLabel(m.before, t),
+                    after: outcomeLabel(m.after, t),
+                  })}
+                </span>
+              )}
+              {m.grade !== "best" && m.best.length > 0 && (
+                <span className="ttt-analysis-better">
+                  {" "}
+                  · {t("analysis.better", { squares: m.best.join(t("list.comma")) })}
+                </span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default GameAnalysis;
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { errorMessage, useI18n } from "./i18n";
+import { importGame } from "./notation";
+
+// PUBLIC_INTERFACE
+function GameRecord({ getRecord, onImport }) {
+  /**
+   * Export / import panel for game records in the text notation from notation.js.
+   * `getRecord()` returns the current game as text; `onImport(game)` receives a parsed,
+   * validated record. Import errors are shown inline instead of loading anything.
+   */
+  const { t } = useI18n();
+  const [importing, setImporting] = useState(false);
+  const [text, setText] = useState("");
+  const [message, setMessage] = useState(null); // { kind: 'info' | 'error', text }
+
+  function handleCopy() {
+    const record = getRecord();
+    if (!navigator.clipboard) {
+      // No clipboard access (e.g. plain http): show the record for manual copying.
+      setText(record);
+      setImporting(true);
+      setMessage({ kind: "info", text: t("record.copyBelow") });
+      return;
+    }
+    navigator.clipboard.writeText(record).then(
+      () => setMessage({ kind: "info", text: t("record.copied") }),
+      () => setMessage({ kind: "error", text: t("record.noClipboard") })
+    );
+  }
+
+  function handleDownload() {
+    const blob = new Blob([getRecord()], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "tic-tac-toe-game.ttn";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function load(recordText) {
+    try {
+      onImport(importGame(recordText));
+      setMessage({ kind: "info", text: t("record.loaded") });
+      setImporting(false);
+      setText("");
+    } catch (e) {
+      setMessage({ kind: "error", text: errorMessage(e, t) });
+    }
+  }
+
+  function handleFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(reader.result);
+      load(reader.result);
+    };
+    reader.onerror = () => setMessage({ kind: "error", text: t("record.unreadable") });
+    reader.readAsText(file);
+  }
+
+  return (
+    <div className="ttt-record-panel">
+      <div className="ttt-record-actions">
+        <button className="ttt-btn ttt-btn-outline ttt-btn-compact" onClick={handleCopy}>
+          {t("record.copy")}
+        </button>
+        <button className="ttt-btn ttt-btn-outline ttt-btn-compact" onClick={handleDownload}>
+          {t("record.download")}
+        </button>
+        <button
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          onClick={() => {
+            setImporting(!importing);
+            setMessage(null);
+          }}
+          aria-expanded={importing}
+        >
+          {t("record.import")}
+        </button>
+      </div>
+      {importing && (
+        <div className="ttt-record-import">
+          <textarea
+            aria-label={t("record.label")}
+            className="ttt-record-text"
+            rows={7}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={'[Board "3x3"]\n[Win "3"]\n[First "X"]\n[Result "*"]\n\n1. b2 2. a1'}
+          />
+          <div className="ttt-record-actions">
+            <button className="ttt-btn ttt-btn-accent ttt-btn-compact" onClick={() => load(text)}>
+              {t("record.load")}
+            </button>
+            <label className="ttt-btn ttt-btn-outline ttt-btn-compact ttt-file-btn">
+              {t("record.upload")}
+              <input type="file" accept=".ttn,.txt,text/plain" onChange={handleFile} />
+            </label>
+          </div>
+        </div>
+      )}
+      {message && (
+        <div
+          className={"ttt-record-message " + message.kind}
+          role={message.kind === "error" ? "alert" : "status"}
+        >
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GameRecord;
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { useI18n } from "./i18n";
+import { COMPUTER_RATINGS, INITIAL_RATING, leaderboard } from "./ratings";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PAD = 8;
+
+// PUBLIC_INTERFACE
+function Leaderboard({ data }) {
+  /**
+   * Profiles ranked by Elo rating (see ratings.js). Selecting a row shows that player's
+   * rating history as a line chart.
+   */
+  const { t } = useI18n();
+  const ranked = leaderboard(data);
+  const [selected, setSelected] = useState(ranked.length ? ranked[0].id : null);
+  const player = ranked.find((p) => p.id === selected) || ranked[0];
+
+  if (!player) {
+    return <p className="ttt-stats-empty">{t("leaderboard.empty")}</p>;
+  }
+
+  return (
+    <div className="ttt-stats ttt-leaderboard">
+      <table className="ttt-stats-table">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col" className="ttt-leaderboard-name">{t("leaderboard.player")}</th>
+            <th scope="col">{t("leaderboard.rating")}</th>
+            <th scope="col">{t("leaderboard.peak")}</th>
+            <th scope="col">{t("leaderboard.games")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ranked.map((p, i) => (
+            <tr key={p.id}>
+              <td>{i + 1}</td>
+              <th scope="row">
+                <button
+                  className={"ttt-history-move" + (p.id === player.id ? " active" : "")}
+                  aria-pressed={p.id === player.id}
+                  onClick={() => setSelected(p.id)}
+                >
+                  {p.name}
+                </button>
+              </th>
+              <td>{Math.round(p.rating)}</td>
+              <td>{Math.round(p.peak)}</td>
+              <td>{p.games}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <RatingChart name={player.name} history={player.history} />
+      <p className="ttt-leaderboard-note">
+        {t("leaderboard.note", { initial: INITIAL_RATING, ...COMPUTER_RATINGS })}
+      </p>
+    </div>
+  );
+}
+
+// Line chart of the rating after each rated game; the dashed line is the starting rating.
+function RatingChart({ name, history }) {
+  const { t } = useI18n();
+  const min = Math.min(INITIAL_RATING, ...history) - 10;
+  const max = Math.max(INITIAL_RATING, ...history) + 10;
+  const x = (i) =>
+    CHART_PAD + (history.length > 1 ? (i / (history.length - 1)) * (CHART_WIDTH - 2 * CHART_PAD) : 0);
+  const y = (r) => CHART_PAD + ((max - r) / (max - min)) * (CHART_HEIGHT - 2 * CHART_PAD);
+  const points = history.map((r, i) => `${x(i)},${y(r)}`).join(" ");
+  const last = history[history.length - 1];
+
+  return (
+    <svg
+      className="ttt-rating-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t("leaderboard.chart", {
+        name,
+        from: INITIAL_RATING,
+        to: Math.round(last),
+        count: history.length - 1,
+      })}
+    >
+      <line
+        x1={CHART_PAD}
+        x2={CHART_WIDTH - CHART_PAD}
+        y1={y(INITIAL_RATING)}
+        y2={y(INITIAL_RATING)}
+        style={{ stroke: "var(--ttt-muted)" }}
+        strokeDasharray="4 4"
+      />
+      <polyline
+        points={points}
+        fill="none"
+        strokeWidth="2"
+        style={{ stroke: "var(--ttt-primary)" }}
+      />
+      <circle
+        cx={x(history.length - 1)}
+        cy={y(last)}
+        r="3.5"
+        style={{ fill: "var(--ttt-accent)", stroke: "var(--ttt-text)" }}
+      />
+    </svg>
+  );
+}
+
+export default Leaderboard;
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import {
+  MATCH_FORMATS,
+  createMatch,
+  matchResult,
+  matchTally,
+  winsNeeded,
+} from "./match";
+import { useI18n } from "./i18n";
+
+// Series lengths offered for each format.
+const TARGETS = { bestOf: [3, 5, 7], firstTo: [2, 3, 5] };
+
+// PUBLIC_INTERFACE
+function MatchPanel({ match, names, onStart, onEnd }) {
+  /**
+   * Match series controls: pick best-of-N or first-to-N and start; while a match runs, shows
+   * its progress, then the winner (or a drawn match) and a game-by-game summary. `names` ({ X, O }) labels the
+   * players; `onStart(match)` and `onEnd()` start and abandon or close a match.
+   */
+  const { t } = useI18n();
+  const [format, setFormat] = useState("bestOf");
+  const [target, setTarget] = useState(3);
+
+  if (!match) {
+    return (
+      <form
+        className="ttt-match-panel"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onStart(createMatch(format, target));
+        }}
+      >
+        <select
+          aria-label={t("match.formatLabel")}
+          value={format}
+          onChange={(e) => {
+            setFormat(e.target.value);
+            setTarget(TARGETS[e.target.value][0]);
+          }}
+        >
+          {MATCH_FORMATS.map((value) => (
+            <option key={value} value={value}>
+              {t(`match.format.${value}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label={t("match.length")}
+          value={target}
+          onChange={(e) => setTarget(Number(e.target.value))}
+        >
+          {TARGETS[format].map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="ttt-btn ttt-btn-outline ttt-btn-compact">
+          {t("match.start")}
+        </button>
+      </form>
+    );
+  }
+
+  const tally = matchTally(match);
+  const result = matchResult(match);
+  const title = `${t(`match.format.${match.format}`)} ${match.target}`;
+
+  return (
+    <div className="ttt-match-panel ttt-match-active" aria-label={t("match.label")}>
+      <div className="ttt-match-progress" role="status">
+        {result === "draw" && <strong>{t("match.tied", { won: tally.X, lost: tally.O })}</strong>}
+        {result && result !== "draw" && (
+          <strong>
+            {t("match.winner", {
+              name: names[result],
+              won: tally[result],
+              lost: tally[result === "X" ? "O" : "X"],
+            })}
+          </strong>
+        )}
+        {!result && <span>{t("match.progress", { title, number: match.games.length + 1 })}</span>}
+        <span className="ttt-match-score">
+          {names.X} <strong>{tally.X}</strong> – <strong>{tally.O}</strong> {names.O}
+          {tally.draws > 0 && t("match.drawn", { count: tally.draws })}
+          {!result && t("match.needed", { count: winsNeeded(match) })}
+        </span>
+        <span className="ttt-match-dots" aria-hidden="true">
+          {match.games.map((g) => (
+            <span key={g.id} className={"ttt-match-dot " + g.result}>
+              {g.result === "draw" ? "=" : g.result}
+            </span>
+          ))}
+        </span>
+        <button className="ttt-link-btn" onClick={onEnd}>
+          {result ? t("match.close") : t("match.abandon")}
+        </button>
+      </div>
+      {result && (
+        <table className="ttt-stats-table ttt-match-summary">
+          <caption>{t("match.summary", { title })}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{t("match.game")}</th>
+              <th scope="col">{t("match.firstMove")}</th>
+              <th scope="col">{t("match.result")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {match.games.map((g, i) => (
+              <tr key={g.id}>
+                <th scope="row">{i + 1}</th>
+                <td>{names[g.first]}</td>
+                <td>{g.result === "draw" ? t("match.draw") : t("match.won", { name: names[g.result] })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default MatchPanel;
@@ -0,0 +1,111 @@
+import React from "react";
+import { useI18n } from "./i18n";
+import { describeMoves, moveLabel } from "./notation";
+
+// PUBLIC_INTERFACE
+export function sameBoard(a, b) {
+  /** True if both boards hold the same marks on every square. */
+  return a.length === b.length && a.every((sq, i) => sq === b[i]);
+}
+
+// PUBLIC_INTERFACE
+export function divergenceStep(a, b) {
+  /** First step at which two lines of the same game hold different positions. */
+  const length = Math.min(a.length, b.length);
+  for (let step = 0; step < length; step++) {
+    if (!sameBoard(a[step], b[step])) return step;
+  }
+  return length;
+}
+
+// PUBLIC_INTERFACE
+export function addBranch(branches, line) {
+  /**
+   * Returns `branches` with `line` stored as a variation, unless an identical line
+   * (or one that already contains it) is kept.
+   */
+  const known = branches.some(
+    (b) => b.length >= line.length && divergenceStep(b, line) === line.length
+  );
+  if (known) return branches;
+  // A longer line replaces any stored variation that is only its prefix.
+  const rest = branches.filter(
+    (b) => !(b.length < line.length && divergenceStep(b, line) === b.length)
+  );
+  return [...rest, line];
+}
+
+// PUBLIC_INTERFACE
+function MoveHistory({
+  history,
+  stepNumber,
+  branches,
+  rules,
+  startingPlayer = "X",
+  onJump,
+  onJumpBranch,
+}) {
+  /**
+   * Move list shown beside the board. Lists the current line (click an entry to return to
+   * that position) and every earlier line that was replaced by playing from an older
+   * position; clicking a variation entry makes that line current again.
+   */
+  const { t } = useI18n();
+  const moves = describeMoves(history, rules, startingPlayer);
+
+  function renderMove(move, active, onSelect) {
+    return (
+      <li key={move.step}>
+        <button
+          type="button"
+          className={"ttt-history-move" + (active ? " active" : "")}
+          aria-current={active ? "step" : undefined}
+          onClick={onSelect}
+        >
+          {moveLabel(move)}
+        </button>
+      </li>
+    );
+  }
+
+  return (
+    <div className="ttt-history-panel">
+      <div className="ttt-history-title">{t("history.moves")}</div>
+      <ol className="ttt-history-list">
+        <li>
+          <button
+            type="button"
+            className={"ttt-history-move" + (stepNumber === 0 ? " active" : "")}
+            aria-current={stepNumber === 0 ? "step" : undefined}
+            onClick={() => onJump(0)}
+          >
+            {t("history.start")}
+          </button>
+        </li>
+        {moves.map((move) =>
+          renderMove(move, move.step === stepNumber, () => onJump(move.step))
+        )}
+      </ol>
+      {branches.length > 0 && (
+        <>
+          <div className="ttt-history-title">{t("history.otherLines")}</div>
+          {branches.map((line, b) => {
+            const from = divergenceStep(line, history);
+            const branchMoves = describeMoves(line, rules, startingPlayer).filter(
+              (m) => m.step >= from
+            );
+            return (
+              <ol className="ttt-history-list ttt-history-branch" key={b}>
+                {branchMoves.map((move) =>
+                  renderMove(move, false, () => onJumpBranch(b, move.step))
+                )}
+              </ol>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MoveHistory;
@@ -0,0 +1,87 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import MoveHistory from './MoveHistory';
+import { describeMoves } from './notation';
+import { CLASSIC_RULES, createRules } from './engine';
+
+// Board snapshots for a line of [index, mark] moves, from the empty board.
+const line = (moves) => {
+  const history = [Array(9).fill(null)];
+  moves.forEach(([index, mark]) => {
+    const next = history[history.length - 1].slice();
+    next[index] = mark;
+    history.push(next);
+  });
+  return history;
+};
+
+const entries = () => screen.getAllByRole('button').map((b) => b.textContent);
+
+test('labels each move with the player who made it', () => {
+  const history = line([[4, 'O'], [0, 'X'], [8, 'O']]);
+  expect(describeMoves(history, CLASSIC_RULES, 'O').map((m) => m.player)).toEqual(['O', 'X', 'O']);
+  render(
+    <MoveHistory
+      history={history}
+      stepNumber={3}
+      branches={[]}
+      rules={CLASSIC_RULES}
+      startingPlayer="O"
+    />
+  );
+  expect(entries()).toEqual(['Start', '1. O b2', '2. X a1', '3. O c3']);
+});
+
+test('adds the mark placed in Wild and Numerical', () => {
+  const wild = line([[4, 'O'], [0, 'O']]);
+  const { unmount } = render(
+    <MoveHistory history={wild} stepNumber={2} branches={[]} rules={createRules(3, 3, 3, 'wild')} />
+  );
+  expect(entries()).toEqual(['Start', '1. X b2 (O)', '2. O a1']);
+  unmount();
+
+  const numerical = line([[4, 5], [0, 2]]);
+  render(
+    <MoveHistory
+      history={numerical}
+      stepNumber={2}
+      branches={[]}
+      rules={createRules(3, 3, 3, 'numerical')}
+    />
+  );
+  expect(entries()).toEqual(['Start', '1. X b2 (5)', '2. O a1 (2)']);
+});
+
+test('jumps to the position of a clicked entry and marks the current one', () => {
+  const onJump = jest.fn();
+  render(
+    <MoveHistory
+      history={line([[4, 'X'], [0, 'O'], [8, 'X']])}
+      stepNumber={1}
+      branches={[]}
+      rules={CLASSIC_RULES}
+      onJump={onJump}
+    />
+  );
+  expect(screen.getByRole('button', { name: '1. X b2' })).toHaveAttribute('aria-current', 'step');
+  fireEvent.click(screen.getByRole('button', { name: '2. O a1' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+  expect(onJump.mock.calls).toEqual([[2], [0]]);
+});
+
+test('lists a replaced line from where it left the current one and selects it', () => {
+  const onJumpBranch = jest.fn();
+  const current = line([[4, 'X'], [0, 'O']]);
+  const replaced = line([[4, 'X'], [8, 'O'], [0, 'X']]);
+  render(
+    <MoveHistory
+      history={current}
+      stepNumber={2}
+      branches={[replaced]}
+      rules={CLASSIC_RULES}
+      onJumpBranch={onJumpBranch}
+    />
+  );
+  expect(entries()).toEqual(['Start', '1. X b2', '2. O a1', '2. O c3', '3. X a1']);
+  fireEvent.click(screen.getByRole('button', { name: '3. X a1' }));
+  expect(onJumpBranch).toHaveBeenCalledWith(0, 3);
+});
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { errorMessage, useI18n } from "./i18n";
+
+// PUBLIC_INTERFACE
+function OnlinePanel({ online, onCreate, onJoin, onLeave }) {
+  /**
+   * Room controls for online play: create a room (you play X) or join one by its code,
+   * then shows the room code, your mark, the opponent's presence and the connection state.
+   */
+  const { t } = useI18n();
+  const [code, setCode] = useState("");
+  const { status, room, mark, players, error } = online;
+  const opponent = mark === "X" ? "O" : "X";
+
+  const connection = status && t(`online.${status}`);
+
+  return (
+    <div className="ttt-online-panel">
+      {!room ? (
+        <>
+          <button className="ttt-btn ttt-btn-accent ttt-btn-compact" onClick={onCreate}>
+            {t("online.create")}
+          </button>
+          <form
+            className="ttt-online-join"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (code.trim()) onJoin(code.trim().toUpperCase());
+            }}
+          >
+            <input
+              aria-label={t("online.code")}
+              className="ttt-online-code-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={t("online.code")}
+              maxLength={8}
+            />
+            <button type="submit" className="ttt-btn ttt-btn-outline ttt-btn-compact">
+              {t("online.join")}
+            </button>
+          </form>
+        </>
+      ) : (
+        <>
+          <span>
+            {t("online.room")} <strong className="ttt-online-code">{room}</strong> ·{" "}
+            {t("online.youAre")}{" "}
+            <strong>{mark}</strong>
+          </span>
+          <span>
+            {!players[opponent] ? t("online.waiting") : t("online.opponentConnected")}
+          </span>
+          <button className="ttt-link-btn" onClick={onLeave}>
+            {t("online.leave")}
+          </button>
+        </>
+      )}
+      <span className={"ttt-online-status " + status}>{connection}</span>
+      {error && (
+        <span className="ttt-record-message error" role="alert">
+          {errorMessage(error, t)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default OnlinePanel;
@@ -0,0 +1,193 @@
+import React, { useState } from "react";
+import { errorMessage, useI18n } from "./i18n";
+import Leaderboard from "./Leaderboard";
+import {
+  MAX_NAME_LENGTH,
+  addProfile,
+  playerName,
+  profileStats,
+  removeProfile,
+  setSeat,
+} from "./profiles";
+
+// PUBLIC_INTERFACE
+function ProfilesPanel({ data, mode, locked, onChange }) {
+  /**
+   * Picks the profile playing each mark (the computer always plays O in PVC), adds profiles
+   * and shows per-profile statistics or the rating leaderboard. `locked` disables seat
+   * changes during a game; `onChange(data)` receives the updated profiles data from
+   * profiles.js.
+   */
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+  const [view, setView] = useState(null); // null | 'stats' | 'leaderboard'
+
+  function handleAdd(e) {
+    e.preventDefault();
+    try {
+      onChange(addProfile(data, name).data);
+      setName("");
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, t));
+    }
+  }
+
+  function seatPicker(mark) {
+    if (mark === "O" && mode === "PVC") {
+      return (
+        <span className="ttt-seat">
+          O: <strong>{t("profiles.computer")}</strong>
+        </span>
+      );
+    }
+    return (
+      <label className="ttt-seat">
+        {mark}:{" "}
+        <select
+          aria-label={t("profiles.seat", { mark })}
+          value={data.seats[mark] || ""}
+          disabled={locked}
+          onChange={(e) => onChange(setSeat(data, mark, e.target.value || null))}
+        >
+          <option value="">{t("profiles.guest")}</option>
+          {data.profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  return (
+    <div className="ttt-profiles-panel">
+      <div className="ttt-seats" title={locked ? t("profiles.locked") : undefined}>
+        {seatPicker("X")}
+        {seatPicker("O")}
+      </div>
+      <form className="ttt-profile-add" onSubmit={handleAdd}>
+        <input
+          aria-label={t("profiles.newName")}
+          value={name}
+          maxLength={MAX_NAME_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("profiles.newPlaceholder")}
+        />
+        <button type="submit" className="ttt-btn ttt-btn-outline ttt-btn-compact">
+          {t("profiles.add")}
+        </button>
+        <button
+          type="button"
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          aria-expanded={view === "stats"}
+          onClick={() => setView(view === "stats" ? null : "stats")}
+        >
+          {t("profiles.stats")}
+        </button>
+        <button
+          type="button"
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          aria-expanded={view === "leaderboard"}
+          onClick={() => setView(view === "leaderboard" ? null : "leaderboard")}
+        >
+          {t("profiles.leaderboard")}
+        </button>
+      </form>
+      {error && (
+        <div className="ttt-record-message error" role="alert">
+          {error}
+        </div>
+      )}
+      {view === "stats" && <PlayerStats data={data} onChange={onChange} />}
+      {view === "leaderboard" && <Leaderboard data={data} />}
+    </div>
+  );
+}
+
+function percent(fraction) {
+  return fraction === null ? "–" : `${Math.round(fraction * 100)}%`;
+}
+
+// Stats view for one profile, chosen from a list (seated players first).
+function PlayerStats({ data, onChange }) {
+  const { t } = useI18n();
+  const seated = [data.seats.X, data.seats.O].filter(Boolean);
+  const [picked, setPicked] = useState(seated[0] || null);
+  const profile =
+    data.profiles.find((p) => p.id === picked) || data.profiles[0] || null;
+
+  if (!profile) {
+    return <p className="ttt-stats-empty">{t("stats.empty")}</p>;
+  }
+
+  const stats = profileStats(data, profile.id);
+  const row = (key, label, totals) => (
+    <tr key={key}>
+      <th scope="row">{label}</th>
+      <td>{totals.played}</td>
+      <td>{totals.wins}</td>
+      <td>{totals.losses}</td>
+      <td>{totals.draws}</td>
+      <td>{percent(totals.played ? totals.wins / totals.played : null)}</td>
+    </tr>
+  );
+
+  return (
+    <div className="ttt-stats" aria-label={t("stats.label", { name: profile.name })}>
+      <div className="ttt-stats-header">
+        <select
+          aria-label={t("stats.showFor")}
+          value={profile.id}
+          onChange={(e) => setPicked(e.target.value)}
+        >
+          {data.profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="ttt-link-btn"
+          onClick={() => {
+            if (window.confirm(t("stats.deleteConfirm", { name: profile.name }))) {
+              onChange(removeProfile(data, profile.id));
+              setPicked(null);
+            }
+          }}
+        >
+          {t("stats.delete")}
+        </button>
+      </div>
+      <p className="ttt-stats-summary">
+        {t("stats.winRate")} <strong>{percent(stats.winRate)}</strong> ·{" "}
+        {t("stats.longestStreak")} <strong>{stats.longestStreak}</strong>
+        {stats.currentStreak > 1 && <> · {t("stats.currentStreak", { count: stats.currentStreak })}</>}
+      </p>
+      <table className="ttt-stats-table">
+        <thead>
+          <tr>
+            <th scope="col"></th>
+            <th scope="col">{t("stats.played")}</th>
+            <th scope="col">{t("stats.wins")}</th>
+            <th scope="col">{t("stats.losses")}</th>
+            <th scope="col">{t("stats.draws")}</th>
+            <th scope="col">{t("stats.winPercent")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {row("total", t("stats.all"), stats.total)}
+          {row("first", t("stats.first"), stats.asFirst)}
+          {row("second", t("stats.second"), stats.asSecond)}
+          {stats.opponents.map((o) =>
+            row(`vs-${o.opponent}`, t("stats.versus", { name: playerName(data, o.opponent, t) }), o)
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ProfilesPanel;
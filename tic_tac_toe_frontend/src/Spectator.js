@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import { Board, GameStatus, QubicBoard, ScorePanel, TTTStyles, UltimateBoard } from "./App";
+import { allowedBoards, variantOf } from "./engine";
+import { useI18n } from "./i18n";
+import { createSyncChannel } from "./sync";
+
+// PUBLIC_INTERFACE
+function Spectator() {
+  /**
+   * Read-only "second screen" view (served at #/spectator). Mirrors the board, scores,
+   * status, clocks and winning line of the playing tab in the same browser; the board
+   * ignores clicks.
+   */
+  const { t } = useI18n();
+  const [snapshot, setSnapshot] = useState(null);
+
+  useEffect(() => {
+    const sync = createSyncChannel();
+    setSnapshot(sync.latest());
+    const unsubscribe = sync.subscribe(setSnapshot);
+    return () => {
+      unsubscribe();
+      sync.close();
+    };
+  }, []);
+
+  return (
+    <div className="App ttt-spectator" style={{ minHeight: "100vh" }}>
+      <div className="ttt-outer-container">
+        <h1 className="ttt-title">{t("app.title")}</h1>
+        {!snapshot ? (
+          <p className="ttt-status-panel">{t("spectator.waiting")}</p>
+        ) : (
+          <div className="ttt-main-panel">
+            <ScorePanel scores={snapshot.scores} names={snapshot.names} />
+            <div className="ttt-board-panel">
+              <GameStatus
+                result={snapshot.result}
+                winner={snapshot.winner}
+                mode={snapshot.mode}
+                isXNext={snapshot.isXNext}
+                startingPlayer={snapshot.startingPlayer}
+                onlineMark={snapshot.onlineMark}
+                clock={snapshot.clock}
+                timeout={snapshot.timeout}
+                rules={snapshot.rules}
+              />
+              {variantOf(snapshot.rules) === "ultimate" ? (
+                <UltimateBoard
+                  squares={snapshot.board}
+                  onClick={() => {}}
+                  disabled
+                  winningLine={snapshot.winningLine}
+                  allowed={
+                    snapshot.winner || snapshot.timeout
+                      ? []
+                      : allowedBoards(snapshot.board, snapshot.lastMove)
+                  }
+                />
+              ) : variantOf(snapshot.rules) === "qubic" ? (
+                <QubicBoard
+                  squares={snapshot.board}
+                  rules={snapshot.rules}
+                  onClick={() => {}}
+                  disabled
+                  winningLine={snapshot.winningLine}
+                />
+              ) : (
+                <Board
+                  squares={snapshot.board}
+                  rules={snapshot.rules}
+                  onClick={() => {}}
+                  disabled
+                  winningLine={snapshot.winningLine}
+                />
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+      <TTTStyles />
+    </div>
+  );
+}
+
+export default Spectator;
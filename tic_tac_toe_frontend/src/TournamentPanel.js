@@ -0,0 +1,223 @@
+import React, { useState } from "react";
+import {
+  BYE,
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  TOURNAMENT_FORMATS,
+  createTournament,
+  currentMatch,
+  roundName,
+  standings,
+  tournamentMatches,
+  tournamentWinner,
+} from "./tournament";
+import { errorMessage, useI18n } from "./i18n";
+
+// PUBLIC_INTERFACE
+function TournamentPanel({ tournament, onStart, onEnd }) {
+  /**
+   * Tournament organizer: enter players and a format, then follow the bracket or the
+   * round-robin table while each pairing is played on the board. `onStart(tournament)` and
+   * `onEnd()` start and end a tournament (see tournament.js).
+   */
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("knockout");
+  const [names, setNames] = useState("");
+  const [error, setError] = useState(null);
+
+  if (!tournament) {
+    return (
+      <div className="ttt-tournament-panel">
+        <button
+          className="ttt-btn ttt-btn-outline ttt-btn-compact"
+          aria-expanded={open}
+          onClick={() => setOpen(!open)}
+        >
+          {t("tournament.open")}
+        </button>
+        {open && (
+          <form
+            className="ttt-tournament-setup"
+            onSubmit={(e) => {
+              e.preventDefault();
+              try {
+                onStart(createTournament(format, names.split("\n")));
+                setError(null);
+                setOpen(false);
+              } catch (err) {
+                setError(errorMessage(err, t));
+              }
+            }}
+          >
+            <select
+              aria-label={t("tournament.formatLabel")}
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+            >
+              {Object.keys(TOURNAMENT_FORMATS).map((value) => (
+                <option key={value} value={value}>
+                  {t(TOURNAMENT_FORMATS[value])}
+                </option>
+              ))}
+            </select>
+            <textarea
+              aria-label={t("tournament.players")}
+              className="ttt-record-text"
+              rows={6}
+              value={names}
+              onChange={(e) => setNames(e.target.value)}
+              placeholder={t("tournament.playersPlaceholder", { min: MIN_PLAYERS, max: MAX_PLAYERS })}
+            />
+            <button type="submit" className="ttt-btn ttt-btn-accent ttt-btn-compact">
+              {t("tournament.start")}
+            </button>
+            {error && (
+              <div className="ttt-record-message error" role="alert">
+                {error}
+              </div>
+            )}
+          </form>
+        )}
+      </div>
+    );
+  }
+
+  const name = (player) =>
+    player === BYE ? t("tournament.bye") : player === null ? "…" : tournament.players[player];
+  const current = currentMatch(tournament);
+  const champion = tournamentWinner(tournament);
+
+  return (
+    <div className="ttt-tournament-panel ttt-tournament-active" aria-label={t("tournament.label")}>
+      <div className="ttt-match-progress" role="status">
+        {champion !== null ? (
+          <strong>{t("tournament.champion", { name: name(champion) })}</strong>
+        ) : (
+          <span>
+            {roundName(tournament, current.round, t)}: <strong>{name(current.X)}</strong> (X){" "}
+            {t("tournament.versus")} <strong>{name(current.O)}</strong> (O)
+            {current.games.length > 0 && t("tournament.replay")}
+          </span>
+        )}
+        <button
+          className="ttt-link-btn"
+          onClick={() => {
+            const done = champion !== null;
+            if (done || window.confirm(t("tournament.endConfirm"))) onEnd();
+          }}
+        >
+          {champion !== null ? t("tournament.close") : t("tournament.end")}
+        </button>
+      </div>
+      {tournament.format === "knockout" ? (
+        <Bracket tournament={tournament} name={name} current={current} />
+      ) : (
+        <RoundRobin tournament={tournament} name={name} current={current} />
+      )}
+    </div>
+  );
+}
+
+// Knockout bracket: one column per round.
+function Bracket({ tournament, name, current }) {
+  const { t } = useI18n();
+  const matches = tournamentMatches(tournament);
+  const rounds = [...new Set(matches.map((m) => m.round))];
+  return (
+    <div className="ttt-bracket">
+      {rounds.map((round) => (
+        <div className="ttt-bracket-round" key={round}>
+          <div className="ttt-history-title">{roundName(tournament, round, t)}</div>
+          {matches
+            .filter((m) => m.round === round)
+            .map((m) => (
+              <div
+                key={m.id}
+                className={"ttt-bracket-match" + (current && current.id === m.id ? " current" : "")}
+              >
+                {m.players.map((p, i) => (
+                  <div
+                    key={i}
+                    className={
+                      "ttt-bracket-player" +
+                      (m.winner !== null && m.winner === p ? " winner" : "") +
+                      (p === BYE ? " bye" : "")
+                    }
+                  >
+                    {name(p)}
+                  </div>
+                ))}
+                {m.games.some((g) => g.result === "draw") && (
+                  <div className="ttt-bracket-note">
+                    {t("tournament.drawn", {
+                      count: m.games.filter((g) => g.result === "draw").length,
+                    })}
+                  </div>
+                )}
+              </div>
+            ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Round-robin standings and the schedule with results.
+function RoundRobin({ tournament, name, current }) {
+  const { t } = useI18n();
+  const table = standings(tournament);
+  const matches = tournamentMatches(tournament);
+  const resultText = (m) =>
+    m.result === null
+      ? current && current.id === m.id
+        ? t("tournament.playing")
+        : ""
+      : m.result === "draw"
+        ? t("tournament.draw")
+        : t("tournament.won", { name: name(m.result === "X" ? m.X : m.O) });
+  return (
+    <div className="ttt-round-robin">
+      <table className="ttt-stats-table">
+        <caption>{t("tournament.standings")}</caption>
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col" className="ttt-leaderboard-name">{t("tournament.player")}</th>
+            <th scope="col">{t("tournament.played")}</th>
+            <th scope="col">{t("tournament.wins")}</th>
+            <th scope="col">{t("tournament.draws")}</th>
+            <th scope="col">{t("tournament.losses")}</th>
+            <th scope="col">{t("tournament.points")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {table.map((row, i) => (
+            <tr key={row.player}>
+              <td>{i + 1}</td>
+              <th scope="row">{row.name}</th>
+              <td>{row.played}</td>
+              <td>{row.wins}</td>
+              <td>{row.draws}</td>
+              <td>{row.losses}</td>
+              <td>{row.points}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="ttt-leaderboard-note">
+        {t("tournament.scoring")}
+      </p>
+      <ol className="ttt-history-list ttt-schedule">
+        {matches.map((m) => (
+          <li key={m.id} className={current && current.id === m.id ? "current" : undefined}>
+            {t("tournament.roundShort", { round: m.round })}: {name(m.X)} {t("tournament.versus")}{" "}
+            {name(m.O)} <em>{resultText(m)}</em>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default TournamentPanel;
@@ -0,0 +1,157 @@
+import {
+  CLASSIC_RULES,
+  calculateWinner,
+  evaluateMoves,
+  forkSquares,
+  isDraw,
+  otherPlayer,
+  squareName,
+  winningSquares,
+} from "./engine";
+import { describeMoves } from "./notation";
+import { english } from "./i18n";
+
+/**
+ * Post-game analysis: replays a line of the game and grades every move against the
+ * engine's evaluation (see engine.evaluateMoves).
+ * - best:       keeps the best outcome available (win / draw / loss for the mover)
+ * - inaccuracy: gives up something, but the mover doesn't lose with best play
+ * - blunder:    turns the position into a loss for the mover
+ * Exact on 3x3 and in any small endgame; on bigger boards only forced results found by the
+ * depth-limited search are graded, everything else counts as best.
+ */
+
+const RANK = { win: 2, draw: 1, loss: 0 };
+
+function rank(evaluation) {
+  // Unknown (null) outcomes on big boards sit between a loss and a win.
+  return evaluation.outcome === null ? 1 : RANK[evaluation.outcome];
+}
+
+// Outcome from X's point of view: 'X' | 'O' | 'draw', or null when unknown.
+function outcomeFor(evaluation, mover) {
+  if (evaluation.outcome === "win") return mover;
+  if (evaluation.outcome === "loss") return otherPlayer(mover);
+  return evaluation.outcome;
+}
+
+// Why a move that isn't best went wrong, as a message key under analysis.reason.
+function causeOf(before, after, move, best, played, rules) {
+  const opp = otherPlayer(move.player);
+  if (winningSquares(before, move.player, rules).length && played.outcome !== "win") {
+    return "missedWin";
+  }
+  if (winningSquares(after, opp, rules).length) return "failedToBlock";
+  if (forkSquares(after, opp, rules).length) return "allowedFork";
+  if (best.outcome === "win") return "missedForcedWin";
+  return played.outcome === "loss" ? "allowedForcedLoss" : "gaveUpAdvantage";
+}
+
+// PUBLIC_INTERFACE
+export function analyzeGame(history, rules = CLASSIC_RULES, startingPlayer = "X") {
+  /**
+   * Grades every move of a line of board snapshots, `startingPlayer` moving first. Returns
+   * { moves, turningPoints } where each move is
+   * { step, number, player, index, square, grade, cause, reason, best, before, after, changed }:
+   * grade 'best' | 'inaccuracy' | 'blunder'; cause what went wrong ('missedWin',
+   * 'failedToBlock', ... see analysis.reason.* in the catalogs) and reason the same in
+   * English words (both null for best);
+   * best the squares that would have kept the best outcome; before / after the
+   * game-theoretic outcome ('X' | 'O' | 'draw' | null if unknown) around the move; and
+   * changed true where the move altered that outcome. turningPoints lists those steps.
+   */
+  const moves = describeMoves(history, rules, startingPlayer).map((move) => {
+    const before = history[move.step - 1];
+    const after = history[move.step];
+    const evaluations = evaluateMoves(before, move.player, rules, [move.index]);
+    const top = evaluations[0];
+    const played = evaluations.find((e) => e.index === move.index);
+    const good = evaluations.filter((e) => rank(e) === rank(top));
+    const grade =
+      rank(played) === rank(top) ? "best" : played.outcome === "loss" ? "blunder" : "inaccuracy";
+    const cause = grade === "best" ? null : causeOf(before, after, move, top, played, rules);
+    return {
+      ...move,
+      grade,
+      cause,
+      reason: cause && english(`analysis.reason.${cause}`),
+      best: good.map((e) => squareName(e.index, rules)),
+      before: outcomeFor(top, move.player),
+      after: outcomeFor(played, move.player),
+      changed: grade !== "best",
+    };
+  });
+  return {
+    moves,
+    turningPoints: moves.filter((m) => m.changed).map((m) => m.step),
+  };
+}
+
+// Positions already evaluated, by board snapshot: stepping back and forth through a game
+// (or the computer replying) doesn't search the same position twice.
+const evaluationCache = new WeakMap();
+
+// PUBLIC_INTERFACE
+export function evaluatePosition(squares, player, rules = CLASSIC_RULES) {
+  /**
+   * Evaluation overlay for `player` to move: { moves, outcome, bar }. moves maps each
+   * evaluated open square to { outcome, plies } as in engine.evaluateMoves (every square
+   * on 3x3 and in small endgames, only the promising ones on bigger boards); outcome is
+   * the result with best play ('X' | 'O' | 'draw', null if unknown) and bar runs from
+   * -1 (O wins) through 0 (draw or level) to 1 (X wins). Finished positions have no moves.
+   */
+  const cached = evaluationCache.get(squares);
+  if (cached && cached.player === player && cached.rules === rules) return cached.result;
+
+  let result;
+  const winner = calculateWinner(squares, rules);
+  if (winner || isDraw(squares, rules)) {
+    result = { moves: {}, outcome: winner || "draw", bar: winner ? (winner === "X" ? 1 : -1) : 0 };
+  } else {
+    const evaluations = evaluateMoves(squares, player, rules);
+    const moves = {};
+    for (const e of evaluations) moves[e.index] = { outcome: e.outcome, plies: e.plies };
+    const top = evaluations[0];
+    // Unknown results lean towards the static score but stop short of a forced result.
+    const value =
+      top.outcome === null ? 0.8 * Math.tanh(top.score / 1000) : RANK[top.outcome] - 1;
+    result = { moves, outcome: outcomeFor(top, player), bar: player === "X" ? value : -value };
+  }
+  evaluationCache.set(squares, { player, rules, result });
+  return result;
+}
+
+// PUBLIC_INTERFACE
+export function outcomeLabel(outcome, t = english) {
+  /** "X wins", "O wins", "draw" or "unclear", in the language of translator `t`. */
+  if (outcome === "X" || outcome === "O") return t("outcome.wins", { mark: outcome });
+  return outcome === "draw" ? t("outcome.draw") : t("outcome.unclear");
+}
+
+// PUBLIC_INTERFACE
+export function summarizeAnalysis(analysis, t = english) {
+  /** One or two sentences about the graded game, e.g. for the Assistant. */
+  const count = (player, grade) =>
+    analysis.moves.filter((m) => m.player === player && m.grade === grade).length;
+  const parts = ["X", "O"].map((p) => {
+    const inaccuracies = count(p, "inaccuracy");
+    const blunders = count(p, "blunder");
+    if (!inaccuracies && !blunders) return t("analysis.perfect", { mark: p });
+    const list = [];
+    if (blunders) list.push(t("analysis.blunders", { count: blunders }));
+    if (inaccuracies) list.push(t("analysis.inaccuracies", { count: inaccuracies }));
+    return t("analysis.made", { mark: p, mistakes: list.join(t("list.and")) });
+  });
+  const first = analysis.moves.find((m) => m.changed);
+  const turning = first
+    ? t("analysis.turning", {
+        number: first.number,
+        mark: first.player,
+        square: first.square,
+        reason: t(`analysis.reason.${first.cause}`),
+        before: outcomeLabel(first.before, t),
+        after: outcomeLabel(first.after, t),
+      })
+    : "";
+  return t("analysis.summary", { players: parts.join(t("list.semicolon")), turning });
+}
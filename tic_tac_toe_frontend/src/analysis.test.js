@@ -0,0 +1,45 @@
+import { analyzeGame, evaluatePosition, summarizeAnalysis } from './analysis';
+
+// Board snapshots for a sequence of squares (0-8), X moving first.
+function line(moves) {
+  const history = [Array(9).fill(null)];
+  moves.forEach((index, n) => {
+    const next = history[history.length - 1].slice();
+    next[index] = n % 2 === 0 ? 'X' : 'O';
+    history.push(next);
+  });
+  return history;
+}
+
+test('marks the move that turned a draw into a loss', () => {
+  // X center, O edge (loses to the fork that follows), X corner, O blocks, X forks.
+  const { moves, turningPoints } = analyzeGame(line([4, 1, 0, 8, 6, 2, 3]));
+  expect(moves.map((m) => m.grade)).toEqual(['best', 'blunder', 'best', 'best', 'best', 'best', 'best']);
+  expect(moves[1]).toMatchObject({ before: 'draw', after: 'X', changed: true, reason: 'allowed a forced loss' });
+  expect(moves[1].best).toEqual(expect.arrayContaining(['a1', 'c1', 'a3', 'c3']));
+  expect(turningPoints).toEqual([2]);
+});
+
+test('explains missed blocks and summarizes', () => {
+  // O ignores X's threat on the anti-diagonal.
+  const analysis = analyzeGame(line([4, 0, 2, 1, 6]));
+  expect(analysis.moves[3]).toMatchObject({ grade: 'blunder', reason: 'failed to block', best: ['a3'] });
+  expect(summarizeAnalysis(analysis)).toMatch(/^X played perfectly; O made 1 blunder\. The outcome changed at move 4/);
+});
+
+test('evaluates every open square for the overlay and the evaluation bar', () => {
+  const history = line([4, 1]);
+  // After O's edge reply X to move wins with best play.
+  const position = evaluatePosition(history[2], 'X');
+  expect(Object.keys(position.moves)).toHaveLength(7);
+  expect(position.outcome).toBe('X');
+  expect(position.bar).toBe(1);
+  expect(position.moves[0]).toEqual({ outcome: 'win', plies: 5 });
+  expect(position.moves[7]).toEqual({ outcome: 'draw', plies: 7 });
+  expect(evaluatePosition(history[2], 'X')).toBe(position);
+
+  const start = evaluatePosition(history[0], 'X');
+  expect(start.outcome).toBe('draw');
+  expect(start.bar).toBeCloseTo(0);
+  expect(evaluatePosition(line([0, 3, 1, 4, 2])[5], 'O')).toMatchObject({ moves: {}, outcome: 'X', bar: 1 });
+});
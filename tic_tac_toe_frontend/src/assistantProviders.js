@@ -0,0 +1,392 @@
+import {
+  CLASSIC_RULES,
+  QUBIC_SIZE,
+  SMALL_BOARDS,
+  allowedBoards,
+  explainSuggestion,
+  otherPlayer,
+  smallBoardOf,
+  squareName,
+  variantOf,
+} from "./engine";
+import { summarizeAnalysis } from "./analysis";
+import { describeMoves, moveLabel } from "./notation";
+import { LANGUAGES, english, matchesKeywords, translator } from "./i18n";
+
+/**
+ * Where the Assistant's answers come from. A provider is { id, label, respond } where
+ * `respond(message, context)` resolves to { text, hint? }; context describes the game:
+ * { board, history, startingPlayer, isXNext, winner, gameOver, mode, rules, analysis, chat,
+ * language }.
+ * - rules: the built-in responder (keyword matching plus the engine), always available;
+ *          answers in `language` and understands its keywords as well as English ones
+ * - http:  any OpenAI-compatible chat completions endpoint, e.g. a locally hosted model
+ * replyWithFallback answers with the rule-based responder whenever the endpoint fails.
+ */
+
+export const SETTINGS_KEY = "ttt-arena-assistant";
+// Endpoint answers slower than this fall back to the built-in answer.
+export const RESPONSE_TIMEOUT_MS = 8000;
+// Previous chat messages sent along to the endpoint for follow-up questions.
+const CHAT_CONTEXT_MESSAGES = 6;
+
+// Endpoint preset at build time with REACT_APP_ASSISTANT_URL (and REACT_APP_ASSISTANT_MODEL).
+const DEFAULT_SETTINGS = {
+  provider: process.env.REACT_APP_ASSISTANT_URL ? "http" : "rules",
+  url: process.env.REACT_APP_ASSISTANT_URL || "http://localhost:11434/v1",
+  model: process.env.REACT_APP_ASSISTANT_MODEL || "",
+};
+
+// PUBLIC_INTERFACE
+export function loadAssistantSettings() {
+  /** { provider: 'rules' | 'http', url, model } saved in this browser, else the defaults. */
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+    if (!saved || typeof saved !== "object") return DEFAULT_SETTINGS;
+    return {
+      provider: saved.provider === "http" ? "http" : "rules",
+      url: typeof saved.url === "string" ? saved.url : DEFAULT_SETTINGS.url,
+      model: typeof saved.model === "string" ? saved.model : DEFAULT_SETTINGS.model,
+    };
+  } catch (e) {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveAssistantSettings(settings) {
+  /** Remembers the provider settings; silently skipped without localStorage. */
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Settings last for this visit only.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createProvider(settings) {
+  /** Provider for saved settings: the HTTP adapter when chosen and given a URL. */
+  if (settings.provider === "http" && settings.url.trim()) {
+    return createHttpProvider({ url: settings.url.trim(), model: settings.model.trim() });
+  }
+  return createRuleBasedProvider();
+}
+
+// PUBLIC_INTERFACE
+export function createRuleBasedProvider() {
+  /** The built-in responder: answers instantly and never fails. */
+  return {
+    id: "rules",
+    label: "Built-in",
+    respond: (message, context) => Promise.resolve(ruleBasedReply(message, context)),
+  };
+}
+
+// "AI" answers for sample queries: { text, hint } where hint ({ board, index, lines }) is
+// the move to highlight after a suggestion.
+function ruleBasedReply(userMsg, context) {
+  const { board, isXNext, winner, gameOver, mode, rules, analysis } = context;
+  const language = context.language || "en";
+  const t = translator(language);
+  const asks = (intent) => matchesKeywords(userMsg, language, intent);
+  const inARow = rules.k === 3 ? t("reply.three") : String(rules.k);
+  const variant = variantOf(rules);
+  const say = (text) => ({ text });
+  // How to play
+  if (asks("howToPlay")) {
+    if (variant !== "standard") return say(t(`reply.rules.${variant}`));
+    return say(t("reply.howToPlay", { inARow }));
+  }
+  // Post-game review
+  if (asks("review")) {
+    if (!analysis) return say(t("reply.analyzeFirst"));
+    const worst =
+      analysis.moves.find((m) => m.grade === "blunder") ||
+      analysis.moves.find((m) => m.grade === "inaccuracy");
+    const summary = summarizeAnalysis(analysis, t);
+    return say(
+      worst
+        ? t("reply.betterMove", {
+            summary,
+            number: worst.number,
+            squares: worst.best.join(t("list.or")),
+          })
+        : summary
+    );
+  }
+  // Winning conditions
+  if (asks("win")) {
+    if (variant !== "standard") return say(t(`reply.win.${variant}`));
+    return say(t("reply.win", { inARow }));
+  }
+  // Draw
+  if (asks("draw")) {
+    if (variant === "numerical" || variant === "ultimate") return say(t(`reply.draw.${variant}`));
+    return say(t("reply.draw", { inARow }));
+  }
+  // Suggest move
+  if (asks("suggest")) {
+    if (winner || gameOver) return say(t("reply.gameOver"));
+    // Ask the engine for a suggestion based on the current board
+    const player = isXNext ? "X" : "O";
+    const hint = explainSuggestion(board, player, rules, lastMoveOf(context.history, board));
+    if (!hint || hint.index === null) return say(t("reply.boardFull"));
+    const reason = hintReason(hint, player, rules, t);
+    return {
+      text: recommendation(hint, rules, reason, t),
+      hint: { board, index: hint.index, lines: hint.lines },
+    };
+  }
+  // Explanation about modes
+  if (asks("mode")) {
+    if (mode === "PVC") return say(t("reply.modePVC"));
+    if (mode === "PVP") return say(t("reply.modePVP"));
+  }
+  // Rules
+  if (asks("rules")) {
+    if (variant !== "standard") return say(t(`reply.rules.${variant}`));
+    return say(t("reply.rules", { rows: rules.rows, cols: rules.cols, inARow }));
+  }
+  // Fallback/generic
+  return say(t("reply.fallback"));
+}
+
+// "I recommend you play in square 5: ...". Wild and Numerical moves also name the mark to
+// place; Ultimate and Qubic squares are numbered within their small board or layer, like on
+// screen.
+function recommendation(hint, rules, reason, t) {
+  const { index, mark } = hint;
+  const square = squareName(index, rules);
+  switch (variantOf(rules)) {
+    case "wild":
+    case "numerical":
+      return t("reply.recommendMark", { number: index + 1, mark, reason });
+    case "ultimate": {
+      const board = smallBoardOf(index);
+      const number = SMALL_BOARDS[board].indexOf(index) + 1;
+      return t("reply.recommendUltimate", { board: board + 1, number, square, reason });
+    }
+    case "qubic": {
+      const layer = Math.floor(index / (QUBIC_SIZE * QUBIC_SIZE)) + 1;
+      const number = (index % (QUBIC_SIZE * QUBIC_SIZE)) + 1;
+      return t("reply.recommendQubic", { layer, number, square, reason });
+    }
+    default:
+      return t("reply.recommend", { number: index + 1, reason });
+  }
+}
+
+// Square of the move that led to `board`, the last position of `history`, or null. Ultimate
+// moves depend on it.
+function lastMoveOf(history = [], board) {
+  const previous = history.length > 1 ? history[history.length - 2] : null;
+  return previous ? board.findIndex((sq, i) => sq !== previous[i]) : null;
+}
+
+// "a, b and c" in the language of `t`.
+function joinList(items, t) {
+  if (items.length === 1) return items[0];
+  return items.slice(0, -1).join(t("list.comma")) + t("list.and") + items[items.length - 1];
+}
+
+// "square 3" or "squares 3 and 7" (1-based, like the rest of the chat).
+function squareList(list, t) {
+  const numbers = list.map((i) => i + 1);
+  if (numbers.length === 1) return t("squares.one", { number: numbers[0] });
+  return t("squares.many", { list: joinList(numbers, t), count: numbers.length });
+}
+
+// "row 1", "column 3" or "diagonal 1–9"; Qubic lines go by their end squares, "1a1–4d4".
+function lineLabel(line, rules, t) {
+  const first = line[0];
+  const last = line[line.length - 1];
+  if (variantOf(rules) === "qubic") {
+    return t("line.through", { from: squareName(first, rules), to: squareName(last, rules) });
+  }
+  if (Math.floor(first / rules.cols) === Math.floor(last / rules.cols)) {
+    return t("line.row", { number: Math.floor(first / rules.cols) + 1 });
+  }
+  if (first % rules.cols === last % rules.cols) {
+    return t("line.column", { number: (first % rules.cols) + 1 });
+  }
+  return t("line.diagonal", { from: first + 1, to: last + 1 });
+}
+
+// Why the suggested move is good, from engine.explainSuggestion.
+function hintReason(hint, player, rules, t) {
+  switch (hint.kind) {
+    case "win":
+      return t("hint.win");
+    case "block":
+      return t("hint.block", {
+        mark: otherPlayer(player),
+        lines: hint.lines.map((l) => lineLabel(l, rules, t)).join(t("list.and")),
+      });
+    case "fork":
+      return t("hint.fork", { squares: squareList(hint.squares, t) });
+    case "blockFork":
+      return t("hint.blockFork", { squares: squareList(hint.squares, t) });
+    case "forcedWin":
+      return t("hint.forcedWin");
+    case "threats":
+      return t("hint.threats");
+    case "draw":
+      return t("hint.holdDraw");
+    case "loss":
+      return t("hint.lostAnyway");
+    case "claim":
+      return t("hint.claim", { number: smallBoardOf(hint.index) + 1 });
+    case "blockClaim":
+      return t("hint.blockClaim", { mark: otherPlayer(player), number: smallBoardOf(hint.index) + 1 });
+    default:
+      if (variantOf(rules) === "ultimate") return t("hint.searched");
+      if (rules.rows === 3 && rules.cols === 3) {
+        if (hint.index === 4) return t("hint.center");
+        return [0, 2, 6, 8].includes(hint.index) ? t("hint.corner") : t("hint.side");
+      }
+      return t("hint.lines");
+  }
+}
+
+// PUBLIC_INTERFACE
+export function describeGame(context) {
+  /**
+   * Plain-text picture of the game for a language model: rules, mode, the board with
+   * coordinates, whose turn it is, the moves so far and the analysis summary if any.
+   */
+  const { board, history = [], startingPlayer = "X", isXNext, winner, gameOver, mode, analysis } =
+    context;
+  const rules = context.rules || CLASSIC_RULES;
+  const variant = variantOf(rules);
+  const qubic = variant === "qubic";
+  const columns = Array.from({ length: rules.cols }, (_, c) => String.fromCharCode(97 + c));
+  const header = `   ${columns.join(" ")}`;
+  const rows = Array.from({ length: rules.rows }, (_, r) => {
+    const cells = board.slice(r * rules.cols, (r + 1) * rules.cols).map((sq) => sq || ".");
+    // Qubic's layers are stored one below the other; each gets its own heading.
+    const row = qubic ? r % QUBIC_SIZE : r;
+    const line = `${String(row + 1).padStart(2)} ${cells.join(" ")}`;
+    return qubic && row === 0 ? [`Layer ${r / QUBIC_SIZE + 1}:`, header, line] : [line];
+  }).flat();
+  const modes = { PVC: "human (X) vs computer (O)", PVP: "two players", ONLINE: "online game" };
+  const moves = describeMoves(history, rules, startingPlayer).map(moveLabel);
+  const state = winner
+    ? `${winner} has won.`
+    : gameOver
+      ? "The game is a draw."
+      : `${isXNext ? "X" : "O"} is to move.`;
+  return [
+    variant === "standard"
+      ? `Board ${rules.rows}x${rules.cols}, ${rules.k} in a row wins. Mode: ${modes[mode] || mode}.`
+      : `${english(`reply.rules.${variant}`)} Mode: ${modes[mode] || mode}.`,
+    qubic
+      ? "Squares are named by layer, column letter and row number (1a1 is the top-left of the " +
+          `top layer), or numbered 1-${rules.rows * rules.cols} layer by layer, row by row.`
+      : "Squares are named by column letter and row number (a1 is top-left), or numbered " +
+          `1-${rules.rows * rules.cols} row by row.`,
+    ...(qubic ? [] : [header]),
+    ...rows,
+    state,
+    ...(variant === "ultimate" && !winner && !gameOver
+      ? [
+          "Small boards are numbered 1-9 row by row. The next move goes in small board " +
+            `${allowedBoards(board, lastMoveOf(history, board)).map((b) => b + 1).join(" or ")}.`,
+        ]
+      : []),
+    `Moves so far: ${moves.length ? moves.join(", ") : "none"}.`,
+    ...(analysis ? [`Post-game analysis: ${summarizeAnalysis(analysis)}`] : []),
+  ].join("\n");
+}
+
+// " Answer in Arabic." when the UI isn't in English.
+function answerLanguage(language) {
+  const catalog = LANGUAGES[language];
+  return catalog && language !== "en" ? ` Answer in ${catalog.englishName}.` : "";
+}
+
+// Chat completions URL for a base URL such as http://localhost:11434/v1.
+function completionsUrl(url) {
+  const base = url.replace(/\/+$/, "");
+  return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+}
+
+// PUBLIC_INTERFACE
+export function createHttpProvider({
+  url,
+  model = "",
+  apiKey = "",
+  timeoutMs = RESPONSE_TIMEOUT_MS,
+}) {
+  /**
+   * Adapter for an OpenAI-compatible chat endpoint (`url` is the API base, e.g.
+   * http://localhost:11434/v1, or the full /chat/completions URL). The game is sent as a
+   * system message (see describeGame) with the last few chat messages. Rejects when the
+   * endpoint errors, returns no answer, or takes longer than `timeoutMs`.
+   */
+  return {
+    id: "http",
+    label: "Chat endpoint",
+    async respond(message, context) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const history = (context.chat || []).slice(-CHAT_CONTEXT_MESSAGES).map((m) => ({
+        role: m.from === "user" ? "user" : "assistant",
+        content: m.text,
+      }));
+      try {
+        const response = await fetch(completionsUrl(url), {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            ...(model ? { model } : {}),
+            messages: [
+              {
+                role: "system",
+                content:
+                  "You are the friendly assistant of a Tic Tac Toe app. Answer in one to three " +
+                  "short sentences and only about this game." +
+                  answerLanguage(context.language) +
+                  "\n\n" +
+                  describeGame(context),
+              },
+              ...history,
+              { role: "user", content: message },
+            ],
+            temperature: 0.2,
+            stream: false,
+          }),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`Assistant endpoint answered ${response.status}`);
+        const data = await response.json();
+        const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+        const text = choice && choice.message ? choice.message.content : null;
+        if (typeof text !== "string" || !text.trim()) throw new Error("Empty answer");
+        return { text: text.trim() };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function replyWithFallback(provider, message, context) {
+  /**
+   * Asks `provider`, falling back to the built-in responder if it fails or times out.
+   * Resolves to { text, hint?, fallback } with fallback true when the built-in answer
+   * stood in for the provider's.
+   */
+  const builtIn = createRuleBasedProvider();
+  if (provider.id === builtIn.id) {
+    return { ...(await builtIn.respond(message, context)), fallback: false };
+  }
+  try {
+    return { ...(await provider.respond(message, context)), fallback: false };
+  } catch (e) {
+    return { ...(await builtIn.respond(message, context)), fallback: true };
+  }
+}
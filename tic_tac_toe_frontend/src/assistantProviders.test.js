@@ -0,0 +1,108 @@
+import { CLASSIC_RULES, createRules } from './engine';
+import {
+  createHttpProvider,
+  createRuleBasedProvider,
+  describeGame,
+  replyWithFallback,
+} from './assistantProviders';
+
+// X in the center, O in the top-left corner; X to move.
+const history = [
+  [null, null, null, null, null, null, null, null, null],
+  [null, null, null, null, 'X', null, null, null, null],
+  ['O', null, null, null, 'X', null, null, null, null],
+];
+const context = {
+  board: history[2],
+  history,
+  isXNext: true,
+  winner: null,
+  gameOver: false,
+  mode: 'PVC',
+  rules: CLASSIC_RULES,
+  analysis: null,
+  chat: [{ from: 'user', text: 'hi' }, { from: 'assistant', text: 'Hello!' }],
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('built-in provider answers questions and suggests moves with a hint', async () => {
+  const provider = createRuleBasedProvider();
+  expect((await provider.respond('What are the rules?', context)).text).toMatch(/3x3 board/);
+  const suggestion = await provider.respond('Suggest a move', context);
+  expect(suggestion.text).toMatch(/^I recommend you play in square 3: it takes a corner/);
+  expect(suggestion.hint).toMatchObject({ board: context.board, index: 2 });
+});
+
+test('built-in provider answers in the UI language', async () => {
+  const provider = createRuleBasedProvider();
+  const arabic = { ...context, language: 'ar' };
+  expect((await provider.respond('ما هي القواعد؟', arabic)).text).toMatch(/^إكس-أو على لوحة 3x3/);
+  const suggestion = await provider.respond('اقترح نقلة', arabic);
+  expect(suggestion.text).toBe('أنصحك باللعب في المربع 3: لأنها تأخذ زاوية.');
+  expect(suggestion.hint).toMatchObject({ index: 2 });
+});
+
+test('built-in provider explains variant rules and names the mark to place', async () => {
+  const provider = createRuleBasedProvider();
+  const wild = { ...context, rules: createRules(3, 3, 3, 'wild') };
+  expect((await provider.respond('What are the rules?', wild)).text).toMatch(/either X or O/);
+  const misere = { ...context, rules: createRules(3, 3, 3, 'misere') };
+  expect((await provider.respond('How do I win?', misere)).text).toMatch(/opponent completes/);
+  // X (odd) to move; c1 with 3 makes 15 along the top row.
+  const board = [4, 8, null, null, 5, null, 1, null, null];
+  const numerical = { ...context, board, rules: createRules(3, 3, 3, 'numerical') };
+  const suggestion = await provider.respond('Suggest a move', numerical);
+  expect(suggestion.text).toBe('I recommend you place 3 in square 3: it wins immediately.');
+});
+
+test('describes the board and the moves for a language model', () => {
+  const text = describeGame(context);
+  expect(text).toContain('   a b c\n 1 O . .\n 2 . X .\n 3 . . .');
+  expect(text).toContain('X is to move.');
+  expect(text).toContain('Moves so far: 1. X b2, 2. O a1.');
+});
+
+test('HTTP provider posts the game as context to a chat completions endpoint', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { content: ' Take c3. ' } }] }),
+  });
+  const provider = createHttpProvider({ url: 'http://localhost:11434/v1/', model: 'llama3' });
+  await expect(replyWithFallback(provider, 'Where should I go?', context)).resolves.toEqual({
+    text: 'Take c3.',
+    fallback: false,
+  });
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:11434/v1/chat/completions');
+  const body = JSON.parse(request.body);
+  expect(body.model).toBe('llama3');
+  expect(body.messages[0].role).toBe('system');
+  expect(body.messages[0].content).toContain('Moves so far: 1. X b2, 2. O a1.');
+  expect(body.messages.slice(1)).toEqual([
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'Where should I go?' },
+  ]);
+});
+
+test('falls back to the built-in answer when the endpoint fails or is too slow', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+  const failing = createHttpProvider({ url: 'http://localhost:1/v1' });
+  const reply = await replyWithFallback(failing, 'What are the rules?', context);
+  expect(reply.fallback).toBe(true);
+  expect(reply.text).toMatch(/3x3 board/);
+
+  // Never answers, until the request is aborted.
+  global.fetch = jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+  );
+  const slow = createHttpProvider({ url: 'http://localhost:1/v1', timeoutMs: 20 });
+  const late = await replyWithFallback(slow, 'Suggest a move', context);
+  expect(late).toMatchObject({ fallback: true, hint: { index: 2 } });
+});
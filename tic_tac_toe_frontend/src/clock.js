@@ -0,0 +1,86 @@
+/**
+ * Chess clocks for timed games. A clock is plain data,
+ * { control, remaining: { X, O }, running, since }: `control` is a TIME_CONTROLS id,
+ * `remaining` the milliseconds each side had when `running` ('X', 'O' or null) last
+ * started at `since` (a Date.now() timestamp). Only the running side's time goes down, so
+ * the app, the spectator view and the relay (server/relay.mjs) all read it the same way.
+ * No imports, so the relay can load this file directly, as it does engine.js.
+ */
+
+// Per move: every turn gets the same time. Per game: one budget, plus `increment`
+// seconds after each move.
+export const TIME_CONTROLS = {
+  move5: { kind: "move", seconds: 5 },
+  move10: { kind: "move", seconds: 10 },
+  move30: { kind: "move", seconds: 30 },
+  game30: { kind: "game", seconds: 30, increment: 2 },
+  game60: { kind: "game", seconds: 60, increment: 1 },
+  game180: { kind: "game", seconds: 180, increment: 2 },
+};
+
+// Below this, clocks show tenths of a second (and are drawn as running low).
+export const LOW_TIME_MS = 10000;
+
+// PUBLIC_INTERFACE
+export function createClock(control) {
+  /** Stopped clock with the full time for both sides. Throws an Error for an unknown control. */
+  if (!TIME_CONTROLS[control]) throw new Error(`Unknown time control "${control}"`);
+  const full = TIME_CONTROLS[control].seconds * 1000;
+  return { control, remaining: { X: full, O: full }, running: null, since: null };
+}
+
+// PUBLIC_INTERFACE
+export function timeLeft(clock, player, now = Date.now()) {
+  /** Milliseconds `player` has left at `now`, never below zero. */
+  const left =
+    clock.running === player ? clock.remaining[player] - (now - clock.since) : clock.remaining[player];
+  return Math.max(0, left);
+}
+
+// PUBLIC_INTERFACE
+export function runClock(clock, player, now = Date.now()) {
+  /**
+   * Stops the side that is running and starts `player` instead (null just pauses).
+   * Returns the same clock when `player` is already the one running.
+   */
+  if (clock.running === player) return clock;
+  const remaining = { ...clock.remaining };
+  if (clock.running) remaining[clock.running] = timeLeft(clock, clock.running, now);
+  return { ...clock, remaining, running: player, since: player ? now : null };
+}
+
+// PUBLIC_INTERFACE
+export function completeMove(clock, player, now = Date.now()) {
+  /**
+   * Stops the clock after `player` moved and credits their move: the increment per game,
+   * or a full turn again per move. Starting the opponent is up to the caller.
+   */
+  const control = TIME_CONTROLS[clock.control];
+  const stopped = runClock(clock, null, now);
+  const credited =
+    control.kind === "move"
+      ? control.seconds * 1000
+      : stopped.remaining[player] + control.increment * 1000;
+  return { ...stopped, remaining: { ...stopped.remaining, [player]: credited } };
+}
+
+// PUBLIC_INTERFACE
+export function formatClock(ms) {
+  /** "2:05", or "0:07.3" with tenths when time is running low. */
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const seconds = Math.floor(tenths / 10);
+  const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  return ms < LOW_TIME_MS ? `${text}.${tenths % 10}` : text;
+}
+
+// PUBLIC_INTERFACE
+export function validateClock(clock) {
+  /** Returns a clock read from storage, stopped, if well formed, otherwise null. */
+  if (!clock || typeof clock !== "object" || !TIME_CONTROLS[clock.control]) return null;
+  const full = createClock(clock.control);
+  const remaining = clock.remaining || {};
+  const valid = ["X", "O"].every(
+    (p) => typeof remaining[p] === "number" && remaining[p] >= 0 && Number.isFinite(remaining[p])
+  );
+  return valid ? { ...full, remaining: { X: remaining.X, O: remaining.O } } : null;
+}
@@ -0,0 +1,40 @@
+import { completeMove, createClock, formatClock, runClock, timeLeft, validateClock } from './clock';
+
+test('only the running side loses time, and pausing keeps what is left', () => {
+  let clock = runClock(createClock('game30'), 'X', 1000);
+  expect(timeLeft(clock, 'X', 5000)).toBe(26000);
+  expect(timeLeft(clock, 'O', 5000)).toBe(30000);
+  clock = runClock(clock, null, 5000);
+  expect(timeLeft(clock, 'X', 60000)).toBe(26000);
+  expect(timeLeft(runClock(clock, 'X', 0), 'X', 99000)).toBe(0);
+  expect(() => createClock('blitz')).toThrow(/Unknown time control/);
+});
+
+test('moves add the increment per game, or a full turn per move', () => {
+  let game = runClock(createClock('game30'), 'X', 0);
+  game = completeMove(game, 'X', 4000);
+  expect(game).toMatchObject({ running: null, remaining: { X: 28000, O: 30000 } });
+
+  let perMove = runClock(createClock('move10'), 'O', 0);
+  perMove = completeMove(perMove, 'O', 9500);
+  expect(perMove.remaining.O).toBe(10000);
+});
+
+test('formats clocks with tenths when time runs low', () => {
+  expect(formatClock(185000)).toBe('3:05');
+  expect(formatClock(10000)).toBe('0:10');
+  expect(formatClock(7349)).toBe('0:07.3');
+  expect(formatClock(-20)).toBe('0:00.0');
+});
+
+test('restores saved clocks stopped, and rejects malformed ones', () => {
+  const saved = { control: 'move5', remaining: { X: 1200, O: 5000 }, running: 'X', since: 3 };
+  expect(validateClock(saved)).toEqual({
+    control: 'move5',
+    remaining: { X: 1200, O: 5000 },
+    running: null,
+    since: null,
+  });
+  expect(validateClock({ control: 'move5', remaining: { X: -1, O: 5000 } })).toBeNull();
+  expect(validateClock({ control: 'forever', remaining: { X: 1, O: 1 } })).toBeNull();
+});
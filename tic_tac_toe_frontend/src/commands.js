@@ -0,0 +1,175 @@
+import { CLASSIC_RULES, parseSquareName } from "./engine";
+import { LANGUAGES, english, normalizeText, translator } from "./i18n";
+import { describeMoves, moveLabel } from "./notation";
+
+/**
+ * Commands typed into the Assistant chat ("play center", "put X in top-left", "undo",
+ * "new game", "switch to two players", "what's the score?", "show me the last 3 moves").
+ * parseCommand turns a message into a plain action object; App carries it out and the
+ * reply helpers below describe the result. Anything that isn't a command parses to null
+ * so the Assistant can answer it as a question instead. The words it listens for come from
+ * the `commands` of the UI language's catalog and of English (see src/locales).
+ */
+
+// Command words of `language` and English, normalized like the messages they are matched in.
+function commandWords(language) {
+  const catalogs = [LANGUAGES[language] || LANGUAGES.en, LANGUAGES.en];
+  const words = { numbers: {} };
+  for (const catalog of catalogs.slice().reverse()) {
+    for (const [word, n] of Object.entries(catalog.commands.numbers)) {
+      words.numbers[normalizeText(word)] = n;
+    }
+  }
+  for (const key of Object.keys(LANGUAGES.en.commands)) {
+    if (key === "numbers") continue;
+    words[key] = catalogs.flatMap((catalog) => catalog.commands[key] || []).map(normalizeText);
+  }
+  return words;
+}
+
+// Lower case, punctuation and hyphens as spaces, digits and number words as ASCII digits
+// ("two" -> "2", "٣" -> "3"). Letters of every script are kept.
+function normalize(text, numbers) {
+  return normalizeText(text)
+    .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => (numbers[word] ? String(numbers[word]) : word))
+    .join(" ");
+}
+
+// Regex alternation of `phrases`, matched literally.
+function anyOf(phrases) {
+  return phrases.map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+}
+
+// Regex for one of `phrases` as whole words (\b only knows ASCII letters), followed by `after`.
+function wordsPattern(phrases, after = "") {
+  return new RegExp(`(?:^| )(?:${anyOf(phrases)})${after}(?= |$)`);
+}
+
+function has(text, phrases) {
+  return wordsPattern(phrases).test(text);
+}
+
+// Row or column index for "first" / "last" / middle, or null when an even size has no middle.
+function position(which, size) {
+  if (which === "first") return 0;
+  if (which === "last") return size - 1;
+  return size % 2 === 1 ? (size - 1) / 2 : null;
+}
+
+// Square named in `text` as { index } or { error: [key, params] }, or null if there is none.
+function parseTarget(text, rules, words) {
+  const numbered = text.match(/(?:^| )(\d+)(?= |$)/);
+  const row = text.match(wordsPattern(words.row, " (\\d+)"));
+  const col = text.match(wordsPattern(words.column, " (\\d+)"));
+  if (row && col) {
+    const r = Number(row[1]);
+    const c = Number(col[1]);
+    if (r < 1 || r > rules.rows || c < 1 || c > rules.cols) {
+      return { error: ["command.rowColumnRange", { rows: rules.rows, cols: rules.cols }] };
+    }
+    return { index: (r - 1) * rules.cols + (c - 1) };
+  }
+  const named = text.split(" ").find((word) => parseSquareName(word, rules) !== null);
+  if (named) return { index: parseSquareName(named, rules) };
+  if (numbered) {
+    const n = Number(numbered[1]);
+    const size = rules.rows * rules.cols;
+    if (n < 1 || n > size) return { error: ["command.noSquare", { number: n, size }] };
+    return { index: n - 1 };
+  }
+
+  const rowEnd = has(text, words.top) ? "first" : has(text, words.bottom) ? "last" : null;
+  const colEnd = has(text, words.left) ? "first" : has(text, words.right) ? "last" : null;
+  const middle = has(text, words.middle);
+  if (has(text, words.corner) && !(rowEnd && colEnd)) return { error: ["command.whichCorner", {}] };
+  if (!rowEnd && !colEnd && !middle) return null;
+  const r = position(rowEnd || "middle", rules.rows);
+  const c = position(colEnd || "middle", rules.cols);
+  if (r === null || c === null) {
+    return { error: ["command.noMiddle", { size: `${rules.rows}x${rules.cols}` }] };
+  }
+  return { index: r * rules.cols + c };
+}
+
+// PUBLIC_INTERFACE
+export function parseCommand(message, rules = CLASSIC_RULES, language = "en") {
+  /**
+   * Action requested by a chat message, or null if it isn't a command:
+   * { action: 'play', index, mark } (mark 'X' / 'O' when named, else null),
+   * { action: 'undo' | 'redo' | 'newGame' | 'resetScores' | 'score' },
+   * { action: 'mode', mode: 'PVP' | 'PVC' }, { action: 'difficulty', level },
+   * { action: 'moves', count } (count null for all of them), or
+   * { action: 'unclear', reply } for a command that can't be carried out as typed, with the
+   * reply in `language`. Commands are understood in `language` and in English.
+   */
+  const words = commandWords(language);
+  const text = normalize(message, words.numbers);
+  if (!text) return null;
+
+  if (has(text, words.undo)) return { action: "undo" };
+  if (has(text, words.redo)) return { action: "redo" };
+  if (has(text, words.newGame)) return { action: "newGame" };
+
+  const switching = has(text, words.switchMode);
+  if (switching && has(text, words.twoPlayers)) return { action: "mode", mode: "PVP" };
+  if (switching && has(text, words.computer)) return { action: "mode", mode: "PVC" };
+  const level = ["easy", "medium", "hard"].find((l) => has(text, words[l]));
+  if (level && has(text, words.setLevel)) return { action: "difficulty", level };
+
+  if (has(text, words.score)) {
+    return has(text, words.reset) ? { action: "resetScores" } : { action: "score" };
+  }
+  if ((has(text, words.moves) && has(text, words.recent)) || has(text, words.moveList)) {
+    const count = text.match(wordsPattern(words.recent, " (\\d+)"));
+    if (count) return { action: "moves", count: Number(count[1]) };
+    return { action: "moves", count: has(text, words.lastMove) ? 1 : null };
+  }
+
+  const verb = text.match(new RegExp(`(?:^| )(?:${anyOf(words.play)})(?= |$)(.*)$`));
+  if (!verb) return null;
+  const rest = verb[1];
+  const target = parseTarget(rest, rules, words);
+  if (!target) return null;
+  if (target.error) return { action: "unclear", reply: translator(language)(...target.error) };
+  const mark = rest.match(/(?:^| )(x|o)(?= |$)/);
+  return { action: "play", index: target.index, mark: mark ? mark[1].toUpperCase() : null };
+}
+
+// PUBLIC_INTERFACE
+export function scoreReply(scores, names = null, t = english) {
+  /** "The score is You (X) 2, Computer (O) 1, with 0 draws." */
+  const label = (p) => (names ? `${names[p]} (${p})` : p);
+  return t("command.score", {
+    x: label("X"),
+    xScore: scores.X,
+    o: label("O"),
+    oScore: scores.O,
+    count: scores.Draws,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function movesReply(
+  history,
+  count,
+  rules = CLASSIC_RULES,
+  t = english,
+  startingPlayer = "X"
+) {
+  /**
+   * The last `count` moves of a game line (all of them when count is null), e.g.
+   * "The last 2 moves: 3. X c1, 4. O b2." `startingPlayer` made the first move.
+   */
+  const moves = describeMoves(history, rules, startingPlayer);
+  if (moves.length === 0) return t("command.moves.none");
+  const shown = count === null ? moves : moves.slice(-count);
+  const list = shown.map(moveLabel).join(t("list.comma"));
+  if (count === null || shown.length === moves.length) {
+    return t("command.moves.all", { count: moves.length, list });
+  }
+  return t("command.moves.last", { count: shown.length, list });
+}
@@ -0,0 +1,92 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { createRules } from './engine';
+import { I18nProvider, LANGUAGE_KEY, translator } from './i18n';
+import { movesReply, parseCommand, scoreReply } from './commands';
+
+test('parses moves by position, number, coordinate and row / column', () => {
+  expect(parseCommand('play center')).toEqual({ action: 'play', index: 4, mark: null });
+  expect(parseCommand('Put X in top-left')).toEqual({ action: 'play', index: 0, mark: 'X' });
+  expect(parseCommand('place o bottom right')).toMatchObject({ index: 8, mark: 'O' });
+  expect(parseCommand('play top')).toMatchObject({ index: 1 });
+  expect(parseCommand('play square five')).toMatchObject({ index: 4 });
+  expect(parseCommand('play b3')).toMatchObject({ index: 7 });
+  expect(parseCommand('put X in row 2 column 3')).toMatchObject({ index: 5 });
+});
+
+test('explains ambiguous or impossible moves', () => {
+  expect(parseCommand('take a corner')).toMatchObject({ action: 'unclear', reply: expect.stringMatching(/Which corner/) });
+  expect(parseCommand('play 12')).toMatchObject({ action: 'unclear', reply: expect.stringMatching(/no square 12/) });
+  expect(parseCommand('play center', createRules(4))).toMatchObject({ action: 'unclear' });
+  expect(parseCommand('play top left', createRules(4))).toMatchObject({ index: 0 });
+});
+
+test('parses game commands and leaves questions alone', () => {
+  expect(parseCommand('undo')).toEqual({ action: 'undo' });
+  expect(parseCommand('take that back')).toEqual({ action: 'undo' });
+  expect(parseCommand('New game!')).toEqual({ action: 'newGame' });
+  expect(parseCommand('switch to two players')).toEqual({ action: 'mode', mode: 'PVP' });
+  expect(parseCommand('play against the computer')).toEqual({ action: 'mode', mode: 'PVC' });
+  expect(parseCommand('set difficulty to hard')).toEqual({ action: 'difficulty', level: 'hard' });
+  expect(parseCommand("what's the score?")).toEqual({ action: 'score' });
+  expect(parseCommand('reset the scores')).toEqual({ action: 'resetScores' });
+  expect(parseCommand('show me the last 3 moves')).toEqual({ action: 'moves', count: 3 });
+  expect(parseCommand('what was the last move')).toEqual({ action: 'moves', count: 1 });
+  expect(parseCommand('show the moves')).toEqual({ action: 'moves', count: null });
+  for (const question of ['How do I play?', 'Suggest a move', 'What are the rules?', 'How do I win?']) {
+    expect(parseCommand(question)).toBeNull();
+  }
+});
+
+test('describes the score and recent moves', () => {
+  expect(scoreReply({ X: 2, O: 1, Draws: 1 }, { X: 'You', O: 'Computer' })).toBe(
+    'The score is You (X) 2, Computer (O) 1, with 1 draw.'
+  );
+  const history = [[null, null, null, null, null, null, null, null, null]];
+  [4, 0, 8].forEach((index, n) => {
+    const next = history[history.length - 1].slice();
+    next[index] = n % 2 === 0 ? 'X' : 'O';
+    history.push(next);
+  });
+  expect(movesReply(history, 2)).toBe('The last 2 moves: 2. O a1, 3. X c3.');
+  expect(movesReply(history, null)).toBe('All 3 moves so far: 1. X b2, 2. O a1, 3. X c3.');
+  expect(movesReply(history.slice(0, 1), 3)).toBe('No moves have been played yet.');
+});
+
+test('understands commands in Arabic and answers in Arabic', () => {
+  const ar = translator('ar');
+  expect(parseCommand('العب في المركز', undefined, 'ar')).toEqual({ action: 'play', index: 4, mark: null });
+  expect(parseCommand('ضع X في الزاوية العليا اليسرى', undefined, 'ar')).toMatchObject({ index: 0, mark: 'X' });
+  expect(parseCommand('ضع O في الصف ٢ العمود ثلاثة', undefined, 'ar')).toMatchObject({ index: 5 });
+  expect(parseCommand('تراجع', undefined, 'ar')).toEqual({ action: 'undo' });
+  expect(parseCommand('لعبة جديدة', undefined, 'ar')).toEqual({ action: 'newGame' });
+  expect(parseCommand('العب ضد الحاسوب', undefined, 'ar')).toEqual({ action: 'mode', mode: 'PVC' });
+  expect(parseCommand('اجعل المستوى صعب', undefined, 'ar')).toEqual({ action: 'difficulty', level: 'hard' });
+  expect(parseCommand('ما النتيجة؟', undefined, 'ar')).toEqual({ action: 'score' });
+  expect(parseCommand('اعرض آخر ٣ نقلات', undefined, 'ar')).toEqual({ action: 'moves', count: 3 });
+  expect(parseCommand('play center', undefined, 'ar')).toMatchObject({ index: 4 });
+  expect(parseCommand('خذ زاوية', undefined, 'ar')).toEqual({
+    action: 'unclear',
+    reply: 'أي زاوية؟ قل العليا اليسرى أو العليا اليمنى أو السفلى اليسرى أو السفلى اليمنى.',
+  });
+  for (const question of ['كيف ألعب؟', 'ما هي القواعد؟', 'اقترح نقلة', 'كيف أفوز؟', 'راجع اللعبة']) {
+    expect(parseCommand(question, undefined, 'ar')).toBeNull();
+  }
+  expect(scoreReply({ X: 2, O: 1, Draws: 0 }, null, ar)).toBe('النتيجة: X 2، O 1، والتعادلات 0.');
+  const history = [Array(9).fill(null), [null, null, null, null, 'X', null, null, null, null]];
+  expect(movesReply(history, null, undefined, ar)).toBe('كل النقلات حتى الآن (1): 1. X b2.');
+});
+
+test('carries out an Arabic command typed into the Assistant', async () => {
+  window.localStorage.setItem(LANGUAGE_KEY, 'ar');
+  render(
+    <I18nProvider>
+      <App />
+    </I18nProvider>
+  );
+  fireEvent.click(screen.getByLabelText('فتح مساعد اللعبة'));
+  fireEvent.change(screen.getByLabelText('اسأل المساعد'), { target: { value: 'العب في المركز' } });
+  fireEvent.click(screen.getByLabelText('إرسال'));
+  expect(await screen.findByText('لُعبت X في المربع 5 (b2).')).toBeInTheDocument();
+  window.localStorage.clear();
+});
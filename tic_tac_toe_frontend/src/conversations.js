@@ -0,0 +1,170 @@
+import { PLAYERS } from "./engine";
+
+/**
+ * Assistant conversations, one per game, kept in localStorage so they survive reloads
+ * (and the Assistant closing). Each message remembers the position it was sent in, by step
+ * and board, so an old question can bring that board back.
+ *
+ * Shape: { sessions: [{ id, started, rules, messages: [{ from, text, time, step, board }] }] }
+ * where a session's id is the game's id, rules its { rows, cols, k }, and messages may
+ * also carry `fallback` (see assistantProviders.js). Oldest session first.
+ */
+
+export const CONVERSATIONS_KEY = "ttt-arena-conversations";
+export const CONVERSATIONS_VERSION = 1;
+// Older conversations (and messages) are dropped beyond these, to stay within storage.
+export const MAX_SESSIONS = 30;
+export const MAX_MESSAGES = 200;
+
+// PUBLIC_INTERFACE
+export function emptyConversations() {
+  /** No conversations yet. */
+  return { sessions: [] };
+}
+
+function isRules(rules) {
+  return rules && ["rows", "cols", "k"].every((key) => Number.isInteger(rules[key]));
+}
+
+function isMessage(m, size) {
+  return (
+    m &&
+    (m.from === "user" || m.from === "assistant") &&
+    typeof m.text === "string" &&
+    typeof m.time === "number" &&
+    Number.isInteger(m.step) &&
+    Array.isArray(m.board) &&
+    m.board.length === size &&
+    m.board.every((sq) => sq === null || PLAYERS.includes(sq))
+  );
+}
+
+// PUBLIC_INTERFACE
+export function validateConversations(data) {
+  /** Returns the data if well formed, otherwise null. */
+  if (!data || typeof data !== "object" || !Array.isArray(data.sessions)) return null;
+  const valid = data.sessions.every(
+    (s) =>
+      s &&
+      typeof s.id === "string" &&
+      typeof s.started === "number" &&
+      isRules(s.rules) &&
+      Array.isArray(s.messages) &&
+      s.messages.every((m) => isMessage(m, s.rules.rows * s.rules.cols))
+  );
+  return valid ? { sessions: data.sessions } : null;
+}
+
+// PUBLIC_INTERFACE
+export function loadConversations() {
+  /** Returns the stored conversations, or emptyConversations() if nothing usable is stored. */
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CONVERSATIONS_KEY));
+    if (!stored || stored.version !== CONVERSATIONS_VERSION) return emptyConversations();
+    return validateConversations(stored.data) || emptyConversations();
+  } catch (e) {
+    return emptyConversations();
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveConversations(data) {
+  /** Stores the conversations under the current version. Fails silently without storage. */
+  try {
+    window.localStorage.setItem(
+      CONVERSATIONS_KEY,
+      JSON.stringify({ version: CONVERSATIONS_VERSION, data })
+    );
+  } catch (e) {
+    // Quota exceeded or storage disabled; the conversation lasts until the page closes.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function findSession(data, gameId) {
+  /** The conversation about game `gameId`, or null. */
+  return data.sessions.find((s) => s.id === gameId) || null;
+}
+
+// PUBLIC_INTERFACE
+export function addMessage(data, gameId, rules, message) {
+  /**
+   * Appends { from, text, time, step, board, fallback? } to the conversation about game
+   * `gameId`, starting one if needed.
+   */
+  const existing = findSession(data, gameId);
+  const session = existing || {
+    id: gameId,
+    started: message.time,
+    rules: { rows: rules.rows, cols: rules.cols, k: rules.k },
+    messages: [],
+  };
+  const updated = { ...session, messages: [...session.messages, message].slice(-MAX_MESSAGES) };
+  const sessions = existing
+    ? data.sessions.map((s) => (s.id === gameId ? updated : s))
+    : [...data.sessions, updated].slice(-MAX_SESSIONS);
+  return { sessions };
+}
+
+// PUBLIC_INTERFACE
+export function removeSession(data, gameId) {
+  /** Deletes the conversation about game `gameId`. */
+  return { sessions: data.sessions.filter((s) => s.id !== gameId) };
+}
+
+// PUBLIC_INTERFACE
+export function searchConversations(data, query) {
+  /**
+   * Messages containing `query` (ignoring case), newest first: [{ session, message, index }].
+   * An empty query finds nothing.
+   */
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  const found = [];
+  for (const session of data.sessions) {
+    session.messages.forEach((message, index) => {
+      if (message.text.toLowerCase().includes(needle)) found.push({ session, message, index });
+    });
+  }
+  // Reversed first so that messages sent in the same millisecond keep the later one on top.
+  return found.reverse().sort((a, b) => b.message.time - a.message.time);
+}
+
+// "2026-10-19 14:03 UTC"
+function formatTime(time) {
+  return new Date(time).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
+function boardLines(board, rules) {
+  return Array.from({ length: rules.rows }, (_, r) =>
+    board
+      .slice(r * rules.cols, (r + 1) * rules.cols)
+      .map((sq) => sq || ".")
+      .join(" ")
+  );
+}
+
+// PUBLIC_INTERFACE
+export function transcriptMarkdown(session) {
+  /**
+   * The conversation as Markdown: a heading with the game's date and rules, then every
+   * question with the board it was asked about and the Assistant's answers.
+   */
+  const { rows, cols, k } = session.rules;
+  const out = [
+    "# Tic Tac Toe assistant conversation",
+    "",
+    `Game started ${formatTime(session.started)} on a ${rows}x${cols} board, ${k} in a row wins.`,
+  ];
+  for (const m of session.messages) {
+    out.push("");
+    if (m.from === "user") {
+      const when = m.step === 0 ? "before the first move" : `after move ${m.step}`;
+      out.push(`## You (${when})`, "", "```", ...boardLines(m.board, session.rules), "```", "");
+      out.push(m.text);
+    } else {
+      out.push(`**Assistant:** ${m.text}${m.fallback ? " _(built-in answer)_" : ""}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,85 @@
+import { CLASSIC_RULES } from './engine';
+import {
+  MAX_SESSIONS,
+  addMessage,
+  emptyConversations,
+  findSession,
+  loadConversations,
+  saveConversations,
+  searchConversations,
+  transcriptMarkdown,
+} from './conversations';
+
+beforeEach(() => window.localStorage.clear());
+
+const empty = Array(9).fill(null);
+const centre = [null, null, null, null, 'X', null, null, null, null];
+const START = Date.UTC(2026, 9, 19, 14, 3);
+
+function message(from, text, step, board, minute) {
+  return { from, text, step, board, time: START + minute * 60000 };
+}
+
+function sample() {
+  let data = emptyConversations();
+  data = addMessage(data, 'g1', CLASSIC_RULES, message('user', 'How do I win?', 0, empty, 0));
+  data = addMessage(data, 'g1', CLASSIC_RULES, message('assistant', 'Get three in a row.', 0, empty, 0));
+  data = addMessage(data, 'g2', CLASSIC_RULES, message('user', 'Suggest a move', 1, centre, 5));
+  const answer = { ...message('assistant', 'Play a corner.', 1, centre, 5), fallback: true };
+  return addMessage(data, 'g2', CLASSIC_RULES, answer);
+}
+
+test('keeps one conversation per game and survives a reload', () => {
+  const data = sample();
+  expect(data.sessions.map((s) => s.id)).toEqual(['g1', 'g2']);
+  expect(findSession(data, 'g1').messages).toHaveLength(2);
+  expect(findSession(data, 'g2')).toMatchObject({ started: START + 5 * 60000, rules: { rows: 3, cols: 3, k: 3 } });
+  saveConversations(data);
+  expect(loadConversations()).toEqual(data);
+  window.localStorage.setItem('ttt-arena-conversations', '{"version":1,"data":{"sessions":[{"id":1}]}}');
+  expect(loadConversations()).toEqual(emptyConversations());
+});
+
+test('drops the oldest conversations beyond the limit', () => {
+  let data = emptyConversations();
+  for (let i = 0; i <= MAX_SESSIONS; i++) {
+    data = addMessage(data, `g${i}`, CLASSIC_RULES, message('user', 'hi', 0, empty, i));
+  }
+  expect(data.sessions).toHaveLength(MAX_SESSIONS);
+  expect(data.sessions[0].id).toBe('g1');
+});
+
+test('searches every conversation, newest first', () => {
+  const found = searchConversations(sample(), 'MOVE');
+  expect(found).toHaveLength(1);
+  expect(found[0]).toMatchObject({ index: 0, session: { id: 'g2' }, message: { step: 1 } });
+  expect(searchConversations(sample(), 'a').map((r) => r.message.text)).toEqual([
+    'Play a corner.',
+    'Suggest a move',
+    'Get three in a row.',
+  ]);
+  expect(searchConversations(sample(), '  ')).toEqual([]);
+});
+
+test('exports a Markdown transcript with the board of every question', () => {
+  expect(transcriptMarkdown(findSession(sample(), 'g2'))).toBe(
+    [
+      '# Tic Tac Toe assistant conversation',
+      '',
+      'Game started 2026-10-19 14:08 UTC on a 3x3 board, 3 in a row wins.',
+      '',
+      '## You (after move 1)',
+      '',
+      '```',
+      '. . .',
+      '. X .',
+      '. . .',
+      '```',
+      '',
+      'Suggest a move',
+      '',
+      '**Assistant:** Play a corner. _(built-in answer)_',
+      '',
+    ].join('\n')
+  );
+});
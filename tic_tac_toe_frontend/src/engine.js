@@ -0,0 +1,1369 @@
+/**
+ * Tic Tac Toe game engine.
+ * Pure rules and computer players with no React (or DOM) dependency, so the same
+ * code drives the UI, the Assistant, tests and plain Node scripts.
+ *
+ * Games are m,n,k games: a `rules` object `{ rows, cols, k }` describes a rows x cols
+ * board won by k in a row (classic Tic Tac Toe is 3,3,3; Gomoku is 15,15,5).
+ * Boards are flat arrays of rows * cols squares holding "X", "O" or null, indexed row by row.
+ * Every function taking `rules` defaults to the classic 3x3 game.
+ *
+ * Rules for a variant also carry `variant` (see VARIANTS); their squares hold the marks that
+ * variant places, numbers 1-9 in Numerical.
+ */
+
+export const PLAYERS = ["X", "O"];
+
+export const CLASSIC_RULES = Object.freeze({ rows: 3, cols: 3, k: 3 });
+
+// Ways to play the 3x3 game besides the standard one:
+// - misere:    three of your own marks in a row loses
+// - wild:      on every turn you may place either X or O; any line of three alike wins
+// - numerical: the first player places the odd numbers 1-9, the second the even ones, each
+//              number once; a line of three adding up to 15 wins
+// In Wild and Numerical the line belongs to nobody, so whoever completes it wins.
+// Ultimate is played on the 9x9 board instead (see SMALL_BOARDS), and Qubic is four in a row
+// in a 4x4x4 cube (see QUBIC_SIZE).
+export const VARIANTS = ["standard", "misere", "wild", "numerical", "ultimate", "qubic"];
+const THREE_BY_THREE_VARIANTS = ["misere", "wild", "numerical"];
+export const MAGIC_SUM = 15;
+const NUMBERS = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Qubic: four 4x4 layers, stored one below the other as a 16x4 board, so square
+// (l * QUBIC_SIZE + r) * QUBIC_SIZE + c is row r, column c of layer l. Lines run along the
+// rows, columns and diagonals of each layer, straight down through the layers, diagonally
+// across them, and corner to corner through the cube: 76 in all.
+export const QUBIC_SIZE = 4;
+// One layer, as plain 4x4 rules.
+const QUBIC_LAYER = Object.freeze({ rows: QUBIC_SIZE, cols: QUBIC_SIZE, k: QUBIC_SIZE });
+
+// Limits for the board size picker; bigger boards are still valid for the engine.
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 15;
+
+// Error that also names its catalog message (src/locales) so the UI can show it in the
+// player's language; without imports here, the English text is spelled out by the caller.
+function rulesError(message, key, params = {}) {
+  return Object.assign(new Error(message), { key, params });
+}
+
+// PUBLIC_INTERFACE
+export function createRules(rows = 3, cols = rows, k = Math.min(rows, cols), variant = "standard") {
+  /**
+   * Builds a frozen rules object. Throws if the board is too small, k cannot fit on it, or
+   * the variant is unknown or played on anything but its own board (9x9 with k 3 for
+   * Ultimate, 16x4 with k 4 for Qubic, 3x3 for the others). Standard rules have no
+   * `variant` field.
+   */
+  if (![rows, cols, k].every(Number.isInteger) || rows < 1 || cols < 1) {
+    throw rulesError(`Invalid board size ${rows}x${cols}`, "rules.error.size", { rows, cols });
+  }
+  if (k < 2 || k > Math.max(rows, cols)) {
+    const message = `Cannot get ${k} in a row on a ${rows}x${cols} board`;
+    throw rulesError(message, "rules.error.k", { k, rows, cols });
+  }
+  if (!VARIANTS.includes(variant)) {
+    throw rulesError(`Unknown variant "${variant}"`, "rules.error.variant", { variant });
+  }
+  if (variant === "standard") return Object.freeze({ rows, cols, k });
+  if (variant === "qubic") {
+    if (rows !== QUBIC_SIZE * QUBIC_SIZE || cols !== QUBIC_SIZE || k !== QUBIC_SIZE) {
+      throw rulesError("The qubic variant is played on the 4x4x4 cube", "rules.error.qubic");
+    }
+    return Object.freeze({ rows, cols, k, variant });
+  }
+  const size = variant === "ultimate" ? 9 : 3;
+  if (rows !== size || cols !== size || k !== 3) {
+    const message = `The ${variant} variant is played on the ${size}x${size} board`;
+    throw rulesError(message, "rules.error.board", {
+      variant: { key: `variant.${variant}`, message: variant },
+      size,
+    });
+  }
+  return Object.freeze({ rows, cols, k, variant });
+}
+
+// PUBLIC_INTERFACE
+export function variantOf(rules = CLASSIC_RULES) {
+  /** The rules' variant, 'standard' when they have none. */
+  return rules.variant || "standard";
+}
+
+// PUBLIC_INTERFACE
+export function emptyBoard(rules = CLASSIC_RULES) {
+  /** Returns a new board with every square empty. */
+  return Array(rules.rows * rules.cols).fill(null);
+}
+
+const linesCache = new Map();
+
+// Cache key for the lines of `rules`; Qubic's differ from those of a flat 16x4 board.
+function linesKey(rules) {
+  return `${rules.rows}x${rules.cols}/${rules.k}${rules.variant === "qubic" ? "/qubic" : ""}`;
+}
+
+// PUBLIC_INTERFACE
+export function getLines(rules = CLASSIC_RULES) {
+  /**
+   * Returns every k-long run of square indices (rows, columns and both diagonals; in Qubic
+   * the 76 lines of the cube). Cached per rules, so callers must not mutate the result.
+   */
+  const key = linesKey(rules);
+  if (linesCache.has(key)) return linesCache.get(key);
+  if (rules.variant === "qubic") {
+    linesCache.set(key, qubicLines());
+    return linesCache.get(key);
+  }
+  const { rows, cols, k } = rules;
+  const directions = [
+    [0, 1], // rows
+    [1, 0], // columns
+    [1, 1], // diagonals
+    [1, -1], // anti-diagonals
+  ];
+  const lines = [];
+  for (const [dr, dc] of directions) {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const endR = r + dr * (k - 1);
+        const endC = c + dc * (k - 1);
+        if (endR < 0 || endR >= rows || endC < 0 || endC >= cols) continue;
+        const line = [];
+        for (let step = 0; step < k; step++) {
+          line.push((r + dr * step) * cols + (c + dc * step));
+        }
+        lines.push(line);
+      }
+    }
+  }
+  linesCache.set(key, lines);
+  return lines;
+}
+
+// Qubic's lines: every direction through the cube whose first nonzero step is positive, so
+// each line is found once, from every square where four in that direction still fit.
+function qubicLines() {
+  const n = QUBIC_SIZE;
+  const lines = [];
+  for (let dl = -1; dl <= 1; dl++) {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const first = dl || dr || dc;
+        if (first <= 0) continue;
+        for (let l = 0; l < n; l++) {
+          for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+              const end = [l + dl * (n - 1), r + dr * (n - 1), c + dc * (n - 1)];
+              if (end.some((v) => v < 0 || v >= n)) continue;
+              lines.push(
+                Array.from({ length: n }, (_, s) => ((l + dl * s) * n + r + dr * s) * n + c + dc * s)
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+// The classic eight lines, kept for callers that only deal with 3x3 boards.
+export const WINNING_LINES = getLines(CLASSIC_RULES);
+
+// Lines passing through each square, for incremental checks around a single move.
+// Searches look them up for every move, so each rules object also remembers its own.
+const lineIndexCache = new Map();
+const lineIndexByRules = new WeakMap();
+function linesThrough(rules) {
+  if (lineIndexByRules.has(rules)) return lineIndexByRules.get(rules);
+  const key = linesKey(rules);
+  if (!lineIndexCache.has(key)) {
+    const index = Array.from({ length: rules.rows * rules.cols }, () => []);
+    for (const line of getLines(rules)) {
+      for (const sq of line) index[sq].push(line);
+    }
+    lineIndexCache.set(key, index);
+  }
+  lineIndexByRules.set(rules, lineIndexCache.get(key));
+  return lineIndexCache.get(key);
+}
+
+// PUBLIC_INTERFACE
+export function squareName(index, rules = CLASSIC_RULES) {
+  /**
+   * Coordinate of a square: column letter then row number, counted from the top-left,
+   * e.g. "a1" for the first square and "b2" for the center of a 3x3 board. Qubic squares
+   * start with their layer: "2b3" is b3 on the second layer from the top.
+   */
+  if (rules.variant === "qubic") {
+    const layer = Math.floor(index / (QUBIC_SIZE * QUBIC_SIZE));
+    return `${layer + 1}${squareName(index % (QUBIC_SIZE * QUBIC_SIZE), QUBIC_LAYER)}`;
+  }
+  const row = Math.floor(index / rules.cols);
+  const col = index % rules.cols;
+  return `${String.fromCharCode(97 + col)}${row + 1}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseSquareName(name, rules = CLASSIC_RULES) {
+  /**
+   * Inverse of squareName: returns the index for a coordinate such as "b2",
+   * or null if it is malformed or off the board.
+   */
+  if (rules.variant === "qubic") {
+    const layered = /^(\d)([a-z]\d{1,2})$/.exec(String(name).trim().toLowerCase());
+    const layer = layered && Number(layered[1]) - 1;
+    const square = layered && parseSquareName(layered[2], QUBIC_LAYER);
+    if (square === null || layer < 0 || layer >= QUBIC_SIZE) return null;
+    return layer * QUBIC_SIZE * QUBIC_SIZE + square;
+  }
+  const match = /^([a-z])(\d{1,2})$/.exec(String(name).trim().toLowerCase());
+  if (!match) return null;
+  const col = match[1].charCodeAt(0) - 97;
+  const row = Number(match[2]) - 1;
+  if (col >= rules.cols || row < 0 || row >= rules.rows) return null;
+  return row * rules.cols + col;
+}
+
+// PUBLIC_INTERFACE
+export function otherPlayer(player) {
+  /** Returns the opponent of "X" or "O". */
+  return player === "X" ? "O" : "X";
+}
+
+// True if `line` is complete: k identical marks, or in Numerical three numbers making 15.
+function lineComplete(squares, line, variant) {
+  if (variant === "numerical") {
+    let sum = 0;
+    for (const sq of line) {
+      if (squares[sq] === null) return false;
+      sum += squares[sq];
+    }
+    return sum === MAGIC_SUM;
+  }
+  const first = squares[line[0]];
+  return !!first && line.every((sq) => squares[sq] === first);
+}
+
+// Ultimate: the 9x9 board is nine small 3x3 boards, numbered 0-8 row by row like the
+// squares of one. Playing square s of a small board sends the opponent to small board s;
+// if that board is already decided (won or full) they may play in any undecided one.
+// Three in a row claims a small board, and three claimed boards in a row win the game.
+
+// Squares of each small board, in the order of a 3x3 board's squares.
+export const SMALL_BOARDS = Array.from({ length: 9 }, (_, b) =>
+  Array.from(
+    { length: 9 },
+    (_, s) => (Math.floor(b / 3) * 3 + Math.floor(s / 3)) * 9 + (b % 3) * 3 + (s % 3)
+  )
+);
+
+// PUBLIC_INTERFACE
+export function smallBoardOf(index) {
+  /** Ultimate: the small board (0-8) holding square `index` of the 9x9 board. */
+  return Math.floor(index / 27) * 3 + Math.floor((index % 9) / 3);
+}
+
+// Place of square `index` within its small board, which is the board it sends to.
+function cellOf(index) {
+  return (Math.floor(index / 9) % 3) * 3 + (index % 3);
+}
+
+// Winning line of small board `b` as indices of the 3x3 board, or null.
+function smallBoardLine(squares, b) {
+  const cells = SMALL_BOARDS[b];
+  for (const line of WINNING_LINES) {
+    const first = squares[cells[line[0]]];
+    if (first && squares[cells[line[1]]] === first && squares[cells[line[2]]] === first) {
+      return line;
+    }
+  }
+  return null;
+}
+
+// 'X' or 'O' once small board `b` is claimed, 'draw' once it is full, otherwise null.
+function smallBoardWinner(squares, b) {
+  const line = smallBoardLine(squares, b);
+  if (line) return squares[SMALL_BOARDS[b][line[0]]];
+  return SMALL_BOARDS[b].every((i) => squares[i] !== null) ? "draw" : null;
+}
+
+// Line of three small boards claimed by the same side, or null.
+function claimedLine(winners) {
+  for (const line of WINNING_LINES) {
+    const first = winners[line[0]];
+    if (first && first !== "draw" && winners[line[1]] === first && winners[line[2]] === first) {
+      return line;
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function smallBoardResults(squares) {
+  /**
+   * Ultimate: the state of each small board as { winner, line }. winner is 'X' or 'O' once
+   * the board is claimed (by `line`, squares of the 9x9 board), 'draw' once it is full
+   * without three in a row, and null while it is open.
+   */
+  return SMALL_BOARDS.map((cells, b) => {
+    const line = smallBoardLine(squares, b);
+    return {
+      winner: line ? squares[cells[line[0]]] : smallBoardWinner(squares, b),
+      line: line ? line.map((s) => cells[s]) : [],
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function allowedBoards(squares, lastMove) {
+  /**
+   * Ultimate: the small boards the next move may be played in, given the square of the
+   * previous move (null before the first): the board that square sends to, or every
+   * undecided board when that one is decided. Doesn't check whether the game is over.
+   */
+  const winners = SMALL_BOARDS.map((_, b) => smallBoardWinner(squares, b));
+  return targetBoards(winners, lastMove);
+}
+
+function targetBoards(winners, lastMove) {
+  if (lastMove !== null && lastMove !== undefined && !winners[cellOf(lastMove)]) {
+    return [cellOf(lastMove)];
+  }
+  return [0, 1, 2, 3, 4, 5, 6, 7, 8].filter((b) => !winners[b]);
+}
+
+// Open squares of the boards in `boards`, in board order.
+function openSquaresIn(squares, boards) {
+  const open = [];
+  for (const b of boards) for (const i of SMALL_BOARDS[b]) if (squares[i] === null) open.push(i);
+  return open;
+}
+
+// PUBLIC_INTERFACE
+export function getWinningLine(squares, rules = CLASSIC_RULES) {
+  /**
+   * Returns the array of the winning line indices if any, or [].
+   * In Misère that is the line that lost the game. In Ultimate it is the lines that claimed
+   * the three small boards in a row.
+   */
+  const variant = variantOf(rules);
+  if (variant === "ultimate") {
+    const results = smallBoardResults(squares);
+    const line = claimedLine(results.map((result) => result.winner));
+    return line ? line.flatMap((b) => results[b].line) : [];
+  }
+  const lines = getLines(rules);
+  for (let i = 0; i < lines.length; i++) {
+    if (lineComplete(squares, lines[i], variant)) return lines[i];
+  }
+  return [];
+}
+
+// PUBLIC_INTERFACE
+export function calculateWinner(squares, rules = CLASSIC_RULES, lastMover = null) {
+  /**
+   * Determines the winner of the game.
+   * Returns 'X', 'O', or null (for no winner yet). Draw detection is handled separately.
+   * In Misère the owner of the line loses. Wild and Numerical lines belong to nobody: the
+   * winner is `lastMover`, who completed it (by default the side that moved last if X
+   * started).
+   */
+  const line = getWinningLine(squares, rules);
+  if (!line.length) return null;
+  switch (variantOf(rules)) {
+    case "misere":
+      return otherPlayer(squares[line[0]]);
+    case "wild":
+    case "numerical":
+      if (lastMover) return lastMover;
+      return squares.filter((sq) => sq !== null).length % 2 === 1 ? "X" : "O";
+    default:
+      return squares[line[0]];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function isDraw(squares, rules = CLASSIC_RULES) {
+  /**
+   * Returns true if the board is full and there is no winner. An Ultimate game is drawn
+   * once every small board is decided.
+   */
+  if (variantOf(rules) === "ultimate") {
+    const winners = SMALL_BOARDS.map((_, b) => smallBoardWinner(squares, b));
+    return winners.every(Boolean) && !claimedLine(winners);
+  }
+  return squares.every((sq) => sq !== null) && getWinningLine(squares, rules).length === 0;
+}
+
+// PUBLIC_INTERFACE
+export function legalMarks(squares, player, rules = CLASSIC_RULES) {
+  /**
+   * Marks `player` may place next: their own, in Wild either letter (their own first), and
+   * in Numerical the unused numbers of their parity: odd for the side that moved first.
+   */
+  switch (variantOf(rules)) {
+    case "wild":
+      return [player, otherPlayer(player)];
+    case "numerical": {
+      const used = squares.filter((sq) => sq !== null);
+      const parity = used.length % 2 === 0 ? 1 : 0;
+      return NUMBERS.filter((n) => n % 2 === parity && !used.includes(n));
+    }
+    default:
+      return [player];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function openSquares(squares) {
+  /** Returns the indices of all empty squares. */
+  const open = [];
+  for (let i = 0; i < squares.length; i++) if (!squares[i]) open.push(i);
+  return open;
+}
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+// True if the mark on square `i` completes one of its lines.
+function completesLine(squares, i, rules) {
+  if (rules.variant === "numerical") {
+    return linesThrough(rules)[i].some((line) => lineComplete(squares, line, "numerical"));
+  }
+  const player = squares[i];
+  return linesThrough(rules)[i].some((line) =>
+    line.every((sq) => squares[sq] === player)
+  );
+}
+
+function findCompletingMove(squares, player, rules) {
+  const work = squares.slice();
+  for (let i = 0; i < work.length; i++) {
+    if (work[i]) continue;
+    work[i] = player;
+    const wins = completesLine(work, i, rules);
+    work[i] = null;
+    if (wins) return i;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function winningSquares(squares, player, rules = CLASSIC_RULES) {
+  /** Open squares where `player` would complete a line right away (their threats). */
+  const work = squares.slice();
+  return openSquares(work).filter((i) => {
+    work[i] = player;
+    const wins = completesLine(work, i, rules);
+    work[i] = null;
+    return wins;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function forkSquares(squares, player, rules = CLASSIC_RULES) {
+  /**
+   * Open squares where `player` would create two or more threats at once (a fork),
+   * which the opponent cannot both block.
+   */
+  const work = squares.slice();
+  return openSquares(work).filter((i) => {
+    work[i] = player;
+    const fork = !completesLine(work, i, rules) && winningSquares(work, player, rules).length >= 2;
+    work[i] = null;
+    return fork;
+  });
+}
+
+// Weight of a line holding `count` marks of one side and none of the other.
+function lineWeight(count, k) {
+  if (count === 0) return 0;
+  return Math.pow(10, count - 1) * (count === k - 1 ? 5 : 1);
+}
+
+// How useful square `i` is for `player`: lines it extends plus opponent lines it blocks.
+function scoreSquare(squares, i, player, rules) {
+  const opp = otherPlayer(player);
+  let score = 0;
+  for (const line of linesThrough(rules)[i]) {
+    let mine = 0;
+    let theirs = 0;
+    for (const sq of line) {
+      if (squares[sq] === player) mine++;
+      else if (squares[sq] === opp) theirs++;
+    }
+    if (theirs === 0) score += lineWeight(mine + 1, rules.k);
+    if (mine === 0) score += lineWeight(theirs, rules.k) * 0.9;
+  }
+  return score;
+}
+
+const WIN_SCORE = 1000000;
+
+// Static evaluation for `player` to move at `ply`: open lines weighted by how full they are.
+// A line `player` can complete is a win next move, and two lines the opponent can complete on
+// different squares are a loss, since only one can be blocked; this lets a shallow search see
+// an open k-1 coming while it can still be stopped.
+function evaluate(squares, player, ply, rules) {
+  const opp = otherPlayer(player);
+  const oppWins = new Set();
+  let score = 0;
+  for (const line of getLines(rules)) {
+    let mine = 0;
+    let theirs = 0;
+    let empty = null;
+    for (const sq of line) {
+      if (squares[sq] === player) mine++;
+      else if (squares[sq] === opp) theirs++;
+      else empty = sq;
+    }
+    if (theirs === 0) {
+      if (mine === rules.k - 1) return WIN_SCORE - ply - 1;
+      score += lineWeight(mine, rules.k);
+    } else if (mine === 0) {
+      if (theirs === rules.k - 1) oppWins.add(empty);
+      score -= lineWeight(theirs, rules.k);
+    }
+  }
+  return oppWins.size >= 2 ? ply + 2 - WIN_SCORE : score;
+}
+
+// Open squares next to an existing mark (the center on an empty board), best first. Qubic
+// neighbours are spread over the layers, so there every open square is a candidate.
+function candidateMoves(squares, player, rules, limit) {
+  const { rows, cols } = rules;
+  let open = openSquares(squares);
+  const flat = rules.variant !== "qubic";
+  if (flat && open.length < squares.length && open.length > limit) {
+    open = open.filter((i) => {
+      const r = Math.floor(i / cols);
+      const c = i % cols;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr;
+          const nc = c + dc;
+          if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+          if (squares[nr * cols + nc]) return true;
+        }
+      }
+      return false;
+    });
+  } else if (flat && open.length === squares.length && open.length > limit) {
+    return [Math.floor(rows / 2) * cols + Math.floor(cols / 2)];
+  }
+  const scored = open.map((i) => [i, scoreSquare(squares, i, player, rules)]);
+  scored.sort((a, b) => b[1] - a[1]);
+  return scored.slice(0, limit).map(([i]) => i);
+}
+
+// PUBLIC_INTERFACE
+export function randomMove(squares) {
+  /** Returns any open square at random, or null if the board is full. */
+  const open = openSquares(squares);
+  return open.length ? pickRandom(open) : null;
+}
+
+// PUBLIC_INTERFACE
+export function heuristicMove(
+  squares,
+  player = "O",
+  { randomize = true } = {},
+  rules = CLASSIC_RULES
+) {
+  /**
+   * Rule-of-thumb move for `player`: win if possible, block the opponent's win,
+   * otherwise center > corners > sides on 3x3 (the square extending or blocking the most
+   * lines on bigger boards). With `randomize` off ties go to the first square, so the
+   * result is deterministic.
+   * Returns the index to move, or null if the board is full.
+   */
+  const win = findCompletingMove(squares, player, rules);
+  if (win !== null) return win;
+  const block = findCompletingMove(squares, otherPlayer(player), rules);
+  if (block !== null) return block;
+  const pick = randomize ? pickRandom : (list) => list[0];
+  if (rules.rows === 3 && rules.cols === 3) {
+    if (!squares[4]) return 4;
+    const openCorners = [0, 2, 6, 8].filter((i) => !squares[i]);
+    if (openCorners.length > 0) return pick(openCorners);
+    const openSides = [1, 3, 5, 7].filter((i) => !squares[i]);
+    if (openSides.length > 0) return pick(openSides);
+    return null;
+  }
+  const open = openSquares(squares);
+  if (open.length === 0) return null;
+  let bestScore = -Infinity;
+  let best = [];
+  for (const i of open) {
+    const score = scoreSquare(squares, i, player, rules);
+    if (score > bestScore) {
+      bestScore = score;
+      best = [i];
+    } else if (score === bestScore) {
+      best.push(i);
+    }
+  }
+  return pick(best);
+}
+
+// Positions with at most this many open squares are searched to the end (perfect play).
+const EXHAUSTIVE_OPEN_SQUARES = 9;
+
+// Scores the position for `player` (to move): positive is a win, negative a loss, 0 a draw.
+// Quicker wins and slower losses score higher. `lastMove` is the opponent's previous move.
+// Mutates and restores `squares`.
+function negamax(squares, player, lastMove, ply, depth, alpha, beta, rules, limit) {
+  if (lastMove !== null && completesLine(squares, lastMove, rules)) {
+    return ply - WIN_SCORE;
+  }
+  if (depth === 0) return evaluate(squares, player, ply, rules);
+  const moves = candidateMoves(squares, player, rules, limit);
+  if (moves.length === 0) return 0;
+  const opp = otherPlayer(player);
+  let best = -Infinity;
+  for (const i of moves) {
+    squares[i] = player;
+    const score = -negamax(squares, opp, i, ply + 1, depth - 1, -beta, -alpha, rules, limit);
+    squares[i] = null;
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+// Longest chain of threats threatSequence looks for, in moves of the attacker.
+const THREAT_SEQUENCE_DEPTH = 8;
+
+// Open squares that `player`, standing on `i`, would then threaten to complete (the empty
+// square of each line through `i` with k - 1 of their marks and none of the opponent's).
+function threatsFrom(squares, i, player, rules) {
+  const threats = [];
+  for (const line of linesThrough(rules)[i]) {
+    let mine = 0;
+    let empty = null;
+    for (const sq of line) {
+      if (squares[sq] === player) mine++;
+      else if (squares[sq] === null) empty = sq;
+    }
+    if (mine === rules.k - 1 && empty !== null && !threats.includes(empty)) threats.push(empty);
+  }
+  return threats;
+}
+
+// First move of a forced win by threats for `player`, to move with no threat of the
+// opponent's to answer: each move makes a threat the opponent must block, until one makes two
+// at once. Qubic games are won like this, usually too deep for the depth-limited search.
+// Mutates and restores `squares`.
+function threatSequence(squares, player, rules, depth = THREAT_SEQUENCE_DEPTH) {
+  const opp = otherPlayer(player);
+  for (let i = 0; i < squares.length; i++) {
+    if (squares[i] !== null) continue;
+    squares[i] = player;
+    const threats = threatsFrom(squares, i, player, rules);
+    let wins = threats.length >= 2;
+    if (threats.length === 1 && depth > 1) {
+      // The forced block must not give the opponent a threat of their own.
+      const block = threats[0];
+      squares[block] = opp;
+      wins =
+        threatsFrom(squares, block, opp, rules).length === 0 &&
+        threatSequence(squares, player, rules, depth - 1) !== null;
+      squares[block] = null;
+    }
+    squares[i] = null;
+    if (wins) return i;
+  }
+  return null;
+}
+
+// threatSequence with the fewest moves, so that replaying it after every forced block
+// brings the win one move closer instead of wandering off into another chain.
+function shortestThreatSequence(squares, player, rules) {
+  for (let depth = 1; depth <= THREAT_SEQUENCE_DEPTH; depth++) {
+    const move = threatSequence(squares.slice(), player, rules, depth);
+    if (move !== null) return move;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function bestMove(squares, player, rules = CLASSIC_RULES) {
+  /**
+   * Strongest move for `player`: scores every candidate with a full-window negamax
+   * search and picks randomly among the best ones, so openings vary between games.
+   * Small positions (3x3, or any board's endgame) are searched to the end, which is
+   * perfect play; bigger ones use a depth-limited search over the most promising squares.
+   * Returns the index to move, or null if the board is full or already decided.
+   */
+  if (calculateWinner(squares, rules)) return null;
+  const open = openSquares(squares);
+  if (open.length === 0) return null;
+  const exhaustive = open.length <= EXHAUSTIVE_OPEN_SQUARES;
+  const depth = exhaustive ? Infinity : squares.length <= 25 || rules.variant === "qubic" ? 4 : 3;
+  const limit = exhaustive ? Infinity : 10;
+
+  // Forced replies first: they also keep the shallow search from missing them.
+  const win = findCompletingMove(squares, player, rules);
+  if (win !== null) return win;
+  const opp = otherPlayer(player);
+  if (!exhaustive) {
+    const block = findCompletingMove(squares, opp, rules);
+    if (block !== null) return block;
+  }
+  if (rules.variant === "qubic") {
+    const forced = shortestThreatSequence(squares, player, rules);
+    if (forced !== null) return forced;
+  }
+
+  const work = squares.slice();
+  let scored = candidateMoves(work, player, rules, limit).map((i) => {
+    work[i] = player;
+    const score = -negamax(work, opp, i, 1, depth - 1, -Infinity, Infinity, rules, limit);
+    work[i] = null;
+    return { i, score };
+  });
+  if (rules.variant === "qubic") {
+    // Unless the move makes a threat of its own, leave the opponent no chain of threats.
+    const safe = scored.filter(({ i }) => {
+      work[i] = player;
+      const ok =
+        threatsFrom(work, i, player, rules).length > 0 || threatSequence(work, opp, rules) === null;
+      work[i] = null;
+      return ok;
+    });
+    if (safe.length) scored = safe;
+  }
+  const bestScore = Math.max(...scored.map(({ score }) => score));
+  const best = scored.filter(({ score }) => score === bestScore).map(({ i }) => i);
+  return best.length ? pickRandom(best) : null;
+}
+
+// PUBLIC_INTERFACE
+export function evaluateMoves(squares, player, rules = CLASSIC_RULES, include = []) {
+  /**
+   * Evaluates moves for `player` with the same search as bestMove, best first:
+   * [{ index, outcome, plies, score }] where outcome is 'win' | 'draw' | 'loss' for the
+   * mover with best play from both sides and plies counts the moves until the game ends.
+   * Small positions are searched to the end, so every open square gets an exact result.
+   * On bigger boards only the candidate squares (plus `include`) are searched, with a
+   * depth limit: outcome and plies are null unless a forced win or loss shows up in time.
+   * Returns [] if the game is already over.
+   */
+  if (calculateWinner(squares, rules)) return [];
+  const open = openSquares(squares);
+  const exhaustive = open.length <= EXHAUSTIVE_OPEN_SQUARES;
+  const depth = exhaustive ? Infinity : squares.length <= 25 ? 3 : 2;
+  const limit = exhaustive ? Infinity : 10;
+  const work = squares.slice();
+  const moves = exhaustive
+    ? open
+    : [...new Set([...candidateMoves(work, player, rules, limit), ...include])];
+  const opp = otherPlayer(player);
+
+  return moves
+    .map((index) => {
+      work[index] = player;
+      const score = -negamax(work, opp, index, 1, depth - 1, -Infinity, Infinity, rules, limit);
+      work[index] = null;
+      if (score > WIN_SCORE / 2) return { index, outcome: "win", plies: WIN_SCORE - score, score };
+      if (score < -WIN_SCORE / 2) return { index, outcome: "loss", plies: WIN_SCORE + score, score };
+      return exhaustive
+        ? { index, outcome: "draw", plies: open.length, score }
+        : { index, outcome: null, plies: null, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Every move open to `player` in a variant game, as [index, mark] pairs.
+function variantMoves(squares, player, rules) {
+  const marks = legalMarks(squares, player, rules);
+  return openSquares(squares).flatMap((i) => marks.map((mark) => [i, mark]));
+}
+
+// What placing `mark` on `i` does at once in a variant game, for the mover: 1 wins,
+// -1 loses (completing a line in Misère), null decides nothing. Restores `squares`.
+function decidedBy(squares, i, mark, rules) {
+  squares[i] = mark;
+  const complete = completesLine(squares, i, rules);
+  squares[i] = null;
+  if (!complete) return null;
+  return variantOf(rules) === "misere" ? -1 : 1;
+}
+
+// The eight rotations and reflections of the 3x3 board, as square index maps.
+const SYMMETRIES = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8],
+  [6, 3, 0, 7, 4, 1, 8, 5, 2],
+  [8, 7, 6, 5, 4, 3, 2, 1, 0],
+  [2, 5, 8, 1, 4, 7, 0, 3, 6],
+  [2, 1, 0, 5, 4, 3, 8, 7, 6],
+  [6, 7, 8, 3, 4, 5, 0, 1, 2],
+  [0, 3, 6, 1, 4, 7, 2, 5, 8],
+  [8, 5, 2, 7, 4, 1, 6, 3, 0],
+];
+
+// Number naming a 3x3 variant position: a digit for the player to move, then one per
+// square (0 empty, 1 X, 2 O, or the number placed there). Rotations and reflections of a
+// position get the same number, since their values are the same.
+function positionKey(squares, player) {
+  let smallest = Infinity;
+  for (const map of SYMMETRIES) {
+    let key = player === "X" ? 1 : 2;
+    for (const i of map) {
+      const sq = squares[i];
+      key = key * 10 + (sq === null ? 0 : sq === "X" ? 1 : sq === "O" ? 2 : sq);
+    }
+    if (key < smallest) smallest = key;
+  }
+  return smallest;
+}
+
+// Perfect-play value of an undecided variant position for `player` to move: 1 win, 0 draw,
+// -1 loss. Alpha-beta over every (square, mark) move with a table of the bounds already
+// found per position, which keeps even Numerical's opening to a fraction of a second.
+// Mutates and restores `squares`.
+function variantValue(squares, player, alpha, beta, rules, table) {
+  const open = openSquares(squares);
+  const marks = legalMarks(squares, player, rules);
+  for (const i of open) {
+    for (const mark of marks) if (decidedBy(squares, i, mark, rules) === 1) return 1;
+  }
+  const key = positionKey(squares, player);
+  const known = table.get(key);
+  if (
+    known &&
+    (known.bound === "exact" ||
+      (known.bound === "lower" && known.value >= beta) ||
+      (known.bound === "upper" && known.value <= alpha))
+  ) {
+    return known.value;
+  }
+  const start = alpha;
+  const opp = otherPlayer(player);
+  let best = open.length === 0 ? 0 : -Infinity;
+  search: for (const i of open) {
+    for (const mark of marks) {
+      let score = decidedBy(squares, i, mark, rules);
+      if (score === null && open.length === 1) score = 0;
+      if (score === null) {
+        squares[i] = mark;
+        score = -variantValue(squares, opp, -beta, -alpha, rules, table);
+        squares[i] = null;
+      }
+      if (score > best) best = score;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break search;
+    }
+  }
+  table.set(key, { value: best, bound: best <= start ? "upper" : best >= beta ? "lower" : "exact" });
+  return best;
+}
+
+// Variant moves keeping the best perfect-play result for `player`, in board order:
+// { moves: [[index, mark]], value } with value as in variantValue.
+function bestVariantMoves(squares, player, rules) {
+  const moves = variantMoves(squares, player, rules);
+  const work = squares.slice();
+  const wins = moves.filter(([i, mark]) => decidedBy(work, i, mark, rules) === 1);
+  if (wins.length) return { moves: wins, value: 1 };
+  const table = new Map();
+  // Mirror images of a move score alike, so each is searched once.
+  const scored = new Map();
+  const last = openSquares(squares).length === 1;
+  const opp = otherPlayer(player);
+  let value = -Infinity;
+  let best = [];
+  for (const [i, mark] of moves) {
+    let score = decidedBy(work, i, mark, rules);
+    if (score === null && last) score = 0;
+    if (score === null) {
+      work[i] = mark;
+      const key = positionKey(work, opp);
+      if (scored.has(key)) {
+        score = scored.get(key);
+      } else {
+        // Only moves at least as good as the best so far need an exact score.
+        score = -variantValue(work, opp, -Infinity, 0.5 - value, rules, table);
+        scored.set(key, score);
+      }
+      work[i] = null;
+    }
+    if (score > value) {
+      value = score;
+      best = [[i, mark]];
+    } else if (score === value) {
+      best.push([i, mark]);
+    }
+  }
+  return { moves: best, value };
+}
+
+// Computer move in a variant game, as { index, mark }, or null if there is none. Medium
+// wins at once when it can, and otherwise avoids moves that lose at once or hand the
+// opponent a winning reply.
+function variantMove(squares, level, player, rules) {
+  const moves = variantMoves(squares, player, rules);
+  if (moves.length === 0) return null;
+  let pick;
+  if (level === "easy") {
+    pick = pickRandom(moves);
+  } else if (level === "hard") {
+    pick = pickRandom(bestVariantMoves(squares, player, rules).moves);
+  } else {
+    const work = squares.slice();
+    const opp = otherPlayer(player);
+    const wins = moves.filter(([i, mark]) => decidedBy(work, i, mark, rules) === 1);
+    const playable = moves.filter(([i, mark]) => decidedBy(work, i, mark, rules) === null);
+    const safe = playable.filter(([i, mark]) => {
+      work[i] = mark;
+      const losing = variantMoves(work, opp, rules).some(
+        ([j, reply]) => decidedBy(work, j, reply, rules) === 1
+      );
+      work[i] = null;
+      return !losing;
+    });
+    pick = pickRandom([wins, safe, playable, moves].find((list) => list.length));
+  }
+  return { index: pick[0], mark: pick[1] };
+}
+
+// Ultimate searches keep the winner of every small board next to the squares and update
+// only the board a move lands on.
+function ultimateWinners(squares) {
+  return SMALL_BOARDS.map((_, b) => smallBoardWinner(squares, b));
+}
+
+// Plays `player` on `i`: 'game' if that wins, 'board' if it claims a small board, otherwise
+// null. Undo with unplayUltimate.
+function playUltimate(squares, winners, i, player) {
+  squares[i] = player;
+  const b = smallBoardOf(i);
+  winners[b] = smallBoardWinner(squares, b);
+  if (winners[b] !== player) return null;
+  return claimedLine(winners) ? "game" : "board";
+}
+
+function unplayUltimate(squares, winners, i) {
+  squares[i] = null;
+  winners[smallBoardOf(i)] = null;
+}
+
+// Small boards on more big-board lines are worth more: the center, then the corners.
+const BOARD_WEIGHTS = [3, 2, 3, 2, 4, 2, 3, 2, 3];
+
+// Static evaluation of an Ultimate position for `player` (to move): claimed boards and the
+// big-board lines they open, plus two- and one-in-a-rows inside the undecided boards.
+function evaluateUltimate(squares, winners, player) {
+  const opp = otherPlayer(player);
+  let score = 0;
+  for (const line of WINNING_LINES) {
+    let mine = 0;
+    let theirs = 0;
+    let dead = false;
+    for (const b of line) {
+      if (winners[b] === player) mine++;
+      else if (winners[b] === opp) theirs++;
+      else if (winners[b] === "draw") dead = true;
+    }
+    if (dead) continue;
+    if (theirs === 0) score += mine === 2 ? 60 : mine * 10;
+    else if (mine === 0) score -= theirs === 2 ? 60 : theirs * 10;
+  }
+  for (let b = 0; b < 9; b++) {
+    if (winners[b] === player) score += BOARD_WEIGHTS[b] * 10;
+    else if (winners[b] === opp) score -= BOARD_WEIGHTS[b] * 10;
+    if (winners[b]) continue;
+    const cells = SMALL_BOARDS[b];
+    let local = 0;
+    for (const line of WINNING_LINES) {
+      let mine = 0;
+      let theirs = 0;
+      for (const s of line) {
+        const sq = squares[cells[s]];
+        if (sq === player) mine++;
+        else if (sq === opp) theirs++;
+      }
+      if (theirs === 0) local += mine === 2 ? 4 : mine;
+      else if (mine === 0) local -= theirs === 2 ? 4 : theirs;
+    }
+    score += local * BOARD_WEIGHTS[b] * 0.5;
+  }
+  return score;
+}
+
+// negamax for Ultimate, scored like negamax. `lastMove` (the opponent's previous move)
+// picks the small boards `player` may play in. Mutates and restores `squares` and `winners`.
+function ultimateNegamax(squares, winners, player, lastMove, ply, depth, alpha, beta) {
+  const moves = openSquaresIn(squares, targetBoards(winners, lastMove));
+  if (moves.length === 0) return 0;
+  if (depth === 0) return evaluateUltimate(squares, winners, player);
+  const opp = otherPlayer(player);
+  let best = -Infinity;
+  for (const i of moves) {
+    const outcome = playUltimate(squares, winners, i, player);
+    const score =
+      outcome === "game"
+        ? WIN_SCORE - ply
+        : -ultimateNegamax(squares, winners, opp, i, ply + 1, depth - 1, -beta, -alpha);
+    unplayUltimate(squares, winners, i);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+// Ultimate moves keeping the best depth-limited score for `player`, in board order. The
+// search goes a ply deeper when the opponent is sent to a single small board.
+function bestUltimateMoves(squares, player, lastMove) {
+  const work = squares.slice();
+  const winners = ultimateWinners(work);
+  const moves = openSquaresIn(work, targetBoards(winners, lastMove));
+  const depth = moves.length > 9 ? 4 : 5;
+  const opp = otherPlayer(player);
+  let bestScore = -Infinity;
+  let best = [];
+  for (const i of moves) {
+    const outcome = playUltimate(work, winners, i, player);
+    const score =
+      outcome === "game"
+        ? WIN_SCORE
+        : -ultimateNegamax(work, winners, opp, i, 1, depth - 1, -Infinity, -bestScore + 1);
+    unplayUltimate(work, winners, i);
+    if (score > bestScore) {
+      bestScore = score;
+      best = [i];
+    } else if (score === bestScore) {
+      best.push(i);
+    }
+  }
+  return best;
+}
+
+// Computer move in an Ultimate game, or null if there is none. Medium wins the game or a
+// small board when it can, and otherwise avoids moves letting the opponent claim a board.
+function ultimateMove(squares, level, player, lastMove) {
+  const moves = openSquaresIn(squares, allowedBoards(squares, lastMove));
+  if (moves.length === 0) return null;
+  if (level === "easy") return pickRandom(moves);
+  if (level === "hard") return pickRandom(bestUltimateMoves(squares, player, lastMove));
+  const work = squares.slice();
+  const winners = ultimateWinners(work);
+  const opp = otherPlayer(player);
+  const outcomes = moves.map((i) => {
+    const outcome = playUltimate(work, winners, i, player);
+    let safe = true;
+    if (!outcome) {
+      for (const j of openSquaresIn(work, targetBoards(winners, i))) {
+        const reply = playUltimate(work, winners, j, opp);
+        unplayUltimate(work, winners, j);
+        if (reply) {
+          safe = false;
+          break;
+        }
+      }
+    }
+    unplayUltimate(work, winners, i);
+    return { i, outcome, safe };
+  });
+  const pick = (test) => outcomes.filter(test).map(({ i }) => i);
+  return pickRandom(
+    [pick((m) => m.outcome === "game"), pick((m) => m.outcome), pick((m) => m.safe), moves].find(
+      (list) => list.length
+    )
+  );
+}
+
+// PUBLIC_INTERFACE
+export function computerMove(
+  squares,
+  level = "medium",
+  player = "O",
+  rules = CLASSIC_RULES,
+  lastMove = null
+) {
+  /**
+   * Picks the computer's move for the given difficulty:
+   * - easy:   any open square at random
+   * - medium: win, block, then positional rules of thumb
+   * - hard:   negamax with alpha-beta; perfect (never loses) on 3x3
+   * 3x3 variants are searched to the end on hard, and medium wins or avoids losing at once;
+   * computerPlay also says which mark to place there. Ultimate needs the previous move,
+   * `lastMove`, to know where it may play; hard searches a few moves ahead there, and
+   * medium claims small boards and avoids handing them to the opponent. Qubic is played
+   * like any bigger board, over its 76 lines.
+   * Returns the index to move, or null if the board is full.
+   */
+  if (variantOf(rules) === "ultimate") return ultimateMove(squares, level, player, lastMove);
+  if (THREE_BY_THREE_VARIANTS.includes(variantOf(rules))) {
+    const move = variantMove(squares, level, player, rules);
+    return move ? move.index : null;
+  }
+  if (level === "easy") return randomMove(squares);
+  if (level === "hard") return bestMove(squares, player, rules);
+  return heuristicMove(squares, player, {}, rules);
+}
+
+// PUBLIC_INTERFACE
+export function computerPlay(
+  squares,
+  level = "medium",
+  player = "O",
+  rules = CLASSIC_RULES,
+  lastMove = null
+) {
+  /**
+   * The computer's move with the mark it places, { index, mark }, or null if the board is
+   * full. The mark is `player` except in Wild and Numerical (see legalMarks).
+   */
+  if (THREE_BY_THREE_VARIANTS.includes(variantOf(rules))) {
+    return variantMove(squares, level, player, rules);
+  }
+  const index = computerMove(squares, level, player, rules, lastMove);
+  return index === null ? null : { index, mark: player };
+}
+
+// PUBLIC_INTERFACE
+export function suggestMove(squares, player, rules = CLASSIC_RULES, lastMove = null) {
+  /**
+   * Move hint for whoever is to move, used by the Assistant: the square picked by
+   * explainSuggestion. Deterministic, so asking twice gives the same answer.
+   */
+  const hint = explainSuggestion(squares, player, rules, lastMove);
+  return hint ? hint.index : null;
+}
+
+// Lines through square `i` with no opponent mark and `count` of `player`'s marks once
+// `player` stands on `i`: count k completes a line, k - 1 makes a threat.
+function linesThroughWith(squares, i, player, count, rules) {
+  const opp = otherPlayer(player);
+  return linesThrough(rules)[i].filter(
+    (line) =>
+      !line.some((sq) => squares[sq] === opp) &&
+      line.filter((sq) => sq === i || squares[sq] === player).length === count
+  );
+}
+
+// Open square that forces the opponent to block somewhere that doesn't give them a fork.
+function forcingMove(squares, player, rules) {
+  const opp = otherPlayer(player);
+  const work = squares.slice();
+  for (const i of openSquares(squares)) {
+    work[i] = player;
+    const threats = winningSquares(work, player, rules);
+    let safe = false;
+    if (threats.length === 1) {
+      work[threats[0]] = opp;
+      safe = winningSquares(work, opp, rules).length < 2;
+      work[threats[0]] = null;
+    }
+    work[i] = null;
+    if (safe) return i;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function explainSuggestion(squares, player, rules = CLASSIC_RULES, lastMove = null) {
+  /**
+   * Suggested move for `player` with the reason behind it, checked in this order:
+   * - win:       completes one of `lines`
+   * - block:     stops the opponent completing `lines`
+   * - fork:      creates two threats at once, on `squares`, along `lines`
+   * - threats:   (Qubic) makes the first threat, along `lines`, of a chain that wins by force
+   * - blockFork: takes (or forces the opponent away from) their fork squares `squares`,
+   *              whose threats would run along `lines`
+   * - position:  heuristicMove's rules of thumb; no lines or squares
+   * 3x3 variants are searched to the end instead:
+   * - win:       completes `lines` (Wild and Numerical)
+   * - forcedWin / draw / loss: the result the move keeps with best play from both sides
+   * Ultimate takes the hard computer's move, in the small boards `lastMove` allows:
+   * - win:        claims a third small board in a row, with `lines`
+   * - claim:      claims the small board, completing `lines`
+   * - blockClaim: stops the opponent claiming it along `lines`
+   * - position:   the best the search found; no lines or squares
+   * Returns { index, mark, kind, lines, squares }, or null if the game is over.
+   */
+  if (getWinningLine(squares, rules).length || openSquares(squares).length === 0) return null;
+  if (variantOf(rules) === "ultimate") return explainUltimateMove(squares, player, lastMove);
+  if (THREE_BY_THREE_VARIANTS.includes(variantOf(rules))) {
+    return explainVariantMove(squares, player, rules);
+  }
+  const opp = otherPlayer(player);
+  const k = rules.k;
+
+  const wins = winningSquares(squares, player, rules);
+  if (wins.length) {
+    const index = wins[0];
+    const lines = linesThroughWith(squares, index, player, k, rules);
+    return { index, mark: player, kind: "win", lines, squares: [] };
+  }
+  const blocks = winningSquares(squares, opp, rules);
+  if (blocks.length) {
+    const index = blocks[0];
+    const lines = linesThroughWith(squares, index, opp, k, rules);
+    return { index, mark: player, kind: "block", lines, squares: [] };
+  }
+  const forks = forkSquares(squares, player, rules);
+  if (forks.length) {
+    const index = forks[0];
+    const work = squares.slice();
+    work[index] = player;
+    return {
+      index,
+      mark: player,
+      kind: "fork",
+      lines: linesThroughWith(squares, index, player, k - 1, rules),
+      squares: winningSquares(work, player, rules),
+    };
+  }
+  if (variantOf(rules) === "qubic") {
+    const index = shortestThreatSequence(squares, player, rules);
+    if (index !== null) {
+      const lines = linesThroughWith(squares, index, player, k - 1, rules);
+      return { index, mark: player, kind: "threats", lines, squares: [] };
+    }
+  }
+  const oppForks = forkSquares(squares, opp, rules);
+  if (oppForks.length) {
+    // A single fork square can simply be taken; with several, make a threat instead so the
+    // opponent's reply is forced, as long as that reply isn't a fork itself.
+    const forced = oppForks.length > 1 ? forcingMove(squares, player, rules) : null;
+    return {
+      index: forced !== null ? forced : oppForks[0],
+      mark: player,
+      kind: "blockFork",
+      lines: oppForks.flatMap((i) => linesThroughWith(squares, i, opp, k - 1, rules)),
+      squares: oppForks,
+    };
+  }
+  const index = heuristicMove(squares, player, { randomize: false }, rules);
+  return { index, mark: player, kind: "position", lines: [], squares: [] };
+}
+
+// explainSuggestion for variant games: the first of the best moves the search finds.
+function explainVariantMove(squares, player, rules) {
+  const { moves, value } = bestVariantMoves(squares, player, rules);
+  const [index, mark] = moves[0];
+  const work = squares.slice();
+  work[index] = mark;
+  // A completed line only wins outside Misère; there it is a loss nothing could avoid.
+  const lines =
+    value > 0
+      ? linesThrough(rules)[index].filter((line) => lineComplete(work, line, variantOf(rules)))
+      : [];
+  const kind = lines.length ? "win" : value > 0 ? "forcedWin" : value < 0 ? "loss" : "draw";
+  return { index, mark, kind, lines, squares: [] };
+}
+
+// explainSuggestion for Ultimate: the first of the best moves the hard search finds.
+function explainUltimateMove(squares, player, lastMove) {
+  const [index] = bestUltimateMoves(squares, player, lastMove);
+  if (index === undefined) return null;
+  const cells = SMALL_BOARDS[smallBoardOf(index)];
+  // Lines of that small board through `index` which `mark` would complete there.
+  const completed = (mark) =>
+    WINNING_LINES.map((line) => line.map((s) => cells[s])).filter(
+      (line) => line.includes(index) && line.every((sq) => sq === index || squares[sq] === mark)
+    );
+  const claims = completed(player);
+  if (claims.length) {
+    const work = squares.slice();
+    work[index] = player;
+    const kind = claimedLine(ultimateWinners(work)) ? "win" : "claim";
+    return { index, mark: player, kind, lines: claims, squares: [] };
+  }
+  const blocks = completed(otherPlayer(player));
+  if (blocks.length) return { index, mark: player, kind: "blockClaim", lines: blocks, squares: [] };
+  return { index, mark: player, kind: "position", lines: [], squares: [] };
+}
+
+// PUBLIC_INTERFACE
+export class GameState {
+  /**
+   * Immutable game position: the squares, the player to move, the rules and the
+   * position it came from. Every transition returns a new GameState; instances
+   * (and their squares) are frozen.
+   */
+  constructor(squares, toMove = "X", rules = CLASSIC_RULES, previous = null, lastMove = null) {
+    this.squares = Object.freeze(squares.slice());
+    this.toMove = toMove;
+    this.rules = rules;
+    this.previous = previous;
+    this.lastMove = lastMove;
+    Object.freeze(this);
+  }
+
+  static initial(startingPlayer = "X", rules = CLASSIC_RULES) {
+    /** Empty board with `startingPlayer` to move. */
+    return new GameState(emptyBoard(rules), startingPlayer, rules);
+  }
+
+  static fromBoard(squares, toMove = "X", rules = CLASSIC_RULES, lastMove = null) {
+    /**
+     * Position from a plain board array. It has no history, so it cannot be undone; Ultimate
+     * positions need the square of the previous move to know where the next one may go.
+     */
+    return new GameState(squares, toMove, rules, null, lastMove);
+  }
+
+  get moves() {
+    /** Indices played to reach this position, oldest first. */
+    const moves = [];
+    for (let s = this; s.previous; s = s.previous) moves.unshift(s.lastMove);
+    return moves;
+  }
+
+  get marks() {
+    /** Mark placed by each of those moves. */
+    return this.moves.map((index) => this.squares[index]);
+  }
+
+  legalMoves() {
+    /** Open squares (in Ultimate, of the allowed small boards), or [] once the game is over. */
+    if (this.result()) return [];
+    if (variantOf(this.rules) === "ultimate") {
+      return openSquaresIn(this.squares, allowedBoards(this.squares, this.lastMove));
+    }
+    return openSquares(this.squares);
+  }
+
+  legalMarks() {
+    /** Marks the side to move may place (see legalMarks); the first is the default. */
+    return legalMarks(this.squares, this.toMove, this.rules);
+  }
+
+  applyMove(index, mark = this.legalMarks()[0]) {
+    /** Plays `mark` on `index` for the side to move. Throws if the move is illegal. */
+    if (!this.legalMoves().includes(index)) {
+      throw new Error(`Illegal move: square ${index} is not playable`);
+    }
+    if (!this.legalMarks().includes(mark)) {
+      throw new Error(`Illegal move: ${this.toMove} cannot place ${mark}`);
+    }
+    const squares = this.squares.slice();
+    squares[index] = mark;
+    return new GameState(squares, otherPlayer(this.toMove), this.rules, this, index);
+  }
+
+  undo() {
+    /** Returns the position before the last move. Throws if there is none. */
+    if (!this.previous) throw new Error("Nothing to undo");
+    return this.previous;
+  }
+
+  result() {
+    /** 'X' or 'O' for a win, 'draw' for a full board, or null while in progress. */
+    const winner = calculateWinner(this.squares, this.rules, otherPlayer(this.toMove));
+    if (winner) return winner;
+    return isDraw(this.squares, this.rules) ? "draw" : null;
+  }
+
+  winningLine() {
+    /** Indices of the completed line, or []. */
+    return getWinningLine(this.squares, this.rules);
+  }
+}
@@ -0,0 +1,401 @@
+import {
+  CLASSIC_RULES,
+  GameState,
+  SMALL_BOARDS,
+  allowedBoards,
+  bestMove,
+  calculateWinner,
+  computerMove,
+  computerPlay,
+  createRules,
+  emptyBoard,
+  evaluateMoves,
+  explainSuggestion,
+  forkSquares,
+  getLines,
+  getWinningLine,
+  isDraw,
+  parseSquareName,
+  smallBoardOf,
+  smallBoardResults,
+  squareName,
+  suggestMove,
+  winningSquares,
+} from './engine';
+
+const board = (rows) =>
+  rows.join('').split('').map((c) => (c === '.' ? null : c));
+
+test('detects wins, winning lines and draws', () => {
+  const won = board(['XXX', 'OO.', '...']);
+  expect(calculateWinner(won)).toBe('X');
+  expect(getWinningLine(won)).toEqual([0, 1, 2]);
+  expect(isDraw(won)).toBe(false);
+
+  const drawn = board(['XOX', 'XOO', 'OXX']);
+  expect(calculateWinner(drawn)).toBeNull();
+  expect(isDraw(drawn)).toBe(true);
+});
+
+test('GameState is immutable and supports undo', () => {
+  const start = GameState.initial('X');
+  const next = start.applyMove(4);
+  expect(start.squares[4]).toBeNull();
+  expect(next.squares[4]).toBe('X');
+  expect(next.toMove).toBe('O');
+  expect(next.moves).toEqual([4]);
+  expect(next.undo()).toBe(start);
+  expect(Object.isFrozen(next)).toBe(true);
+  expect(Object.isFrozen(next.squares)).toBe(true);
+  expect(() => next.applyMove(4)).toThrow(/Illegal move/);
+  expect(() => start.undo()).toThrow(/Nothing to undo/);
+});
+
+test('GameState reports results and has no legal moves once over', () => {
+  let state = GameState.initial('X');
+  [0, 3, 1, 4, 2].forEach((i) => {
+    state = state.applyMove(i);
+  });
+  expect(state.result()).toBe('X');
+  expect(state.winningLine()).toEqual([0, 1, 2]);
+  expect(state.legalMoves()).toEqual([]);
+});
+
+test('hard computer takes wins and blocks forks', () => {
+  expect(bestMove(board(['OO.', 'XX.', 'X..']), 'O')).toBe(2);
+  // X holds opposite corners: O must answer on a side, not a corner.
+  expect([1, 3, 5, 7]).toContain(bestMove(board(['X..', '.O.', '..X']), 'O'));
+});
+
+test('hard computer never loses, whatever X plays', () => {
+  const explore = (squares) => {
+    const reply = computerMove(squares, 'hard', 'O');
+    if (reply === null) return;
+    const afterO = squares.slice();
+    afterO[reply] = 'O';
+    if (calculateWinner(afterO)) return;
+    afterO.forEach((sq, i) => {
+      if (sq) return;
+      const afterX = afterO.slice();
+      afterX[i] = 'X';
+      expect(calculateWinner(afterX)).not.toBe('X');
+      explore(afterX);
+    });
+  };
+  for (let i = 0; i < 9; i++) {
+    const first = Array(9).fill(null);
+    first[i] = 'X';
+    explore(first);
+  }
+});
+
+test('suggestMove is deterministic', () => {
+  const squares = board(['...', '.X.', '...']);
+  expect(suggestMove(squares, 'O')).toBe(0);
+  expect(suggestMove(squares, 'O')).toBe(0);
+});
+
+test('m,n,k rules generate every k-long line', () => {
+  expect(getLines(CLASSIC_RULES)).toHaveLength(8);
+  // 4x4 with 4 in a row: 4 rows, 4 columns, 2 diagonals.
+  expect(getLines(createRules(4, 4, 4))).toHaveLength(10);
+  // 15x15 Gomoku: 11 windows per row/column and 11x11 per diagonal direction.
+  expect(getLines(createRules(15, 15, 5))).toHaveLength(2 * 15 * 11 + 2 * 11 * 11);
+  expect(() => createRules(3, 3, 4)).toThrow();
+});
+
+test('detects k in a row on bigger boards', () => {
+  const rules = createRules(5, 5, 4);
+  const squares = emptyBoard(rules);
+  [6, 12, 18, 24].forEach((i) => {
+    squares[i] = 'O';
+  });
+  expect(calculateWinner(squares, rules)).toBe('O');
+  expect(getWinningLine(squares, rules)).toEqual([6, 12, 18, 24]);
+  squares[24] = null;
+  expect(calculateWinner(squares, rules)).toBeNull();
+});
+
+test('hard computer finds wins and blocks on Gomoku boards', () => {
+  const rules = createRules(15, 15, 5);
+  const squares = emptyBoard(rules);
+  [100, 101, 102, 103].forEach((i) => {
+    squares[i] = 'X';
+  });
+  squares[99] = 'O';
+  squares[120] = 'O';
+  expect(bestMove(squares, 'O', rules)).toBe(104);
+  squares[104] = 'O';
+  [110, 125, 140].forEach((i) => {
+    squares[i] = 'O';
+  });
+  // Either end of the column makes an open four; ties are picked at random.
+  expect([95, 155]).toContain(bestMove(squares, 'O', rules));
+});
+
+test('hard computer stops open threes and fours on Gomoku boards', () => {
+  const rules = createRules(15, 15, 5);
+  const squares = emptyBoard(rules);
+  const play = (names) =>
+    names.split(' ').forEach((name, n) => {
+      squares[parseSquareName(name, rules)] = n % 2 ? 'O' : 'X';
+    });
+  const at = (...names) => names.map((name) => parseSquareName(name, rules));
+  // O's open three g7 h7 i7 becomes an open four unless X takes f7 or j7 now.
+  play('h8 g7 g9 i7 f8 h7');
+  expect(at('f7', 'j7')).toContain(bestMove(squares, 'X', rules));
+  // Given the move, O extends the three into an open four rather than let it be blocked.
+  squares[parseSquareName('f3', rules)] = 'X';
+  expect(at('f7', 'j7')).toContain(bestMove(squares, 'O', rules));
+});
+
+test('square names round-trip', () => {
+  expect(squareName(0)).toBe('a1');
+  expect(squareName(4)).toBe('b2');
+  const gomoku = createRules(15, 15, 5);
+  expect(squareName(224, gomoku)).toBe('o15');
+  expect(parseSquareName('o15', gomoku)).toBe(224);
+  expect(parseSquareName('d1')).toBeNull();
+  expect(parseSquareName('zz')).toBeNull();
+});
+
+test('evaluates every move exactly on 3x3 and finds threats and forks', () => {
+  const position = board(['X..', '.O.', '..X']);
+  const evaluations = evaluateMoves(position, 'O');
+  expect(evaluations).toHaveLength(6);
+  // Only the edges hold the draw for O; a corner loses to a fork.
+  const draws = evaluations.filter((e) => e.outcome === 'draw').map((e) => e.index).sort();
+  expect(draws).toEqual([1, 3, 5, 7]);
+  expect(evaluations.find((e) => e.index === 2)).toMatchObject({ outcome: 'loss', plies: 4 });
+  expect(winningSquares(board(['XX.', 'OO.', '...']), 'O')).toEqual([5]);
+  expect(forkSquares(board(['X..', '.O.', '..X']), 'X').sort()).toEqual([2, 6]);
+});
+
+test('explains suggestions: wins, blocks, forks and fork defence', () => {
+  expect(explainSuggestion(board(['XX.', 'OO.', '...']), 'X')).toMatchObject({
+    index: 2,
+    kind: 'win',
+    lines: [[0, 1, 2]],
+  });
+  expect(explainSuggestion(board(['XX.', 'O..', '...']), 'O')).toMatchObject({
+    index: 2,
+    kind: 'block',
+    lines: [[0, 1, 2]],
+  });
+  const corners = board(['X..', '.O.', '..X']);
+  expect(explainSuggestion(corners, 'X')).toMatchObject({ index: 2, kind: 'fork', squares: [1, 5] });
+  // Two fork squares for X: O answers with an edge threat rather than a corner.
+  expect(explainSuggestion(corners, 'O')).toMatchObject({
+    index: 1,
+    kind: 'blockFork',
+    squares: [2, 6],
+  });
+  expect(explainSuggestion(board(['...', '...', '...']), 'X')).toMatchObject({
+    index: 4,
+    kind: 'position',
+  });
+  expect(explainSuggestion(board(['XXX', 'OO.', '...']), 'O')).toBeNull();
+});
+
+const numbers = (rows) =>
+  rows.join('').split('').map((c) => (c === '.' ? null : Number(c)));
+
+test('variants decide games their own way', () => {
+  const misere = createRules(3, 3, 3, 'misere');
+  expect(calculateWinner(board(['XXX', 'OO.', '...']), misere)).toBe('O');
+
+  // Wild: whoever completes three alike wins, whatever the letter.
+  let wild = GameState.initial('X', createRules(3, 3, 3, 'wild'));
+  expect(wild.legalMarks()).toEqual(['X', 'O']);
+  [[0, 'O'], [4, 'X'], [1, 'O'], [8, 'O'], [2, 'O']].forEach(([i, mark]) => {
+    wild = wild.applyMove(i, mark);
+  });
+  expect(wild.result()).toBe('X');
+  expect(wild.winningLine()).toEqual([0, 1, 2]);
+
+  // Numerical: the first player places odd numbers, the second even ones.
+  let numerical = GameState.initial('X', createRules(3, 3, 3, 'numerical'));
+  numerical = numerical.applyMove(0, 9).applyMove(1, 2);
+  expect(numerical.legalMarks()).toEqual([1, 3, 5, 7]);
+  expect(() => numerical.applyMove(6, 4)).toThrow(/cannot place 4/);
+  numerical = numerical.applyMove(6, 3).applyMove(2, 4);
+  expect(numerical.result()).toBe('O');
+  expect(numerical.marks).toEqual([9, 2, 3, 4]);
+
+  expect(() => createRules(4, 4, 3, 'wild')).toThrow(/3x3/);
+  expect(() => createRules(3, 3, 3, 'gomoku')).toThrow(/Unknown variant/);
+});
+
+test('hard computer never loses Misère as the second player', () => {
+  const misere = createRules(3, 3, 3, 'misere');
+  const explore = (squares) => {
+    const reply = computerPlay(squares, 'hard', 'O', misere);
+    if (reply === null) return;
+    const afterO = squares.slice();
+    afterO[reply.index] = reply.mark;
+    expect(calculateWinner(afterO, misere)).toBeNull();
+    afterO.forEach((sq, i) => {
+      if (sq) return;
+      const afterX = afterO.slice();
+      afterX[i] = 'X';
+      if (!calculateWinner(afterX, misere)) explore(afterX);
+    });
+  };
+  // A corner, an edge and the center cover every first move up to symmetry.
+  [0, 1, 4].forEach((i) => {
+    const first = Array(9).fill(null);
+    first[i] = 'X';
+    explore(first);
+  });
+});
+
+test('computer and hints in Wild and Numerical games pick the mark too', () => {
+  const numerical = createRules(3, 3, 3, 'numerical');
+  // X (odd) makes 15 on c1 with 3 (row 1) or 9 (the 5-1 diagonal).
+  const position = numbers(['48.', '.5.', '1..']);
+  expect([3, 9]).toContain(computerPlay(position, 'hard', 'X', numerical).mark);
+  expect(computerPlay(position, 'medium', 'X', numerical).index).toBe(2);
+  expect(explainSuggestion(position, 'X', numerical)).toMatchObject({ index: 2, mark: 3, kind: 'win' });
+
+  const empty = Array(9).fill(null);
+  expect(explainSuggestion(empty, 'X', createRules(3, 3, 3, 'wild')).kind).toBe('forcedWin');
+  expect(explainSuggestion(empty, 'X', createRules(3, 3, 3, 'misere')).kind).toBe('draw');
+  expect(computerPlay(empty, 'hard', 'X')).toEqual({ index: expect.any(Number), mark: 'X' });
+});
+
+// Ultimate board with the given squares (0-8 within each small board) taken.
+const ultimate = (placed) => {
+  const squares = Array(81).fill(null);
+  Object.entries(placed).forEach(([b, [mark, cells]]) =>
+    cells.forEach((s) => {
+      squares[SMALL_BOARDS[b][s]] = mark;
+    })
+  );
+  return squares;
+};
+
+test('Ultimate sends every move to a small board and is won by three claimed boards', () => {
+  const rules = createRules(9, 9, 3, 'ultimate');
+  expect(() => createRules(3, 3, 3, 'ultimate')).toThrow(/9x9/);
+  let game = GameState.initial('X', rules);
+  expect(game.legalMoves()).toHaveLength(81);
+  // The top-right square of the center board sends O to the top-right board.
+  game = game.applyMove(SMALL_BOARDS[4][2]);
+  expect(smallBoardOf(game.lastMove)).toBe(4);
+  expect(game.legalMoves()).toEqual(SMALL_BOARDS[2]);
+  expect(() => game.applyMove(SMALL_BOARDS[0][0])).toThrow(/not playable/);
+
+  // X has claimed the top-left and top-middle boards and threatens the top-right one.
+  const squares = ultimate({
+    0: ['X', [0, 1, 2]],
+    1: ['X', [0, 4, 8]],
+    2: ['X', [0, 1]],
+    3: ['O', [0, 1, 2]],
+    4: ['O', [3, 4, 5]],
+  });
+  const results = smallBoardResults(squares);
+  expect(results[0]).toEqual({ winner: 'X', line: [0, 1, 2] });
+  expect(results[1]).toEqual({ winner: 'X', line: [3, 13, 23] });
+  expect(results[2]).toEqual({ winner: null, line: [] });
+  expect(allowedBoards(squares, SMALL_BOARDS[7][2])).toEqual([2]);
+  // Sent to a claimed board: any undecided board will do.
+  expect(allowedBoards(squares, SMALL_BOARDS[7][4])).toEqual([2, 5, 6, 7, 8]);
+  expect(calculateWinner(squares, rules)).toBeNull();
+
+  const won = squares.slice();
+  won[SMALL_BOARDS[2][2]] = 'X';
+  expect(calculateWinner(won, rules)).toBe('X');
+  expect(getWinningLine(won, rules)).toEqual([0, 1, 2, 3, 13, 23, 6, 7, 8]);
+
+  // Every small board decided without three in a row for either side.
+  const owners = ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X'];
+  const drawn = ultimate(Object.fromEntries(owners.map((mark, b) => [b, [mark, [0, 1, 2]]])));
+  expect(isDraw(drawn, rules)).toBe(true);
+  expect(GameState.fromBoard(drawn, 'X', rules).result()).toBe('draw');
+});
+
+test('Ultimate computer plays legal moves and takes the winning board', () => {
+  const rules = createRules(9, 9, 3, 'ultimate');
+  const squares = ultimate({
+    0: ['X', [0, 1, 2]],
+    1: ['X', [0, 4, 8]],
+    2: ['X', [0, 1]],
+    3: ['O', [0, 1, 2]],
+    4: ['O', [3, 4, 5]],
+    5: ['O', [0]],
+  });
+  const lastMove = SMALL_BOARDS[5][2];
+  const win = SMALL_BOARDS[2][2];
+  expect(computerMove(squares, 'hard', 'X', rules, lastMove)).toBe(win);
+  expect(computerMove(squares, 'medium', 'X', rules, lastMove)).toBe(win);
+  expect(explainSuggestion(squares, 'X', rules, lastMove)).toMatchObject({
+    index: win,
+    kind: 'win',
+    lines: [[6, 7, 8]],
+  });
+  // O, sent to that board, keeps X from claiming it.
+  expect(explainSuggestion(squares, 'O', rules, lastMove)).toMatchObject({
+    index: win,
+    kind: 'blockClaim',
+  });
+
+  let game = GameState.initial('X', rules);
+  while (!game.result()) {
+    const level = game.toMove === 'X' ? 'medium' : 'easy';
+    game = game.applyMove(computerMove(game.squares, level, game.toMove, rules, game.lastMove));
+  }
+  expect(['X', 'O', 'draw']).toContain(game.result());
+});
+
+test('Qubic is won by four in a row within a layer or through the layers', () => {
+  const rules = createRules(16, 4, 4, 'qubic');
+  expect(() => createRules(4, 4, 4, 'qubic')).toThrow(/4x4x4/);
+  const lines = getLines(rules);
+  expect(lines).toHaveLength(76);
+  // A corner lies on seven lines, an edge square of the top layer on four.
+  expect(lines.filter((line) => line.includes(0))).toHaveLength(7);
+  expect(lines.filter((line) => line.includes(1))).toHaveLength(4);
+  expect(squareName(26, rules)).toBe('2c3');
+  expect(parseSquareName('2c3', rules)).toBe(26);
+  expect(parseSquareName('5a1', rules)).toBeNull();
+  expect(parseSquareName('c3', rules)).toBeNull();
+
+  // X goes straight down through the layers at b2.
+  let game = GameState.initial('X', rules);
+  [5, 0, 21, 1, 37, 6].forEach((i) => {
+    game = game.applyMove(i);
+  });
+  expect(game.result()).toBeNull();
+  expect(computerMove(game.squares, 'hard', 'X', rules)).toBe(53);
+  expect(computerMove(game.squares, 'medium', 'X', rules)).toBe(53);
+  expect(computerMove(game.squares, 'hard', 'O', rules)).toBe(53);
+  game = game.applyMove(53);
+  expect(game.result()).toBe('X');
+  expect(getWinningLine(game.squares, rules)).toEqual([5, 21, 37, 53]);
+});
+
+test('hard computer wins Qubic with a chain of threats', () => {
+  const rules = createRules(16, 4, 4, 'qubic');
+  const squares = emptyBoard(rules);
+  [0, 1, 18, 38, 42].forEach((i) => {
+    squares[i] = 'X';
+  });
+  [13, 30, 47, 52, 59].forEach((i) => {
+    squares[i] = 'O';
+  });
+  expect(forkSquares(squares, 'X', rules)).toEqual([]);
+  // 1c1 threatens 1d1; once O blocks there, 3c1 threatens two lines at once.
+  expect(explainSuggestion(squares, 'X', rules)).toMatchObject({
+    index: 2,
+    kind: 'threats',
+    lines: [[0, 1, 2, 3]],
+  });
+  let game = GameState.fromBoard(squares, 'X', rules);
+  const moves = [];
+  while (!game.result()) {
+    moves.push(computerMove(game.squares, 'hard', game.toMove, rules));
+    game = game.applyMove(moves[moves.length - 1]);
+  }
+  expect(moves).toEqual([2, 3, 34, 46, 50]);
+  expect(game.result()).toBe('X');
+});
@@ -0,0 +1,158 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en";
+import ar from "./locales/ar";
+
+/**
+ * Message catalogs (src/locales) and the language the UI is shown in. Components get
+ * `t(key, params)` from useI18n(); plain modules take a translator argument that defaults
+ * to `english`. I18nProvider keeps `lang` and `dir` on <html>, so right-to-left languages
+ * lay out the whole page (the board itself stays left to right: a1 is always top-left).
+ */
+
+export const LANGUAGE_KEY = "ttt-arena-language";
+export const LANGUAGES = { en, ar };
+
+function format(template, params) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+// PUBLIC_INTERFACE
+export function translator(language) {
+  /**
+   * t(key, params) for `language` (English for unknown ones): fills {placeholders} from
+   * params, picks the plural form for params.count, and falls back to the English message,
+   * then to the key itself.
+   */
+  const catalog = LANGUAGES[language] || en;
+  const plurals = new Intl.PluralRules(LANGUAGES[language] ? language : "en");
+  return function t(key, params = {}) {
+    let message = catalog.messages[key];
+    if (message === undefined) message = en.messages[key];
+    if (message === undefined) return key;
+    if (typeof message === "object") message = message[plurals.select(params.count)] || message.other;
+    return format(message, params);
+  };
+}
+
+// PUBLIC_INTERFACE
+export const english = translator("en");
+
+// PUBLIC_INTERFACE
+export function errorMessage(error, t = english) {
+  /**
+   * Text of an Error, or of a relay error message, in t's language when it carries a catalog
+   * `key` and `params`; its English `message` otherwise. A param can itself be such an error
+   * or a { key, params } message, and a list (array) param reads as alternatives ("1 or 2").
+   */
+  if (!error.key) return error.message;
+  const params = {};
+  for (const [name, value] of Object.entries(error.params || {})) {
+    if (Array.isArray(value)) params[name] = value.join(t("list.or"));
+    else if (value && typeof value === "object") params[name] = errorMessage(value, t);
+    else params[name] = value;
+  }
+  return t(error.key, params);
+}
+
+// PUBLIC_INTERFACE
+export function localizedError(key, params = {}) {
+  /** Error with the English text of catalog message `key`, shown in any language by errorMessage. */
+  return Object.assign(new Error(errorMessage({ key, params })), { key, params });
+}
+
+// PUBLIC_INTERFACE
+export function normalizeText(text) {
+  /**
+   * Lower case, without Arabic diacritics or tatweel, and with the letter variants people
+   * use interchangeably (أ إ آ → ا, ى → ي, ة → ه) unified, for keyword matching.
+   */
+  return text
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, "")
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه");
+}
+
+// PUBLIC_INTERFACE
+export function matchesKeywords(text, language, intent) {
+  /**
+   * True if `text` asks the Assistant question `intent` ('howToPlay', 'rules', ...) in
+   * `language` or in English: every keyword group of the catalog has a word in the text.
+   */
+  const normalized = normalizeText(text);
+  return [LANGUAGES[language] || en, en].some((catalog) => {
+    const groups = catalog.keywords[intent];
+    return (
+      !!groups &&
+      groups.every((words) => words.some((word) => normalized.includes(normalizeText(word))))
+    );
+  });
+}
+
+// PUBLIC_INTERFACE
+export function detectLanguage() {
+  /** First of the browser's preferred languages that has a catalog, else 'en'. */
+  const preferred = (navigator.languages && navigator.languages.length
+    ? navigator.languages
+    : [navigator.language || "en"]
+  ).map((tag) => tag.toLowerCase().split("-")[0]);
+  return preferred.find((code) => LANGUAGES[code]) || "en";
+}
+
+// PUBLIC_INTERFACE
+export function loadLanguage() {
+  /** Language chosen in this browser, or the detected one. */
+  try {
+    const saved = window.localStorage.getItem(LANGUAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch (e) {
+    // No storage: detect below.
+  }
+  return detectLanguage();
+}
+
+// PUBLIC_INTERFACE
+export function saveLanguage(language) {
+  /** Remembers the language; silently skipped without localStorage. */
+  try {
+    window.localStorage.setItem(LANGUAGE_KEY, language);
+  } catch (e) {
+    // The choice lasts for this visit only.
+  }
+}
+
+const I18nContext = createContext({ language: "en", dir: "ltr", t: english, setLanguage: () => {} });
+
+// PUBLIC_INTERFACE
+export function I18nProvider({ children }) {
+  /**
+   * Provides { language, dir, t, setLanguage } to useI18n() and mirrors the language on
+   * <html lang dir>.
+   */
+  const [language, setLanguageState] = useState(loadLanguage);
+  const t = useMemo(() => translator(language), [language]);
+  const dir = LANGUAGES[language].dir;
+
+  useEffect(() => {
+    document.documentElement.setAttribute("lang", language);
+    document.documentElement.setAttribute("dir", dir);
+  }, [language, dir]);
+
+  function setLanguage(next) {
+    setLanguageState(next);
+    saveLanguage(next);
+  }
+
+  return (
+    <I18nContext.Provider value={{ language, dir, t, setLanguage }}>{children}</I18nContext.Provider>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function useI18n() {
+  /** { language, dir, t, setLanguage } from the nearest I18nProvider (English without one). */
+  return useContext(I18nContext);
+}
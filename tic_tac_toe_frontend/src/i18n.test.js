@@ -0,0 +1,36 @@
+import { LANGUAGE_KEY, loadLanguage, matchesKeywords, normalizeText, saveLanguage, translator } from './i18n';
+
+beforeEach(() => window.localStorage.clear());
+
+test('fills placeholders and picks plural forms per language', () => {
+  const en = translator('en');
+  expect(en('assistant.afterMove', { step: 4 })).toBe('After move 4');
+  expect(en('analysis.blunders', { count: 1 })).toBe('1 blunder');
+  expect(en('analysis.blunders', { count: 3 })).toBe('3 blunders');
+  const ar = translator('ar');
+  expect(ar('analysis.blunders', { count: 2 })).toBe('خطأين فادحين');
+  expect(ar('analysis.blunders', { count: 3 })).toBe('3 أخطاء فادحة');
+});
+
+test('falls back to English, then to the key', () => {
+  expect(translator('fr')('history.moves')).toBe('Moves');
+  expect(translator('ar')('no.such.key')).toBe('no.such.key');
+});
+
+test('remembers the chosen language and ignores unknown ones', () => {
+  expect(loadLanguage()).toBe('en');
+  saveLanguage('ar');
+  expect(loadLanguage()).toBe('ar');
+  window.localStorage.setItem(LANGUAGE_KEY, 'xx');
+  expect(loadLanguage()).toBe('en');
+});
+
+test('recognizes questions in Arabic regardless of diacritics and letter variants', () => {
+  expect(normalizeText('أفضل نقلةٍ')).toBe('افضل نقله');
+  expect(matchesKeywords('ما هي القواعد؟', 'ar', 'rules')).toBe(true);
+  expect(matchesKeywords('كيف أبدأ اللعب؟', 'ar', 'howToPlay')).toBe(true);
+  expect(matchesKeywords('اقترح نقلة', 'ar', 'rules')).toBe(false);
+  // English keywords keep working whatever the UI language
+  expect(matchesKeywords('What are the rules?', 'ar', 'rules')).toBe(true);
+  expect(matchesKeywords('ما هي القواعد؟', 'en', 'rules')).toBe(false);
+});
@@ -2,10 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import Spectator from './Spectator';
+import { ThemeProvider } from './theme';
+import { I18nProvider } from './i18n';
+
+// "#/spectator" opens the read-only second-screen view of the game in another tab.
+const isSpectator = window.location.hash === '#/spectator';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <ThemeProvider>
+      <I18nProvider>{isSpectator ? <Spectator /> : <App />}</I18nProvider>
+    </ThemeProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,536 @@
+/**
+ * Arabic messages, shown right to left. Keys missing here fall back to English (en.js).
+ * Plural forms follow Intl.PluralRules("ar"): zero, one, two, few (3-10), many (11-99), other.
+ */
+const ar = {
+  name: "العربية",
+  englishName: "Arabic",
+  dir: "rtl",
+  messages: {
+    "app.title": "ساحة إكس-أو",
+    "app.spectatorLink": "فتح شاشة المشاهدة",
+    "app.leaveTournament": "مغادرة البطولة؟ ستضيع نتائجها.",
+    "settings.theme": "المظهر",
+    "settings.language": "اللغة",
+    "theme.system": "حسب النظام",
+    "theme.light": "فاتح",
+    "theme.dark": "داكن",
+    "theme.high-contrast": "تباين عالٍ",
+    "mode.PVC": "إنسان ضد الحاسوب",
+    "mode.PVP": "لاعبان",
+    "mode.ONLINE": "اللعب عبر الإنترنت",
+    "difficulty.easy": "سهل",
+    "difficulty.medium": "متوسط",
+    "difficulty.hard": "صعب",
+    "size.rows": "الصفوف",
+    "size.cols": "الأعمدة",
+    "size.k": "على التوالي",
+    "variant.label": "النوع",
+    "variant.standard": "عادية",
+    "variant.misere": "ميزير (المعكوسة)",
+    "variant.wild": "الحرة",
+    "variant.numerical": "العددية",
+    "variant.ultimate": "المتداخلة (ألتيميت)",
+    "variant.qubic": "المكعّب (4x4x4)",
+    "variant.place": "العلامة التي ستضعها",
+    "variant.note.misere": "ميزير: ثلاث من علاماتك على التوالي تخسر",
+    "variant.note.wild": "الحرة: ضع X أو O؛ أي ثلاث متماثلة على التوالي تفوز",
+    "variant.note.numerical": "العددية: {odd} يضع الأعداد الفردية و{even} الزوجية؛ الخط الذي مجموعه 15 يفوز",
+    "variant.note.ultimate": "المتداخلة: مربعك يحدد اللوحة الصغيرة التي يلعب فيها خصمك؛ اربح ثلاث لوحات صغيرة على التوالي",
+    "variant.note.qubic": "المكعّب: أربع على التوالي تفوز—داخل طبقة، أو نزولًا عبر الطبقات، أو قطريًا عبر المكعّب",
+    "rules.error.size": "مقاس لوحة غير صالح {rows}x{cols}",
+    "rules.error.k": "لا يمكن صنع {k} على التوالي في لوحة {rows}x{cols}",
+    "rules.error.variant": "نوع لعبة غير معروف \"{variant}\"",
+    "rules.error.qubic": "المكعّب يُلعب على مكعّب 4x4x4",
+    "rules.error.board": "{variant} تُلعب على لوحة {size}x{size}",
+    "clock.control": "ضبط الوقت",
+    "clock.untimed": "بلا وقت",
+    "clock.perMove": "{seconds} ث لكل نقلة",
+    "clock.perGame": "{time} + {increment} ث لكل نقلة",
+    "clock.locked": "يمكن تغيير ضبط الوقت بعد انتهاء هذه اللعبة",
+    "clock.mark": "ساعة {mark}",
+    "names.you": "أنت",
+    "names.computer": "الحاسوب",
+    "names.player": "اللاعب {mark}",
+    "score.draws": "تعادلات",
+
+    "status.wins": "{mark} يفوز!",
+    "status.draw": "تعادل!",
+    "status.timeout": "انتهى وقت {loser}. {winner} يفوز!",
+    "status.misereWin": "أكمل {loser} خطًا. {winner} يفوز!",
+    "status.onlineIdle": "أنشئ غرفة أو انضم إلى غرفة للعب عبر الإنترنت",
+    "status.yourTurn": "دورك ({mark})",
+    "status.opponentTurn": "دور الخصم ({mark})",
+    "status.computerTurn": "دور الحاسوب ({mark})",
+    "status.playerTurn": "دور اللاعب {mark}",
+    "announce.computerMove": "لعب الحاسوب {mark} في {square}، المربع {number}.",
+    "announce.computerMoveUltimate": "لعب الحاسوب {mark} في اللوحة الصغيرة {board}، المربع {number}.",
+    "announce.computerMoveQubic": "لعب الحاسوب {mark} في الطبقة {layer}، المربع {number}.",
+
+    "board.label": "لوحة اللعب، {rows} في {cols}",
+    "ultimate.label": "اللوحة المتداخلة من تسع لوحات صغيرة",
+    "ultimate.board.open": "اللوحة الصغيرة {number}، العب هنا",
+    "ultimate.board.waiting": "اللوحة الصغيرة {number}",
+    "ultimate.board.claimed": "اللوحة الصغيرة {number}، فاز بها {mark}",
+    "ultimate.board.drawn": "اللوحة الصغيرة {number}، تعادل",
+    "qubic.label": "مكعّب من أربع طبقات",
+    "qubic.layer": "الطبقة {number}",
+    "qubic.cube": "عرض ثلاثي الأبعاد",
+    "qubic.turn": "تدوير",
+    "board.square": "المربع {number}",
+    "board.occupied": "المربع {number} عليه {mark}",
+    "board.evaluated": "المربع {number} ({evaluation})",
+
+    "eval.label": "التقييم",
+    "eval.bestPlay": "مع أفضل لعب: {outcome}",
+    "eval.mark.win": "ف",
+    "eval.mark.draw": "ت",
+    "eval.mark.loss": "خ",
+    "eval.win": {
+      one: "فوز خلال نقلة واحدة",
+      two: "فوز خلال نقلتين",
+      few: "فوز خلال {count} نقلات",
+      other: "فوز خلال {count} نقلة",
+    },
+    "eval.draw": {
+      one: "تعادل خلال نقلة واحدة",
+      two: "تعادل خلال نقلتين",
+      few: "تعادل خلال {count} نقلات",
+      other: "تعادل خلال {count} نقلة",
+    },
+    "eval.loss": {
+      one: "خسارة خلال نقلة واحدة",
+      two: "خسارة خلال نقلتين",
+      few: "خسارة خلال {count} نقلات",
+      other: "خسارة خلال {count} نقلة",
+    },
+    "outcome.wins": "{mark} يفوز",
+    "outcome.draw": "تعادل",
+    "outcome.unclear": "غير محسومة",
+
+    "controls.undo": "تراجع",
+    "controls.undoTitle": "تراجع (Ctrl+Z)",
+    "controls.redo": "إعادة",
+    "controls.redoTitle": "إعادة (Ctrl+Shift+Z)",
+    "controls.newGame": "لعبة جديدة",
+    "controls.resetScores": "تصفير النتائج",
+    "controls.evaluation": "التقييم",
+    "controls.evaluationTitle": "اعرض نتيجة أفضل لعب لكل مربع فارغ",
+    "controls.clearSaved": "مسح البيانات المحفوظة لهذه اللعبة",
+
+    "list.and": " و",
+    "list.or": " أو ",
+    "list.comma": "، ",
+    "list.semicolon": "؛ ",
+
+    "history.moves": "النقلات",
+    "history.start": "البداية",
+    "history.otherLines": "خطوط أخرى",
+
+    "analysis.analyze": "تحليل",
+    "analysis.analyzeTitle": "قيّم كل نقلة في هذه اللعبة",
+    "analysis.unavailable": "متاح عند انتهاء اللعبة",
+    "analysis.label": "تحليل اللعبة",
+    "analysis.grade.best": "الأفضل",
+    "analysis.grade.inaccuracy": "غير دقيقة",
+    "analysis.grade.blunder": "خطأ فادح",
+    "analysis.turningPoint": "نقطة تحول ({before} ← {after})",
+    "analysis.better": "الأفضل: {squares}",
+    "analysis.reason.missedWin": "فوّت فوزًا",
+    "analysis.reason.failedToBlock": "لم يسدّ الطريق",
+    "analysis.reason.allowedFork": "سمح بشوكة",
+    "analysis.reason.missedForcedWin": "فوّت فوزًا مضمونًا",
+    "analysis.reason.allowedForcedLoss": "سمح بخسارة مؤكدة",
+    "analysis.reason.gaveUpAdvantage": "فرّط في الأفضلية",
+    "analysis.perfect": "لعب {mark} بلا أخطاء",
+    "analysis.made": "ارتكب {mark} {mistakes}",
+    "analysis.blunders": {
+      one: "خطأً فادحًا واحدًا",
+      two: "خطأين فادحين",
+      few: "{count} أخطاء فادحة",
+      other: "{count} خطأً فادحًا",
+    },
+    "analysis.inaccuracies": {
+      one: "نقلة غير دقيقة واحدة",
+      two: "نقلتين غير دقيقتين",
+      few: "{count} نقلات غير دقيقة",
+      other: "{count} نقلة غير دقيقة",
+    },
+    "analysis.summary": "{players}.{turning}",
+    "analysis.turning":
+      " تغيّرت النتيجة عند النقلة {number} ({mark} {square}، {reason}): {before} ← {after}.",
+
+    "record.copy": "نسخ اللعبة",
+    "record.download": "تنزيل",
+    "record.import": "استيراد…",
+    "record.label": "سجل اللعبة",
+    "record.load": "تحميل اللعبة",
+    "record.upload": "رفع ملف",
+    "record.copyBelow": "انسخ السجل أدناه.",
+    "record.copied": "نُسخ سجل اللعبة إلى الحافظة.",
+    "record.noClipboard": "تعذّر الوصول إلى الحافظة.",
+    "record.loaded": "حُمّلت اللعبة. استخدم قائمة النقلات للتنقل فيها.",
+    "record.unreadable": "تعذّرت قراءة هذا الملف.",
+    "record.error.tagLine": "سطر وسم غير صالح: {line}",
+    "record.error.missingTag": "الوسم [{name}] مفقود",
+    "record.error.empty": "سجل اللعبة فارغ",
+    "record.error.board": "وسم [Board] غير صالح \"{board}\"، والمتوقع مثل \"3x3\"",
+    "record.error.variant": "قيمة [Variant] غير معروفة \"{variant}\"",
+    "record.error.unsupported": "لوحة غير مدعومة: {reason}",
+    "record.error.mode": "قيمة [Mode] غير معروفة \"{mode}\"",
+    "record.error.first": "يجب أن تكون قيمة [First] \"X\" أو \"O\" وليس \"{first}\"",
+    "record.error.result": "يجب أن تكون قيمة [Result] إحدى {results} وليس \"{result}\"",
+    "record.error.termination": "قيمة [Termination] غير معروفة \"{termination}\"",
+    "record.error.timeResult": "اللعبة الخاسرة بانتهاء الوقت تحتاج فائزًا في [Result] وليس \"{result}\"",
+    "record.error.notSquare": "النقلة {number} \"{token}\" ليست مربعًا على لوحة {size}",
+    "record.error.namePlaced": "النقلة {number} ({token}) يجب أن تذكر ما يوضع، مثل {example}",
+    "record.error.namedMark": "النقلة {number} ({token}) لا يمكن أن تذكر علامة في هذه اللعبة",
+    "record.error.afterEnd": "النقلة {number} ({token}) لُعبت بعد انتهاء اللعبة",
+    "record.error.taken": "النقلة {number} ({token}) غير قانونية: المربع مأخوذ بالفعل",
+    "record.error.smallBoard":
+      "النقلة {number} ({token}) غير قانونية: يجب أن تُلعب في اللوحة الصغيرة {boards}",
+    "record.error.cannotPlace": "النقلة {number} ({token}) غير قانونية: لا يستطيع {player} وضع {placed}",
+    "record.error.truncated":
+      "يبدو أن السجل مقتطع أو معدَّل: [Result] يقول {said}، لكن نقلاته تنتهي بـ{actual}",
+    "record.outcome.unfinished": "لعبة غير منتهية",
+    "record.outcome.draw": "تعادل",
+    "record.outcome.win": "فوز {mark}",
+
+    "online.create": "إنشاء غرفة",
+    "online.code": "رمز الغرفة",
+    "online.join": "انضمام",
+    "online.room": "الغرفة",
+    "online.youAre": "أنت",
+    "online.waiting": "بانتظار خصمك…",
+    "online.opponentConnected": "الخصم متصل",
+    "online.leave": "مغادرة الغرفة",
+    "online.connecting": "جارٍ الاتصال بالخادم…",
+    "online.open": "متصل",
+    "online.reconnecting": "انقطع الاتصال، جارٍ إعادة الاتصال…",
+    "online.closed": "غير متصل",
+    "online.error.boardSize": "يجب أن تكون اللوحة بين {min}x{min} و{max}x{max}",
+    "online.error.timeControl": "نظام وقت غير معروف \"{control}\"",
+    "online.error.noRoom": "لا توجد غرفة بالرمز {code}",
+    "online.error.full": "الغرفة {code} ممتلئة",
+    "online.error.seated": "لديك مقعد بالفعل في الغرفة {code}",
+    "online.error.unknownSeat": "هذه اللعبة لم تعد متاحة",
+    "online.error.joinFirst": "انضم إلى غرفة أولًا",
+    "online.error.noOpponent": "انتظر انضمام خصمك",
+    "online.error.over": "انتهت اللعبة",
+    "online.error.notYourTurn": "ليس دورك",
+    "online.error.illegal": "نقلة غير قانونية",
+    "online.error.inProgress": "اللعبة ما زالت جارية",
+    "online.error.type": "نوع رسالة غير معروف \"{type}\"",
+    "online.error.json": "يجب أن تكون الرسائل بصيغة JSON",
+    "online.error.object": "يجب أن تكون الرسائل كائنات JSON",
+    "online.error.failed": "تعذّر على الخادم الوسيط معالجة تلك الرسالة",
+
+    "profiles.computer": "الحاسوب",
+    "profiles.guest": "ضيف",
+    "profiles.deleted": "لاعب محذوف",
+    "profiles.error.empty": "أدخل اسمًا للملف الشخصي",
+    "profiles.error.long": "لا يزيد الاسم على {max} حرفًا",
+    "profiles.error.taken": "يوجد ملف شخصي باسم {name} بالفعل",
+    "profiles.seat": "اللاعب {mark}",
+    "profiles.locked": "يمكن تغيير اللاعبين بعد انتهاء هذه اللعبة",
+    "profiles.newName": "اسم الملف الشخصي الجديد",
+    "profiles.newPlaceholder": "ملف شخصي جديد",
+    "profiles.add": "إضافة",
+    "profiles.stats": "إحصاءات اللاعب",
+    "profiles.leaderboard": "لوحة الصدارة",
+    "stats.empty": "أضف ملفًا شخصيًا لبدء تسجيل الإحصاءات.",
+    "stats.label": "إحصاءات {name}",
+    "stats.showFor": "عرض إحصاءات",
+    "stats.deleteConfirm": "حذف الملف الشخصي {name}؟",
+    "stats.delete": "حذف الملف الشخصي",
+    "stats.winRate": "نسبة الفوز",
+    "stats.longestStreak": "أطول سلسلة انتصارات",
+    "stats.currentStreak": "في سلسلة من {count} انتصارات",
+    "stats.played": "لُعبت",
+    "stats.wins": "ف",
+    "stats.losses": "خ",
+    "stats.draws": "ت",
+    "stats.winPercent": "٪ الفوز",
+    "stats.all": "كل الألعاب",
+    "stats.first": "البدء أولًا",
+    "stats.second": "البدء ثانيًا",
+    "stats.versus": "ضد {name}",
+
+    "leaderboard.empty": "أضف ملفًا شخصيًا لبدء تصنيف اللاعبين.",
+    "leaderboard.player": "اللاعب",
+    "leaderboard.rating": "التصنيف",
+    "leaderboard.peak": "الأعلى",
+    "leaderboard.games": "الألعاب",
+    "leaderboard.note":
+      "يبدأ اللاعبون الجدد من {initial}. تصنيف الحاسوب {easy} (سهل) و{medium} (متوسط) و{hard} (صعب)؛ الألعاب مع الضيوف لا تُحتسب في التصنيف.",
+    "leaderboard.chart": "سجل تصنيف {name}: من {from} إلى {to} خلال {count} من الألعاب المصنفة",
+
+    "match.format.bestOf": "الأفضل من",
+    "match.format.firstTo": "الأول إلى",
+    "match.formatLabel": "نوع المباراة",
+    "match.length": "طول المباراة",
+    "match.start": "ابدأ المباراة",
+    "match.label": "المباراة",
+    "match.winner": "{name} يفوز بالمباراة {won}–{lost}",
+    "match.tied": "انتهت المباراة بالتعادل {won}–{lost}",
+    "match.progress": "{title} · اللعبة {number}",
+    "match.drawn": " · تعادلات: {count}",
+    "match.needed": " · الانتصارات المطلوبة: {count}",
+    "match.close": "إغلاق المباراة",
+    "match.abandon": "التخلي عن المباراة",
+    "match.summary": "ملخص {title}",
+    "match.game": "اللعبة",
+    "match.firstMove": "النقلة الأولى",
+    "match.result": "النتيجة",
+    "match.draw": "تعادل",
+    "match.won": "فاز {name}",
+    "match.error.format": "نوع مباراة غير معروف \"{format}\"",
+    "match.error.target": "تُلعب المباريات إلى عدد بين 1 و{max}",
+    "match.error.odd": "مباريات الأفضل من تحتاج إلى عدد فردي من الألعاب",
+
+    "tournament.open": "بطولة…",
+    "tournament.formatLabel": "نوع البطولة",
+    "tournament.format.knockout": "خروج المغلوب",
+    "tournament.format.roundRobin": "دوري",
+    "tournament.error.format": "نظام بطولة غير معروف \"{format}\"",
+    "tournament.error.players": "أدخل من {min} إلى {max} لاعبًا",
+    "tournament.error.twice": "الاسم {name} مُدخل مرتين",
+    "tournament.players": "اللاعبون، واحد في كل سطر",
+    "tournament.playersPlaceholder": "من {min} إلى {max} لاعبين، اسم في كل سطر",
+    "tournament.start": "ابدأ البطولة",
+    "tournament.label": "البطولة",
+    "tournament.bye": "إعفاء",
+    "tournament.champion": "{name} يفوز بالبطولة!",
+    "tournament.versus": "ضد",
+    "tournament.replay": " · إعادة بعد التعادل",
+    "tournament.endConfirm": "إنهاء البطولة؟ ستضيع نتائجها.",
+    "tournament.close": "إغلاق البطولة",
+    "tournament.end": "إنهاء البطولة",
+    "tournament.drawn": "تعادلات: {count}",
+    "tournament.playing": "قيد اللعب",
+    "tournament.draw": "تعادل",
+    "tournament.won": "فاز {name}",
+    "tournament.standings": "الترتيب",
+    "tournament.player": "اللاعب",
+    "tournament.played": "لعب",
+    "tournament.wins": "ف",
+    "tournament.draws": "ت",
+    "tournament.losses": "خ",
+    "tournament.points": "نقاط",
+    "tournament.scoring": "الفوز بنقطتين والتعادل بنقطة. عند التساوي: المواجهة المباشرة ثم الأقل تعادلًا.",
+    "tournament.roundShort": "ج{round}",
+    "round.final": "النهائي",
+    "round.semiFinals": "نصف النهائي",
+    "round.quarterFinals": "ربع النهائي",
+    "round.number": "الجولة {round}",
+
+    "spectator.waiting": "بانتظار لعبة في تبويب آخر…",
+
+    "assistant.title": "مساعد اللعبة",
+    "assistant.open": "فتح مساعد اللعبة",
+    "assistant.dialog": "مساعد اللعبة",
+    "assistant.icon": "المساعد",
+    "assistant.greeting":
+      "مرحبًا! أنا مساعدك في إكس-أو. هل تحتاج إلى شرح اللعبة أو اقتراح نقلة أو لديك سؤال؟ اسألني أو اضغط أحد الأزرار السريعة!",
+    "assistant.export": "تصدير المحادثة",
+    "assistant.exportTitle": "تنزيل هذه المحادثة بصيغة Markdown",
+    "assistant.history": "سجل المحادثات",
+    "assistant.historyTitle": "البحث في المحادثات السابقة",
+    "assistant.settings": "إعدادات المساعد",
+    "assistant.answersFromTitle": "مصدر الإجابات: {provider}",
+    "assistant.close": "إغلاق المساعد",
+    "assistant.answersFrom": "مصدر الإجابات",
+    "assistant.provider.rules": "مدمج",
+    "assistant.provider.http": "خادم محادثة",
+    "assistant.builtInAnswers": "إجابات مدمجة",
+    "assistant.httpEndpoint": "خادم متوافق مع OpenAI",
+    "assistant.endpointUrl": "عنوان الخادم",
+    "assistant.model": "النموذج",
+    "assistant.serverDefault": "افتراضي الخادم",
+    "assistant.endpointNote":
+      "يتلقى اللوحة والنقلات حتى الآن. إن لم يُجب في الوقت المحدد تظهر الإجابة المدمجة بدلًا منه.",
+    "assistant.typing": "المساعد يكتب",
+    "assistant.ask": "اسأل المساعد",
+    "assistant.placeholder": "اطلب المساعدة أو اكتب '؟'",
+    "assistant.send": "إرسال",
+    "assistant.showBoard": "عرض اللوحة كما كانت",
+    "assistant.fallback": "إجابة مدمجة: لم يستجب الخادم.",
+    "assistant.error": "عذرًا، حدث خطأ ما. حاول مرة أخرى.",
+    "assistant.preview": "وضع اللوحة عند هذا السؤال",
+    "assistant.beforeFirstMove": "قبل النقلة الأولى",
+    "assistant.afterMove": "بعد النقلة {step}",
+    "assistant.closePreview": "إغلاق المعاينة",
+    "assistant.allConversations": "→ كل المحادثات",
+    "assistant.exportMarkdown": "تصدير Markdown",
+    "assistant.delete": "حذف",
+    "assistant.noMatches": "لا توجد رسائل تطابق «{query}».",
+    "assistant.noConversations": "لا توجد محادثات محفوظة بعد.",
+    "assistant.session": "{date} · {size} · الرسائل: {count}",
+    "assistant.search": "البحث في المحادثات",
+    "quick.howToPlay": "كيف ألعب؟",
+    "quick.howToPlay.q": "كيف ألعب؟",
+    "quick.rules": "قواعد اللعبة",
+    "quick.rules.q": "ما هي القواعد؟",
+    "quick.suggest": "اقترح نقلة",
+    "quick.suggest.q": "اقترح نقلة",
+    "quick.win": "كيف أفوز؟",
+    "quick.win.q": "كيف أفوز؟",
+    "quick.review": "راجع اللعبة",
+    "quick.review.q": "راجع اللعبة",
+
+    "reply.three": "ثلاث",
+    "reply.howToPlay":
+      "اضغط على مربع فارغ لتضع علامتك. اجمع {inARow} علامات على التوالي—أفقيًا أو عموديًا أو قطريًا—لتفوز!",
+    "reply.analyzeFirst": "عندما تنتهي اللعبة اضغط «تحليل» أسفل اللوحة وسأراجع معك كل نقلة.",
+    "reply.betterMove": "{summary} كان الأفضل في النقلة {number}: {squares}.",
+    "reply.win": "للفوز اجمع {inARow} من علاماتك (X أو O) في خط مستقيم: أفقيًا أو عموديًا أو قطريًا.",
+    "reply.draw": "يحدث التعادل عندما تمتلئ كل المربعات دون فائز—لم يجمع أحد {inARow} على التوالي.",
+    "reply.gameOver": "انتهت اللعبة. ابدأ لعبة جديدة لتحصل على اقتراحات!",
+    "reply.boardFull": "لا توجد نقلات ممكنة! اللوحة ممتلئة.",
+    "reply.recommend": "أنصحك باللعب في المربع {number}: {reason}.",
+    "reply.recommendMark": "أنصحك بوضع {mark} في المربع {number}: {reason}.",
+    "reply.recommendUltimate": "أنصحك باللعب في اللوحة الصغيرة {board}، المربع {number} ({square}): {reason}.",
+    "reply.recommendQubic": "أنصحك باللعب في الطبقة {layer}، المربع {number} ({square}): {reason}.",
+    "reply.modePVC": "أنت تلعب ضد الحاسوب. أنت X والحاسوب O.",
+    "reply.modePVP": "أنتما تلعبان وضع لاعبَين. تناوبا بين X وO!",
+    "reply.rules":
+      "إكس-أو على لوحة {rows}x{cols}: يتناوب اللاعبان (X وO). أول من يضع {inARow} من علاماته في خط أفقي أو عمودي أو قطري يفوز. إذا امتلأت كل المربعات دون ذلك فهي تعادل.",
+    "reply.rules.misere":
+      "إكس-أو ميزير على لوحة 3x3: يتناوب اللاعبان على وضع علامتيهما X وO. من يُكمل صفًا أو عمودًا أو قطرًا من ثلاث من علاماته يخسر، فحاول أن تجبر خصمك على ذلك. إذا امتلأت اللوحة دون خط فهي تعادل.",
+    "reply.rules.wild":
+      "إكس-أو الحرة على لوحة 3x3: في كل دور يمكنك وضع X أو O في أي مربع فارغ—اخترها فوق اللوحة. من يُكمل صفًا أو عمودًا أو قطرًا من ثلاث علامات متماثلة يفوز، أيًّا كان الحرف. إذا امتلأت اللوحة دون خط فهي تعادل.",
+    "reply.rules.numerical":
+      "إكس-أو العددية على لوحة 3x3: يضع اللاعب الأول الأعداد الفردية 1 و3 و5 و7 و9، والثاني الأعداد الزوجية 2 و4 و6 و8، كل عدد مرة واحدة—اختره فوق اللوحة. من يُكمل صفًا أو عمودًا أو قطرًا من ثلاثة أعداد مجموعها 15 يفوز. إذا امتلأت اللوحة دون ذلك فهي تعادل.",
+    "reply.win.misere":
+      "في ميزير تفوز عندما يُكمل خصمك ثلاثًا من علاماته على التوالي. تجنّب خطوطك واترك له مربعات لا تُكمل إلا خطوطه.",
+    "reply.win.wild":
+      "في الحرة أكمل أي خط من ثلاث علامات متماثلة—X أو O—في دورك. لا تترك علامتين متماثلتين في خط مع مربع ثالث فارغ: يستطيع خصمك إكماله أيضًا.",
+    "reply.win.numerical":
+      "في العددية كن أول من يُكمل خطًا من ثلاثة أعداد مجموعها 15. تحقق من العدد الذي يُكمل كل خط، وسدّ الخطوط التي يستطيع خصمك إكمالها.",
+    "reply.draw.numerical": "يحدث التعادل عندما تمتلئ كل المربعات ولا يكون مجموع أي صف أو عمود أو قطر 15.",
+    "reply.rules.ultimate":
+      "إكس-أو المتداخلة: اللوحة 9x9 مكوّنة من تسع لوحات صغيرة 3x3، مرقّمة من 1 إلى 9 صفًا بعد صف. المربع الذي تلعبه في لوحة صغيرة يرسل خصمك إلى اللوحة الصغيرة في الموضع نفسه، وهي مميّزة على اللوحة؛ وإذا كانت تلك اللوحة محسومة أو ممتلئة فله أن يلعب في أي لوحة مفتوحة. ثلاث على التوالي في لوحة صغيرة تربحها، وثلاث لوحات صغيرة رابحة على التوالي تربح المباراة.",
+    "reply.win.ultimate":
+      "في المتداخلة اربح ثلاث لوحات صغيرة على التوالي، أفقيًا أو عموديًا أو قطريًا. كل مربع تختاره يحدد أيضًا اللوحة الصغيرة التي يجب أن يلعب فيها خصمك، فتجنّب إرساله إلى لوحة يستطيع ربحها.",
+    "reply.draw.ultimate":
+      "يحدث التعادل عندما تُحسم كل اللوحات الصغيرة أو تمتلئ دون أن يربح أحد ثلاث لوحات صغيرة على التوالي.",
+    "reply.rules.qubic":
+      "المكعّب هو إكس-أو داخل مكعّب 4x4x4، يُعرض كأربع طبقات 4x4 مرقّمة من 1 إلى 4 من الأعلى. يتناوب اللاعبان على وضع X أو O في أي مربع فارغ في أي طبقة. أربع على التوالي تفوز: على صف أو عمود أو قطر في طبقة واحدة، أو نزولًا مباشرة عبر الطبقات الأربع، أو قطريًا عبرها—76 خطًا في المجموع. إذا امتلأ المكعّب دون خط فهي تعادل.",
+    "reply.win.qubic":
+      "في المكعّب أكمل أربعًا على التوالي في أي مكان منه. تقع الزوايا الثماني والمربعات الثمانية في قلب المكعّب على سبعة خطوط لكل منها، فخذها مبكرًا. اصنع تهديدين معًا—ثلاثًا في خطين يشتركان في مربع فارغ—لأن خصمك لا يستطيع سدّ إلا واحدًا. مرّر المؤشر فوق مربع لترى خطوطه.",
+    "reply.fallback":
+      "أنا هنا للمساعدة! اسألني عن القواعد أو طريقة اللعب أو اطلب اقتراح نقلة. ويمكنك أيضًا أن تطلب مني ما أفعله، مثل 'العب في المركز' أو 'تراجع' أو 'لعبة جديدة'.",
+    "command.rowColumnRange": "الصفوف من 1 إلى {rows} والأعمدة من 1 إلى {cols}.",
+    "command.noSquare": "لا يوجد مربع {number}: المربعات من 1 إلى {size}.",
+    "command.whichCorner": "أي زاوية؟ قل العليا اليسرى أو العليا اليمنى أو السفلى اليسرى أو السفلى اليمنى.",
+    "command.noMiddle": "ليس في لوحة {size} مربع أوسط واحد هناك. جرّب \"b2\" أو \"المربع 6\".",
+    "command.gameOver": "انتهت اللعبة. قل \"لعبة جديدة\" لتلعب مرة أخرى.",
+    "command.wrongTurn": "الدور على {toMove} وليس على {mark}.",
+    "command.waitComputer": "انتظر نقلة الحاسوب.",
+    "command.opponentTurn": "الدور على خصمك.",
+    "command.joinFirst": "أنشئ غرفة أو انضم إلى واحدة أولًا.",
+    "command.taken": "المربع {number} مأخوذ بالفعل بـ {mark}.",
+    "command.wrongBoard": "المربع {number} ليس في لوحة صغيرة يمكنك اللعب فيها: العب في اللوحة {boards}.",
+    "command.played": "لُعبت {mark} في المربع {number} ({square}).",
+    "command.noUndoOnline": "لا يمكن التراجع عن النقلات في اللعب عبر الإنترنت.",
+    "command.noUndoTimed": "لا يمكن التراجع عن النقلات أثناء عمل الساعتين.",
+    "command.timedLatest": "الساعتان تعملان: عد إلى آخر نقلة لتلعب.",
+    "command.nothingToUndo": "لا يوجد ما يمكن التراجع عنه.",
+    "command.undoneYours": "تم التراجع عن نقلتك الأخيرة.",
+    "command.undone": "تم التراجع عن النقلة الأخيرة.",
+    "command.nothingToRedo": "لا يوجد ما يمكن إعادته.",
+    "command.redone": "أُعيدت النقلة التالية.",
+    "command.rematchLater": "تبدأ الألعاب عبر الإنترنت من جديد بمباراة ثأرية بعد انتهاء اللعبة.",
+    "command.rematchAsked": "طُلبت مباراة ثأرية من خصمك.",
+    "command.newGame": "بدأت لعبة جديدة.",
+    "command.sameMode": "أنت تلعب {mode} بالفعل.",
+    "command.stayInTournament": "حسنًا، سنبقى في البطولة.",
+    "command.modeSwitched": "تم التبديل إلى {mode}. بدأت لعبة جديدة.",
+    "command.difficulty": "يلعب الحاسوب الآن بمستوى {level}.",
+    "command.difficultyLater": "سيلعب الحاسوب بمستوى {level} عندما تلعب ضده.",
+    "command.scoresReset": "أُعيدت النتائج إلى الصفر.",
+    "command.score": "النتيجة: {x} {xScore}، {o} {oScore}، والتعادلات {count}.",
+    "command.moves.none": "لم تُلعب أي نقلة بعد.",
+    "command.moves.all": "كل النقلات حتى الآن ({count}): {list}.",
+    "command.moves.last": {
+      one: "آخر نقلة: {list}.",
+      two: "آخر نقلتين: {list}.",
+      few: "آخر {count} نقلات: {list}.",
+      other: "آخر {count} نقلة: {list}.",
+    },
+    "hint.win": "لأنها تفوز فورًا",
+    "hint.block": "لأنها تسدّ على {mark} {lines}",
+    "hint.fork": "لأنها تصنع شوكة على {squares}",
+    "hint.blockFork": "لأنها تمنع شوكة للخصم على {squares}",
+    "hint.center": "لأنها تأخذ المركز",
+    "hint.corner": "لأنها تأخذ زاوية",
+    "hint.side": "لأنها تأخذ جانبًا",
+    "hint.lines": "لأنها تمدّ أو تسدّ أكبر عدد من الخطوط",
+    "hint.forcedWin": "لأنها تفوز من هنا مع أفضل لعب",
+    "hint.holdDraw": "لأنها تحافظ على التعادل مع أفضل لعب من الطرفين",
+    "hint.lostAnyway": "كل النقلات تخسر أمام لعب مثالي، وهذه تراهن على خطأ من الخصم",
+    "hint.claim": "لأنها تربح اللوحة الصغيرة {number}",
+    "hint.blockClaim": "لأنها تمنع {mark} من ربح اللوحة الصغيرة {number}",
+    "hint.searched": "لأنها الأفضل عند النظر بضع نقلات إلى الأمام",
+    "hint.threats": "لأنها تبدأ سلسلة تهديدات لا يستطيع خصمك إيقافها",
+    "line.row": "الصف {number}",
+    "line.column": "العمود {number}",
+    "line.diagonal": "القطر {from}–{to}",
+    "line.through": "الخط {from}–{to}",
+    "squares.one": "المربع {number}",
+    "squares.many": { two: "المربعين {list}", other: "المربعات {list}" },
+  },
+  // Also matched after normalizeText; commands in English work in every language.
+  commands: {
+    undo: ["تراجع", "إلغاء", "ألغ"],
+    redo: ["أعد النقلة", "إعادة النقلة"],
+    newGame: ["لعبة جديدة", "ابدأ من جديد", "العب مرة أخرى", "مباراة ثأرية"],
+    switchMode: ["بدل", "غير", "انتقل", "العب", "ضد", "وضع"],
+    twoPlayers: ["لاعبين", "لاعبان", "صديق", "صديقي"],
+    computer: ["الحاسوب", "حاسوب", "الكمبيوتر", "كمبيوتر"],
+    easy: ["سهل", "السهل"],
+    medium: ["متوسط", "المتوسط"],
+    hard: ["صعب", "الصعب"],
+    setLevel: ["مستوى", "المستوى", "الصعوبة", "اجعل", "اجعله", "بدل", "غير", "العب"],
+    score: ["النتيجة", "نتيجة", "النتائج"],
+    reset: ["صفر", "امسح", "أعد ضبط"],
+    moves: ["نقلة", "النقلة", "نقلات", "النقلات", "نقلتين"],
+    recent: ["آخر", "الأخيرة", "الأخيرتين"],
+    moveList: ["اعرض النقلات", "أرني النقلات", "قائمة النقلات", "سجل النقلات"],
+    lastMove: ["آخر نقلة", "النقلة الأخيرة"],
+    play: ["العب", "ضع", "خذ", "اختر"],
+    row: ["الصف", "صف"],
+    column: ["العمود", "عمود"],
+    top: ["العليا", "العلوية", "أعلى", "الأعلى", "فوق"],
+    bottom: ["السفلى", "السفلية", "أسفل", "الأسفل", "تحت"],
+    left: ["اليسرى", "يسار", "اليسار"],
+    right: ["اليمنى", "يمين", "اليمين"],
+    middle: ["المركز", "مركز", "الوسط", "وسط", "المنتصف"],
+    corner: ["الزاوية", "زاوية", "الركن", "ركن"],
+    numbers: {
+      واحد: 1,
+      اثنان: 2,
+      اثنين: 2,
+      ثلاثة: 3,
+      أربعة: 4,
+      خمسة: 5,
+      ستة: 6,
+      سبعة: 7,
+      ثمانية: 8,
+      تسعة: 9,
+      عشرة: 10,
+    },
+  },
+  // Matched after normalizeText, so hamza on alef, final ya and ta marbuta don't matter.
+  keywords: {
+    howToPlay: [["كيف"], ["العب", "اللعب", "ابدا", "البدء"]],
+    review: [["راجع", "مراجعه", "حلل", "تحليل", "خطا", "اخطاء"]],
+    win: [["فوز", "يفوز", "الفائز", "شرط"]],
+    draw: [["تعادل"]],
+    suggest: [["اقترح", "تلميح", "افضل نقله", "افضل حركه", "نصيحه"]],
+    mode: [["حاسوب", "كمبيوتر", "وضع", "نمط"]],
+    rules: [["قواعد", "قانون", "قوانين"]],
+  },
+};
+
+export default ar;
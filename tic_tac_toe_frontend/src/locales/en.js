@@ -0,0 +1,533 @@
+/**
+ * English messages (the reference catalog: every key lives here, other languages fall back
+ * to it). Placeholders are {name}; an object value holds plural forms chosen by {count}
+ * with Intl.PluralRules. `keywords` lists what the built-in Assistant listens for, per
+ * question: each group needs one of its words (see i18n.matchesKeywords). `commands` lists
+ * the words of the chat commands (see commands.js), and `numbers` the number words.
+ */
+const en = {
+  name: "English",
+  englishName: "English",
+  dir: "ltr",
+  messages: {
+    "app.title": "Tic Tac Toe Arena",
+    "app.spectatorLink": "Open spectator view",
+    "app.leaveTournament": "Leave the tournament? Its results will be lost.",
+    "settings.theme": "Theme",
+    "settings.language": "Language",
+    "theme.system": "System",
+    "theme.light": "Light",
+    "theme.dark": "Dark",
+    "theme.high-contrast": "High contrast",
+    "mode.PVC": "Human vs Computer",
+    "mode.PVP": "Two Players",
+    "mode.ONLINE": "Play online",
+    "difficulty.easy": "Easy",
+    "difficulty.medium": "Medium",
+    "difficulty.hard": "Hard",
+    "size.rows": "Rows",
+    "size.cols": "Columns",
+    "size.k": "In a row",
+    "variant.label": "Variant",
+    "variant.standard": "Standard",
+    "variant.misere": "Misère",
+    "variant.wild": "Wild",
+    "variant.numerical": "Numerical",
+    "variant.ultimate": "Ultimate",
+    "variant.qubic": "Qubic (4x4x4)",
+    "variant.place": "Mark to place",
+    "variant.note.misere": "Misère: three of your own marks in a row loses",
+    "variant.note.wild": "Wild: place X or O; any three alike in a row wins",
+    "variant.note.numerical": "Numerical: {odd} places odd numbers, {even} even ones; a line making 15 wins",
+    "variant.note.ultimate": "Ultimate: your square picks the small board your opponent plays next; win three small boards in a row",
+    "variant.note.qubic": "Qubic: four in a row wins—within a layer, straight down through the layers or diagonally through the cube",
+    "rules.error.size": "Invalid board size {rows}x{cols}",
+    "rules.error.k": "Cannot get {k} in a row on a {rows}x{cols} board",
+    "rules.error.variant": 'Unknown variant "{variant}"',
+    "rules.error.qubic": "Qubic is played on the 4x4x4 cube",
+    "rules.error.board": "{variant} is played on the {size}x{size} board",
+    "clock.control": "Time control",
+    "clock.untimed": "Untimed",
+    "clock.perMove": "{seconds} s per move",
+    "clock.perGame": "{time} + {increment} s per move",
+    "clock.locked": "The time control can change once this game is over",
+    "clock.mark": "{mark}'s clock",
+    "names.you": "You",
+    "names.computer": "Computer",
+    "names.player": "Player {mark}",
+    "score.draws": "Draws",
+
+    "status.wins": "{mark} wins!",
+    "status.draw": "It's a draw!",
+    "status.timeout": "{loser} ran out of time. {winner} wins!",
+    "status.misereWin": "{loser} completed a line. {winner} wins!",
+    "status.onlineIdle": "Create or join a room to play online",
+    "status.yourTurn": "Your turn ({mark})",
+    "status.opponentTurn": "Opponent's turn ({mark})",
+    "status.computerTurn": "Computer's turn ({mark})",
+    "status.playerTurn": "Player {mark}'s turn",
+    "announce.computerMove": "Computer played {mark} on {square}, square {number}.",
+    "announce.computerMoveUltimate": "Computer played {mark} in small board {board}, square {number}.",
+    "announce.computerMoveQubic": "Computer played {mark} on layer {layer}, square {number}.",
+
+    "board.label": "Game board, {rows} by {cols}",
+    "ultimate.label": "Ultimate board of nine small boards",
+    "ultimate.board.open": "Small board {number}, play here",
+    "ultimate.board.waiting": "Small board {number}",
+    "ultimate.board.claimed": "Small board {number}, won by {mark}",
+    "ultimate.board.drawn": "Small board {number}, drawn",
+    "qubic.label": "Qubic cube of four layers",
+    "qubic.layer": "Layer {number}",
+    "qubic.cube": "3D view",
+    "qubic.turn": "Turn",
+    "board.square": "Square {number}",
+    "board.occupied": "Square {number} occupied by {mark}",
+    "board.evaluated": "Square {number} ({evaluation})",
+
+    "eval.label": "Evaluation",
+    "eval.bestPlay": "Best play: {outcome}",
+    "eval.mark.win": "W",
+    "eval.mark.draw": "D",
+    "eval.mark.loss": "L",
+    "eval.win": { one: "win in {count} move", other: "win in {count} moves" },
+    "eval.draw": { one: "draw in {count} move", other: "draw in {count} moves" },
+    "eval.loss": { one: "loss in {count} move", other: "loss in {count} moves" },
+    "outcome.wins": "{mark} wins",
+    "outcome.draw": "draw",
+    "outcome.unclear": "unclear",
+
+    "controls.undo": "Undo",
+    "controls.undoTitle": "Undo (Ctrl+Z)",
+    "controls.redo": "Redo",
+    "controls.redoTitle": "Redo (Ctrl+Shift+Z)",
+    "controls.newGame": "New Game",
+    "controls.resetScores": "Reset Scores",
+    "controls.evaluation": "Evaluation",
+    "controls.evaluationTitle": "Show the best-play result of every open square",
+    "controls.clearSaved": "Clear this game's saved data",
+
+    "list.and": " and ",
+    "list.or": " or ",
+    "list.comma": ", ",
+    "list.semicolon": "; ",
+
+    "history.moves": "Moves",
+    "history.start": "Start",
+    "history.otherLines": "Other lines",
+
+    "analysis.analyze": "Analyze",
+    "analysis.analyzeTitle": "Grade every move of this game",
+    "analysis.unavailable": "Available when the game is over",
+    "analysis.label": "Game analysis",
+    "analysis.grade.best": "best",
+    "analysis.grade.inaccuracy": "inaccuracy",
+    "analysis.grade.blunder": "blunder",
+    "analysis.turningPoint": "turning point ({before} → {after})",
+    "analysis.better": "better: {squares}",
+    "analysis.reason.missedWin": "missed a win",
+    "analysis.reason.failedToBlock": "failed to block",
+    "analysis.reason.allowedFork": "allowed a fork",
+    "analysis.reason.missedForcedWin": "missed a forced win",
+    "analysis.reason.allowedForcedLoss": "allowed a forced loss",
+    "analysis.reason.gaveUpAdvantage": "gave up the advantage",
+    "analysis.perfect": "{mark} played perfectly",
+    "analysis.made": "{mark} made {mistakes}",
+    "analysis.blunders": { one: "{count} blunder", other: "{count} blunders" },
+    "analysis.inaccuracies": { one: "{count} inaccuracy", other: "{count} inaccuracies" },
+    "analysis.summary": "{players}.{turning}",
+    "analysis.turning":
+      " The outcome changed at move {number} ({mark} {square}, {reason}): {before} → {after}.",
+
+    "record.copy": "Copy game",
+    "record.download": "Download",
+    "record.import": "Import…",
+    "record.label": "Game record",
+    "record.load": "Load game",
+    "record.upload": "Upload file",
+    "record.copyBelow": "Copy the record below.",
+    "record.copied": "Game record copied to the clipboard.",
+    "record.noClipboard": "Could not access the clipboard.",
+    "record.loaded": "Game loaded. Use the move list to step through it.",
+    "record.unreadable": "Could not read that file.",
+    "record.error.tagLine": "Malformed tag line: {line}",
+    "record.error.missingTag": "Missing [{name}] tag",
+    "record.error.empty": "The game record is empty",
+    "record.error.board": 'Bad [Board] tag "{board}", expected e.g. "3x3"',
+    "record.error.variant": 'Unknown [Variant] "{variant}"',
+    "record.error.unsupported": "Unsupported board: {reason}",
+    "record.error.mode": 'Unknown [Mode] "{mode}"',
+    "record.error.first": '[First] must be "X" or "O", not "{first}"',
+    "record.error.result": '[Result] must be one of {results}, not "{result}"',
+    "record.error.termination": 'Unknown [Termination] "{termination}"',
+    "record.error.timeResult": 'A game lost on time needs a winner as its [Result], not "{result}"',
+    "record.error.notSquare": 'Move {number} "{token}" is not a square on a {size} board',
+    "record.error.namePlaced": "Move {number} ({token}) must name what is placed, e.g. {example}",
+    "record.error.namedMark": "Move {number} ({token}) cannot name a mark in this game",
+    "record.error.afterEnd": "Move {number} ({token}) is played after the game already ended",
+    "record.error.taken": "Move {number} ({token}) is illegal: the square is already taken",
+    "record.error.smallBoard":
+      "Move {number} ({token}) is illegal: it must be played in small board {boards}",
+    "record.error.cannotPlace": "Move {number} ({token}) is illegal: {player} cannot place {placed}",
+    "record.error.truncated":
+      "The record looks truncated or edited: [Result] says {said}, but its moves end in {actual}",
+    "record.outcome.unfinished": "unfinished",
+    "record.outcome.draw": "a draw",
+    "record.outcome.win": "a win for {mark}",
+
+    "online.create": "Create room",
+    "online.code": "Room code",
+    "online.join": "Join",
+    "online.room": "Room",
+    "online.youAre": "you are",
+    "online.waiting": "Waiting for your opponent…",
+    "online.opponentConnected": "Opponent connected",
+    "online.leave": "Leave room",
+    "online.connecting": "Connecting to the relay…",
+    "online.open": "Connected",
+    "online.reconnecting": "Connection lost, reconnecting…",
+    "online.closed": "Disconnected",
+    "online.error.boardSize": "Boards must be {min}x{min} to {max}x{max}",
+    "online.error.timeControl": 'Unknown time control "{control}"',
+    "online.error.noRoom": "No room with code {code}",
+    "online.error.full": "Room {code} is full",
+    "online.error.seated": "You already have a seat in room {code}",
+    "online.error.unknownSeat": "That game is no longer available",
+    "online.error.joinFirst": "Join a room first",
+    "online.error.noOpponent": "Wait for your opponent to join",
+    "online.error.over": "The game is over",
+    "online.error.notYourTurn": "It's not your turn",
+    "online.error.illegal": "Illegal move",
+    "online.error.inProgress": "The game is still in progress",
+    "online.error.type": 'Unknown message type "{type}"',
+    "online.error.json": "Messages must be JSON",
+    "online.error.object": "Messages must be JSON objects",
+    "online.error.failed": "The relay could not handle that message",
+
+    "profiles.computer": "Computer",
+    "profiles.guest": "Guest",
+    "profiles.deleted": "Deleted player",
+    "profiles.error.empty": "Enter a name for the profile",
+    "profiles.error.long": "Names can be at most {max} characters",
+    "profiles.error.taken": "There is already a profile named {name}",
+    "profiles.seat": "Player {mark}",
+    "profiles.locked": "Players can change once this game is over",
+    "profiles.newName": "New profile name",
+    "profiles.newPlaceholder": "New profile",
+    "profiles.add": "Add",
+    "profiles.stats": "Player stats",
+    "profiles.leaderboard": "Leaderboard",
+    "stats.empty": "Add a profile to start keeping statistics.",
+    "stats.label": "Statistics for {name}",
+    "stats.showFor": "Show statistics for",
+    "stats.deleteConfirm": "Delete the profile {name}?",
+    "stats.delete": "Delete profile",
+    "stats.winRate": "Win rate",
+    "stats.longestStreak": "longest winning streak",
+    "stats.currentStreak": "on a streak of {count}",
+    "stats.played": "Played",
+    "stats.wins": "W",
+    "stats.losses": "L",
+    "stats.draws": "D",
+    "stats.winPercent": "Win %",
+    "stats.all": "All games",
+    "stats.first": "Moving first",
+    "stats.second": "Moving second",
+    "stats.versus": "vs {name}",
+
+    "leaderboard.empty": "Add a profile to start rating players.",
+    "leaderboard.player": "Player",
+    "leaderboard.rating": "Rating",
+    "leaderboard.peak": "Peak",
+    "leaderboard.games": "Games",
+    "leaderboard.note":
+      "New players start at {initial}. The computer is rated {easy} (easy), {medium} (medium) and {hard} (hard); games with guests are not rated.",
+    "leaderboard.chart": {
+      one: "Rating history for {name}: {from} to {to} over {count} rated game",
+      other: "Rating history for {name}: {from} to {to} over {count} rated games",
+    },
+
+    "match.format.bestOf": "Best of",
+    "match.format.firstTo": "First to",
+    "match.formatLabel": "Match format",
+    "match.length": "Match length",
+    "match.start": "Start match",
+    "match.label": "Match",
+    "match.winner": "{name} wins the match {won}–{lost}",
+    "match.tied": "The match is drawn {won}–{lost}",
+    "match.progress": "{title} · game {number}",
+    "match.drawn": " · {count} drawn",
+    "match.needed": { one: " · {count} win needed", other: " · {count} wins needed" },
+    "match.close": "Close match",
+    "match.abandon": "Abandon match",
+    "match.summary": "{title} summary",
+    "match.game": "Game",
+    "match.firstMove": "First move",
+    "match.result": "Result",
+    "match.draw": "Draw",
+    "match.won": "{name} won",
+    "match.error.format": 'Unknown match format "{format}"',
+    "match.error.target": "Matches are played to between 1 and {max}",
+    "match.error.odd": "Best-of matches need an odd number of games",
+
+    "tournament.open": "Tournament…",
+    "tournament.formatLabel": "Tournament format",
+    "tournament.format.knockout": "Single elimination",
+    "tournament.format.roundRobin": "Round robin",
+    "tournament.error.format": 'Unknown tournament format "{format}"',
+    "tournament.error.players": "Enter between {min} and {max} players",
+    "tournament.error.twice": "{name} is entered twice",
+    "tournament.players": "Players, one per line",
+    "tournament.playersPlaceholder": "{min}–{max} players, one name per line",
+    "tournament.start": "Start tournament",
+    "tournament.label": "Tournament",
+    "tournament.bye": "bye",
+    "tournament.champion": "{name} wins the tournament!",
+    "tournament.versus": "vs",
+    "tournament.replay": " · replay after a draw",
+    "tournament.endConfirm": "End the tournament? Its results will be lost.",
+    "tournament.close": "Close tournament",
+    "tournament.end": "End tournament",
+    "tournament.drawn": "{count} drawn",
+    "tournament.playing": "playing",
+    "tournament.draw": "draw",
+    "tournament.won": "{name} won",
+    "tournament.standings": "Standings",
+    "tournament.player": "Player",
+    "tournament.played": "P",
+    "tournament.wins": "W",
+    "tournament.draws": "D",
+    "tournament.losses": "L",
+    "tournament.points": "Pts",
+    "tournament.scoring": "Win 2 points, draw 1. Ties: head-to-head, then fewer draws.",
+    "tournament.roundShort": "R{round}",
+    "round.final": "Final",
+    "round.semiFinals": "Semi-finals",
+    "round.quarterFinals": "Quarter-finals",
+    "round.number": "Round {round}",
+
+    "spectator.waiting": "Waiting for a game in another tab…",
+
+    "assistant.title": "Game Assistant",
+    "assistant.open": "Open game assistant",
+    "assistant.dialog": "Game assistant",
+    "assistant.icon": "Assistant",
+    "assistant.greeting":
+      "Hi! I'm your Tic Tac Toe assistant. Need game instructions, move suggestions, or have questions? Ask me or click a quick button!",
+    "assistant.export": "Export conversation",
+    "assistant.exportTitle": "Download this conversation as Markdown",
+    "assistant.history": "Conversation history",
+    "assistant.historyTitle": "Search earlier conversations",
+    "assistant.settings": "Assistant settings",
+    "assistant.answersFromTitle": "Answers from: {provider}",
+    "assistant.close": "Close assistant",
+    "assistant.answersFrom": "Answers from",
+    "assistant.provider.rules": "Built-in",
+    "assistant.provider.http": "Chat endpoint",
+    "assistant.builtInAnswers": "Built-in answers",
+    "assistant.httpEndpoint": "OpenAI-compatible endpoint",
+    "assistant.endpointUrl": "Endpoint URL",
+    "assistant.model": "Model",
+    "assistant.serverDefault": "Server default",
+    "assistant.endpointNote":
+      "Gets the board and the moves so far. If it can't answer in time, the built-in answer is shown instead.",
+    "assistant.typing": "Assistant is typing",
+    "assistant.ask": "Ask assistant",
+    "assistant.placeholder": "Ask for help or type '?'",
+    "assistant.send": "Send",
+    "assistant.showBoard": "Show the board as it was",
+    "assistant.fallback": "Built-in answer: the endpoint didn't respond.",
+    "assistant.error": "Sorry, something went wrong with that. Please try again.",
+    "assistant.preview": "Position of that question",
+    "assistant.beforeFirstMove": "Before the first move",
+    "assistant.afterMove": "After move {step}",
+    "assistant.closePreview": "Close preview",
+    "assistant.allConversations": "← All conversations",
+    "assistant.exportMarkdown": "Export Markdown",
+    "assistant.delete": "Delete",
+    "assistant.noMatches": "No messages match “{query}”.",
+    "assistant.noConversations": "No saved conversations yet.",
+    "assistant.session": {
+      one: "{date} · {size} · {count} message",
+      other: "{date} · {size} · {count} messages",
+    },
+    "assistant.search": "Search conversations",
+    "quick.howToPlay": "How to play?",
+    "quick.howToPlay.q": "How do I play?",
+    "quick.rules": "Show game rules",
+    "quick.rules.q": "What are the rules?",
+    "quick.suggest": "Suggest a move",
+    "quick.suggest.q": "Suggest a move",
+    "quick.win": "How can I win?",
+    "quick.win.q": "How do I win?",
+    "quick.review": "Review the game",
+    "quick.review.q": "Review the game",
+
+    "reply.three": "three",
+    "reply.howToPlay":
+      "Click an empty square to place your mark. Get {inARow} in a row—horizontally, vertically, or diagonally—to win!",
+    "reply.analyzeFirst":
+      "When a game is over, press Analyze below the board and I'll go through every move with you.",
+    "reply.betterMove": "{summary} Better at move {number} was {squares}.",
+    "reply.win":
+      "To win, get {inARow} of your marks (X or O) in a straight line: horizontally, vertically, or diagonally.",
+    "reply.draw":
+      "A draw happens if all squares are filled and there's no winner—nobody gets {inARow} in a row.",
+    "reply.gameOver": "The game is over. Start a new game for suggestions!",
+    "reply.boardFull": "No possible moves! The board is full.",
+    "reply.recommend": "I recommend you play in square {number}: {reason}.",
+    "reply.recommendMark": "I recommend you place {mark} in square {number}: {reason}.",
+    "reply.recommendUltimate": "I recommend you play in small board {board}, square {number} ({square}): {reason}.",
+    "reply.recommendQubic": "I recommend you play on layer {layer}, square {number} ({square}): {reason}.",
+    "reply.modePVC": "You're playing Human vs Computer. X is you, O is the computer AI.",
+    "reply.modePVP": "You're playing Two Player mode. Take turns between X and O!",
+    "reply.rules":
+      "Tic Tac Toe on a {rows}x{cols} board: Players (X and O) take turns. The first to place {inARow} of their marks in a horizontal, vertical, or diagonal line wins. If no one succeeds and all squares are filled, it's a draw.",
+    "reply.rules.misere":
+      "Misère Tic Tac Toe on the 3x3 board: players take turns placing their own mark, X or O. Whoever completes a row, column or diagonal of three of their marks loses, so try to force your opponent into it. A full board without a line is a draw.",
+    "reply.rules.wild":
+      "Wild Tic Tac Toe on the 3x3 board: on every turn you may place either X or O in any empty square—pick it above the board. Whoever completes a row, column or diagonal of three identical marks wins, whichever letter they are. A full board without a line is a draw.",
+    "reply.rules.numerical":
+      "Numerical Tic Tac Toe on the 3x3 board: the first player places the odd numbers 1, 3, 5, 7 and 9, the second the even numbers 2, 4, 6 and 8, each number once—pick it above the board. Whoever completes a row, column or diagonal of three numbers adding up to 15 wins. A full board without such a line is a draw.",
+    "reply.win.misere":
+      "In Misère you win when your opponent completes three of their own marks in a row. Avoid lines of your own and leave them only squares that finish one of theirs.",
+    "reply.win.wild":
+      "In Wild, complete any line of three alike—X's or O's—on your turn. Never leave two alike in a line with the third square open: your opponent can finish it too.",
+    "reply.win.numerical":
+      "In Numerical, be the one to complete a line of three numbers adding up to 15. Check which number would finish each line, and block the lines your opponent could complete.",
+    "reply.draw.numerical":
+      "A draw happens if all squares are filled and no row, column or diagonal adds up to 15.",
+    "reply.rules.ultimate":
+      "Ultimate Tic Tac Toe: the 9x9 board is nine small 3x3 boards, numbered 1 to 9 row by row. The square you play in a small board sends your opponent to the small board in the same place, highlighted on the board; if that board is already won or full, they may play in any open one. Three in a row on a small board wins it, and three won small boards in a row win the game.",
+    "reply.win.ultimate":
+      "In Ultimate, win three small boards in a row, across, down or diagonally. Every square you pick also chooses the small board your opponent must play next, so avoid sending them where they can win a board.",
+    "reply.draw.ultimate":
+      "A draw happens once every small board is won or full and nobody has three small boards in a row.",
+    "reply.rules.qubic":
+      "Qubic is Tic Tac Toe in a 4x4x4 cube, shown as four 4x4 layers numbered 1 to 4 from the top. Players take turns placing X or O in any empty square of any layer. Four in a row wins: along a row, column or diagonal of one layer, straight down through the four layers, or diagonally through them—76 lines in all. A full cube without a line is a draw.",
+    "reply.win.qubic":
+      "In Qubic, complete four in a row anywhere in the cube. The eight corners and the eight center squares lie on seven lines each, so take them early. Set up two threats at once—three in two lines sharing an empty square—because your opponent can only block one. Hover a square to see its lines.",
+    "reply.fallback":
+      "I'm here to help! Ask me about the rules, how to play, or for a move suggestion. You can also tell me what to do, like 'play center', 'undo' or 'new game'.",
+    "command.rowColumnRange": "Rows go from 1 to {rows} and columns from 1 to {cols}.",
+    "command.noSquare": "There's no square {number}: squares go from 1 to {size}.",
+    "command.whichCorner": "Which corner? Say top-left, top-right, bottom-left or bottom-right.",
+    "command.noMiddle":
+      'A {size} board has no single middle square there. Try "b2" or "square 6".',
+    "command.gameOver": 'The game is over. Say "new game" to play again.',
+    "command.wrongTurn": "It's {toMove}'s turn, not {mark}'s.",
+    "command.waitComputer": "Wait for the computer's move.",
+    "command.opponentTurn": "It's your opponent's turn.",
+    "command.joinFirst": "Create or join a room first.",
+    "command.taken": "Square {number} is already taken by {mark}.",
+    "command.wrongBoard":
+      "Square {number} isn't in a small board you may play: play in board {boards}.",
+    "command.played": "Played {mark} on square {number} ({square}).",
+    "command.noUndoOnline": "Moves can't be taken back in online games.",
+    "command.noUndoTimed": "Moves can't be taken back while the clocks are running.",
+    "command.timedLatest": "The clocks are running: go back to the latest move to play.",
+    "command.nothingToUndo": "There's nothing to undo.",
+    "command.undoneYours": "Took back your last move.",
+    "command.undone": "Took back the last move.",
+    "command.nothingToRedo": "There's nothing to redo.",
+    "command.redone": "Replayed the next move.",
+    "command.rematchLater": "Online games restart with a rematch once the game is over.",
+    "command.rematchAsked": "Asked your opponent for a rematch.",
+    "command.newGame": "Started a new game.",
+    "command.sameMode": "You're already playing {mode}.",
+    "command.stayInTournament": "OK, staying in the tournament.",
+    "command.modeSwitched": "Switched to {mode}. New game started.",
+    "command.difficulty": "The computer now plays on {level}.",
+    "command.difficultyLater": "The computer will play on {level} when you play against it.",
+    "command.scoresReset": "Scores reset to zero.",
+    "command.score": {
+      one: "The score is {x} {xScore}, {o} {oScore}, with {count} draw.",
+      other: "The score is {x} {xScore}, {o} {oScore}, with {count} draws.",
+    },
+    "command.moves.none": "No moves have been played yet.",
+    "command.moves.all": { one: "All {count} move so far: {list}.", other: "All {count} moves so far: {list}." },
+    "command.moves.last": { one: "The last move: {list}.", other: "The last {count} moves: {list}." },
+    "hint.win": "it wins immediately",
+    "hint.block": "it blocks {mark}'s {lines}",
+    "hint.fork": "it creates a fork on {squares}",
+    "hint.blockFork": "it prevents an opponent fork on {squares}",
+    "hint.center": "it takes the center",
+    "hint.corner": "it takes a corner",
+    "hint.side": "it takes a side",
+    "hint.lines": "it extends or blocks the most lines",
+    "hint.forcedWin": "with best play it wins from here",
+    "hint.holdDraw": "with best play from both sides it keeps the draw",
+    "hint.lostAnyway": "every move loses against perfect play, so this one hopes for a mistake",
+    "hint.claim": "it wins small board {number}",
+    "hint.blockClaim": "it stops {mark} winning small board {number}",
+    "hint.searched": "it comes out best looking a few moves ahead",
+    "hint.threats": "it starts a chain of threats your opponent can't stop",
+    "line.row": "row {number}",
+    "line.column": "column {number}",
+    "line.diagonal": "diagonal {from}–{to}",
+    "line.through": "line {from}–{to}",
+    "squares.one": "square {number}",
+    "squares.many": "squares {list}",
+  },
+  commands: {
+    undo: ["undo", "take back", "take it back", "take that back"],
+    redo: ["redo"],
+    newGame: ["new game", "restart", "start over", "play again", "rematch"],
+    switchMode: ["switch", "change", "go", "play", "playing", "against", "vs", "versus", "mode"],
+    twoPlayers: ["2 player", "2 players", "pvp", "friend", "human", "local"],
+    computer: ["computer", "pvc", "ai", "bot", "cpu"],
+    easy: ["easy"],
+    medium: ["medium"],
+    hard: ["hard"],
+    setLevel: ["difficulty", "level", "set", "make", "switch", "change", "play", "mode"],
+    score: ["score", "scores"],
+    reset: ["reset", "clear", "zero"],
+    moves: ["move", "moves"],
+    recent: ["last", "previous", "recent"],
+    moveList: [
+      "show moves",
+      "show me moves",
+      "show the moves",
+      "show me the moves",
+      "show all moves",
+      "show me all moves",
+      "list moves",
+      "list the moves",
+      "list all moves",
+      "move list",
+      "move history",
+    ],
+    lastMove: ["last move", "previous move"],
+    play: ["play", "put", "place", "mark", "take", "go"],
+    row: ["row"],
+    column: ["column", "col"],
+    top: ["top", "upper"],
+    bottom: ["bottom", "lower"],
+    left: ["left"],
+    right: ["right"],
+    middle: ["center", "centre", "middle"],
+    corner: ["corner"],
+    numbers: {
+      one: 1,
+      two: 2,
+      three: 3,
+      four: 4,
+      five: 5,
+      six: 6,
+      seven: 7,
+      eight: 8,
+      nine: 9,
+      ten: 10,
+    },
+  },
+  keywords: {
+    howToPlay: [["how"], ["play", "start"]],
+    review: [["analy", "review", "mistake", "blunder"]],
+    win: [["win", "condition"]],
+    draw: [["draw"]],
+    suggest: [["move"], ["suggest", "hint", "best", "play"]],
+    mode: [["computer", "mode"]],
+    rules: [["rule", "about"]],
+  },
+};
+
+export default en;
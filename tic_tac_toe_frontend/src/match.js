@@ -0,0 +1,101 @@
+import { PLAYERS, otherPlayer } from "./engine";
+import { localizedError } from "./i18n";
+
+/**
+ * Match series between X and O: best of N games or first to N wins. A match is plain data,
+ * { format: 'bestOf' | 'firstTo', target, games: [{ id, first, result }] }, and everything
+ * else (tally, result) is derived from it. Draws win nothing but use up a game, and a match
+ * has a fixed number of games at most (see matchLength), so it ends even when every game is
+ * drawn: the side with more wins then takes it, or the match is drawn.
+ */
+
+export const MATCH_FORMATS = ["bestOf", "firstTo"];
+export const MAX_TARGET = 15;
+
+// PUBLIC_INTERFACE
+export function createMatch(format, target) {
+  /**
+   * New match with no games. Throws a localized Error (see i18n.localizedError) for an
+   * unknown format or a bad target.
+   */
+  if (!MATCH_FORMATS.includes(format)) throw localizedError("match.error.format", { format });
+  if (!Number.isInteger(target) || target < 1 || target > MAX_TARGET) {
+    throw localizedError("match.error.target", { max: MAX_TARGET });
+  }
+  if (format === "bestOf" && target % 2 === 0) throw localizedError("match.error.odd");
+  return { format, target, games: [] };
+}
+
+// PUBLIC_INTERFACE
+export function winsNeeded(match) {
+  /** Wins that take the match: a majority of N for best-of, N for first-to. */
+  return match.format === "bestOf" ? Math.floor(match.target / 2) + 1 : match.target;
+}
+
+// PUBLIC_INTERFACE
+export function matchLength(match) {
+  /**
+   * Most games the match can take: N for best-of; for first-to, the 2N - 1 it takes
+   * without draws plus room for N drawn games.
+   */
+  return match.format === "bestOf" ? match.target : 3 * match.target - 1;
+}
+
+// PUBLIC_INTERFACE
+export function matchTally(match) {
+  /** { X, O, draws } over the games played so far. */
+  const tally = { X: 0, O: 0, draws: 0 };
+  for (const game of match.games) tally[game.result === "draw" ? "draws" : game.result] += 1;
+  return tally;
+}
+
+// PUBLIC_INTERFACE
+export function matchResult(match) {
+  /**
+   * 'X' or 'O' once one side has the wins needed or a lead the games left cannot make up,
+   * 'draw' when the games ran out with the sides level, else null (still being played).
+   */
+  const tally = matchTally(match);
+  const left = matchLength(match) - match.games.length;
+  const decided = PLAYERS.find(
+    (p) => tally[p] >= winsNeeded(match) || tally[p] - tally[otherPlayer(p)] > left
+  );
+  if (decided) return decided;
+  return left <= 0 ? "draw" : null;
+}
+
+// PUBLIC_INTERFACE
+export function recordMatchGame(match, game) {
+  /**
+   * Adds a finished game { id, first, result }, replacing an earlier result with the same
+   * id (a game finished differently after undo). Games after the match is decided are ignored.
+   */
+  const index = match.games.findIndex((g) => g.id === game.id);
+  if (index !== -1) {
+    const games = match.games.slice();
+    games[index] = game;
+    return { ...match, games };
+  }
+  if (matchResult(match)) return match;
+  return { ...match, games: [...match.games, game] };
+}
+
+// PUBLIC_INTERFACE
+export function validateMatch(match) {
+  /** Returns a match read from storage if well formed, otherwise null. */
+  if (!match || typeof match !== "object" || !Array.isArray(match.games)) return null;
+  let checked;
+  try {
+    checked = createMatch(match.format, match.target);
+  } catch (e) {
+    return null;
+  }
+  const valid = match.games.every(
+    (g) =>
+      g &&
+      typeof g.id === "string" &&
+      PLAYERS.includes(g.first) &&
+      ["X", "O", "draw"].includes(g.result)
+  );
+  return valid ? { ...checked, games: match.games } : null;
+}
@@ -0,0 +1,68 @@
+import { translator } from './i18n';
+import {
+  MATCH_FORMATS,
+  createMatch,
+  matchLength,
+  matchResult,
+  matchTally,
+  recordMatchGame,
+  validateMatch,
+} from './match';
+
+// Records games with the given results, ids a, b, c, ... and alternating first movers.
+const play = (match, results) =>
+  results.reduce(
+    (m, result, i) =>
+      recordMatchGame(m, { id: String.fromCharCode(97 + i), first: i % 2 ? 'O' : 'X', result }),
+    match
+  );
+
+test('best of 3 is won with two wins; a draw uses up a game', () => {
+  let match = play(createMatch('bestOf', 3), ['X', 'draw']);
+  expect(matchResult(match)).toBeNull();
+  match = recordMatchGame(match, { id: 'c', first: 'X', result: 'X' });
+  expect(matchResult(match)).toBe('X');
+  expect(matchTally(match)).toEqual({ X: 2, O: 0, draws: 1 });
+  // Nothing is added once the match is decided
+  expect(recordMatchGame(match, { id: 'd', first: 'O', result: 'O' })).toBe(match);
+});
+
+test('a game finished differently replaces its earlier result', () => {
+  let match = createMatch('firstTo', 2);
+  match = recordMatchGame(match, { id: 'a', first: 'X', result: 'O' });
+  match = recordMatchGame(match, { id: 'a', first: 'X', result: 'X' });
+  expect(match.games).toHaveLength(1);
+  expect(matchTally(match)).toEqual({ X: 1, O: 0, draws: 0 });
+});
+
+test('ends when the games run out, even if every game is drawn', () => {
+  expect(matchResult(play(createMatch('bestOf', 3), ['draw', 'draw']))).toBeNull();
+  expect(matchResult(play(createMatch('bestOf', 3), ['draw', 'draw', 'draw']))).toBe('draw');
+  expect(matchResult(play(createMatch('bestOf', 3), ['O', 'draw', 'draw']))).toBe('O');
+  // Up 1-0 with one game left, X can still be caught but not passed.
+  expect(matchResult(play(createMatch('bestOf', 3), ['X', 'draw']))).toBeNull();
+
+  const firstTo = createMatch('firstTo', 2);
+  expect(matchLength(firstTo)).toBe(5);
+  expect(matchResult(play(firstTo, ['draw', 'draw', 'draw', 'draw']))).toBeNull();
+  expect(matchResult(play(firstTo, ['draw', 'draw', 'draw', 'draw', 'draw']))).toBe('draw');
+  expect(matchResult(play(firstTo, ['X', 'draw', 'draw', 'draw']))).toBeNull();
+  expect(matchResult(play(firstTo, ['X', 'draw', 'draw', 'draw', 'draw']))).toBe('X');
+  expect(matchResult(play(firstTo, ['O', 'X', 'O']))).toBe('O');
+});
+
+test('rejects bad formats and stored data with catalog errors', () => {
+  expect(MATCH_FORMATS).toEqual(['bestOf', 'firstTo']);
+  expect(() => createMatch('bestOf', 4)).toThrow(/odd/);
+  expect(() => createMatch('longest', 3)).toThrow('Unknown match format "longest"');
+  let error;
+  try {
+    createMatch('firstTo', 16);
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toMatchObject({ key: 'match.error.target', params: { max: 15 } });
+  expect(translator('ar')(error.key, error.params)).toBe('تُلعب المباريات إلى عدد بين 1 و15');
+  expect(validateMatch({ format: 'firstTo', target: 3, games: [{ id: 'a', first: 'X', result: 'Z' }] })).toBeNull();
+  expect(validateMatch({ format: 'firstTo', target: 3, games: [] })).toEqual(createMatch('firstTo', 3));
+});
@@ -0,0 +1,243 @@
+import {
+  CLASSIC_RULES,
+  GameState,
+  VARIANTS,
+  allowedBoards,
+  createRules,
+  otherPlayer,
+  parseSquareName,
+  squareName,
+  variantOf,
+} from "./engine";
+import { localizedError } from "./i18n";
+
+/**
+ * Portable text notation for a game record, modelled on chess PGN: tag lines, then the
+ * moves as square coordinates (see engine.squareName), numbered per move.
+ *
+ *   [Game "Tic Tac Toe"]
+ *   [Board "3x3"]
+ *   [Win "3"]
+ *   [Mode "PVC"]
+ *   [X "You"]
+ *   [O "Computer"]
+ *   [First "X"]
+ *   [Result "X"]
+ *
+ *   1. b2 2. a1 3. c3 4. c1 5. a3 6. b3 7. a2
+ *
+ * Result is "X" or "O" (winner), "draw", or "*" for an unfinished game. A game lost on time
+ * adds [Termination "time"]: its moves stop with the loser to move and Result names the winner.
+ * Variant games add a [Variant "misere" | "wild" | "numerical"] tag; in Wild and Numerical
+ * every move also names what was placed, e.g. "1. b2=O" or "1. b2=5".
+ */
+
+const RESULTS = ["X", "O", "draw", "*"];
+const MODES = ["PVC", "PVP"];
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// PUBLIC_INTERFACE
+export function describeMoves(history, rules = CLASSIC_RULES, startingPlayer = "X") {
+  /**
+   * Turns a line of board snapshots into move entries:
+   * { step, number, player, mark, index, square } for every step after the empty board.
+   * `player` is who moved (taking turns from `startingPlayer`), `mark` what they placed:
+   * the same in most variants, either mark in Wild and a number in Numerical.
+   */
+  const moves = [];
+  for (let step = 1; step < history.length; step++) {
+    const prev = history[step - 1];
+    const next = history[step];
+    const index = next.findIndex((sq, i) => sq !== prev[i]);
+    moves.push({
+      step,
+      number: step,
+      player: step % 2 === 1 ? startingPlayer : otherPlayer(startingPlayer),
+      mark: next[index],
+      index,
+      square: squareName(index, rules),
+    });
+  }
+  return moves;
+}
+
+// PUBLIC_INTERFACE
+export function moveLabel(move) {
+  /** "3. X b2", with the mark placed added when it isn't the mover's own: "3. X b2 (O)". */
+  const label = `${move.number}. ${move.player} ${move.square}`;
+  return move.mark === move.player ? label : `${label} (${move.mark})`;
+}
+
+// PUBLIC_INTERFACE
+export function exportGame({ rules, mode, startingPlayer, history, players = {}, timeout = null }) {
+  /**
+   * Writes the game line in `history` (board snapshots from the empty board on) as text.
+   * `timeout` is the side that ran out of time, if the game was lost on time.
+   */
+  const variant = variantOf(rules);
+  const namesMark = variant === "wild" || variant === "numerical";
+  let state = GameState.initial(startingPlayer, rules);
+  const moves = [];
+  for (const move of describeMoves(history, rules, startingPlayer)) {
+    state = state.applyMove(move.index, move.mark);
+    moves.push(`${move.number}. ${move.square}${namesMark ? `=${move.mark}` : ""}`);
+  }
+  const tags = [
+    ["Game", "Tic Tac Toe"],
+    ["Board", `${rules.rows}x${rules.cols}`],
+    ["Win", rules.k],
+    ...(variant === "standard" ? [] : [["Variant", variant]]),
+    ["Mode", mode],
+    ["X", players.X || "X"],
+    ["O", players.O || "O"],
+    ["First", startingPlayer],
+    ["Result", timeout ? otherPlayer(timeout) : state.result() || "*"],
+    ...(timeout ? [["Termination", "time"]] : []),
+  ];
+  return (
+    tags.map(([key, value]) => `[${key} ${quote(value)}]`).join("\n") +
+    "\n\n" +
+    moves.join(" ") +
+    "\n"
+  );
+}
+
+function parseTags(text) {
+  const tags = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const lines = text.split(/\r?\n/);
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    if (!line.trim().startsWith("[")) break;
+    const match = tagPattern.exec(line);
+    if (!match) throw localizedError("record.error.tagLine", { line: line.trim() });
+    tags[match[1]] = match[2].replace(/\\(.)/g, "$1");
+  }
+  return { tags, movesText: lines.slice(i).join(" ") };
+}
+
+function requireTag(tags, name) {
+  if (tags[name] === undefined) throw localizedError("record.error.missingTag", { name });
+  return tags[name];
+}
+
+// PUBLIC_INTERFACE
+export function importGame(text) {
+  /**
+   * Parses a record written by exportGame. Returns
+   * { rules, mode, startingPlayer, players, history, result, timeout }, where history holds
+   * the board after every move and timeout is the side that lost on time, or null. Throws an
+   * Error with a readable message (and its catalog key, see i18n.errorMessage) if the record
+   * is malformed, contains an illegal move, or its moves do not reach the stated result.
+   */
+  if (typeof text !== "string" || !text.trim()) {
+    throw localizedError("record.error.empty");
+  }
+  const { tags, movesText } = parseTags(text);
+
+  const size = /^(\d+)x(\d+)$/.exec(requireTag(tags, "Board"));
+  if (!size) throw localizedError("record.error.board", { board: tags.Board });
+  const win = Number(requireTag(tags, "Win"));
+  const variant = tags.Variant === undefined ? "standard" : tags.Variant;
+  if (!VARIANTS.includes(variant)) throw localizedError("record.error.variant", { variant });
+  let rules;
+  try {
+    rules = createRules(Number(size[1]), Number(size[2]), win, variant);
+  } catch (e) {
+    throw localizedError("record.error.unsupported", { reason: e });
+  }
+  const namesMark = variant === "wild" || variant === "numerical";
+
+  const mode = tags.Mode === undefined ? "PVP" : tags.Mode;
+  if (!MODES.includes(mode)) throw localizedError("record.error.mode", { mode });
+  const startingPlayer = requireTag(tags, "First");
+  if (startingPlayer !== "X" && startingPlayer !== "O") {
+    throw localizedError("record.error.first", { first: startingPlayer });
+  }
+  const result = requireTag(tags, "Result");
+  if (!RESULTS.includes(result)) {
+    throw localizedError("record.error.result", { results: RESULTS.join(", "), result });
+  }
+  if (tags.Termination !== undefined && tags.Termination !== "time") {
+    throw localizedError("record.error.termination", { termination: tags.Termination });
+  }
+  const onTime = tags.Termination === "time";
+  if (onTime && (result === "draw" || result === "*")) {
+    throw localizedError("record.error.timeResult", { result });
+  }
+
+  let state = GameState.initial(startingPlayer, rules);
+  const history = [state.squares];
+  const tokens = movesText.split(/\s+/).filter(Boolean);
+  for (const token of tokens) {
+    if (/^\d+\.$/.test(token)) continue; // move numbers
+    const moveNumber = history.length;
+    const [square, placed] = token.split("=");
+    const index = parseSquareName(square, rules);
+    if (index === null) {
+      const size = `${rules.rows}x${rules.cols}`;
+      throw localizedError("record.error.notSquare", { number: moveNumber, token, size });
+    }
+    if (namesMark !== (placed !== undefined)) {
+      throw namesMark
+        ? localizedError("record.error.namePlaced", {
+            number: moveNumber,
+            token,
+            example: `${square}=${variant === "wild" ? "X" : "5"}`,
+          })
+        : localizedError("record.error.namedMark", { number: moveNumber, token });
+    }
+    if (state.result()) {
+      throw localizedError("record.error.afterEnd", { number: moveNumber, token });
+    }
+    if (state.squares[index]) {
+      throw localizedError("record.error.taken", { number: moveNumber, token });
+    }
+    if (!state.legalMoves().includes(index)) {
+      const boards = allowedBoards(state.squares, state.lastMove).map((b) => b + 1);
+      throw localizedError("record.error.smallBoard", { number: moveNumber, token, boards });
+    }
+    let mark = state.toMove;
+    if (namesMark) {
+      mark = variant === "wild" ? placed.toUpperCase() : Number(placed);
+      if (!state.legalMarks().includes(mark)) {
+        throw localizedError("record.error.cannotPlace", {
+          number: moveNumber,
+          token,
+          player: state.toMove,
+          placed,
+        });
+      }
+    }
+    state = state.applyMove(index, mark);
+    history.push(state.squares);
+  }
+
+  // Lost on time: unfinished on the board, and the side to move is the one who ran out.
+  const actual = onTime && !state.result() ? otherPlayer(state.toMove) : state.result() || "*";
+  if (actual !== result) {
+    const describe = (r) =>
+      r === "*" || r === "draw"
+        ? { key: r === "*" ? "record.outcome.unfinished" : "record.outcome.draw" }
+        : { key: "record.outcome.win", params: { mark: r } };
+    throw localizedError("record.error.truncated", {
+      said: describe(result),
+      actual: describe(actual),
+    });
+  }
+
+  return {
+    rules,
+    mode,
+    startingPlayer,
+    players: { X: tags.X || "X", O: tags.O || "O" },
+    history,
+    result,
+    timeout: onTime ? otherPlayer(result) : null,
+  };
+}
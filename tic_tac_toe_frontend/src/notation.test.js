@@ -0,0 +1,143 @@
+import { createRules, emptyBoard } from './engine';
+import { errorMessage, translator } from './i18n';
+import { exportGame, importGame } from './notation';
+
+function lineOf(moves, rules, first = 'X') {
+  const history = [emptyBoard(rules)];
+  let player = first;
+  moves.forEach((i) => {
+    const next = history[history.length - 1].slice();
+    next[i] = player;
+    history.push(next);
+    player = player === 'X' ? 'O' : 'X';
+  });
+  return history;
+}
+
+test('exports and re-imports a finished game', () => {
+  const rules = createRules(3, 3, 3);
+  const history = lineOf([4, 0, 8, 2, 1, 7, 3, 5, 6], rules);
+  const text = exportGame({ rules, mode: 'PVC', startingPlayer: 'X', history, players: { X: 'Ann "the Ace"', O: 'Computer' } });
+  expect(text).toContain('[Result "draw"]');
+  expect(text).toContain('1. b2 2. a1 3. c3');
+
+  const game = importGame(text);
+  expect(game.history).toEqual(history);
+  expect(game.rules).toEqual(rules);
+  expect(game.players).toEqual({ X: 'Ann "the Ace"', O: 'Computer' });
+  expect(game.result).toBe('draw');
+});
+
+test('round-trips bigger boards and unfinished games', () => {
+  const rules = createRules(15, 15, 5);
+  const history = lineOf([112, 113, 97], rules, 'O');
+  const game = importGame(exportGame({ rules, mode: 'PVP', startingPlayer: 'O', history }));
+  expect(game.history).toEqual(history);
+  expect(game.startingPlayer).toBe('O');
+  expect(game.result).toBe('*');
+});
+
+test('rejects illegal or truncated records', () => {
+  const header = '[Board "3x3"]\n[Win "3"]\n[First "X"]\n';
+  expect(() => importGame('')).toThrow(/empty/);
+  expect(() => importGame('[Win "3"]\n[First "X"]\n[Result "*"]\n')).toThrow(/Missing \[Board\]/);
+  expect(() => importGame(header + '[Result "*"]\n1. b2 2. b2')).toThrow(/Move 2 \(b2\) is illegal/);
+  expect(() => importGame(header + '[Result "*"]\n1. d4')).toThrow(/not a square/);
+  expect(() => importGame(header + '[Result "X"]\n1. a1 2. b1 3. a2')).toThrow(/truncated/);
+  expect(() => importGame(header + '[Result "X"]\n1. a1 2. b1 3. a2 4. b2 5. a3 6. b3')).toThrow(
+    /after the game already ended/
+  );
+});
+
+test('gives the reason a record is refused in the player\'s language', () => {
+  const ar = translator('ar');
+  const refusal = (text) => {
+    try {
+      importGame(text);
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+  const truncated = refusal('[Board "3x3"]\n[Win "3"]\n[First "X"]\n[Result "draw"]\n1. a1');
+  expect(errorMessage(truncated)).toBe(truncated.message);
+  expect(errorMessage(truncated, ar)).toBe(
+    'يبدو أن السجل مقتطع أو معدَّل: [Result] يقول تعادل، لكن نقلاته تنتهي بـلعبة غير منتهية'
+  );
+  // The engine's own reason is translated too.
+  const ultimate = refusal('[Board "3x3"]\n[Win "3"]\n[Variant "ultimate"]\n[First "X"]\n[Result "*"]\n');
+  expect(ultimate.message).toBe('Unsupported board: Ultimate is played on the 9x9 board');
+  expect(errorMessage(ultimate, ar)).toBe('لوحة غير مدعومة: المتداخلة (ألتيميت) تُلعب على لوحة 9x9');
+});
+
+test('records what Wild and Numerical moves place', () => {
+  const rules = createRules(3, 3, 3, 'numerical');
+  const history = [emptyBoard(rules)];
+  [[0, 9], [1, 2], [6, 3], [2, 4]].forEach(([i, n]) => {
+    const next = history[history.length - 1].slice();
+    next[i] = n;
+    history.push(next);
+  });
+  const text = exportGame({ rules, mode: 'PVP', startingPlayer: 'X', history });
+  expect(text).toContain('[Variant "numerical"]');
+  expect(text).toContain('1. a1=9 2. b1=2 3. a3=3 4. c1=4');
+  expect(text).toContain('[Result "O"]');
+  const game = importGame(text);
+  expect(game.history).toEqual(history);
+  expect(game.rules).toEqual(rules);
+
+  const header = '[Board "3x3"]\n[Win "3"]\n[Variant "numerical"]\n[First "X"]\n[Result "*"]\n';
+  expect(() => importGame(header + '1. a1')).toThrow(/must name what is placed/);
+  expect(() => importGame(header + '1. a1=2')).toThrow(/X cannot place 2/);
+});
+
+test('checks that Ultimate moves are played in the small board they were sent to', () => {
+  const rules = createRules(9, 9, 3, 'ultimate');
+  const history = [emptyBoard(rules)];
+  // e5 is the center of the center board; d4 sends X to the top-left board.
+  [40, 30, 0].forEach((i, n) => {
+    const next = history[history.length - 1].slice();
+    next[i] = n % 2 === 0 ? 'X' : 'O';
+    history.push(next);
+  });
+  const text = exportGame({ rules, mode: 'PVP', startingPlayer: 'X', history });
+  expect(text).toContain('[Board "9x9"]');
+  expect(text).toContain('[Variant "ultimate"]');
+  expect(importGame(text).history).toEqual(history);
+  expect(() => importGame(text.replace('3. a1', '3. i9'))).toThrow(
+    /Move 3 \(i9\) is illegal: it must be played in small board 1/
+  );
+});
+
+test('names Qubic squares by layer', () => {
+  const rules = createRules(16, 4, 4, 'qubic');
+  const history = lineOf([21, 0, 63], rules);
+  const text = exportGame({ rules, mode: 'PVP', startingPlayer: 'X', history });
+  expect(text).toContain('[Board "16x4"]');
+  expect(text).toContain('[Variant "qubic"]');
+  expect(text).toContain('1. 2b2 2. 1a1 3. 4d4');
+  const game = importGame(text);
+  expect(game.history).toEqual(history);
+  expect(game.rules).toEqual(rules);
+});
+
+test('records a loss on time with its winner and reads it back', () => {
+  const rules = createRules(3, 3, 3);
+  // O ran out of time on move 4.
+  const history = lineOf([4, 0, 8], rules);
+  const text = exportGame({ rules, mode: 'PVP', startingPlayer: 'X', history, timeout: 'O' });
+  expect(text).toContain('[Result "X"]');
+  expect(text).toContain('[Termination "time"]');
+  const game = importGame(text);
+  expect(game.history).toEqual(history);
+  expect(game.result).toBe('X');
+  expect(game.timeout).toBe('O');
+  const untimed = exportGame({ rules, mode: 'PVP', startingPlayer: 'X', history });
+  expect(importGame(untimed).timeout).toBeNull();
+
+  // Only the side to move can have run out of time.
+  const withResult = (result) => text.replace('[Result "X"]', `[Result "${result}"]`);
+  expect(() => importGame(withResult('O'))).toThrow(/truncated or edited/);
+  expect(() => importGame(withResult('draw'))).toThrow(/needs a winner/);
+  expect(() => importGame(text.replace('"time"', '"resigned"'))).toThrow(/Unknown \[Termination\]/);
+});
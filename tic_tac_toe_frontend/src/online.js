@@ -0,0 +1,116 @@
+/**
+ * Browser client for the local WebSocket relay (server/relay.mjs).
+ * Keeps one connection open, reconnects with backoff when it drops and then resumes the
+ * seat it held, so the relay resends the authoritative game state.
+ */
+
+// Relay address: REACT_APP_RELAY_URL at build time, else port 8787 on the page's host.
+export const DEFAULT_RELAY_URL =
+  process.env.REACT_APP_RELAY_URL ||
+  (typeof window !== "undefined" && window.location && window.location.hostname
+    ? `ws://${window.location.hostname}:8787`
+    : "ws://localhost:8787");
+
+const SEAT_KEY = "ttt-online-seat";
+const MAX_RETRY_MS = 10000;
+
+function loadSeat() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SEAT_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function storeSeat(seat) {
+  try {
+    if (seat) window.sessionStorage.setItem(SEAT_KEY, JSON.stringify(seat));
+    else window.sessionStorage.removeItem(SEAT_KEY);
+  } catch (e) {
+    // Without sessionStorage a reload simply loses the seat.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createOnlineClient({ url = DEFAULT_RELAY_URL, onMessage, onStatus }) {
+  /**
+   * Connects to the relay. `onMessage(msg)` gets every relay message; `onStatus(status)`
+   * gets 'connecting' | 'open' | 'reconnecting' | 'closed'.
+   * Returns { createRoom(rules, timeControl), joinRoom(code), move(index, mark), rematch(),
+   * leave(), close() }.
+   */
+  let socket = null;
+  let seat = loadSeat(); // { room, token } once seated
+  let queue = []; // messages sent while disconnected
+  let retryMs = 500;
+  let retryTimer = null;
+  let closed = false;
+
+  function connect() {
+    onStatus(seat || retryTimer ? "reconnecting" : "connecting");
+    retryTimer = null;
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      retryMs = 500;
+      onStatus("open");
+      if (seat) socket.send(JSON.stringify({ type: "resume", ...seat }));
+      queue.forEach((msg) => socket.send(JSON.stringify(msg)));
+      queue = [];
+    };
+    socket.onmessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (msg.type === "joined") {
+        seat = { room: msg.room, token: msg.token };
+        storeSeat(seat);
+      } else if (msg.type === "error" && msg.code === "unknown-seat") {
+        seat = null; // The relay restarted or dropped the room
+        storeSeat(null);
+      }
+      onMessage(msg);
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus("reconnecting");
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    };
+  }
+
+  function send(msg) {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+    else queue.push(msg);
+  }
+
+  connect();
+
+  return {
+    createRoom(rules, timeControl = null) {
+      send({ type: "create", rules, timeControl });
+    },
+    joinRoom(code) {
+      send({ type: "join", room: code });
+    },
+    move(index, mark) {
+      send({ type: "move", index, mark });
+    },
+    rematch() {
+      send({ type: "rematch" });
+    },
+    leave() {
+      // Forget the seat so the next create/join starts over.
+      seat = null;
+      storeSeat(null);
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+      onStatus("closed");
+    },
+  };
+}
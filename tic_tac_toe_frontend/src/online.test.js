@@ -0,0 +1,112 @@
+import { createOnlineClient } from './online';
+
+// Stands in for the browser WebSocket; tests open, answer and drop it by hand.
+class FakeSocket {
+  static OPEN = 1;
+  static all = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.all.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(msg) {
+    this.onmessage({ data: JSON.stringify(msg) });
+  }
+}
+
+const realWebSocket = global.WebSocket;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.all = [];
+  global.WebSocket = FakeSocket;
+  window.sessionStorage.clear();
+});
+
+afterEach(() => {
+  global.WebSocket = realWebSocket;
+  jest.useRealTimers();
+});
+
+function client() {
+  const messages = [];
+  const statuses = [];
+  const online = createOnlineClient({
+    url: 'ws://relay.test',
+    onMessage: (msg) => messages.push(msg),
+    onStatus: (status) => statuses.push(status),
+  });
+  return { online, messages, statuses };
+}
+
+test('sends what was asked before the connection opened once it does', () => {
+  const { online, statuses } = client();
+  online.createRoom({ rows: 3, cols: 3, k: 3 }, 'move5');
+  const socket = FakeSocket.all[0];
+  expect(socket.url).toBe('ws://relay.test');
+  expect(socket.sent).toEqual([]);
+  socket.open();
+  expect(socket.sent).toEqual([
+    { type: 'create', rules: { rows: 3, cols: 3, k: 3 }, timeControl: 'move5' },
+  ]);
+  online.move(4);
+  expect(socket.sent[1]).toEqual({ type: 'move', index: 4 });
+  expect(statuses).toEqual(['connecting', 'open']);
+});
+
+test('reconnects after a drop and resumes its seat', () => {
+  const { online, messages, statuses } = client();
+  FakeSocket.all[0].open();
+  FakeSocket.all[0].receive({ type: 'joined', room: 'ABCDE', mark: 'O', token: 't1' });
+  expect(messages).toEqual([{ type: 'joined', room: 'ABCDE', mark: 'O', token: 't1' }]);
+
+  FakeSocket.all[0].close();
+  expect(statuses[statuses.length - 1]).toBe('reconnecting');
+  online.move(2); // queued until the new connection is open
+  jest.advanceTimersByTime(500);
+  const second = FakeSocket.all[1];
+  second.open();
+  expect(second.sent).toEqual([
+    { type: 'resume', room: 'ABCDE', token: 't1' },
+    { type: 'move', index: 2 },
+  ]);
+
+  // A reload picks the seat up from sessionStorage.
+  createOnlineClient({ url: 'ws://relay.test', onMessage: () => {}, onStatus: () => {} });
+  FakeSocket.all[2].open();
+  expect(FakeSocket.all[2].sent).toEqual([{ type: 'resume', room: 'ABCDE', token: 't1' }]);
+});
+
+test('forgets a seat the relay no longer knows, and stops once closed', () => {
+  const { online, statuses } = client();
+  const socket = FakeSocket.all[0];
+  socket.open();
+  socket.receive({ type: 'joined', room: 'ABCDE', mark: 'X', token: 't1' });
+  socket.receive({ type: 'error', code: 'unknown-seat', message: 'That game is no longer available' });
+  socket.close();
+  jest.advanceTimersByTime(500);
+  FakeSocket.all[1].open();
+  expect(FakeSocket.all[1].sent).toEqual([]);
+
+  online.close();
+  expect(statuses[statuses.length - 1]).toBe('closed');
+  jest.advanceTimersByTime(20000);
+  expect(FakeSocket.all).toHaveLength(2);
+});
@@ -0,0 +1,199 @@
+import { PLAYERS } from "./engine";
+import { english, localizedError } from "./i18n";
+
+/**
+ * Named player profiles and their game log, stored in localStorage apart from the session
+ * (so "Clear this game's saved data" keeps them). Statistics are derived from the log rather than kept
+ * as counters, which lets a game's entry be replaced when it is finished differently.
+ *
+ * Shape: { profiles: [{ id, name }], games: [{ id, X, O, first, result, level? }], seats: { X, O } }
+ * where a game's X / O is a profile id, COMPUTER, or null for a guest, and `level` is the
+ * computer's difficulty in games against it.
+ */
+
+export const PROFILES_KEY = "ttt-arena-profiles";
+export const PROFILES_VERSION = 1;
+export const COMPUTER = "computer";
+export const MAX_NAME_LENGTH = 24;
+
+const RESULTS = ["X", "O", "draw"];
+const LEVELS = ["easy", "medium", "hard"];
+
+// PUBLIC_INTERFACE
+export function emptyProfiles() {
+  /** No profiles, no games, both seats taken by guests. */
+  return { profiles: [], games: [], seats: { X: null, O: null } };
+}
+
+function isPlayer(p) {
+  return p === null || typeof p === "string";
+}
+
+function isGame(g) {
+  return (
+    g &&
+    typeof g.id === "string" &&
+    isPlayer(g.X) &&
+    isPlayer(g.O) &&
+    PLAYERS.includes(g.first) &&
+    RESULTS.includes(g.result) &&
+    (g.level === undefined || LEVELS.includes(g.level))
+  );
+}
+
+// PUBLIC_INTERFACE
+export function validateProfiles(data) {
+  /** Returns the data if well formed, otherwise null. Seats must name existing profiles. */
+  if (!data || typeof data !== "object") return null;
+  const { profiles, games, seats } = data;
+  if (
+    !Array.isArray(profiles) ||
+    !profiles.every((p) => p && typeof p.id === "string" && typeof p.name === "string") ||
+    !Array.isArray(games) ||
+    !games.every(isGame) ||
+    !seats ||
+    !PLAYERS.every((m) => seats[m] === null || profiles.some((p) => p.id === seats[m]))
+  ) {
+    return null;
+  }
+  return { profiles, games, seats: { X: seats.X, O: seats.O } };
+}
+
+// PUBLIC_INTERFACE
+export function loadProfiles() {
+  /** Returns the stored profiles, or emptyProfiles() if nothing usable is stored. */
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PROFILES_KEY));
+    if (!stored || stored.version !== PROFILES_VERSION) return emptyProfiles();
+    return validateProfiles(stored.data) || emptyProfiles();
+  } catch (e) {
+    return emptyProfiles();
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveProfiles(data) {
+  /** Stores the profiles under the current version. Fails silently without storage. */
+  try {
+    window.localStorage.setItem(
+      PROFILES_KEY,
+      JSON.stringify({ version: PROFILES_VERSION, data })
+    );
+  } catch (e) {
+    // Quota exceeded or storage disabled; profiles last until the page closes.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function newRecordId() {
+  /** Id for a game log entry (also used for new profiles). */
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// PUBLIC_INTERFACE
+export function addProfile(data, name) {
+  /**
+   * Returns { data, id } with a new profile. Throws an Error (with its catalog key, see
+   * i18n.errorMessage) for an empty, overlong or duplicate (case-insensitive) name.
+   */
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw localizedError("profiles.error.empty");
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw localizedError("profiles.error.long", { max: MAX_NAME_LENGTH });
+  }
+  if (data.profiles.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw localizedError("profiles.error.taken", { name: trimmed });
+  }
+  const id = "p" + newRecordId();
+  return { data: { ...data, profiles: [...data.profiles, { id, name: trimmed }] }, id };
+}
+
+// PUBLIC_INTERFACE
+export function removeProfile(data, id) {
+  /** Deletes a profile and frees its seat. Its games stay in the log for its opponents. */
+  return {
+    ...data,
+    profiles: data.profiles.filter((p) => p.id !== id),
+    seats: {
+      X: data.seats.X === id ? null : data.seats.X,
+      O: data.seats.O === id ? null : data.seats.O,
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function setSeat(data, mark, id) {
+  /** Seats profile `id` (or null for a guest) as `mark`; a profile can hold only one seat. */
+  const seats = { ...data.seats, [mark]: id };
+  const other = mark === "X" ? "O" : "X";
+  if (id !== null && seats[other] === id) seats[other] = null;
+  return { ...data, seats };
+}
+
+// PUBLIC_INTERFACE
+export function recordGame(data, game) {
+  /**
+   * Adds a finished game { id, X, O, first, result, level? } to the log, replacing the
+   * entry with the same id. Games without any profile involved are not kept.
+   */
+  const games = data.games.filter((g) => g.id !== game.id);
+  const involved = [game.X, game.O].some((p) => p !== null && p !== COMPUTER);
+  return { ...data, games: involved ? [...games, game] : games };
+}
+
+// PUBLIC_INTERFACE
+export function playerName(data, player, t = english) {
+  /** Display name for a seat or log entry: a profile name, Computer, Guest or Deleted player. */
+  if (player === COMPUTER) return t("profiles.computer");
+  if (player === null) return t("profiles.guest");
+  const profile = data.profiles.find((p) => p.id === player);
+  return profile ? profile.name : t("profiles.deleted");
+}
+
+function tally() {
+  return { wins: 0, losses: 0, draws: 0, played: 0 };
+}
+
+function count(t, outcome) {
+  t[outcome] += 1;
+  t.played += 1;
+}
+
+// PUBLIC_INTERFACE
+export function profileStats(data, id) {
+  /**
+   * Statistics for one profile from the game log:
+   * { total, winRate, longestStreak, currentStreak, asFirst, asSecond, opponents }
+   * where total / asFirst / asSecond are { wins, losses, draws, played }, winRate is a
+   * fraction (null before the first game) and opponents is a list of
+   * { opponent, wins, losses, draws, played } (opponent: profile id, COMPUTER or null).
+   */
+  const total = tally();
+  const asFirst = tally();
+  const asSecond = tally();
+  const opponents = new Map();
+  let streak = 0;
+  let longestStreak = 0;
+  for (const game of data.games) {
+    const mark = game.X === id ? "X" : game.O === id ? "O" : null;
+    if (!mark) continue;
+    const opponent = game[mark === "X" ? "O" : "X"];
+    const outcome =
+      game.result === "draw" ? "draws" : game.result === mark ? "wins" : "losses";
+    count(total, outcome);
+    count(game.first === mark ? asFirst : asSecond, outcome);
+    if (!opponents.has(opponent)) opponents.set(opponent, { opponent, ...tally() });
+    count(opponents.get(opponent), outcome);
+    streak = outcome === "wins" ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+  return {
+    total,
+    winRate: total.played ? total.wins / total.played : null,
+    longestStreak,
+    currentStreak: streak,
+    asFirst,
+    asSecond,
+    opponents: [...opponents.values()],
+  };
+}
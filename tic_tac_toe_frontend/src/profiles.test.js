@@ -0,0 +1,73 @@
+import {
+  COMPUTER,
+  addProfile,
+  emptyProfiles,
+  loadProfiles,
+  playerName,
+  profileStats,
+  recordGame,
+  saveProfiles,
+} from './profiles';
+import { errorMessage, translator } from './i18n';
+
+beforeEach(() => window.localStorage.clear());
+
+function withPlayers() {
+  const { data, id: ann } = addProfile(emptyProfiles(), 'Ann');
+  const { data: both, id: bob } = addProfile(data, 'Bob');
+  return { data: both, ann, bob };
+}
+
+test('rejects empty and duplicate profile names', () => {
+  const { data } = withPlayers();
+  expect(() => addProfile(data, '  ')).toThrow(/name/);
+  expect(() => addProfile(data, 'ann')).toThrow(/already/);
+  try {
+    addProfile(data, 'ann');
+  } catch (e) {
+    expect(errorMessage(e, translator('ar'))).toBe('يوجد ملف شخصي باسم ann بالفعل');
+  }
+  expect.assertions(3);
+});
+
+test('names the computer, guests and deleted profiles in the UI language', () => {
+  const { data, ann } = withPlayers();
+  const ar = translator('ar');
+  expect(playerName(data, ann, ar)).toBe('Ann');
+  expect(playerName(data, COMPUTER)).toBe('Computer');
+  expect(playerName(data, null, ar)).toBe('ضيف');
+  expect(playerName(data, 'p-gone', ar)).toBe('لاعب محذوف');
+});
+
+test('derives per-opponent, mover and streak statistics from the log', () => {
+  let { data, ann, bob } = withPlayers();
+  const games = [
+    { id: 'g1', X: ann, O: bob, first: 'X', result: 'X' },
+    { id: 'g2', X: ann, O: COMPUTER, first: 'O', result: 'X' },
+    { id: 'g3', X: bob, O: ann, first: 'X', result: 'O' },
+    { id: 'g4', X: ann, O: COMPUTER, first: 'X', result: 'draw' },
+    { id: 'g5', X: null, O: ann, first: 'O', result: 'X' },
+  ];
+  games.forEach((g) => (data = recordGame(data, g)));
+  const stats = profileStats(data, ann);
+  expect(stats.total).toEqual({ wins: 3, losses: 1, draws: 1, played: 5 });
+  expect(stats.winRate).toBeCloseTo(0.6);
+  expect(stats.longestStreak).toBe(3);
+  expect(stats.currentStreak).toBe(0);
+  expect(stats.asFirst).toEqual({ wins: 1, losses: 1, draws: 1, played: 3 });
+  expect(stats.asSecond).toEqual({ wins: 2, losses: 0, draws: 0, played: 2 });
+  expect(stats.opponents.find((o) => o.opponent === bob)).toMatchObject({ wins: 2, played: 2 });
+  expect(stats.opponents.find((o) => o.opponent === COMPUTER)).toMatchObject({ wins: 1, draws: 1 });
+  expect(stats.opponents.find((o) => o.opponent === null)).toMatchObject({ losses: 1 });
+});
+
+test('replaces a re-finished game and persists profiles', () => {
+  let { data, ann } = withPlayers();
+  data = recordGame(data, { id: 'g1', X: ann, O: COMPUTER, first: 'X', result: 'O' });
+  data = recordGame(data, { id: 'g1', X: ann, O: COMPUTER, first: 'X', result: 'X' });
+  data = recordGame(data, { id: 'g2', X: null, O: COMPUTER, first: 'X', result: 'X' });
+  expect(data.games).toHaveLength(1);
+  expect(profileStats(data, ann).total.wins).toBe(1);
+  saveProfiles(data);
+  expect(loadProfiles()).toEqual(data);
+});
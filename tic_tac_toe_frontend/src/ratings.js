@@ -0,0 +1,78 @@
+import { COMPUTER } from "./profiles";
+
+/**
+ * Elo ratings for profiles, replayed from the profiles game log (see profiles.js) so a
+ * game whose result is replaced is re-rated too. The computer is a fixed-rated player per
+ * difficulty; games against guests are not rated.
+ */
+
+export const INITIAL_RATING = 1200;
+export const K_FACTOR = 32;
+// The computer's rating never changes; older log entries without a level count as medium.
+export const COMPUTER_RATINGS = { easy: 900, medium: 1300, hard: 1700 };
+
+// PUBLIC_INTERFACE
+export function expectedScore(rating, opponentRating) {
+  /** Expected score (0..1) of a player against an opponent under the Elo model. */
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// PUBLIC_INTERFACE
+export function ratingChange(rating, opponentRating, score, k = K_FACTOR) {
+  /** Rating change for a score of 1 (win), 0.5 (draw) or 0 (loss). */
+  return k * (score - expectedScore(rating, opponentRating));
+}
+
+function unrated() {
+  return { rating: INITIAL_RATING, peak: INITIAL_RATING, games: 0, history: [INITIAL_RATING] };
+}
+
+// PUBLIC_INTERFACE
+export function computeRatings(data) {
+  /**
+   * Replays the log and returns a Map of profile id ->
+   * { rating, peak, games, history } where history lists the rating after each rated
+   * game, starting with INITIAL_RATING.
+   */
+  const ratings = new Map();
+  const entry = (id) => {
+    if (!ratings.has(id)) {
+      ratings.set(id, unrated());
+    }
+    return ratings.get(id);
+  };
+  const isProfile = (p) => p !== null && p !== COMPUTER;
+  const ratingOf = (p, level) =>
+    p === COMPUTER ? COMPUTER_RATINGS[level] || COMPUTER_RATINGS.medium : entry(p).rating;
+
+  for (const game of data.games) {
+    if (game.X === null || game.O === null) continue; // Guests have no rating
+    const scoreX = game.result === "X" ? 1 : game.result === "draw" ? 0.5 : 0;
+    const deltaX = ratingChange(ratingOf(game.X, game.level), ratingOf(game.O, game.level), scoreX);
+    for (const [player, delta] of [[game.X, deltaX], [game.O, -deltaX]]) {
+      if (!isProfile(player)) continue;
+      const r = entry(player);
+      r.rating += delta;
+      r.peak = Math.max(r.peak, r.rating);
+      r.games += 1;
+      r.history.push(r.rating);
+    }
+  }
+  return ratings;
+}
+
+// PUBLIC_INTERFACE
+export function leaderboard(data) {
+  /**
+   * Existing profiles ranked by rating (unrated profiles at INITIAL_RATING):
+   * [{ id, name, rating, peak, games, history }], highest first.
+   */
+  const ratings = computeRatings(data);
+  return data.profiles
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      ...(ratings.get(p.id) || unrated()),
+    }))
+    .sort((a, b) => b.rating - a.rating || b.games - a.games || a.name.localeCompare(b.name));
+}
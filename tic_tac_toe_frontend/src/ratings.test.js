@@ -0,0 +1,35 @@
+import { COMPUTER, addProfile, emptyProfiles, recordGame } from './profiles';
+import { COMPUTER_RATINGS, INITIAL_RATING, computeRatings, expectedScore, leaderboard } from './ratings';
+
+function twoPlayers() {
+  const { data, id: ann } = addProfile(emptyProfiles(), 'Ann');
+  const { data: both, id: bob } = addProfile(data, 'Bob');
+  return { data: both, ann, bob };
+}
+
+test('equal players split 16 points on a decisive game and nothing on a draw', () => {
+  let { data, ann, bob } = twoPlayers();
+  expect(expectedScore(1500, 1500)).toBe(0.5);
+  data = recordGame(data, { id: 'g1', X: ann, O: bob, first: 'X', result: 'X' });
+  let ratings = computeRatings(data);
+  expect(ratings.get(ann).rating).toBe(INITIAL_RATING + 16);
+  expect(ratings.get(bob).rating).toBe(INITIAL_RATING - 16);
+  // Re-finishing the same game as a draw replaces its rating change
+  data = recordGame(data, { id: 'g1', X: ann, O: bob, first: 'X', result: 'draw' });
+  ratings = computeRatings(data);
+  expect(ratings.get(ann).history).toEqual([INITIAL_RATING, INITIAL_RATING]);
+});
+
+test('the computer keeps a fixed rating per level and guests are unrated', () => {
+  let { data, ann, bob } = twoPlayers();
+  data = recordGame(data, { id: 'g1', X: ann, O: COMPUTER, first: 'X', result: 'X', level: 'hard' });
+  data = recordGame(data, { id: 'g2', X: ann, O: COMPUTER, first: 'O', result: 'X', level: 'easy' });
+  data = recordGame(data, { id: 'g3', X: null, O: bob, first: 'X', result: 'X' });
+  const ann1 = INITIAL_RATING + 32 * (1 - expectedScore(INITIAL_RATING, COMPUTER_RATINGS.hard));
+  const ann2 = ann1 + 32 * (1 - expectedScore(ann1, COMPUTER_RATINGS.easy));
+  const board = leaderboard(data);
+  expect(board.map((p) => p.name)).toEqual(['Ann', 'Bob']);
+  expect(board[0].rating).toBeCloseTo(ann2);
+  expect(board[0].games).toBe(2);
+  expect(board[1]).toMatchObject({ rating: INITIAL_RATING, games: 0 });
+});
@@ -0,0 +1,211 @@
+import { TIME_CONTROLS, validateClock } from "./clock";
+import { PLAYERS, createRules, variantOf } from "./engine";
+import { validateMatch } from "./match";
+import { validateTournament } from "./tournament";
+
+/**
+ * Saved session (scores, settings and the game in progress) in localStorage.
+ * Data is stored as { version, data }. Older versions are upgraded through MIGRATIONS;
+ * anything unreadable or invalid is discarded so the app starts fresh instead of crashing.
+ */
+
+export const STORAGE_KEY = "ttt-arena-session";
+export const STORAGE_VERSION = 1;
+
+// Stored by earlier releases before the session was saved as a whole.
+const LEGACY_DIFFICULTY_KEY = "ttt-difficulty";
+
+const MODES = ["PVC", "PVP"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// MIGRATIONS[n] turns version n data into version n + 1.
+const MIGRATIONS = {
+  // Version 0: only the difficulty was remembered, under its own key.
+  0: (legacy) => ({
+    mode: "PVC",
+    difficulty: legacy.difficulty,
+  }),
+};
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null; // Disabled storage (privacy settings) throws on access
+  }
+}
+
+function readRaw(storage) {
+  const raw = storage.getItem(STORAGE_KEY);
+  if (raw !== null) return JSON.parse(raw);
+  const difficulty = storage.getItem(LEGACY_DIFFICULTY_KEY);
+  if (difficulty !== null) return { version: 0, data: { difficulty } };
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function migrate(stored) {
+  /**
+   * Upgrades a stored { version, data } envelope to STORAGE_VERSION.
+   * Returns the upgraded data, or null for unknown (e.g. newer) versions.
+   */
+  if (!stored || typeof stored !== "object" || !Number.isInteger(stored.version)) {
+    return null;
+  }
+  if (stored.version > STORAGE_VERSION) return null;
+  let data = stored.data;
+  for (let v = stored.version; v < STORAGE_VERSION; v++) {
+    if (!MIGRATIONS[v]) return null;
+    data = MIGRATIONS[v](data);
+  }
+  return data;
+}
+
+// Squares hold X or O, or the numbers 1-9 in Numerical games.
+function isBoard(board, rules) {
+  const isMark =
+    variantOf(rules) === "numerical"
+      ? (sq) => Number.isInteger(sq) && sq >= 1 && sq <= 9
+      : (sq) => PLAYERS.includes(sq);
+  return (
+    Array.isArray(board) &&
+    board.length === rules.rows * rules.cols &&
+    board.every((sq) => sq === null || isMark(sq))
+  );
+}
+
+// Positions of one game line: an empty board, then one more mark per step.
+function isLine(line, rules) {
+  if (!Array.isArray(line) || line.length === 0) return false;
+  if (!line.every((board) => isBoard(board, rules))) return false;
+  if (!line[0].every((sq) => sq === null)) return false;
+  for (let step = 1; step < line.length; step++) {
+    const prev = line[step - 1];
+    const added = line[step].filter((sq, i) => sq !== prev[i]);
+    const kept = line[step].every((sq, i) => prev[i] === null || sq === prev[i]);
+    if (added.length !== 1 || !kept) return false;
+  }
+  return true;
+}
+
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+// PUBLIC_INTERFACE
+export function validateSession(data) {
+  /**
+   * Checks (current version) session data field by field. Missing optional parts are
+   * fine; returns a cleaned session, or null if anything present is malformed.
+   */
+  if (!data || typeof data !== "object") return null;
+  const session = {};
+  if (data.mode !== undefined) {
+    if (!MODES.includes(data.mode)) return null;
+    session.mode = data.mode;
+  }
+  if (data.difficulty !== undefined) {
+    if (!DIFFICULTIES.includes(data.difficulty)) return null;
+    session.difficulty = data.difficulty;
+  }
+  if (data.timeControl !== undefined && data.timeControl !== null) {
+    if (!TIME_CONTROLS[data.timeControl]) return null;
+    session.timeControl = data.timeControl;
+  }
+  if (data.scores !== undefined) {
+    const { X, O, Draws } = data.scores || {};
+    if (![X, O, Draws].every(isCount)) return null;
+    session.scores = { X, O, Draws };
+  }
+  if (data.match !== undefined && data.match !== null) {
+    session.match = validateMatch(data.match);
+    if (!session.match) return null;
+  }
+  if (data.tournament !== undefined && data.tournament !== null) {
+    session.tournament = validateTournament(data.tournament);
+    if (!session.tournament) return null;
+  }
+  if (data.game !== undefined) {
+    const game = data.game || {};
+    let rules;
+    try {
+      rules = createRules(game.rules.rows, game.rules.cols, game.rules.k, game.rules.variant);
+    } catch (e) {
+      return null;
+    }
+    const branches = game.branches || [];
+    if (
+      !PLAYERS.includes(game.startingPlayer) ||
+      !isLine(game.history, rules) ||
+      !Number.isInteger(game.stepNumber) ||
+      game.stepNumber < 0 ||
+      game.stepNumber >= game.history.length ||
+      !Array.isArray(branches) ||
+      !branches.every((line) => isLine(line, rules)) ||
+      ![null, undefined, "X", "O", "draw"].includes(game.countedResult) ||
+      (![null, undefined].includes(game.recordId) && typeof game.recordId !== "string") ||
+      ![null, undefined, "X", "O"].includes(game.timeout)
+    ) {
+      return null;
+    }
+    const clock = game.clock ? validateClock(game.clock) : null;
+    if (game.clock && !clock) return null;
+    session.game = {
+      rules,
+      startingPlayer: game.startingPlayer,
+      history: game.history,
+      stepNumber: game.stepNumber,
+      branches,
+      countedResult: game.countedResult || null,
+    };
+    if (game.recordId) session.game.recordId = game.recordId;
+    // Clocks come back stopped; `timeout` is the side that lost this game on time.
+    if (clock) session.game.clock = clock;
+    if (game.timeout) session.game.timeout = game.timeout;
+  }
+  return session;
+}
+
+// PUBLIC_INTERFACE
+export function loadSession() {
+  /**
+   * Returns the saved session ({ mode, difficulty, timeControl, scores, match, tournament,
+   * game }, each optional), or null if nothing usable is stored.
+   */
+  const storage = getStorage();
+  if (!storage) return null;
+  try {
+    return validateSession(migrate(readRaw(storage)));
+  } catch (e) {
+    return null; // Corrupt JSON or an unexpected shape: start fresh
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveSession(session) {
+  /** Stores the session under the current version. Fails silently without storage. */
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: STORAGE_VERSION, data: session })
+    );
+    storage.removeItem(LEGACY_DIFFICULTY_KEY);
+  } catch (e) {
+    // Quota exceeded or storage disabled; the session just is not saved.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function clearSession() {
+  /** Removes the saved session, including data from older versions. */
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.removeItem(STORAGE_KEY);
+    storage.removeItem(LEGACY_DIFFICULTY_KEY);
+  } catch (e) {
+    // Nothing to clear
+  }
+}
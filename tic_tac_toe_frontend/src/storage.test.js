@@ -0,0 +1,87 @@
+import { STORAGE_KEY, loadSession, migrate, saveSession } from './storage';
+
+beforeEach(() => window.localStorage.clear());
+
+test('round-trips a saved session', () => {
+  const session = {
+    mode: 'PVP',
+    difficulty: 'hard',
+    scores: { X: 2, O: 1, Draws: 3 },
+    game: {
+      rules: { rows: 3, cols: 3, k: 3 },
+      startingPlayer: 'O',
+      history: [Array(9).fill(null), ['O', null, null, null, null, null, null, null, null]],
+      stepNumber: 1,
+      branches: [],
+      countedResult: null,
+    },
+  };
+  saveSession(session);
+  expect(loadSession()).toEqual(session);
+});
+
+test('keeps the time control, and restores a game lost on time with its clocks stopped', () => {
+  const game = {
+    rules: { rows: 3, cols: 3, k: 3 },
+    startingPlayer: 'X',
+    history: [Array(9).fill(null), ['X', null, null, null, null, null, null, null, null]],
+    stepNumber: 1,
+    branches: [],
+    countedResult: 'X',
+    clock: { control: 'move10', remaining: { X: 10000, O: 0 }, running: 'O', since: 1 },
+    timeout: 'O',
+  };
+  saveSession({ timeControl: 'move10', game });
+  expect(loadSession()).toEqual({
+    timeControl: 'move10',
+    game: { ...game, clock: { ...game.clock, running: null, since: null } },
+  });
+  saveSession({ timeControl: 'hourglass' });
+  expect(loadSession()).toBeNull();
+});
+
+test('migrates the difficulty saved by older versions', () => {
+  window.localStorage.setItem('ttt-difficulty', 'hard');
+  expect(loadSession()).toEqual({ mode: 'PVC', difficulty: 'hard' });
+});
+
+test('ignores corrupt, invalid or newer data', () => {
+  window.localStorage.setItem(STORAGE_KEY, '{not json');
+  expect(loadSession()).toBeNull();
+
+  window.localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({ version: 1, data: { scores: { X: -1, O: 0, Draws: 0 } } })
+  );
+  expect(loadSession()).toBeNull();
+
+  // Two marks appear in a single step: not a real game line.
+  const history = [Array(9).fill(null), ['X', 'O', null, null, null, null, null, null, null]];
+  window.localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({
+      version: 1,
+      data: { game: { rules: { rows: 3, cols: 3, k: 3 }, startingPlayer: 'X', history, stepNumber: 1 } },
+    })
+  );
+  expect(loadSession()).toBeNull();
+
+  expect(migrate({ version: 99, data: {} })).toBeNull();
+});
+
+test('keeps the variant, and only the marks it places', () => {
+  const game = {
+    rules: { rows: 3, cols: 3, k: 3, variant: 'numerical' },
+    startingPlayer: 'X',
+    history: [Array(9).fill(null), [7, null, null, null, null, null, null, null, null]],
+    stepNumber: 1,
+    branches: [],
+    countedResult: null,
+  };
+  saveSession({ game });
+  expect(loadSession()).toEqual({ game });
+  saveSession({ game: { ...game, history: [game.history[0], ['X', ...game.history[1].slice(1)]] } });
+  expect(loadSession()).toBeNull();
+  saveSession({ game: { ...game, rules: { rows: 4, cols: 4, k: 3, variant: 'wild' } } });
+  expect(loadSession()).toBeNull();
+});
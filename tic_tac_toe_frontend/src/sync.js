@@ -0,0 +1,75 @@
+/**
+ * Same-browser sync between the playing tab and spectator tabs/windows.
+ * Uses BroadcastChannel where available and falls back to localStorage "storage" events.
+ * The latest snapshot is also kept in localStorage, so a spectator opened mid-game
+ * starts from the current position instead of waiting for the next move.
+ */
+
+const CHANNEL_NAME = "ttt-arena-live";
+const SNAPSHOT_KEY = "ttt-arena-live-snapshot";
+
+function readSnapshot() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createSyncChannel() {
+  /**
+   * Returns { publish(snapshot), subscribe(callback) -> unsubscribe, latest(), close() }.
+   * `publish` is used by the playing tab; spectators `subscribe` and get every snapshot
+   * published afterwards (the playing tab's own snapshots are not echoed back to it).
+   */
+  const listeners = new Set();
+  const channel =
+    typeof window.BroadcastChannel === "function"
+      ? new window.BroadcastChannel(CHANNEL_NAME)
+      : null;
+
+  function emit(snapshot) {
+    if (snapshot) listeners.forEach((cb) => cb(snapshot));
+  }
+
+  function onStorage(e) {
+    if (e.key === SNAPSHOT_KEY && e.newValue) {
+      try {
+        emit(JSON.parse(e.newValue));
+      } catch (err) {
+        // Ignore half-written or foreign values
+      }
+    }
+  }
+
+  if (channel) {
+    channel.onmessage = (e) => emit(e.data);
+  } else {
+    window.addEventListener("storage", onStorage);
+  }
+
+  return {
+    publish(snapshot) {
+      try {
+        // Also serves late spectators and, without BroadcastChannel, fires "storage" events.
+        window.localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+      } catch (e) {
+        // Storage full or disabled: BroadcastChannel still reaches open spectators.
+      }
+      if (channel) channel.postMessage(snapshot);
+    },
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    latest() {
+      return readSnapshot();
+    },
+    close() {
+      listeners.clear();
+      if (channel) channel.close();
+      else window.removeEventListener("storage", onStorage);
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { render, screen } from '@testing-library/react';
+import Spectator from './Spectator';
+import { I18nProvider, LANGUAGE_KEY } from './i18n';
+import { createSyncChannel } from './sync';
+
+beforeEach(() => window.localStorage.clear());
+
+test('a spectator opened later starts from the last published snapshot', () => {
+  const player = createSyncChannel();
+  player.publish({ board: ['X', null, null, null, null, null, null, null, null], result: null });
+  const spectator = createSyncChannel();
+  expect(spectator.latest().board[0]).toBe('X');
+  player.close();
+  spectator.close();
+});
+
+test('falls back to storage events without BroadcastChannel', () => {
+  const original = window.BroadcastChannel;
+  delete window.BroadcastChannel;
+  try {
+    const spectator = createSyncChannel();
+    const received = [];
+    spectator.subscribe((snapshot) => received.push(snapshot));
+    const event = new Event('storage');
+    event.key = 'ttt-arena-live-snapshot';
+    event.newValue = JSON.stringify({ result: 'X' });
+    window.dispatchEvent(event);
+    expect(received).toEqual([{ result: 'X' }]);
+    spectator.close();
+  } finally {
+    if (original) window.BroadcastChannel = original;
+  }
+});
+
+test('the spectator scoreboard shows the players named on the playing screen', () => {
+  const player = createSyncChannel();
+  player.publish({
+    board: ['X', null, null, null, 'O', null, null, null, null],
+    rules: { rows: 3, cols: 3, k: 3 },
+    scores: { X: 2, O: 1, Draws: 0 },
+    result: null,
+    winner: null,
+    mode: 'PVP',
+    isXNext: true,
+    startingPlayer: 'X',
+    winningLine: [],
+    lastMove: 4,
+    names: { X: 'Ann', O: 'Ben' },
+    clock: null,
+    timeout: null,
+  });
+  render(<Spectator />);
+  expect(document.querySelector('.score-x').textContent).toBe('Ann (X): 2');
+  expect(document.querySelector('.score-o').textContent).toBe('Ben (O): 1');
+  player.close();
+});
+
+test('the spectator shows a drawn game in its own language', () => {
+  const player = createSyncChannel();
+  player.publish({
+    board: ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X'],
+    rules: { rows: 3, cols: 3, k: 3 },
+    scores: { X: 0, O: 0, Draws: 1 },
+    result: 'draw',
+    winner: null,
+    mode: 'PVP',
+    isXNext: false,
+    startingPlayer: 'X',
+    winningLine: [],
+    lastMove: 8,
+    names: { X: 'X', O: 'O' },
+    clock: null,
+    timeout: null,
+  });
+  window.localStorage.setItem(LANGUAGE_KEY, 'ar');
+  render(
+    <I18nProvider>
+      <Spectator />
+    </I18nProvider>
+  );
+  expect(screen.getByRole('status').textContent).toBe('تعادل!');
+  player.close();
+});
@@ -0,0 +1,95 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+
+/**
+ * Color themes. The palettes themselves are CSS custom properties (--ttt-*) declared per
+ * `data-theme` in TTTStyles; ThemeProvider only decides which one is active and sets it on
+ * <html>, so fixed-position parts like the Assistant switch along with the page.
+ * The choice is 'system' (follow the browser's prefers-color-scheme / prefers-contrast)
+ * or one of THEMES, and is remembered in this browser.
+ */
+
+export const THEME_KEY = "ttt-arena-theme";
+export const THEMES = ["light", "dark", "high-contrast"];
+export const THEME_CHOICES = ["system", ...THEMES];
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+function matches(query) {
+  return typeof window.matchMedia === "function" && window.matchMedia(query).matches;
+}
+
+// PUBLIC_INTERFACE
+export function systemTheme() {
+  /** Theme the browser asks for: 'high-contrast', 'dark' or 'light'. */
+  if (matches(CONTRAST_QUERY)) return "high-contrast";
+  return matches(DARK_QUERY) ? "dark" : "light";
+}
+
+// PUBLIC_INTERFACE
+export function resolveTheme(choice) {
+  /** Theme to show for a choice: 'system' follows the browser. */
+  return THEMES.includes(choice) ? choice : systemTheme();
+}
+
+// PUBLIC_INTERFACE
+export function loadThemeChoice() {
+  /** Saved choice, or 'system' when none (or an unknown one) is stored. */
+  try {
+    const saved = window.localStorage.getItem(THEME_KEY);
+    return THEME_CHOICES.includes(saved) ? saved : "system";
+  } catch (e) {
+    return "system";
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveThemeChoice(choice) {
+  /** Remembers the choice; silently skipped without localStorage. */
+  try {
+    window.localStorage.setItem(THEME_KEY, choice);
+  } catch (e) {
+    // The choice lasts for this visit only.
+  }
+}
+
+const ThemeContext = createContext({ choice: "system", theme: "light", setChoice: () => {} });
+
+// PUBLIC_INTERFACE
+export function ThemeProvider({ children }) {
+  /**
+   * Provides { choice, theme, setChoice } to useTheme() and keeps `data-theme` on <html>
+   * in step, following changes to the browser's preferences while the choice is 'system'.
+   */
+  const [choice, setChoiceState] = useState(loadThemeChoice);
+  const [theme, setTheme] = useState(() => resolveTheme(choice));
+
+  useEffect(() => {
+    setTheme(resolveTheme(choice));
+    if (choice !== "system" || typeof window.matchMedia !== "function") return undefined;
+    const queries = [DARK_QUERY, CONTRAST_QUERY].map((q) => window.matchMedia(q));
+    const update = () => setTheme(systemTheme());
+    queries.forEach((q) => q.addEventListener && q.addEventListener("change", update));
+    return () =>
+      queries.forEach((q) => q.removeEventListener && q.removeEventListener("change", update));
+  }, [choice]);
+
+  useEffect(() => {
+    document.documentElement.setAttribute("data-theme", theme);
+  }, [theme]);
+
+  function setChoice(next) {
+    setChoiceState(next);
+    saveThemeChoice(next);
+  }
+
+  return (
+    <ThemeContext.Provider value={{ choice, theme, setChoice }}>{children}</ThemeContext.Provider>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function useTheme() {
+  /** { choice, theme, setChoice } from the nearest ThemeProvider. */
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,27 @@
+import { THEME_KEY, loadThemeChoice, resolveTheme, saveThemeChoice } from './theme';
+
+beforeEach(() => window.localStorage.clear());
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+function prefer(queries) {
+  window.matchMedia = (query) => ({ matches: queries.includes(query) });
+}
+
+test('remembers the chosen theme and ignores unknown ones', () => {
+  expect(loadThemeChoice()).toBe('system');
+  saveThemeChoice('high-contrast');
+  expect(loadThemeChoice()).toBe('high-contrast');
+  window.localStorage.setItem(THEME_KEY, 'sepia');
+  expect(loadThemeChoice()).toBe('system');
+});
+
+test('system follows the browser preferences, contrast first', () => {
+  expect(resolveTheme('system')).toBe('light');
+  prefer(['(prefers-color-scheme: dark)']);
+  expect(resolveTheme('system')).toBe('dark');
+  expect(resolveTheme('light')).toBe('light');
+  prefer(['(prefers-color-scheme: dark)', '(prefers-contrast: more)']);
+  expect(resolveTheme('system')).toBe('high-contrast');
+});
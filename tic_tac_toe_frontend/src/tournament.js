@@ -0,0 +1,254 @@
+import { english, localizedError } from "./i18n";
+
+/**
+ * Local tournaments for 4-16 players: a single-elimination bracket or a round robin.
+ * A tournament is plain data: { format, players: [name], games: [{ id, match, X, O, result }] }.
+ * Each game is one finished board game of a pairing (X / O are player indexes); the
+ * bracket, pairings and standings are all derived from it.
+ *
+ * Knockout: players are seeded in entry order, byes go to the top seeds, and a drawn game is
+ * replayed with the other player moving first until someone wins.
+ * Round robin: everyone meets once; a win is 2 points and a draw 1. Ties are broken by
+ * head-to-head points among the tied players, then by fewer draws (more wins), then seed.
+ */
+
+// Format -> catalog key of its name.
+export const TOURNAMENT_FORMATS = {
+  knockout: "tournament.format.knockout",
+  roundRobin: "tournament.format.roundRobin",
+};
+export const MIN_PLAYERS = 4;
+export const MAX_PLAYERS = 16;
+// Empty slot in a knockout bracket: the opponent advances without playing.
+export const BYE = -1;
+
+// PUBLIC_INTERFACE
+export function createTournament(format, names) {
+  /**
+   * New tournament with no games. Throws an Error (with its catalog key, see
+   * i18n.errorMessage) for an unknown format, the wrong number of players, or empty /
+   * duplicate names.
+   */
+  if (!TOURNAMENT_FORMATS[format]) throw localizedError("tournament.error.format", { format });
+  const players = names.map((n) => String(n).trim()).filter(Boolean);
+  if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    throw localizedError("tournament.error.players", { min: MIN_PLAYERS, max: MAX_PLAYERS });
+  }
+  const seen = new Set();
+  for (const name of players) {
+    if (seen.has(name.toLowerCase())) throw localizedError("tournament.error.twice", { name });
+    seen.add(name.toLowerCase());
+  }
+  return { format, players, games: [] };
+}
+
+// Bracket order of seeds (1-based) so the top seeds meet as late as possible:
+// 4 -> [1, 4, 2, 3], 8 -> [1, 8, 4, 5, 2, 7, 3, 6].
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+function knockoutMatches(t) {
+  const n = t.players.length;
+  let size = 2;
+  while (size < n) size *= 2;
+  let entrants = seedOrder(size).map((s) => (s <= n ? s - 1 : BYE));
+  const matches = [];
+  let round = 1;
+  while (entrants.length > 1) {
+    const winners = [];
+    for (let slot = 0; slot < entrants.length / 2; slot++) {
+      const a = entrants[2 * slot];
+      const b = entrants[2 * slot + 1];
+      const id = `k${round}-${slot}`;
+      const games = t.games.filter((g) => g.match === id);
+      const match = { id, round, slot, players: [a, b], games, X: a, O: b, winner: null, bye: false };
+      if (a === BYE || b === BYE) {
+        match.bye = true;
+        match.winner = a === BYE ? b : a;
+      } else if (a !== null && b !== null) {
+        // Replays after a draw swap who plays X (and so who moves first).
+        const swapped = games.length % 2 === 1;
+        match.X = swapped ? b : a;
+        match.O = swapped ? a : b;
+        const decisive = games.find((g) => g.result !== "draw");
+        if (decisive) match.winner = decisive.result === "X" ? decisive.X : decisive.O;
+      }
+      matches.push(match);
+      winners.push(match.winner);
+    }
+    entrants = winners;
+    round += 1;
+  }
+  return matches;
+}
+
+function roundRobinMatches(t) {
+  const ring = t.players.map((_, i) => i);
+  if (ring.length % 2 === 1) ring.push(BYE);
+  const matches = [];
+  // Circle method: the first player stays put while the others rotate each round.
+  for (let round = 1; round < ring.length; round++) {
+    for (let i = 0; i < ring.length / 2; i++) {
+      const p = ring[i];
+      const q = ring[ring.length - 1 - i];
+      if (p === BYE || q === BYE) continue;
+      const [X, O] = (round + i) % 2 === 0 ? [p, q] : [q, p];
+      const id = `r${round}-${i}`;
+      const games = t.games.filter((g) => g.match === id);
+      const result = games.length ? games[0].result : null;
+      matches.push({ id, round, slot: i, players: [X, O], games, X, O, result });
+    }
+    ring.splice(1, 0, ring.pop());
+  }
+  return matches;
+}
+
+// PUBLIC_INTERFACE
+export function tournamentMatches(t) {
+  /**
+   * All pairings in playing order: { id, round, slot, players, X, O, games, ... } with
+   * player indexes (null while still to be decided, BYE for a bye). Knockout matches also
+   * have `winner` and `bye`; round-robin matches have `result`.
+   */
+  return t.format === "knockout" ? knockoutMatches(t) : roundRobinMatches(t);
+}
+
+function decided(match) {
+  return match.winner !== undefined ? match.winner !== null : match.result !== null;
+}
+
+// PUBLIC_INTERFACE
+export function currentMatch(t) {
+  /** The next pairing to play (both players known, not decided yet), or null when done. */
+  return (
+    tournamentMatches(t).find(
+      (m) => m.X !== null && m.O !== null && m.X !== BYE && m.O !== BYE && !decided(m)
+    ) || null
+  );
+}
+
+// PUBLIC_INTERFACE
+export function recordTournamentGame(t, game) {
+  /**
+   * Records a finished game { id, result } for the current pairing. A game with a known id
+   * (finished differently after undo) replaces its earlier result instead.
+   */
+  if (t.games.some((g) => g.id === game.id)) {
+    return {
+      ...t,
+      games: t.games.map((g) => (g.id === game.id ? { ...g, result: game.result } : g)),
+    };
+  }
+  const match = currentMatch(t);
+  if (!match) return t;
+  const entry = { id: game.id, match: match.id, X: match.X, O: match.O, result: game.result };
+  return { ...t, games: [...t.games, entry] };
+}
+
+// PUBLIC_INTERFACE
+export function pairingNames(t, gameId) {
+  /**
+   * { X, O } names for the board: the players of the recorded game `gameId`, else of the
+   * current pairing. Null once the tournament is over.
+   */
+  const game = t.games.find((g) => g.id === gameId) || currentMatch(t);
+  return game ? { X: t.players[game.X], O: t.players[game.O] } : null;
+}
+
+// PUBLIC_INTERFACE
+export function standings(t) {
+  /**
+   * Round-robin table, best first: [{ player, name, played, wins, draws, losses, points }].
+   */
+  const matches = roundRobinMatches(t);
+  const rows = t.players.map((name, player) => ({
+    player,
+    name,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+  }));
+  const played = matches.filter((m) => m.result);
+  for (const m of played) {
+    for (const [player, mark] of [[m.X, "X"], [m.O, "O"]]) {
+      const row = rows[player];
+      row.played += 1;
+      if (m.result === "draw") row.draws += 1;
+      else if (m.result === mark) row.wins += 1;
+      else row.losses += 1;
+      row.points = 2 * row.wins + row.draws;
+    }
+  }
+  // Points scored against the other players level on points.
+  const headToHead = (row) =>
+    played.reduce((sum, m) => {
+      const mark = m.X === row.player ? "X" : m.O === row.player ? "O" : null;
+      const opponent = mark === "X" ? m.O : m.X;
+      if (!mark || rows[opponent].points !== row.points) return sum;
+      return sum + (m.result === "draw" ? 1 : m.result === mark ? 2 : 0);
+    }, 0);
+  const h2h = new Map(rows.map((row) => [row.player, headToHead(row)]));
+  return rows.sort(
+    (a, b) =>
+      b.points - a.points ||
+      h2h.get(b.player) - h2h.get(a.player) ||
+      a.draws - b.draws ||
+      a.player - b.player
+  );
+}
+
+// PUBLIC_INTERFACE
+export function tournamentWinner(t) {
+  /** Index of the champion once every pairing is decided, else null. */
+  if (currentMatch(t)) return null;
+  if (t.format === "knockout") {
+    const matches = knockoutMatches(t);
+    return matches[matches.length - 1].winner;
+  }
+  return standings(t)[0].player;
+}
+
+// PUBLIC_INTERFACE
+export function roundName(t, round, translate = english) {
+  /** "Final", "Semi-finals", "Quarter-finals" or "Round N", in the language of `translate`. */
+  if (t.format === "knockout") {
+    const rounds = Math.max(...knockoutMatches(t).map((m) => m.round));
+    const fromEnd = rounds - round;
+    if (fromEnd === 0) return translate("round.final");
+    if (fromEnd === 1) return translate("round.semiFinals");
+    if (fromEnd === 2) return translate("round.quarterFinals");
+  }
+  return translate("round.number", { round });
+}
+
+// PUBLIC_INTERFACE
+export function validateTournament(t) {
+  /** Returns a tournament read from storage if well formed, otherwise null. */
+  if (!t || typeof t !== "object" || !Array.isArray(t.players) || !Array.isArray(t.games)) {
+    return null;
+  }
+  let checked;
+  try {
+    checked = createTournament(t.format, t.players);
+  } catch (e) {
+    return null;
+  }
+  if (checked.players.length !== t.players.length) return null;
+  const valid = t.games.every(
+    (g) =>
+      g &&
+      typeof g.id === "string" &&
+      typeof g.match === "string" &&
+      [g.X, g.O].every((p) => Number.isInteger(p) && p >= 0 && p < checked.players.length) &&
+      ["X", "O", "draw"].includes(g.result)
+  );
+  return valid ? { ...checked, games: t.games } : null;
+}
@@ -0,0 +1,67 @@
+import { errorMessage, translator } from './i18n';
+import {
+  BYE,
+  TOURNAMENT_FORMATS,
+  createTournament,
+  currentMatch,
+  recordTournamentGame,
+  standings,
+  tournamentMatches,
+  tournamentWinner,
+} from './tournament';
+
+const names = (n) => Array.from({ length: n }, (_, i) => `P${i + 1}`);
+
+function play(t, result) {
+  return recordTournamentGame(t, { id: `g${t.games.length}`, result });
+}
+
+test('validates the player list', () => {
+  expect(() => createTournament('knockout', names(3))).toThrow(/between 4 and 16/);
+  expect(() => createTournament('roundRobin', ['Ann', 'Bob', 'ann', 'Cy'])).toThrow(/twice/);
+  const ar = translator('ar');
+  try {
+    createTournament('knockout', names(20));
+  } catch (e) {
+    expect(errorMessage(e, ar)).toBe('أدخل من 4 إلى 16 لاعبًا');
+  }
+  expect(ar(TOURNAMENT_FORMATS.roundRobin)).toBe('دوري');
+  expect.assertions(4);
+});
+
+test('knockout seeds byes to the top seeds and replays draws with colors swapped', () => {
+  let t = createTournament('knockout', names(6));
+  const first = tournamentMatches(t).filter((m) => m.round === 1);
+  expect(first.map((m) => m.players)).toEqual([[0, BYE], [3, 4], [1, BYE], [2, 5]]);
+  expect(currentMatch(t)).toMatchObject({ X: 3, O: 4 });
+  t = play(t, 'draw');
+  expect(currentMatch(t)).toMatchObject({ X: 4, O: 3 });
+  t = play(t, 'X'); // P5 wins the replay as X
+  t = play(t, 'O'); // P6 beats P3
+  expect(currentMatch(t)).toMatchObject({ round: 2, X: 0, O: 4 });
+  t = play(t, 'X'); // P1 beats P5
+  expect(currentMatch(t)).toMatchObject({ round: 2, X: 1, O: 5 });
+  t = play(t, 'X'); // P2 beats P6
+  expect(tournamentWinner(t)).toBeNull();
+  t = play(t, 'O'); // P2 wins the final as O
+  expect(tournamentWinner(t)).toBe(1);
+  expect(currentMatch(t)).toBeNull();
+});
+
+test('round robin pairs everyone once and breaks ties by head-to-head, then draws', () => {
+  let t = createTournament('roundRobin', names(4));
+  const matches = tournamentMatches(t);
+  expect(matches).toHaveLength(6);
+  const pairs = new Set(matches.map((m) => [m.X, m.O].sort().join('-')));
+  expect(pairs.size).toBe(6);
+  const win = (a, b) => (m) => (m.X === a && m.O === b ? 'X' : m.X === b && m.O === a ? 'O' : null);
+  // P1 beats P2, P2 beats P3, P3 beats P1: level on points, P4 draws everyone.
+  const outcome = (m) =>
+    win(0, 1)(m) || win(1, 2)(m) || win(2, 0)(m) || 'draw';
+  while (currentMatch(t)) t = play(t, outcome(currentMatch(t)));
+  const table = standings(t);
+  expect(table.map((r) => r.points)).toEqual([3, 3, 3, 3]);
+  // All level on head-to-head too; P4 has the most draws so drops to last.
+  expect(table[3].name).toBe('P4');
+  expect(tournamentWinner(t)).toBe(table[0].player);
+});